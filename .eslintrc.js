@@ -13,6 +13,7 @@ module.exports = {
     {
       files: ['hardhat.config.js'],
       globals: { task: true },
+      rules: { 'node/no-unpublished-require': 'off' },
     },
     {
       files: ['scripts/**'],
@@ -22,7 +23,7 @@ module.exports = {
       },
     },
     {
-      files: ['test/**'],
+      files: ['test/**', 'tasks/**'],
       rules: { 'node/no-unpublished-require': 'off' },
     },
   ],
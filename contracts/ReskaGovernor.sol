@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorSettings.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotes.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotesQuorumFraction.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorTimelockControl.sol";
+
+/**
+ * @title ReskaGovernor
+ * @dev Token-holder governance for RESKA (Phase 2 of UPGRADES.md).
+ *
+ * Proposals are voted with ReskaToken voting power and executed by ReskaTimelock, which holds the
+ * token and vesting admin roles. ReskaToken checkpoints by timestamp, so the periods are seconds:
+ * - a 2-day review period between a proposal and the start of voting
+ * - a 3-day voting period
+ * - a 1% proposal threshold (10,000,000 RESKA of the initial supply)
+ * - a 5% quorum of the total supply at the proposal's snapshot; a proposal passes with more
+ *   votes for than against
+ *
+ * Unvested tokens held by ReskaTokenVesting are excluded: the vesting contract never delegates,
+ * so those tokens count toward the total supply but cannot vote until released.
+ *
+ * The governor must hold the timelock's PROPOSER_ROLE and CANCELLER_ROLE; the timelock's
+ * EXECUTOR_ROLE should be open (address(0)) or granted to the governor.
+ */
+contract ReskaGovernor is
+    Governor,
+    GovernorSettings,
+    GovernorCountingSimple,
+    GovernorVotes,
+    GovernorVotesQuorumFraction,
+    GovernorTimelockControl
+{
+    uint48 public constant INITIAL_VOTING_DELAY = 2 days;
+    uint32 public constant INITIAL_VOTING_PERIOD = 3 days;
+    uint256 public constant INITIAL_PROPOSAL_THRESHOLD = 10_000_000 * 10**6;
+    uint256 public constant INITIAL_QUORUM_PERCENTAGE = 5;
+
+    /**
+     * @dev Constructor for the RESKA governor.
+     * @param token ReskaToken, the source of voting power
+     * @param timelock ReskaTimelock executing the passed proposals
+     */
+    constructor(IVotes token, TimelockController timelock)
+        Governor("ReskaGovernor")
+        GovernorSettings(INITIAL_VOTING_DELAY, INITIAL_VOTING_PERIOD, INITIAL_PROPOSAL_THRESHOLD)
+        GovernorVotes(token)
+        GovernorVotesQuorumFraction(INITIAL_QUORUM_PERCENTAGE)
+        GovernorTimelockControl(timelock)
+    {}
+
+    // The following functions are overrides required by Solidity.
+
+    function votingDelay() public view override(IGovernor, GovernorSettings) returns (uint256) {
+        return super.votingDelay();
+    }
+
+    function votingPeriod() public view override(IGovernor, GovernorSettings) returns (uint256) {
+        return super.votingPeriod();
+    }
+
+    function quorum(uint256 timepoint)
+        public
+        view
+        override(IGovernor, GovernorVotesQuorumFraction)
+        returns (uint256)
+    {
+        return super.quorum(timepoint);
+    }
+
+    function state(uint256 proposalId)
+        public
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (ProposalState)
+    {
+        return super.state(proposalId);
+    }
+
+    function propose(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description
+    ) public override(Governor, IGovernor) returns (uint256) {
+        return super.propose(targets, values, calldatas, description);
+    }
+
+    function proposalThreshold() public view override(Governor, GovernorSettings) returns (uint256) {
+        return super.proposalThreshold();
+    }
+
+    function _execute(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) {
+        super._execute(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    function _cancel(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint256) {
+        return super._cancel(targets, values, calldatas, descriptionHash);
+    }
+
+    function _executor() internal view override(Governor, GovernorTimelockControl) returns (address) {
+        return super._executor();
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,239 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+
+// Custom Errors
+error ZeroAddress();
+error InvalidMerkleRoot();
+error InvalidVestingParameters();
+error InvalidProof();
+error AlreadyClaimed();
+error ClaimPeriodOver();
+error ClaimPeriodNotOver();
+error NotClaimed();
+error NothingToRelease();
+
+/**
+ * @title ReskaMerkleDistributor
+ * @dev Distributes RESEARKA airdrop tokens to the recipients of a Merkle tree.
+ * Each leaf is keccak256(bytes.concat(keccak256(abi.encode(account, amount)))), the
+ * OpenZeppelin standard tree format. When a vesting duration is set, a claim only
+ * registers the allocation and the tokens unlock over the vesting period (after
+ * the cliff) as in ReskaTokenVesting; without one, a claim pays out immediately.
+ * @custom:security-contact security@researka.com
+ */
+contract ReskaMerkleDistributor is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Address of the ERC20 token
+    IERC20 private immutable _token;
+
+    // Root of the Merkle tree of (account, amount) leaves
+    bytes32 public immutable merkleRoot;
+
+    // Vesting parameters shared by every allocation (duration 0 = no vesting)
+    uint256 public immutable vestingStart;
+    uint256 public immutable cliffDuration;
+    uint256 public immutable vestingDuration;
+    uint256 public immutable slicePeriodSeconds;
+
+    // Last timestamp at which claims are accepted (0 = no deadline)
+    uint256 public immutable claimDeadline;
+
+    // Claimed allocation and released amount per account
+    mapping(address => uint256) private allocations;
+    mapping(address => uint256) private released;
+
+    // Totals used to keep claimed but unreleased tokens out of a sweep
+    uint256 private totalClaimed;
+    uint256 private totalReleased;
+
+    // Allocation claimed event
+    event Claimed(address indexed account, uint256 amount);
+
+    // Tokens released event
+    event TokensReleased(address indexed account, uint256 amount);
+
+    // Unclaimed tokens swept event
+    event Swept(address indexed to, uint256 amount);
+
+    /**
+     * @dev Constructor that initializes the distributor
+     * @param token_ Address of the ERC20 token contract
+     * @param merkleRoot_ Root of the Merkle tree of allocations
+     * @param vestingStart_ Start time of the vesting period
+     * @param cliffDuration_ Cliff period in seconds, counted from the vesting start
+     * @param vestingDuration_ Duration of the vesting in seconds (0 pays out on claim)
+     * @param slicePeriodSeconds_ Duration of a slice period in seconds
+     * @param claimDeadline_ Last timestamp at which claims are accepted (0 = no deadline)
+     */
+    constructor(
+        address token_,
+        bytes32 merkleRoot_,
+        uint256 vestingStart_,
+        uint256 cliffDuration_,
+        uint256 vestingDuration_,
+        uint256 slicePeriodSeconds_,
+        uint256 claimDeadline_
+    ) {
+        if (token_ == address(0)) revert ZeroAddress();
+        if (merkleRoot_ == bytes32(0)) revert InvalidMerkleRoot();
+        if (vestingDuration_ == 0) {
+            if (cliffDuration_ != 0) revert InvalidVestingParameters();
+        } else if (slicePeriodSeconds_ == 0 || vestingDuration_ < cliffDuration_) {
+            revert InvalidVestingParameters();
+        }
+
+        _token = IERC20(token_);
+        merkleRoot = merkleRoot_;
+        vestingStart = vestingStart_;
+        cliffDuration = cliffDuration_;
+        vestingDuration = vestingDuration_;
+        slicePeriodSeconds = slicePeriodSeconds_;
+        claimDeadline = claimDeadline_;
+    }
+
+    /**
+     * @dev Returns the address of the ERC20 token distributed
+     * @return The token address
+     */
+    function getToken() external view returns (address) {
+        return address(_token);
+    }
+
+    /**
+     * @dev Returns whether an account has claimed its allocation
+     * @param account The address of the recipient
+     * @return True if the allocation was claimed
+     */
+    function isClaimed(address account) public view returns (bool) {
+        return allocations[account] != 0;
+    }
+
+    /**
+     * @dev Returns the claimed allocation of an account
+     * @param account The address of the recipient
+     * @return The claimed amount, 0 if not claimed
+     */
+    function getAllocation(address account) external view returns (uint256) {
+        return allocations[account];
+    }
+
+    /**
+     * @dev Returns the amount already released to an account
+     * @param account The address of the recipient
+     * @return The released amount
+     */
+    function getReleased(address account) external view returns (uint256) {
+        return released[account];
+    }
+
+    /**
+     * @dev Returns the amount of claimed tokens still held for recipients
+     * @return The claimed but unreleased amount
+     */
+    function getOutstandingAmount() public view returns (uint256) {
+        return totalClaimed - totalReleased;
+    }
+
+    /**
+     * @dev Returns the releasable amount of tokens for an account
+     * @param account The address of the recipient
+     * @return The amount of releasable tokens
+     */
+    function getReleasableAmount(address account) public view returns (uint256) {
+        return vestedAmount(allocations[account], block.timestamp) - released[account];
+    }
+
+    /**
+     * @dev Computes the vested part of an allocation at a given time
+     * @param amount The allocation
+     * @param timestamp The time to compute the vested amount at
+     * @return The vested amount
+     */
+    function vestedAmount(uint256 amount, uint256 timestamp) public view returns (uint256) {
+        if (vestingDuration == 0) {
+            return amount;
+        }
+        if (timestamp < vestingStart + cliffDuration) {
+            return 0;
+        }
+        if (timestamp >= vestingStart + vestingDuration) {
+            return amount;
+        }
+
+        uint256 vestedSlices = (timestamp - vestingStart) / slicePeriodSeconds;
+        return (amount * vestedSlices * slicePeriodSeconds) / vestingDuration;
+    }
+
+    /**
+     * @dev Claims the allocation of an account and releases whatever has already vested.
+     * Anyone can submit the claim; the tokens always go to the account.
+     * @param account The address of the recipient
+     * @param amount The allocation of the recipient in the Merkle tree
+     * @param proof The Merkle proof of the (account, amount) leaf
+     */
+    function claim(address account, uint256 amount, bytes32[] calldata proof) external nonReentrant {
+        if (claimDeadline != 0 && block.timestamp > claimDeadline) revert ClaimPeriodOver();
+        if (isClaimed(account)) revert AlreadyClaimed();
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+        if (amount == 0 || !MerkleProof.verifyCalldata(proof, merkleRoot, leaf)) revert InvalidProof();
+
+        allocations[account] = amount;
+        totalClaimed += amount;
+
+        emit Claimed(account, amount);
+
+        uint256 releasable = getReleasableAmount(account);
+        if (releasable > 0) {
+            _release(account, releasable);
+        }
+    }
+
+    /**
+     * @dev Releases the vested tokens of a claimed allocation to its account
+     * @param account The address of the recipient
+     */
+    function release(address account) external nonReentrant {
+        if (!isClaimed(account)) revert NotClaimed();
+
+        uint256 releasable = getReleasableAmount(account);
+        if (releasable == 0) revert NothingToRelease();
+
+        _release(account, releasable);
+    }
+
+    /**
+     * @dev Transfers the unclaimed tokens to a recipient once the claim period is over.
+     * Tokens of claimed allocations that have not vested yet stay in the contract.
+     * @param to The address receiving the unclaimed tokens
+     */
+    function sweep(address to) external onlyOwner nonReentrant {
+        if (to == address(0)) revert ZeroAddress();
+        if (claimDeadline == 0 || block.timestamp <= claimDeadline) revert ClaimPeriodNotOver();
+
+        uint256 amount = _token.balanceOf(address(this)) - getOutstandingAmount();
+        _token.safeTransfer(to, amount);
+
+        emit Swept(to, amount);
+    }
+
+    /**
+     * @dev Records and transfers a release
+     * @param account The address of the recipient
+     * @param amount The amount to release
+     */
+    function _release(address account, uint256 amount) private {
+        released[account] += amount;
+        totalReleased += amount;
+
+        _token.safeTransfer(account, amount);
+
+        emit TokensReleased(account, amount);
+    }
+}
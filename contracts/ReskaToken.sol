@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
@@ -17,10 +18,16 @@ error RenounceRoleZeroAddress();
 
 /**
  * @title ReskaToken
- * @dev ERC20 token with role-based access control, pausable functionality, and allocation tracking
+ * @dev ERC20 token with role-based access control, pausable functionality, allocation tracking
+ * and ERC20Votes voting power for ReskaGovernor.
+ *
+ * Voting power is checkpointed by timestamp (ERC-6372 "mode=timestamp") so governance periods are
+ * exact durations whatever the block time. Holders must delegate (to themselves or another
+ * account) for their balance to count. Tokens locked in ReskaTokenVesting never vote: the vesting
+ * contract cannot delegate, so unvested tokens only gain voting power once released.
  * @custom:security-contact security@researka.com
  */
-contract ReskaToken is ERC20, ERC20Burnable, Pausable, AccessControl, ReentrancyGuard {
+contract ReskaToken is ERC20, ERC20Burnable, ERC20Permit, ERC20Votes, Pausable, AccessControl, ReentrancyGuard {
     // Roles
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
@@ -78,7 +85,7 @@ contract ReskaToken is ERC20, ERC20Burnable, Pausable, AccessControl, Reentrancy
         address _treasuryAddress,
         address _publicSaleAddress,
         address _escrowAddress
-    ) ERC20("RESEARKA", "RESKA") {
+    ) ERC20("RESEARKA", "RESKA") ERC20Permit("RESEARKA") {
         // Validate addresses
         if (_founderAddress == address(0)) revert ZeroAddress();
         if (_advisorsAddress == address(0)) revert ZeroAddress();
@@ -227,6 +234,41 @@ contract ReskaToken is ERC20, ERC20Burnable, Pausable, AccessControl, Reentrancy
         super._beforeTokenTransfer(from, to, amount);
     }
     
+    /**
+     * @dev Updates voting power checkpoints after every transfer, mint and burn
+     */
+    function _afterTokenTransfer(address from, address to, uint256 amount)
+        internal
+        override(ERC20, ERC20Votes)
+    {
+        super._afterTokenTransfer(from, to, amount);
+    }
+
+    function _mint(address to, uint256 amount) internal override(ERC20, ERC20Votes) {
+        super._mint(to, amount);
+    }
+
+    function _burn(address account, uint256 amount) internal override(ERC20, ERC20Votes) {
+        super._burn(account, amount);
+    }
+
+    /**
+     * @dev Voting checkpoints are keyed by timestamp instead of block number
+     * @return The current timestamp
+     */
+    function clock() public view override returns (uint48) {
+        return SafeCast.toUint48(block.timestamp);
+    }
+
+    /**
+     * @dev Describes the clock used for voting checkpoints (ERC-6372)
+     * @return The clock mode
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function CLOCK_MODE() public pure override returns (string memory) {
+        return "mode=timestamp";
+    }
+
     /**
      * @dev Override the decimals() function to return 6 instead of the default 18
      * @return The number of decimals used by the token (6, like USDT)
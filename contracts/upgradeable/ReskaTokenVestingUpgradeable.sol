@@ -0,0 +1,627 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+
+// Custom Errors
+error ZeroAddress();
+error AmountMustBePositive();
+error DurationMustBePositive();
+error SlicePeriodMustBePositive();
+error DurationTooShort();
+error InsufficientContractBalance();
+error ScheduleNotFound();
+error ScheduleNotRevocable();
+error ScheduleAlreadyRevoked();
+error IndexOutOfBounds();
+error NotBeneficiary();
+error NoTokensToRelease();
+error CannotWithdrawVestedTokens();
+error ArrayLengthMismatch();
+error EmptyBatch();
+error InvalidNewBeneficiary();
+error NoPendingTransfer();
+
+/**
+ * @title ReskaTokenVestingUpgradeable
+ * @dev Upgradeable variant of ReskaTokenVesting for the proxy deployment path (Phase 1 of UPGRADES.md).
+ *
+ * Same behaviour as ReskaTokenVesting, deployed behind a TransparentUpgradeableProxy whose
+ * ProxyAdmin is owned by ReskaTimelock. The token address moves from an immutable to storage and
+ * is set by initialize(); the account deploying the proxy becomes the owner. New state variables
+ * must be appended and taken out of __gap.
+ * @custom:security-contact security@researka.com
+ */
+contract ReskaTokenVestingUpgradeable is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable {
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    // Vesting schedule structure
+    struct VestingSchedule {
+        // Beneficiary address
+        address beneficiary;
+        // Cliff period in seconds
+        uint256 cliff;
+        // Start time of the vesting period
+        uint256 start;
+        // Duration of the vesting period in seconds
+        uint256 duration;
+        // Duration of a slice period in seconds
+        uint256 slicePeriodSeconds;
+        // Whether or not the vesting is revocable
+        bool revocable;
+        // Total amount of tokens to be vested
+        uint256 amountTotal;
+        // Amount of tokens released
+        uint256 released;
+        // Whether or not the vesting has been revoked
+        bool revoked;
+        // Whether or not the vesting schedule has been created
+        bool created;
+    }
+
+    // Address of the ERC20 token
+    IERC20Upgradeable private _token;
+
+    // Array of vesting schedules
+    bytes32[] private vestingSchedulesIds;
+    mapping(bytes32 => VestingSchedule) private vestingSchedules;
+    mapping(address => bytes32[]) private holderVestingSchedulesIds;
+
+    // Total amount of vested tokens
+    uint256 private vestingSchedulesTotalAmount;
+
+    // Addresses allowed to release vested tokens on behalf of beneficiaries
+    mapping(address => bool) private releaseOperators;
+
+    // Number of schedules ever created for a holder, used to derive unique schedule IDs
+    // (the holder's schedule list shrinks when a schedule is transferred away)
+    mapping(address => uint256) private holderVestingSchedulesCreated;
+
+    // Whether schedule transfers need the owner's approval
+    bool private transferApprovalRequired;
+
+    // New beneficiaries of transfers awaiting the owner's approval
+    mapping(bytes32 => address) private pendingScheduleTransfers;
+
+    // Vesting schedule created event
+    event VestingScheduleCreated(
+        bytes32 indexed scheduleId,
+        address indexed beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 duration,
+        uint256 slicePeriodSeconds
+    );
+
+    // Tokens released event
+    event TokensReleased(
+        bytes32 indexed scheduleId,
+        address indexed beneficiary,
+        uint256 amount
+    );
+
+    // Vesting revoked event
+    event VestingRevoked(bytes32 indexed scheduleId);
+
+    // Release operator updated event
+    event ReleaseOperatorUpdated(address indexed operator, bool allowed);
+
+    // Schedule transfer events
+    event ScheduleTransferRequested(bytes32 indexed scheduleId, address indexed from, address indexed to);
+    event ScheduleTransferCancelled(bytes32 indexed scheduleId);
+    event VestingScheduleTransferred(bytes32 indexed scheduleId, address indexed from, address indexed to);
+    event TransferApprovalRequiredUpdated(bool required);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the vesting contract with the token address
+     * @param token_ Address of the ERC20 token contract
+     */
+    function initialize(address token_) external initializer {
+        __Ownable_init();
+        __ReentrancyGuard_init();
+
+        if (token_ == address(0)) revert ZeroAddress();
+        _token = IERC20Upgradeable(token_);
+    }
+
+    /**
+     * @dev Returns the address of the ERC20 token managed by the vesting contract
+     * @return The token address
+     */
+    function getToken() external view returns (address) {
+        return address(_token);
+    }
+
+    /**
+     * @dev Returns the total amount of vesting schedules
+     * @return The total amount of vesting schedules
+     */
+    function getVestingSchedulesTotalAmount() external view returns (uint256) {
+        return vestingSchedulesTotalAmount;
+    }
+
+    /**
+     * @dev Returns the number of vesting schedules
+     * @return The number of vesting schedules
+     */
+    function getVestingSchedulesCount() external view returns (uint256) {
+        return vestingSchedulesIds.length;
+    }
+
+    /**
+     * @dev Returns the vesting schedule ID at the given index
+     * @param index The index in the vestingSchedulesIds array
+     * @return The vesting schedule ID
+     */
+    function getVestingScheduleIdAtIndex(uint256 index) external view returns (bytes32) {
+        if (index >= vestingSchedulesIds.length) revert IndexOutOfBounds();
+        return vestingSchedulesIds[index];
+    }
+
+    /**
+     * @dev Returns the vesting schedule information for a given holder and index
+     * @param holder The address of the holder
+     * @param index The index of the vesting schedule
+     * @return The vesting schedule ID
+     */
+    function getVestingScheduleIdAtHolderIndex(address holder, uint256 index) external view returns (bytes32) {
+        if (index >= holderVestingSchedulesIds[holder].length) revert IndexOutOfBounds();
+        return holderVestingSchedulesIds[holder][index];
+    }
+
+    /**
+     * @dev Returns the number of vesting schedules for a given holder
+     * @param holder The address of the holder
+     * @return The number of vesting schedules
+     */
+    function getVestingSchedulesCountByHolder(address holder) external view returns (uint256) {
+        return holderVestingSchedulesIds[holder].length;
+    }
+
+    /**
+     * @dev Returns the number of vesting schedules ever created for a holder, which is the index
+     * the holder's next schedule ID is derived from. Unlike getVestingSchedulesCountByHolder it
+     * does not go down when a schedule is transferred away.
+     * @param holder The address of the holder
+     * @return The number of vesting schedules created for the holder
+     */
+    function getVestingSchedulesCreatedByHolder(address holder) external view returns (uint256) {
+        return holderVestingSchedulesCreated[holder];
+    }
+
+    /**
+     * @dev Returns the vesting schedule information for a given identifier
+     * @param scheduleId The ID of the vesting schedule
+     * @return The vesting schedule structure
+     */
+    function getVestingSchedule(bytes32 scheduleId) external view returns (VestingSchedule memory) {
+        if (!vestingSchedules[scheduleId].created) revert ScheduleNotFound();
+        return vestingSchedules[scheduleId];
+    }
+
+    /**
+     * @dev Returns the releasable amount of tokens for a vesting schedule
+     * @param scheduleId The ID of the vesting schedule
+     * @return The amount of releasable tokens
+     */
+    function getReleasableAmount(bytes32 scheduleId) public view returns (uint256) {
+        VestingSchedule storage vestingSchedule = vestingSchedules[scheduleId];
+        if (!vestingSchedule.created) revert ScheduleNotFound();
+        return _computeReleasableAmount(vestingSchedule);
+    }
+
+    /**
+     * @dev Returns whether an address may release vested tokens on behalf of beneficiaries
+     * @param operator The address to check
+     * @return True if the address is a release operator
+     */
+    function isReleaseOperator(address operator) external view returns (bool) {
+        return releaseOperators[operator];
+    }
+
+    /**
+     * @dev Returns whether schedule transfers need the owner's approval
+     * @return True if transfers must be approved by the owner
+     */
+    function isTransferApprovalRequired() external view returns (bool) {
+        return transferApprovalRequired;
+    }
+
+    /**
+     * @dev Returns the new beneficiary of a transfer awaiting the owner's approval
+     * @param scheduleId The ID of the vesting schedule
+     * @return The requested new beneficiary, or the zero address if there is none
+     */
+    function getPendingScheduleTransfer(bytes32 scheduleId) external view returns (address) {
+        return pendingScheduleTransfers[scheduleId];
+    }
+
+    /**
+     * @dev Returns the vesting schedule ID for an address and an index
+     * @param holder The address of the holder
+     * @param index The index of the vesting schedule
+     * @return The vesting schedule ID
+     */
+    function computeVestingScheduleIdForAddressAndIndex(address holder, uint256 index) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(holder, index));
+    }
+
+    /**
+     * @dev Creates a new vesting schedule for a beneficiary
+     * @param _beneficiary The address of the beneficiary
+     * @param _start The start time of the vesting schedule
+     * @param _cliff The cliff period in seconds
+     * @param _duration The duration of the vesting in seconds
+     * @param _slicePeriodSeconds The duration of a slice period in seconds
+     * @param _revocable Whether the vesting is revocable or not
+     * @param _amount The amount of tokens to be vested
+     */
+    function createVestingSchedule(
+        address _beneficiary,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        uint256 _slicePeriodSeconds,
+        bool _revocable,
+        uint256 _amount
+    ) external onlyOwner {
+        _createVestingSchedule(_beneficiary, _start, _cliff, _duration, _slicePeriodSeconds, _revocable, _amount);
+        _checkContractBalance();
+    }
+
+    /**
+     * @dev Creates one vesting schedule per beneficiary, all sharing the same vesting parameters
+     * @param _beneficiaries The addresses of the beneficiaries
+     * @param _amounts The amount of tokens to be vested for each beneficiary
+     * @param _start The start time of the vesting schedules
+     * @param _cliff The cliff period in seconds
+     * @param _duration The duration of the vesting in seconds
+     * @param _slicePeriodSeconds The duration of a slice period in seconds
+     * @param _revocable Whether the vesting is revocable or not
+     */
+    function createVestingSchedules(
+        address[] calldata _beneficiaries,
+        uint256[] calldata _amounts,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        uint256 _slicePeriodSeconds,
+        bool _revocable
+    ) external onlyOwner {
+        if (_beneficiaries.length != _amounts.length) revert ArrayLengthMismatch();
+        if (_beneficiaries.length == 0) revert EmptyBatch();
+
+        for (uint256 i = 0; i < _beneficiaries.length; i++) {
+            _createVestingSchedule(_beneficiaries[i], _start, _cliff, _duration, _slicePeriodSeconds, _revocable, _amounts[i]);
+        }
+
+        // A single balance check covers the whole batch
+        _checkContractBalance();
+    }
+
+    /**
+     * @dev Allows or disallows an address to release vested tokens on behalf of beneficiaries
+     * @param operator The address of the operator (e.g. a relayer)
+     * @param allowed Whether the operator may release
+     */
+    function setReleaseOperator(address operator, bool allowed) external onlyOwner {
+        if (operator == address(0)) revert ZeroAddress();
+        releaseOperators[operator] = allowed;
+        emit ReleaseOperatorUpdated(operator, allowed);
+    }
+
+    /**
+     * @dev Release vested tokens to the beneficiary.
+     * Callable by the beneficiary, the owner or a release operator; the tokens always go to the beneficiary.
+     * @param scheduleId The ID of the vesting schedule
+     */
+    function release(bytes32 scheduleId) external nonReentrant {
+        VestingSchedule storage vestingSchedule = vestingSchedules[scheduleId];
+
+        // --- Checks ---
+        if (!vestingSchedule.created) revert ScheduleNotFound();
+        if (!_canRelease(vestingSchedule.beneficiary)) revert NotBeneficiary();
+        if (vestingSchedule.revoked) revert ScheduleAlreadyRevoked();
+
+        uint256 releasableAmount = _computeReleasableAmount(vestingSchedule);
+        if (releasableAmount == 0) revert NoTokensToRelease();
+
+        // --- Effects ---
+        // Update released amount *before* external call
+        vestingSchedule.released += releasableAmount;
+
+        // --- Interactions ---
+        _token.safeTransfer(vestingSchedule.beneficiary, releasableAmount);
+
+        emit TokensReleased(scheduleId, vestingSchedule.beneficiary, releasableAmount);
+    }
+
+    /**
+     * @dev Release the vested tokens of every schedule of a holder in a single transfer.
+     * Revoked schedules and schedules with nothing releasable are skipped.
+     * Callable by the holder, the owner or a release operator; the tokens always go to the holder.
+     * @param holder The address of the beneficiary
+     * @return totalReleased The amount of tokens released
+     */
+    function releaseAll(address holder) external nonReentrant returns (uint256 totalReleased) {
+        // --- Checks ---
+        if (!_canRelease(holder)) revert NotBeneficiary();
+
+        // --- Effects ---
+        bytes32[] storage scheduleIds = holderVestingSchedulesIds[holder];
+        for (uint256 i = 0; i < scheduleIds.length; i++) {
+            VestingSchedule storage vestingSchedule = vestingSchedules[scheduleIds[i]];
+            if (vestingSchedule.revoked) continue;
+
+            uint256 releasableAmount = _computeReleasableAmount(vestingSchedule);
+            if (releasableAmount == 0) continue;
+
+            vestingSchedule.released += releasableAmount;
+            totalReleased += releasableAmount;
+
+            emit TokensReleased(scheduleIds[i], holder, releasableAmount);
+        }
+
+        if (totalReleased == 0) revert NoTokensToRelease();
+
+        // --- Interactions ---
+        _token.safeTransfer(holder, totalReleased);
+    }
+
+    /**
+     * @dev Sets whether schedule transfers need the owner's approval
+     * @param required Whether transfers must be approved by the owner
+     */
+    function setTransferApprovalRequired(bool required) external onlyOwner {
+        transferApprovalRequired = required;
+        emit TransferApprovalRequiredUpdated(required);
+    }
+
+    /**
+     * @dev Moves a vesting schedule to a new beneficiary, e.g. a rotated wallet or a multisig.
+     * Only the current beneficiary can ask for it. When transfers need the owner's approval the
+     * request is recorded and completed by approveScheduleTransfer.
+     * The schedule keeps its ID; the beneficiary's remaining schedules may change index.
+     * @param scheduleId The ID of the vesting schedule
+     * @param newBeneficiary The address of the new beneficiary
+     */
+    function transferVestingSchedule(bytes32 scheduleId, address newBeneficiary) external {
+        VestingSchedule storage vestingSchedule = vestingSchedules[scheduleId];
+
+        if (!vestingSchedule.created) revert ScheduleNotFound();
+        if (msg.sender != vestingSchedule.beneficiary) revert NotBeneficiary();
+        if (vestingSchedule.revoked) revert ScheduleAlreadyRevoked();
+        if (newBeneficiary == address(0)) revert ZeroAddress();
+        if (newBeneficiary == vestingSchedule.beneficiary) revert InvalidNewBeneficiary();
+
+        if (transferApprovalRequired) {
+            pendingScheduleTransfers[scheduleId] = newBeneficiary;
+            emit ScheduleTransferRequested(scheduleId, vestingSchedule.beneficiary, newBeneficiary);
+            return;
+        }
+
+        _transferVestingSchedule(scheduleId, vestingSchedule, newBeneficiary);
+    }
+
+    /**
+     * @dev Approves a pending schedule transfer and moves the schedule to the new beneficiary
+     * @param scheduleId The ID of the vesting schedule
+     */
+    function approveScheduleTransfer(bytes32 scheduleId) external onlyOwner {
+        address newBeneficiary = pendingScheduleTransfers[scheduleId];
+        if (newBeneficiary == address(0)) revert NoPendingTransfer();
+
+        VestingSchedule storage vestingSchedule = vestingSchedules[scheduleId];
+        if (vestingSchedule.revoked) revert ScheduleAlreadyRevoked();
+
+        _transferVestingSchedule(scheduleId, vestingSchedule, newBeneficiary);
+    }
+
+    /**
+     * @dev Cancels a pending schedule transfer; callable by the beneficiary or the owner
+     * @param scheduleId The ID of the vesting schedule
+     */
+    function cancelScheduleTransfer(bytes32 scheduleId) external {
+        if (pendingScheduleTransfers[scheduleId] == address(0)) revert NoPendingTransfer();
+        if (msg.sender != vestingSchedules[scheduleId].beneficiary && msg.sender != owner()) {
+            revert NotBeneficiary();
+        }
+
+        delete pendingScheduleTransfers[scheduleId];
+        emit ScheduleTransferCancelled(scheduleId);
+    }
+
+    /**
+     * @dev Revoke a vesting schedule
+     * @param scheduleId The ID of the vesting schedule
+     */
+    function revoke(bytes32 scheduleId) external onlyOwner nonReentrant {
+        VestingSchedule storage vestingSchedule = vestingSchedules[scheduleId];
+
+        // --- Checks ---
+        if (!vestingSchedule.created) revert ScheduleNotFound();
+        if (!vestingSchedule.revocable) revert ScheduleNotRevocable();
+        if (vestingSchedule.revoked) revert ScheduleAlreadyRevoked();
+
+        uint256 vestedAmount = _computeReleasableAmount(vestingSchedule);
+        uint256 nonVestedAmount = vestingSchedule.amountTotal - vestedAmount;
+        uint256 releasedAmount = vestingSchedule.released;
+
+        // --- Effects ---
+        vestingSchedule.revoked = true;
+        vestingSchedule.amountTotal = releasedAmount + (nonVestedAmount > 0 ? 0 : vestedAmount - releasedAmount);
+
+        // Update global tracking if needed (adjust total vested amount)
+        if (nonVestedAmount > 0) {
+            vestingSchedulesTotalAmount -= nonVestedAmount;
+        }
+
+        // --- Interactions ---
+        // Transfer non-vested tokens back to owner (if any)
+        if (nonVestedAmount > 0) {
+            _token.safeTransfer(owner(), nonVestedAmount);
+        }
+
+        emit VestingRevoked(scheduleId);
+    }
+
+    /**
+     * @dev Withdraws non-vested tokens in case of emergency
+     * @param amount The amount of tokens to withdraw
+     */
+    function withdraw(uint256 amount) external onlyOwner nonReentrant {
+        // Check that there are enough non-vested tokens to withdraw
+        if (amount > _token.balanceOf(address(this)) - vestingSchedulesTotalAmount) revert CannotWithdrawVestedTokens();
+        
+        // Transfer tokens to the owner
+        _token.safeTransfer(owner(), amount);
+    }
+
+    /**
+     * @dev Validates and stores a vesting schedule, without checking the contract balance
+     * @param _beneficiary The address of the beneficiary
+     * @param _start The start time of the vesting schedule
+     * @param _cliff The cliff period in seconds
+     * @param _duration The duration of the vesting in seconds
+     * @param _slicePeriodSeconds The duration of a slice period in seconds
+     * @param _revocable Whether the vesting is revocable or not
+     * @param _amount The amount of tokens to be vested
+     */
+    function _createVestingSchedule(
+        address _beneficiary,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        uint256 _slicePeriodSeconds,
+        bool _revocable,
+        uint256 _amount
+    ) private {
+        if (_beneficiary == address(0)) revert ZeroAddress();
+        if (_amount == 0) revert AmountMustBePositive();
+        if (_duration == 0) revert DurationMustBePositive();
+        if (_slicePeriodSeconds == 0) revert SlicePeriodMustBePositive();
+        if (_duration < _cliff) revert DurationTooShort();
+
+        // Compute the vesting schedule ID
+        bytes32 vestingScheduleId = computeVestingScheduleIdForAddressAndIndex(
+            _beneficiary,
+            holderVestingSchedulesCreated[_beneficiary]++
+        );
+
+        // Create the vesting schedule
+        vestingSchedules[vestingScheduleId] = VestingSchedule({
+            beneficiary: _beneficiary,
+            cliff: _start + _cliff,
+            start: _start,
+            duration: _duration,
+            slicePeriodSeconds: _slicePeriodSeconds,
+            revocable: _revocable,
+            amountTotal: _amount,
+            released: 0,
+            revoked: false,
+            created: true
+        });
+
+        // Add the vesting schedule to the list
+        vestingSchedulesIds.push(vestingScheduleId);
+        holderVestingSchedulesIds[_beneficiary].push(vestingScheduleId);
+
+        // Update the total amount
+        vestingSchedulesTotalAmount += _amount;
+
+        emit VestingScheduleCreated(
+            vestingScheduleId,
+            _beneficiary,
+            _amount,
+            _start,
+            _cliff,
+            _duration,
+            _slicePeriodSeconds
+        );
+    }
+
+    /**
+     * @dev Moves a vesting schedule from its beneficiary's schedule list to the new beneficiary's
+     * @param scheduleId The ID of the vesting schedule
+     * @param vestingSchedule The vesting schedule
+     * @param newBeneficiary The address of the new beneficiary
+     */
+    function _transferVestingSchedule(
+        bytes32 scheduleId,
+        VestingSchedule storage vestingSchedule,
+        address newBeneficiary
+    ) private {
+        address previousBeneficiary = vestingSchedule.beneficiary;
+        bytes32[] storage scheduleIds = holderVestingSchedulesIds[previousBeneficiary];
+
+        // Swap and pop the schedule out of the previous beneficiary's list
+        for (uint256 i = 0; i < scheduleIds.length; i++) {
+            if (scheduleIds[i] == scheduleId) {
+                scheduleIds[i] = scheduleIds[scheduleIds.length - 1];
+                scheduleIds.pop();
+                break;
+            }
+        }
+
+        holderVestingSchedulesIds[newBeneficiary].push(scheduleId);
+        vestingSchedule.beneficiary = newBeneficiary;
+        delete pendingScheduleTransfers[scheduleId];
+
+        emit VestingScheduleTransferred(scheduleId, previousBeneficiary, newBeneficiary);
+    }
+
+    /**
+     * @dev Returns whether the caller may release tokens of a beneficiary
+     * @param beneficiary The address of the beneficiary
+     * @return True for the beneficiary, the owner and release operators
+     */
+    function _canRelease(address beneficiary) private view returns (bool) {
+        return msg.sender == beneficiary || msg.sender == owner() || releaseOperators[msg.sender];
+    }
+
+    /**
+     * @dev Reverts if the contract does not hold enough tokens for all vesting schedules
+     */
+    function _checkContractBalance() private view {
+        if (_token.balanceOf(address(this)) < vestingSchedulesTotalAmount) revert InsufficientContractBalance();
+    }
+
+    /**
+     * @dev Computes the releasable amount of tokens for a vesting schedule
+     * @param vestingSchedule The vesting schedule
+     * @return The amount of releasable tokens
+     */
+    function _computeReleasableAmount(VestingSchedule storage vestingSchedule) private view returns (uint256) {
+        uint256 currentTime = block.timestamp;
+
+        if (currentTime < vestingSchedule.start + vestingSchedule.cliff) {
+            return 0;
+        }
+
+        if (currentTime >= vestingSchedule.start + vestingSchedule.duration || vestingSchedule.revoked) {
+            return vestingSchedule.amountTotal - vestingSchedule.released;
+        }
+
+        uint256 timeElapsed = currentTime - vestingSchedule.start;
+        uint256 vestedSlices = timeElapsed / vestingSchedule.slicePeriodSeconds;
+        uint256 vestedAmount = (vestingSchedule.amountTotal * vestedSlices * vestingSchedule.slicePeriodSeconds) / vestingSchedule.duration;
+
+        uint256 releasable = vestedAmount > vestingSchedule.released ? vestedAmount - vestingSchedule.released : 0;
+
+        return releasable;
+    }
+
+    /**
+     * @dev Reserved storage for variables added by later implementations
+     */
+    uint256[41] private __gap;
+}
@@ -7,6 +7,9 @@ require("dotenv").config();
 require("solidity-coverage");
 require("hardhat-gas-reporter");
 require("@nomicfoundation/hardhat-chai-matchers");
+const { extendEnvironment } = require('hardhat/config');
+const { isZeroKey, assertMainnetKey } = require('./scripts/helpers/keyManagement');
+require('./tasks/reska');
 
 // Default values if environment variables are not set
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x0000000000000000000000000000000000000000000000000000000000000000";
@@ -17,6 +20,9 @@ const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
 const ZKSYNC_MAINNET_URL = process.env.ZKSYNC_MAINNET_URL || "https://mainnet.era.zksync.io";
 const ETHEREUM_MAINNET_URL = process.env.ETHEREUM_MAINNET_URL || "https://ethereum.publicnode.com";
 
+// Never run on mainnet with the all-zero fallback key (scripts may sign with a keystore instead)
+extendEnvironment(hre => assertMainnetKey(hre.network.name));
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -25,6 +31,12 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // Storage layouts for the upgrade compatibility check (scripts/helpers/storageLayout.js)
+      outputSelection: {
+        '*': {
+          '*': ['storageLayout'],
+        },
       }
     }
   },
@@ -60,7 +72,7 @@ module.exports = {
       url: ZKSYNC_MAINNET_URL,
       ethNetwork: ETHEREUM_MAINNET_URL, // Ethereum mainnet as L1
       zksync: true,
-      accounts: [PRIVATE_KEY],
+      accounts: isZeroKey(PRIVATE_KEY) ? [] : [PRIVATE_KEY],
       verifyURL: 'https://explorer.era.zksync.io/contract_verification',
       // Gas price and gas limit adjusted for mainnet
       gasPrice: 250000000, // 0.25 Gwei
@@ -0,0 +1,254 @@
+/**
+ * RESKA Token - Merkle Airdrop Script
+ * Builds the airdrop Merkle tree from a recipient CSV, deploys and funds the
+ * ReskaMerkleDistributor, and verifies a deployed distributor against the claims file
+ *
+ * Usage:
+ *   node scripts/airdrop-merkle.js build --csv airdrop.csv [--out deployments/airdrop-claims.json]
+ *   node scripts/airdrop-merkle.js deploy --network zkSyncTestnet --claims deployments/airdrop-claims.json
+ *                                         [--category airdrop] [--no-vesting] [--claim-period 365d]
+ *   node scripts/airdrop-merkle.js verify --network zkSyncTestnet --claims deployments/airdrop-claims.json
+ *
+ * The CSV has one "address,amount" row per recipient (amounts in whole RESKA). The claims
+ * file holds the root and every recipient's amount and proof, and is what the claim UI serves.
+ * Deployed distributors vest with the schedule of the manifest category (by default the
+ * airdrop's one-year cliff) unless --no-vesting is given.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = require('./sdk');
+const vestingHelper = require('./helpers/vestingDeployer');
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
+const { getSignerEnvironment } = require('./helpers/deploymentSigner');
+const { getTransactionManager } = require('./helpers/transactionManager');
+const {
+  loadManifest,
+  resolveManifest,
+  selectCategories,
+  parseDuration,
+} = require('./helpers/allocationManifest');
+const { loadRecipientsCsv } = require('./helpers/vestingBatcher');
+const { buildClaims, saveClaims, loadClaims, verifyDistributor } = require('./helpers/merkleTree');
+const { getArg } = require('./helpers/cliArgs');
+require('dotenv').config();
+
+const VALID_NETWORKS = ['zkSyncTestnet', 'zkSyncMainnet', 'hardhat'];
+const DEFAULT_CLAIMS_PATH = path.join(__dirname, '..', 'deployments', 'airdrop-claims.json');
+
+/**
+ * Returns the validated --network option
+ * @param {Array<string>} args - Command line arguments
+ * @returns {string} Network name
+ */
+function getNetwork(args) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  if (!VALID_NETWORKS.includes(network)) {
+    throw new Error(`Invalid network: ${network}. Must be one of: ${VALID_NETWORKS.join(', ')}`);
+  }
+  return network;
+}
+
+/**
+ * Builds the claims file from a recipient CSV
+ * @param {Array<string>} args - Command line arguments
+ */
+function build(args) {
+  const csvPath = getArg(args, '--csv');
+  const outPath = getArg(args, '--out') || DEFAULT_CLAIMS_PATH;
+  const decimals = Number(getArg(args, '--decimals') || 6);
+  if (!csvPath) {
+    throw new Error('Missing --csv path/to/recipients.csv');
+  }
+
+  console.log('=== BUILDING RESKA AIRDROP MERKLE TREE ===');
+
+  const recipients = loadRecipientsCsv(csvPath, decimals);
+  const claims = buildClaims(recipients, { decimals });
+  saveClaims(outPath, claims);
+
+  console.log(`Recipients: ${claims.count}`);
+  console.log(`Total: ${ethers.formatUnits(claims.total, decimals)} RESKA`);
+  console.log(`Merkle root: ${claims.root}`);
+  console.log(`✅ Claims written to ${outPath}`);
+}
+
+/**
+ * Deploys and funds a distributor for a claims file
+ * @param {Array<string>} args - Command line arguments
+ */
+async function deploy(args) {
+  const network = getNetwork(args);
+  const claims = loadClaims(getArg(args, '--claims') || DEFAULT_CLAIMS_PATH);
+  const categoryId = getArg(args, '--category') || 'airdrop';
+  const claimPeriod = getArg(args, '--claim-period');
+
+  console.log('=== DEPLOYING RESKA MERKLE DISTRIBUTOR ===');
+  vestingHelper.validateEnvironment(getSignerEnvironment({ deploys: true }));
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const { wallet, deployWallet } = await vestingHelper.initializeConnection(networkConfig);
+  const { tokenAddress } = vestingHelper.loadDeployedAddresses(network);
+  vestingHelper.validateAddresses({ TOKEN_ADDRESS: tokenAddress });
+  console.log(`Using wallet: ${wallet.address}`);
+  if (deployWallet.address !== wallet.address) {
+    console.log(`Deploying contracts with: ${deployWallet.address}`);
+  }
+  console.log(`Network: ${network}`);
+  console.log(`Token: ${tokenAddress}`);
+
+  let vesting = { startTime: 0, cliffPeriod: 0, duration: 0, slicePeriod: 0 };
+  if (!args.includes('--no-vesting')) {
+    const manifest = loadManifest(network, getArg(args, '--manifest'));
+    const [category] = selectCategories(resolveManifest(manifest, { deployer: wallet.address }), [
+      categoryId,
+    ]);
+    if (!category.schedule) {
+      throw new Error(
+        `Allocation category ${categoryId} has no vesting schedule; use --no-vesting`
+      );
+    }
+    vesting = category.schedule;
+  }
+  const claimDeadline = claimPeriod
+    ? Math.floor(Date.now() / 1000) + parseDuration(claimPeriod)
+    : 0;
+
+  console.log(`\nDistributor Parameters:`);
+  console.log(`- Merkle root: ${claims.root}`);
+  console.log(
+    `- Recipients: ${claims.count} (${ethers.formatUnits(claims.total, claims.decimals)} RESKA)`
+  );
+  if (vesting.duration > 0) {
+    console.log(`- Vesting start: ${new Date(vesting.startTime * 1000).toISOString()}`);
+    console.log(`- Cliff period: ${vesting.cliffPeriod} seconds`);
+    console.log(`- Duration: ${vesting.duration} seconds`);
+    console.log(`- Slice period: ${vesting.slicePeriod} seconds`);
+  } else {
+    console.log('- Vesting: none, claims pay out immediately');
+  }
+  console.log(
+    `- Claim deadline: ${claimDeadline ? new Date(claimDeadline * 1000).toISOString() : 'none'}`
+  );
+
+  const deployer = new hre.zkSync.Deployer(hre, deployWallet);
+  const artifact = await deployer.loadArtifact('ReskaMerkleDistributor');
+  const distributor = await deployer.deploy(artifact, [
+    tokenAddress,
+    claims.root,
+    vesting.startTime,
+    vesting.cliffPeriod,
+    vesting.duration,
+    vesting.slicePeriod,
+    claimDeadline,
+  ]);
+  const distributorAddress = await distributor.getAddress();
+  console.log(`\n✅ Distributor deployed to: ${distributorAddress}`);
+
+  const registry = openRegistry();
+  registry.recordContract(network, CONTRACTS.distributor, {
+    address: distributorAddress,
+    deployer: deployWallet.address,
+    merkleRoot: claims.root,
+    recipients: claims.count,
+    amount: claims.total,
+    claimDeadline,
+  });
+  console.log(`Deployment info saved to ${registry.path}`);
+
+  const tokenAbi = (await hre.artifacts.readArtifact('ReskaToken')).abi;
+  const token = new ethers.Contract(tokenAddress, tokenAbi, wallet);
+  console.log(
+    `\nTransferring ${ethers.formatUnits(claims.total, claims.decimals)} RESKA to the distributor...`
+  );
+  const receipt = await getTransactionManager(wallet).sendContractCall(
+    token,
+    'transfer',
+    [distributorAddress, BigInt(claims.total)],
+    { label: 'Distributor funding' }
+  );
+  console.log(`✅ Transfer successful. Transaction hash: ${receipt.hash}`);
+}
+
+/**
+ * Verifies the deployed distributor against a claims file
+ * @param {Array<string>} args - Command line arguments
+ */
+async function verify(args) {
+  const network = getNetwork(args);
+  const claims = loadClaims(getArg(args, '--claims') || DEFAULT_CLAIMS_PATH);
+
+  console.log('=== VERIFYING RESKA MERKLE DISTRIBUTOR ===');
+  console.log(`✅ All ${claims.count} proofs match the claims root ${claims.root}`);
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const distributorAddress =
+    process.env.DISTRIBUTOR_ADDRESS || openRegistry().getContract(network, CONTRACTS.distributor);
+  const { tokenAddress } = vestingHelper.loadDeployedAddresses(network);
+  vestingHelper.validateAddresses({
+    DISTRIBUTOR_ADDRESS: distributorAddress,
+    TOKEN_ADDRESS: tokenAddress,
+  });
+
+  const provider = new ethers.JsonRpcProvider(networkConfig.url);
+  const distributorAbi = (await hre.artifacts.readArtifact('ReskaMerkleDistributor')).abi;
+  const tokenAbi = (await hre.artifacts.readArtifact('ReskaToken')).abi;
+  const distributor = new ethers.Contract(distributorAddress, distributorAbi, provider);
+  const token = new ethers.Contract(tokenAddress, tokenAbi, provider);
+
+  const result = await verifyDistributor(distributor, token, claims);
+  console.log(`Distributor: ${distributorAddress}`);
+  console.log(`- On-chain root: ${result.root}`);
+  console.log(`- Balance: ${ethers.formatUnits(result.balance, claims.decimals)} RESKA`);
+  console.log(`- Unclaimed: ${ethers.formatUnits(result.unclaimed, claims.decimals)} RESKA`);
+  console.log(
+    `- Claimed, not yet released: ${ethers.formatUnits(result.outstanding, claims.decimals)} RESKA`
+  );
+
+  if (result.problems.length > 0) {
+    throw new Error(`Distributor verification failed:\n- ${result.problems.join('\n- ')}`);
+  }
+  console.log('✅ Distributor matches the claims file');
+}
+
+/**
+ * Runs the command given on the command line
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const [command, ...rest] = args;
+  const commands = { build, deploy, verify };
+
+  if (!commands[command]) {
+    throw new Error(
+      `Unknown command: ${command}. Must be one of: ${Object.keys(commands).join(', ')}`
+    );
+  }
+
+  await commands[command](rest);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
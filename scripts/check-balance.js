@@ -1,14 +1,15 @@
 // Script to check wallet balance on zkSync
-const { Wallet, Provider } = require("zksync-web3");
-const { ethers } = require("hardhat");
 const hre = require("hardhat");
+const { ethers, createProvider, createWallet } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 
 async function main() {
-  // Initialize provider based on the network
-  const provider = new Provider(hre.network.config.url);
+  // Initialize provider based on the network (zkSync or plain EVM)
+  const provider = createProvider(hre.network.config);
   
   // Get wallet from private key in .env
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: hre.network.name });
+  const wallet = createWallet(privateKey, provider);
   
   console.log(`\n=== WALLET BALANCE CHECK ===`);
   console.log(`Network: ${hre.network.name}`);
@@ -19,7 +20,7 @@ async function main() {
   console.log(`ETH balance: ${ethers.formatEther(ethBalance)} ETH`);
   
   // If zero balance, provide instructions for getting testnet ETH
-  if (ethBalance.eq(0)) {
+  if (ethBalance === 0n) {
     console.log(`\n❌ Your wallet has no ETH on ${hre.network.name}.`);
     
     if (hre.network.name.includes("zkSync")) {
@@ -37,7 +38,7 @@ async function main() {
   } else {
     console.log(`\n✅ Your wallet has sufficient ETH to deploy contracts.`);
     
-    if (ethBalance.lt(ethers.parseEther("0.05"))) {
+    if (ethBalance < ethers.parseEther("0.05")) {
       console.log(`⚠️ However, your balance is low. Consider adding more ETH for multiple transactions.`);
     }
   }
@@ -0,0 +1,76 @@
+/**
+ * RESKA Token - Storage Layout Check
+ * Compares the compiled storage layouts of the upgradeable implementations with the committed
+ * layouts of the released ones in storage-layouts/
+ *
+ * Usage:
+ *   node scripts/check-storage-layout.js [--update] [--contract ReskaTokenUpgradeable]
+ *
+ * Fails if an implementation would read existing proxy storage from the wrong slot or as the
+ * wrong type. --update records the compiled layouts as the released ones; run it once the
+ * upgrade using them has been executed, and commit the result.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const path = require('path');
+const hre = require('hardhat');
+const {
+  UPGRADEABLE_CONTRACTS,
+  getStorageLayout,
+  checkUpgradeLayout,
+  saveStorageLayout,
+} = require('./helpers/storageLayout');
+const { getArg } = require('./helpers/cliArgs');
+
+/**
+ * Checks or updates the committed storage layouts
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const contract = getArg(args, '--contract');
+  const contracts = contract ? [contract] : UPGRADEABLE_CONTRACTS;
+
+  console.log('=== CHECKING UPGRADEABLE STORAGE LAYOUTS ===');
+  await hre.run('compile', { quiet: true });
+
+  if (args.includes('--update')) {
+    for (const name of contracts) {
+      const filePath = saveStorageLayout(await getStorageLayout(hre.artifacts, name));
+      console.log(`✅ ${name} layout saved to ${path.relative(process.cwd(), filePath)}`);
+    }
+    return;
+  }
+
+  let failed = 0;
+  for (const name of contracts) {
+    const { ok, findings } = await checkUpgradeLayout(hre.artifacts, name);
+    console.log(`\n${ok ? '✅' : '❌'} ${name}`);
+    for (const finding of findings) {
+      console.log(`- ${finding.severity.toUpperCase()}: ${finding.message}`);
+    }
+    if (!ok) {
+      failed++;
+    }
+  }
+  if (failed > 0) {
+    throw new Error(
+      `${failed} contract(s) have storage layouts incompatible with the released ones`
+    );
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
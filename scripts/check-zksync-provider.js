@@ -1,6 +1,6 @@
 // Minimal zkSync provider check script
 // Run with: node scripts/check-zksync-provider.js
-const { Provider } = require("zksync-ethers");
+const { Provider } = require("./sdk");
 require("dotenv").config();
 
 async function main() {
@@ -22,7 +22,7 @@ async function main() {
       const provider = new Provider(url);
       
       // Get chain ID
-      const chainId = await provider.getChainId();
+      const chainId = Number((await provider.getNetwork()).chainId);
       console.log(`✅ SUCCESS: Connected to zkSync with chain ID: ${chainId}`);
       
       if (chainId === 280) {
@@ -0,0 +1,137 @@
+/**
+ * RESKA CLI - audit command
+ * Reconciles the token allocations, the vesting schedules and the manifest into a signed report
+ *
+ * Usage:
+ *   reska audit [--network zkSyncTestnet] [--out reports/allocation-audit-<network>.json] [--unsigned]
+ *   reska audit verify <report.json>
+ *
+ * The audit reads ReskaToken.getAllocations, every vesting schedule and the balances of each
+ * allocation recipient and of the vesting contract, compares them with the network's
+ * allocation manifest and flags over-allocation, unfunded schedules and tokens left in the
+ * vesting contract. The JSON report is signed off with the deployer key (PRIVATE_KEY or a
+ * keystore) unless --unsigned is given, and the command fails (after writing the report) when errors were found. verify
+ * checks the sign-off of a report and prints who signed it.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers, connect } = require('../sdk');
+const vestingHelper = require('../helpers/vestingDeployer');
+const { getKeyVariable, loadRoleKey } = require('../helpers/keyManagement');
+const { loadManifest } = require('../helpers/allocationManifest');
+const { writeJsonAtomic } = require('../helpers/deploymentJournal');
+const { loadScheduleAllocationTypes } = require('../helpers/vestingIndexer');
+const {
+  collectAuditData,
+  auditAllocations,
+  signAuditReport,
+  verifyAuditReport,
+  printAuditReport,
+} = require('../helpers/allocationAudit');
+const { getArg } = require('../helpers/cliArgs');
+
+const USAGE = `Usage:
+  reska audit [--network <name>] [--out <path>] [--unsigned]
+  reska audit verify <report.json>`;
+
+/**
+ * Audits the deployment of a network and writes the report
+ * @param {Array<string>} args - Command line arguments after "audit"
+ */
+async function audit(args) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  const outPath =
+    getArg(args, '--out') ||
+    path.join(__dirname, '..', '..', 'reports', `allocation-audit-${network}.json`);
+  const unsigned = args.includes('--unsigned');
+
+  console.log(`=== AUDITING RESKA ALLOCATIONS ON ${network.toUpperCase()} ===`);
+
+  if (!unsigned) {
+    vestingHelper.validateEnvironment([getKeyVariable('deployer')]);
+  }
+
+  const { token, vesting } = await connect(network, { contracts: ['token', 'vesting'] });
+
+  let manifest;
+  try {
+    manifest = loadManifest(network);
+  } catch (error) {
+    console.warn('Could not load the allocation manifest:', error.message);
+  }
+
+  const decimals = await token.decimals();
+  const data = await collectAuditData({ token: token.contract, vesting: vesting.contract });
+  let report = auditAllocations(data, {
+    categories: loadScheduleAllocationTypes(network),
+    manifest,
+    decimals,
+  });
+  printAuditReport(report, decimals);
+
+  if (!unsigned) {
+    const key = await loadRoleKey('deployer', { network });
+    if (!key) {
+      throw new Error('No key to sign the report with; configure one or pass --unsigned');
+    }
+    report = await signAuditReport(report, new ethers.Wallet(key.privateKey));
+    console.log(`\nSigned off by ${report.signOff.signer}`);
+  }
+
+  writeJsonAtomic(outPath, report);
+  console.log(`✅ Wrote ${outPath}`);
+
+  if (report.errors > 0) {
+    throw new Error(`Audit found ${report.errors} error(s); see ${outPath}`);
+  }
+}
+
+/**
+ * Checks the sign-off of a report
+ * @param {Array<string>} args - Command line arguments after "verify"
+ */
+async function verify(args) {
+  const [file] = args;
+  if (!file) {
+    throw new Error(`Give the report to verify\n${USAGE}`);
+  }
+
+  const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const result = verifyAuditReport(report);
+  if (!result.valid) {
+    throw new Error(`Invalid audit report ${file}: ${result.reason}`);
+  }
+
+  console.log(`✅ ${file} was signed off by ${result.signer}`);
+  console.log(
+    `Chain ${report.chainId}, block ${report.block.number}, generated ${report.generatedAt}`
+  );
+  console.log(`Findings: ${report.errors} error(s), ${report.warnings} warning(s)`);
+}
+
+/**
+ * Runs the audit command
+ * @param {Array<string>} args - Command line arguments after "audit"
+ */
+async function run(args) {
+  if (args[0] === 'verify') {
+    await verify(args.slice(1));
+    return;
+  }
+  if (args[0] && !args[0].startsWith('--')) {
+    throw new Error(`Unknown audit command: ${args[0]}\n${USAGE}`);
+  }
+
+  await audit(args);
+}
+
+module.exports = {
+  description: 'Reconcile allocations, vesting schedules and balances into a signed report',
+  usage: USAGE,
+  run,
+};
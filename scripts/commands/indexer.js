@@ -0,0 +1,195 @@
+/**
+ * RESKA CLI - index command
+ * Builds a local index of vesting and allocation events and queries it
+ *
+ * Usage:
+ *   reska index sync [--from-block <n>] [--block-range <n>] [--confirmations <n>] [--network zkSyncTestnet]
+ *   reska index holder <address> [--json] [--network zkSyncTestnet]
+ *   reska index released [--interval day|month|year] [--json] [--network zkSyncTestnet]
+ *   reska index summary [--network zkSyncTestnet]
+ *
+ * sync scans the token and vesting contracts from the registry (or TOKEN_ADDRESS and
+ * VESTING_ADDRESS) and stores the events in deployments/index-<network>.json, resuming after
+ * the last indexed block. --from-block only applies when the index is created; pass the
+ * deployment block of the token to skip empty history. The queries read the local index only.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const sdk = require('../sdk');
+const { ethers } = sdk;
+const { openRegistry } = require('../helpers/deploymentRegistry');
+const {
+  DEFAULT_BLOCK_RANGE,
+  getIndexPath,
+  loadScheduleCategories,
+  openIndex,
+  syncIndex,
+} = require('../helpers/vestingIndexer');
+const { getArg } = require('../helpers/cliArgs');
+
+const USAGE = `Usage:
+  reska index sync [--from-block <n>] [--block-range <n>] [--confirmations <n>] [--network <name>]
+  reska index holder <address> [--json] [--network <name>]
+  reska index released [--interval day|month|year] [--json] [--network <name>]
+  reska index summary [--network <name>]`;
+
+/**
+ * Opens the index of a network, connecting to the chain for its chain id and contracts
+ * @param {string} network - Hardhat network name
+ * @param {Object} [options] - Options
+ * @param {number} [options.fromBlock] - First block to scan when the index is created
+ * @returns {Object} index, token and vesting contracts
+ */
+async function connect(network, { fromBlock } = {}) {
+  const { provider, token, vesting } = await sdk.connect(network, {
+    contracts: ['token', 'vesting'],
+  });
+  const { chainId } = await provider.getNetwork();
+
+  return {
+    index: openIndex(getIndexPath(network), {
+      chainId: Number(chainId),
+      vesting: await vesting.getAddress(),
+      token: await token.getAddress(),
+      fromBlock,
+    }),
+    token: token.contract,
+    vesting: vesting.contract,
+  };
+}
+
+/**
+ * Scans new blocks into the index
+ * @param {Array<string>} args - Command line arguments after "sync"
+ * @param {string} network - Hardhat network name
+ */
+async function sync(args, network) {
+  const fromBlock = Number(getArg(args, '--from-block') || 0);
+  const { index, token, vesting } = await connect(network, { fromBlock });
+
+  let categories;
+  try {
+    categories = loadScheduleCategories(openRegistry().getChain(network));
+  } catch (error) {
+    console.warn('Could not load categories from the deployment registry:', error.message);
+  }
+
+  console.log(`=== INDEXING RESKA EVENTS ON ${network.toUpperCase()} ===`);
+  console.log(`Index: ${index.path}`);
+  const result = await syncIndex(
+    index,
+    { token, vesting },
+    {
+      categories,
+      confirmations: Number(getArg(args, '--confirmations') || 0),
+      blockRange: Number(getArg(args, '--block-range') || DEFAULT_BLOCK_RANGE),
+      onProgress: ({ fromBlock, toBlock, events }) =>
+        console.log(`Blocks ${fromBlock}-${toBlock}: ${events} event(s)`),
+    }
+  );
+
+  console.log(`\n✅ Indexed ${result.events} event(s) up to block ${index.getLastBlock()}`);
+}
+
+/**
+ * Lists the indexed schedules of a holder
+ * @param {Array<string>} args - Command line arguments after "holder"
+ * @param {string} network - Hardhat network name
+ */
+async function holder(args, network) {
+  const address = args.find(arg => ethers.isAddress(arg));
+  if (!address) {
+    throw new Error(`Give a holder address\n${USAGE}`);
+  }
+
+  const { index } = await connect(network);
+  const schedules = index.getSchedulesForHolder(address);
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(schedules, null, 2));
+    return;
+  }
+
+  console.log(`=== INDEXED SCHEDULES FOR ${ethers.getAddress(address)} ===`);
+  console.log(`(up to block ${index.getLastBlock()})`);
+  if (schedules.length === 0) {
+    console.log('No vesting schedules found.');
+  }
+  for (const schedule of schedules) {
+    const status = schedule.revoked ? ' (revoked)' : '';
+    console.log(`\n${schedule.scheduleId}${status}`);
+    console.log(`- Category: ${schedule.category}`);
+    console.log(`- Amount: ${ethers.formatUnits(schedule.amount, 6)} RESKA`);
+    console.log(`- Released: ${ethers.formatUnits(schedule.released, 6)} RESKA`);
+    console.log(`- Created: ${new Date(schedule.createdAt * 1000).toISOString()}`);
+  }
+}
+
+/**
+ * Prints the released amounts per category over time
+ * @param {Array<string>} args - Command line arguments after "released"
+ * @param {string} network - Hardhat network name
+ */
+async function released(args, network) {
+  const { index } = await connect(network);
+  const rows = index.getReleasedByCategory({ interval: getArg(args, '--interval') || 'month' });
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  console.log(`=== RELEASED RESKA PER CATEGORY ===`);
+  if (rows.length === 0) {
+    console.log('No releases indexed yet.');
+  }
+  for (const row of rows) {
+    console.log(
+      `${row.period}  ${row.category.padEnd(14)} ${ethers.formatUnits(row.released, 6).padStart(16)}` +
+        `  (total ${ethers.formatUnits(row.cumulative, 6)})`
+    );
+  }
+}
+
+/**
+ * Prints the index summary
+ * @param {Array<string>} args - Command line arguments after "summary"
+ * @param {string} network - Hardhat network name
+ */
+async function summary(args, network) {
+  const { index } = await connect(network);
+  const result = index.getSummary();
+
+  console.log(`=== INDEX SUMMARY (up to block ${result.lastBlock}) ===`);
+  console.log(`Allocated at deployment: ${ethers.formatUnits(result.allocated, 6)} RESKA`);
+  console.log(`Minted since: ${ethers.formatUnits(result.minted, 6)} RESKA`);
+  for (const [category, entry] of Object.entries(result.categories)) {
+    console.log(`\n${category}`);
+    console.log(`- Schedules: ${entry.schedules} (${entry.revoked} revoked)`);
+    console.log(`- Vested: ${ethers.formatUnits(entry.amount, 6)} RESKA`);
+    console.log(`- Released: ${ethers.formatUnits(entry.released, 6)} RESKA`);
+  }
+}
+
+/**
+ * Runs the index command
+ * @param {Array<string>} args - Command line arguments after "index"
+ */
+async function run(args) {
+  const [subcommand, ...rest] = args;
+  const network = getArg(rest, '--network') || 'zkSyncTestnet';
+  const subcommands = { sync, holder, released, summary };
+
+  if (!subcommands[subcommand]) {
+    throw new Error(`Unknown index command: ${subcommand}\n${USAGE}`);
+  }
+
+  await subcommands[subcommand](rest, network);
+}
+
+module.exports = {
+  description: 'Index vesting and allocation events and query them',
+  usage: USAGE,
+  run,
+};
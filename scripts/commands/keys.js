@@ -0,0 +1,114 @@
+/**
+ * RESKA CLI - keys command
+ * Shows which key each script role signs with, and encrypts keys into JSON keystores
+ *
+ * Usage:
+ *   reska keys list [--network zkSyncTestnet]
+ *   reska keys encrypt <keystore.json> [--new] [--password-file <file>]
+ *
+ * list prints the variable each role's key comes from (deployer, funder, vesting operator)
+ * and its address, decrypting keystores on the way. encrypt reads a private key from a hidden
+ * prompt (or generates one with --new) and writes it to a new keystore, encrypted with the
+ * passphrase from --password-file or typed twice. Point DEPLOYER_KEYSTORE, FUNDER_KEYSTORE or
+ * VESTING_OPERATOR_KEYSTORE at the file and remove the plaintext key from .env.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const fs = require('fs');
+const { ethers } = require('../sdk');
+const {
+  KEY_ROLES,
+  getKeyVariables,
+  loadRoleKey,
+  promptPassphrase,
+  encryptKeystore,
+} = require('../helpers/keyManagement');
+const { getArg } = require('../helpers/cliArgs');
+
+const USAGE = `Usage:
+  reska keys list [--network <name>]
+  reska keys encrypt <keystore.json> [--new] [--password-file <file>]`;
+
+/**
+ * Prints the source and address of each role's key
+ * @param {Array<string>} args - Command line arguments after "list"
+ * @param {string} network - Hardhat network name
+ */
+async function list(args, network) {
+  for (const [role, { label }] of Object.entries(KEY_ROLES)) {
+    const key = await loadRoleKey(role, { network });
+    if (key) {
+      console.log(`${label.padEnd(18)} ${key.address} (${key.source})`);
+    } else {
+      console.log(`${label.padEnd(18)} not set (${getKeyVariables(role).join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Encrypts a private key into a new keystore file
+ * @param {Array<string>} args - Command line arguments after "encrypt"
+ */
+async function encrypt(args) {
+  const passwordFile = getArg(args, '--password-file');
+  const [outPath] = args.filter(
+    (arg, i) => !arg.startsWith('--') && args[i - 1] !== '--password-file'
+  );
+  if (!outPath) {
+    throw new Error(`Give the keystore file to write\n${USAGE}`);
+  }
+  if (fs.existsSync(outPath)) {
+    throw new Error(`${outPath} already exists; keystores are never overwritten`);
+  }
+
+  let privateKey = args.includes('--new')
+    ? ethers.Wallet.createRandom().privateKey
+    : (await promptPassphrase('Private key to encrypt: ')).trim();
+  privateKey = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  if (!ethers.isHexString(privateKey, 32)) {
+    throw new Error('Not a 32-byte hex private key');
+  }
+
+  let passphrase;
+  if (passwordFile) {
+    passphrase = fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+  } else {
+    passphrase = await promptPassphrase('New keystore passphrase: ');
+    if ((await promptPassphrase('Repeat the passphrase: ')) !== passphrase) {
+      throw new Error('The passphrases do not match');
+    }
+  }
+  if (!passphrase) {
+    throw new Error('Refusing to encrypt a keystore with an empty passphrase');
+  }
+
+  const json = await encryptKeystore(privateKey, passphrase);
+  fs.writeFileSync(outPath, json, { mode: 0o600 });
+  console.log(`✅ Wrote ${outPath} for ${ethers.getAddress(JSON.parse(json).address)}`);
+  console.log('Set DEPLOYER_KEYSTORE (or FUNDER_KEYSTORE, VESTING_OPERATOR_KEYSTORE) to this file');
+}
+
+/**
+ * Runs the keys command
+ * @param {Array<string>} args - Command line arguments after "keys"
+ */
+async function run(args) {
+  const [subcommand, ...rest] = args;
+  const network = getArg(rest, '--network') || 'zkSyncTestnet';
+  const subcommands = { list, encrypt };
+
+  if (!subcommands[subcommand]) {
+    throw new Error(`Unknown keys command: ${subcommand}\n${USAGE}`);
+  }
+
+  await subcommands[subcommand](rest, network);
+}
+
+module.exports = {
+  description: 'Show the key of each role and encrypt keys into keystores',
+  usage: USAGE,
+  run,
+};
@@ -0,0 +1,120 @@
+/**
+ * RESKA CLI - safe command
+ * Inspects the Safe transaction bundles queued by the deployment scripts and ingests their
+ * execution so the scripts can continue
+ *
+ * Usage:
+ *   reska safe status [bundle.json]
+ *   reska safe ingest <bundle.json> <txHash> [--network zkSyncTestnet]
+ *
+ * With DEPLOY_SIGNER=safe the scripts write the Safe's transactions to a Transaction Builder
+ * batch in deployments/safe-bundles/ instead of sending them. Import the batch into the Safe
+ * app, have the owners sign and execute it, then ingest the execution transaction: its calls
+ * are checked against the bundle, and rerunning the script picks up from there.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers, getNetworkConfig, createProvider } = require('../sdk');
+const { BUNDLES_DIR, loadSafeBundle, ingestSafeExecution } = require('../helpers/deploymentSigner');
+const { getArg } = require('../helpers/cliArgs');
+
+const USAGE = `Usage:
+  reska safe status [bundle.json]
+  reska safe ingest <bundle.json> <txHash> [--network <name>]`;
+
+/**
+ * Returns the arguments that are not options or option values
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Array<string>} Positional arguments
+ */
+function getPositional(args) {
+  return args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--network');
+}
+
+/**
+ * Prints the queued bundles, or the transactions of one bundle
+ * @param {Array<string>} args - Command line arguments after "status"
+ */
+async function status(args) {
+  const [bundlePath] = getPositional(args);
+
+  if (bundlePath) {
+    const bundle = loadSafeBundle(bundlePath);
+    console.log(`Safe: ${bundle.meta.createdFromSafeAddress} (chain ${bundle.chainId})`);
+    console.log(
+      bundle.execution
+        ? `Executed in ${bundle.execution.txHash} (block ${bundle.execution.blockNumber})`
+        : 'Awaiting execution'
+    );
+    bundle.transactions.forEach((transaction, i) => {
+      const selector =
+        ethers.dataLength(transaction.data) >= 4 ? ethers.dataSlice(transaction.data, 0, 4) : '-';
+      console.log(`#${i} to ${transaction.to}, value ${transaction.value}, selector ${selector}`);
+    });
+    return;
+  }
+
+  const files = fs.existsSync(BUNDLES_DIR)
+    ? fs.readdirSync(BUNDLES_DIR).filter(name => name.endsWith('.json'))
+    : [];
+  if (files.length === 0) {
+    console.log(`No Safe bundles in ${path.relative(process.cwd(), BUNDLES_DIR)}`);
+    return;
+  }
+  for (const name of files.sort()) {
+    const bundle = loadSafeBundle(path.join(BUNDLES_DIR, name));
+    const state = bundle.execution
+      ? `executed in ${bundle.execution.txHash}`
+      : 'awaiting execution';
+    console.log(
+      `${name}: ${bundle.transactions.length} transaction(s) for ${bundle.meta.createdFromSafeAddress}, ${state}`
+    );
+  }
+}
+
+/**
+ * Records the Safe transaction that executed a bundle
+ * @param {Array<string>} args - Command line arguments after "ingest"
+ * @param {string} network - Hardhat network name
+ */
+async function ingest(args, network) {
+  const [bundlePath, txHash] = getPositional(args);
+  if (!bundlePath || !txHash) {
+    throw new Error(`Give the bundle file and the hash of its execution\n${USAGE}`);
+  }
+
+  const provider = createProvider(getNetworkConfig(network));
+
+  const bundle = await ingestSafeExecution(provider, bundlePath, txHash);
+  console.log(
+    `✅ ${bundle.transactions.length} queued transaction(s) executed in ${txHash} (block ${bundle.execution.blockNumber})`
+  );
+  console.log('Rerun the scripts that queued them to continue');
+}
+
+/**
+ * Runs the safe command
+ * @param {Array<string>} args - Command line arguments after "safe"
+ */
+async function run(args) {
+  const [subcommand, ...rest] = args;
+  const network = getArg(rest, '--network') || 'zkSyncTestnet';
+  const subcommands = { status, ingest };
+
+  if (!subcommands[subcommand]) {
+    throw new Error(`Unknown safe command: ${subcommand}\n${USAGE}`);
+  }
+
+  await subcommands[subcommand](rest, network);
+}
+
+module.exports = {
+  description: 'Inspect queued Safe bundles and ingest their execution',
+  usage: USAGE,
+  run,
+};
@@ -0,0 +1,265 @@
+/**
+ * RESKA CLI - timelock command
+ * Proposes, inspects, executes and cancels ReskaTimelock operations on the token and vesting contracts
+ *
+ * Usage:
+ *   reska timelock encode <action> [args...] [--network zkSyncTestnet]
+ *   reska timelock schedule <action> [args...] [--delay <seconds>] [--salt <text>] [--predecessor <id>]
+ *   reska timelock schedule --batch operations.json [--delay <seconds>] [--salt <text>]
+ *   reska timelock list [--all] [--json] [--from-block <n>]
+ *   reska timelock execute <id> [--from-block <n>]
+ *   reska timelock cancel <id>
+ *
+ * Actions: mint <to> <amount>, pause, unpause, revoke <scheduleId>, withdraw <amount> and
+ * createVestingSchedule <beneficiary> <start> <cliff> <duration> <slicePeriod> <revocable> <amount>.
+ * Amounts are in whole RESKA, periods in seconds or with a unit suffix ("30d", "1y"). A batch
+ * file lists the calls of one operation: [{ "action": "pause", "args": [] }, ...].
+ *
+ * The timelock is read from the deployment registry (or TIMELOCK_ADDRESS). schedule, execute
+ * and cancel are signed with the deployer key (PRIVATE_KEY or a keystore), which must hold the timelock's proposer, executor or
+ * canceller role. Operations get a random salt unless --salt is given, so the same calls can be
+ * proposed again; list and execute recover it from the timelock's events. --from-block is the
+ * timelock's deployment block, to skip empty history.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const fs = require('fs');
+const sdk = require('../sdk');
+const { ethers } = sdk;
+const { lintSchedule } = require('../helpers/vestingPreflight');
+const {
+  TIMELOCK_ACTIONS,
+  buildCall,
+  describeCall,
+  findOperation,
+  formatTime,
+} = require('../helpers/timelockOperations');
+const { getArg } = require('../helpers/cliArgs');
+
+const USAGE = `Usage:
+  reska timelock encode <action> [args...] [--network <name>]
+  reska timelock schedule <action> [args...] [--delay <seconds>] [--salt <text>] [--predecessor <id>] [--network <name>]
+  reska timelock schedule --batch <file.json> [--delay <seconds>] [--salt <text>] [--network <name>]
+  reska timelock list [--all] [--json] [--from-block <n>] [--network <name>]
+  reska timelock execute <id> [--from-block <n>] [--network <name>]
+  reska timelock cancel <id> [--network <name>]
+
+Actions: ${Object.entries(TIMELOCK_ACTIONS)
+  .map(([name, spec]) => [name, ...spec.params.map(param => `<${param}>`)].join(' '))
+  .join(', ')}`;
+
+// Options that take a value, skipped when reading positional arguments
+const VALUE_FLAGS = ['--network', '--delay', '--salt', '--predecessor', '--batch', '--from-block'];
+
+/**
+ * Returns the arguments that are not options or option values
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Array<string>} Positional arguments
+ */
+function getPositional(args) {
+  return args.filter((arg, i) => !arg.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+/**
+ * Connects to the timelock, token and vesting contracts of a network
+ * @param {string} network - Hardhat network name
+ * @param {boolean} needsSigner - Whether transactions will be sent
+ * @returns {Object} timelock, token and vesting (SDK wrappers), and the signer address (if any)
+ */
+async function connect(network, needsSigner) {
+  const { signer, timelock, token, vesting } = await sdk.connect(network, {
+    signer: needsSigner,
+    contracts: ['timelock', 'token', 'vesting'],
+  });
+  return { timelock, token, vesting, signer: signer ? signer.address : null };
+}
+
+/**
+ * Parses the salt option: a 32-byte hex value, any other text hashed, or a random salt
+ * @param {string} [value] - --salt value
+ * @returns {string} 32-byte salt
+ */
+function parseSalt(value) {
+  if (value === undefined) {
+    return ethers.hexlify(ethers.randomBytes(32));
+  }
+  return ethers.isHexString(value, 32) ? value : ethers.id(value);
+}
+
+/**
+ * Builds the calls of an operation from the command line or a batch file
+ * @param {Object} contracts - Object containing the token and vesting contract instances
+ * @param {Array<string>} args - Command line arguments after the subcommand
+ * @returns {Array<Object>} Calls with target, value and data
+ */
+async function buildCalls(contracts, args) {
+  const batchPath = getArg(args, '--batch');
+  const items = batchPath
+    ? JSON.parse(fs.readFileSync(batchPath, 'utf8'))
+    : [{ action: getPositional(args)[0], args: getPositional(args).slice(1) }];
+  if (!Array.isArray(items) || items.length === 0 || !items[0].action) {
+    throw new Error(`Give an action or a --batch file\n${USAGE}`);
+  }
+
+  const calls = [];
+  for (const item of items) {
+    calls.push(await buildCall(contracts, item.action, (item.args || []).map(String)));
+    // Proposals are public for the whole delay: catch schedule mistakes before scheduling
+    if (item.action === 'createVestingSchedule') {
+      const [, startTime, cliffPeriod, duration, slicePeriod] =
+        contracts.vesting.interface.decodeFunctionData(
+          'createVestingSchedule',
+          calls[calls.length - 1].data
+        );
+      const findings = lintSchedule({
+        startTime: Number(startTime),
+        cliffPeriod: Number(cliffPeriod),
+        duration: Number(duration),
+        slicePeriod: Number(slicePeriod),
+      });
+      for (const finding of findings) {
+        console.warn(`⚠️  ${finding.severity.toUpperCase()}: ${finding.message}`);
+      }
+    }
+  }
+  return calls;
+}
+
+/**
+ * Prints the encoded calls without sending anything
+ * @param {Array<string>} args - Command line arguments after "encode"
+ * @param {string} network - Hardhat network name
+ */
+async function encode(args, network) {
+  const contracts = await connect(network, false);
+  for (const call of await buildCalls(contracts, args)) {
+    console.log(await describeCall(contracts, call));
+    console.log(`- Target: ${call.target}`);
+    console.log(`- Value: ${call.value}`);
+    console.log(`- Data: ${call.data}`);
+  }
+}
+
+/**
+ * Schedules an operation
+ * @param {Array<string>} args - Command line arguments after "schedule"
+ * @param {string} network - Hardhat network name
+ */
+async function schedule(args, network) {
+  const contracts = await connect(network, true);
+  const calls = await buildCalls(contracts, args);
+  const delayArg = getArg(args, '--delay');
+
+  console.log(`=== SCHEDULING A TIMELOCK OPERATION ON ${network.toUpperCase()} ===`);
+  console.log(`Proposer: ${contracts.signer}`);
+  for (const call of calls) {
+    console.log(`- ${await describeCall(contracts, call)}`);
+  }
+
+  const { id, readyAt, receipt } = await contracts.timelock.schedule(calls, {
+    predecessor: getArg(args, '--predecessor') || ethers.ZeroHash,
+    salt: parseSalt(getArg(args, '--salt')),
+    delay: delayArg === undefined ? undefined : BigInt(delayArg),
+  });
+
+  console.log(`\n✅ Scheduled operation ${id} (tx ${receipt.hash})`);
+  console.log(`Executable from ${formatTime(readyAt)}: reska timelock execute ${id}`);
+}
+
+/**
+ * Lists the scheduled operations
+ * @param {Array<string>} args - Command line arguments after "list"
+ * @param {string} network - Hardhat network name
+ */
+async function list(args, network) {
+  const contracts = await connect(network, false);
+  const operations = await contracts.timelock.listOperations({
+    fromBlock: Number(getArg(args, '--from-block') || 0),
+    all: args.includes('--all'),
+  });
+  if (args.includes('--json')) {
+    console.log(
+      JSON.stringify(
+        operations,
+        (key, value) => (typeof value === 'bigint' ? value.toString() : value),
+        2
+      )
+    );
+    return;
+  }
+
+  console.log(`=== TIMELOCK OPERATIONS (${await contracts.timelock.getAddress()}) ===`);
+  if (operations.length === 0) {
+    console.log('No pending operations.');
+  }
+  for (const operation of operations) {
+    const when = operation.readyAt ? `, ready at ${formatTime(operation.readyAt)}` : '';
+    console.log(`\n${operation.id} [${operation.status}${when}]`);
+    for (const call of operation.calls) {
+      console.log(`- ${await describeCall(contracts, call)}`);
+    }
+    if (operation.predecessor !== ethers.ZeroHash) {
+      console.log(`- After: ${operation.predecessor}`);
+    }
+  }
+}
+
+/**
+ * Executes a ready operation
+ * @param {Array<string>} args - Command line arguments after "execute"
+ * @param {string} network - Hardhat network name
+ */
+async function execute(args, network) {
+  const [id] = getPositional(args);
+  if (!id) {
+    throw new Error(`Give the id of the operation to execute\n${USAGE}`);
+  }
+
+  const contracts = await connect(network, true);
+  const operation = await findOperation(contracts.timelock.contract, id, {
+    fromBlock: Number(getArg(args, '--from-block') || 0),
+  });
+  const receipt = await contracts.timelock.execute(operation);
+  console.log(`✅ Executed operation ${id} (tx ${receipt.hash})`);
+}
+
+/**
+ * Cancels an operation
+ * @param {Array<string>} args - Command line arguments after "cancel"
+ * @param {string} network - Hardhat network name
+ */
+async function cancel(args, network) {
+  const [id] = getPositional(args);
+  if (!id) {
+    throw new Error(`Give the id of the operation to cancel\n${USAGE}`);
+  }
+
+  const contracts = await connect(network, true);
+  const receipt = await contracts.timelock.cancel(id);
+  console.log(`✅ Cancelled operation ${id} (tx ${receipt.hash})`);
+}
+
+/**
+ * Runs the timelock command
+ * @param {Array<string>} args - Command line arguments after "timelock"
+ */
+async function run(args) {
+  const [subcommand, ...rest] = args;
+  const network = getArg(rest, '--network') || 'zkSyncTestnet';
+  const subcommands = { encode, schedule, list, execute, cancel };
+
+  if (!subcommands[subcommand]) {
+    throw new Error(`Unknown timelock command: ${subcommand}\n${USAGE}`);
+  }
+
+  await subcommands[subcommand](rest, network);
+}
+
+module.exports = {
+  description: 'Schedule, list, execute and cancel timelock operations',
+  usage: USAGE,
+  run,
+};
@@ -0,0 +1,234 @@
+/**
+ * RESKA CLI - vesting command
+ * Shows a holder's vesting schedules and releases vested tokens
+ *
+ * Usage:
+ *   reska vesting status [holder] [--network zkSyncTestnet] [--json]
+ *   reska vesting release [holder] [--schedule <id|index>] [--all] [--network zkSyncTestnet]
+ *   reska vesting operator <address> [--remove] [--network zkSyncTestnet]
+ *   reska vesting transfer <newBeneficiary> --schedule <id|index> [--network zkSyncTestnet]
+ *   reska vesting transfer --approve <id> | --cancel <id> [--network zkSyncTestnet]
+ *
+ * status lists every schedule of the holder (the configured signer when omitted) with its
+ * cliff date, total, released and releasable amounts and the next unlock. release sends
+ * release() for one schedule, or for every schedule with a releasable amount, signed with
+ * the vesting operator key (VESTING_OPERATOR_KEYSTORE or VESTING_OPERATOR_PRIVATE_KEY, falling
+ * back to the deployer key, see keyManagement); --all releases them all in a single releaseAll() transaction. The signer must
+ * be the holder, the vesting owner or a release operator; the tokens always go to the holder.
+ * operator lets the vesting owner allow (or --remove) an address, e.g. a relayer, to release
+ * on behalf of beneficiaries. transfer moves one of the signer's schedules to a new address
+ * (e.g. a rotated wallet or a multisig); when the contract requires the owner's approval the
+ * owner completes it with --approve, and either side can withdraw it with --cancel.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const sdk = require('../sdk');
+const { ethers } = sdk;
+const { hasRoleKey } = require('../helpers/keyManagement');
+const {
+  releaseSchedules,
+  transferSchedule,
+  settleScheduleTransfer,
+  printSchedules,
+} = require('../helpers/vestingStatus');
+const { getArg } = require('../helpers/cliArgs');
+
+const USAGE = `Usage:
+  reska vesting status [holder] [--network <name>] [--json]
+  reska vesting release [holder] [--schedule <id|index>] [--all] [--network <name>]
+  reska vesting operator <address> [--remove] [--network <name>]
+  reska vesting transfer <newBeneficiary> --schedule <id|index> [--network <name>]
+  reska vesting transfer --approve <id> | --cancel <id> [--network <name>]`;
+
+/**
+ * Connects to the vesting contract of a network, with the configured signer when required
+ * @param {string} network - Hardhat network name
+ * @param {boolean} needsSigner - Whether transactions will be sent
+ * @returns {Object} vesting (ReskaTokenVesting from the SDK) and the signer address (if any)
+ */
+async function connect(network, needsSigner) {
+  const { vesting, signer } = await sdk.connect(network, {
+    signer: needsSigner || hasRoleKey('operator'),
+    role: 'operator',
+    contracts: ['vesting'],
+  });
+  return { vesting, signer: signer ? signer.address : null };
+}
+
+/**
+ * Converts schedules to JSON-friendly objects (strings for amounts and timestamps)
+ * @param {Array<Object>} schedules - Schedules from getHolderSchedules
+ * @returns {Array<Object>} Serializable schedules
+ */
+function toJson(schedules) {
+  return schedules.map(schedule =>
+    JSON.parse(
+      JSON.stringify(schedule, (key, value) =>
+        typeof value === 'bigint' ? value.toString() : value
+      )
+    )
+  );
+}
+
+/**
+ * Resolves a --schedule value, which accepts the schedule id or its index for the holder
+ * @param {Array<Object>} schedules - Schedules from getHolderSchedules
+ * @param {string} scheduleArg - Schedule id or index
+ * @param {string} holder - Holder address, for the error message
+ * @returns {string} Schedule ID
+ */
+function resolveScheduleId(schedules, scheduleArg, holder) {
+  const scheduleId = /^\d+$/.test(scheduleArg)
+    ? schedules[Number(scheduleArg)]?.scheduleId
+    : scheduleArg;
+  if (!scheduleId) {
+    throw new Error(`Schedule #${scheduleArg} not found for ${holder}`);
+  }
+  return scheduleId;
+}
+
+/**
+ * Lists the schedules of a holder
+ * @param {Array<string>} args - Command line arguments after "status"
+ * @param {string} network - Hardhat network name
+ */
+async function status(args, network) {
+  const { vesting, signer } = await connect(network, false);
+  const holder = args.find(arg => ethers.isAddress(arg)) || signer;
+  if (!holder) {
+    throw new Error('Give a holder address or configure a key to use the signer address');
+  }
+
+  const schedules = await vesting.getSchedulesForHolder(ethers.getAddress(holder));
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(toJson(schedules), null, 2));
+    return;
+  }
+  printSchedules(ethers.getAddress(holder), schedules);
+}
+
+/**
+ * Releases one or all releasable schedules of a holder (the signer when omitted)
+ * @param {Array<string>} args - Command line arguments after "release"
+ * @param {string} network - Hardhat network name
+ */
+async function release(args, network) {
+  const { vesting, signer } = await connect(network, true);
+  const holderArg = args.find(arg => ethers.isAddress(arg));
+  const holder = holderArg ? ethers.getAddress(holderArg) : signer;
+  const schedules = await vesting.getSchedulesForHolder(holder);
+  const scheduleArg = getArg(args, '--schedule');
+
+  if (holder !== signer) {
+    const [owner, isOperator] = await Promise.all([
+      vesting.contract.owner(),
+      vesting.contract.isReleaseOperator(signer),
+    ]);
+    if (owner !== signer && !isOperator) {
+      throw new Error(`${signer} is neither the holder, the vesting owner nor a release operator`);
+    }
+  }
+
+  const scheduleId =
+    scheduleArg !== undefined ? resolveScheduleId(schedules, scheduleArg, holder) : undefined;
+
+  console.log(`=== RELEASING VESTED RESKA FOR ${holder} ===`);
+  const releasable = schedules.some(schedule => schedule.releasable > 0n);
+  if (!scheduleId && !releasable) {
+    console.log('Nothing is releasable yet.');
+    printSchedules(holder, schedules);
+    return;
+  }
+
+  const released =
+    args.includes('--all') && !scheduleId
+      ? await vesting.releaseAll(holder)
+      : await releaseSchedules(vesting.contract, schedules, { scheduleId });
+
+  const total = released.reduce((acc, item) => acc + item.amount, 0n);
+  console.log(
+    `\n✅ Released ${ethers.formatUnits(total, 6)} RESKA from ${released.length} schedule(s)`
+  );
+}
+
+/**
+ * Allows or disallows a release operator; the signer must be the vesting owner
+ * @param {Array<string>} args - Command line arguments after "operator"
+ * @param {string} network - Hardhat network name
+ */
+async function operator(args, network) {
+  const address = args.find(arg => ethers.isAddress(arg));
+  if (!address) {
+    throw new Error(`Give the operator address\n${USAGE}`);
+  }
+
+  const { vesting } = await connect(network, true);
+  const allowed = !args.includes('--remove');
+
+  console.log(`=== ${allowed ? 'ADDING' : 'REMOVING'} RELEASE OPERATOR ${address} ===`);
+  await vesting.send('setReleaseOperator', [ethers.getAddress(address), allowed]);
+  console.log(
+    `✅ ${address} ${allowed ? 'may now' : 'may no longer'} release on behalf of beneficiaries`
+  );
+}
+
+/**
+ * Moves one of the signer's schedules to a new beneficiary, or approves/cancels a pending transfer
+ * @param {Array<string>} args - Command line arguments after "transfer"
+ * @param {string} network - Hardhat network name
+ */
+async function transfer(args, network) {
+  const { vesting, signer } = await connect(network, true);
+  const approveId = getArg(args, '--approve');
+  const cancelId = getArg(args, '--cancel');
+
+  if (approveId || cancelId) {
+    console.log(`=== ${approveId ? 'APPROVING' : 'CANCELLING'} SCHEDULE TRANSFER ===`);
+    await settleScheduleTransfer(vesting.contract, approveId || cancelId, Boolean(approveId));
+    return;
+  }
+
+  const newBeneficiary = args.find(arg => ethers.isAddress(arg));
+  const scheduleArg = getArg(args, '--schedule');
+  if (!newBeneficiary || scheduleArg === undefined) {
+    throw new Error(`Give the new beneficiary and --schedule\n${USAGE}`);
+  }
+
+  const schedules = await vesting.getSchedulesForHolder(signer);
+  const scheduleId = resolveScheduleId(schedules, scheduleArg, signer);
+
+  console.log(`=== TRANSFERRING VESTING SCHEDULE OF ${signer} ===`);
+  const { status } = await transferSchedule(
+    vesting.contract,
+    scheduleId,
+    ethers.getAddress(newBeneficiary)
+  );
+  if (status === 'pending') {
+    console.log(`The owner completes it with: reska vesting transfer --approve ${scheduleId}`);
+  }
+}
+
+/**
+ * Runs the vesting command
+ * @param {Array<string>} args - Command line arguments after "vesting"
+ */
+async function run(args) {
+  const [subcommand, ...rest] = args;
+  const network = getArg(rest, '--network') || 'zkSyncTestnet';
+  const subcommands = { status, release, operator, transfer };
+
+  if (!subcommands[subcommand]) {
+    throw new Error(`Unknown vesting command: ${subcommand}\n${USAGE}`);
+  }
+
+  await subcommands[subcommand](rest, network);
+}
+
+module.exports = {
+  description: 'Show vesting schedules and release vested tokens',
+  usage: USAGE,
+  run,
+};
@@ -1,7 +1,7 @@
 // Comprehensive test suite for RESKA token and vesting contract on zkSync Era Sepolia
 // This validates all critical functionality before mainnet deployment
-const { Wallet, Provider } = require("zksync-ethers");
-const hre = require("hardhat");
+const { ethers, Wallet, Provider } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 require("dotenv").config();
 
 // Test addresses and values
@@ -17,7 +17,8 @@ async function main() {
   
   // Initialize provider and wallet
   const provider = new Provider(process.env.ZKSYNC_TESTNET_URL || "https://sepolia.era.zksync.dev");
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncTestnet' });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Testing with wallet: ${wallet.address}`);
   
   // Contract addresses
@@ -29,8 +30,8 @@ async function main() {
     const { abi: tokenAbi } = require("../artifacts-zk/contracts/ReskaToken.sol/ReskaToken.json");
     const { abi: vestingAbi } = require("../artifacts-zk/contracts/ReskaTokenVesting.sol/ReskaTokenVesting.json");
     
-    const token = new hre.ethers.Contract(TOKEN_ADDRESS, tokenAbi, wallet);
-    const vesting = new hre.ethers.Contract(VESTING_ADDRESS, vestingAbi, wallet);
+    const token = new ethers.Contract(TOKEN_ADDRESS, tokenAbi, wallet);
+    const vesting = new ethers.Contract(VESTING_ADDRESS, vestingAbi, wallet);
     
     // -------------------------
     // PART 1: TOKEN BASIC TESTS
@@ -305,7 +306,7 @@ async function main() {
     
     // Estimate gas for token transfer
     try {
-      const transferGas = await token.estimateGas.transfer(ALTERNATE_ADDRESS, SMALL_AMOUNT);
+      const transferGas = await token.transfer.estimateGas(ALTERNATE_ADDRESS, SMALL_AMOUNT);
       console.log(`Gas for token transfer: ${transferGas}`);
     } catch (error) {
       console.log(`Error estimating transfer gas: ${error.message}`);
@@ -313,7 +314,7 @@ async function main() {
     
     // Estimate gas for vesting schedule creation
     try {
-      const vestingGas = await vesting.estimateGas.createVestingSchedule(
+      const vestingGas = await vesting.createVestingSchedule.estimateGas(
         TEST_BENEFICIARY,
         now,
         60,     // 1 minute cliff
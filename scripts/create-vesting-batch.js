@@ -0,0 +1,179 @@
+/**
+ * RESKA Token - Batch Vesting Schedule Script
+ * Creates one vesting schedule per row of a recipient CSV (address,amount) using the
+ * schedule parameters of an allocation manifest category
+ *
+ * Usage:
+ *   node scripts/create-vesting-batch.js --network zkSyncTestnet --csv recipients.csv
+ *                                        [--category airdrop] [--manifest path/to/manifest.json]
+ *                                        [--batch-size 100] [--gas-budget 10000000]
+ *                                        [--journal path] [--force]
+ *
+ * Recipients are sent in batches that fit the gas budget. Progress is journaled
+ * (deployments/journal-<network>-<csv name>.json by default): rerunning the same
+ * command after a failure skips every batch that already landed.
+ *
+ * The schedule and the recipients total are validated against the contract semantics and
+ * the category's ReskaToken allocation first; errors stop the script unless --force is given.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = require('./sdk');
+const vestingHelper = require('./helpers/vestingDeployer');
+const { getSignerEnvironment } = require('./helpers/deploymentSigner');
+const { loadManifest, resolveManifest, selectCategories } = require('./helpers/allocationManifest');
+const { openJournal } = require('./helpers/deploymentJournal');
+const { runPreflight } = require('./helpers/vestingPreflight');
+const { describeError } = require('./helpers/revertDecoder');
+const {
+  DEFAULT_GAS_BUDGET,
+  loadRecipientsCsv,
+  createScheduleBatches,
+} = require('./helpers/vestingBatcher');
+const { getArg } = require('./helpers/cliArgs');
+require('dotenv').config();
+
+const VALID_NETWORKS = ['zkSyncTestnet', 'zkSyncMainnet', 'hardhat'];
+
+/**
+ * Creates the vesting schedules listed in a recipient CSV
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  const csvPath = getArg(args, '--csv');
+  const categoryId = getArg(args, '--category') || 'airdrop';
+  const batchSizeArg = getArg(args, '--batch-size');
+  const gasBudgetArg = getArg(args, '--gas-budget');
+
+  console.log('=== CREATING RESKA VESTING SCHEDULES IN BATCHES ===');
+
+  if (!VALID_NETWORKS.includes(network)) {
+    throw new Error(`Invalid network: ${network}. Must be one of: ${VALID_NETWORKS.join(', ')}`);
+  }
+  if (!csvPath) {
+    throw new Error('Missing --csv path/to/recipients.csv');
+  }
+
+  vestingHelper.validateEnvironment(getSignerEnvironment({ role: 'funder' }));
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const manifest = loadManifest(network, getArg(args, '--manifest'));
+  const { decimals, totalSupply } = manifest.token;
+  const recipients = loadRecipientsCsv(csvPath, decimals);
+  const total = recipients.reduce((acc, recipient) => acc + recipient.amount, 0n);
+
+  const { funder: wallet, operator } =
+    await vestingHelper.initializeAllocationSigners(networkConfig);
+  console.log(`Using wallet: ${wallet.address}`);
+  if (operator.address !== wallet.address) {
+    console.log(`Vesting operator: ${operator.address}`);
+  }
+  console.log(`Network: ${network}`);
+  console.log(
+    `Recipients: ${recipients.length} (${ethers.formatUnits(total, decimals)} RESKA) from ${csvPath}`
+  );
+
+  const journalPath =
+    getArg(args, '--journal') ||
+    path.join(
+      __dirname,
+      '..',
+      'deployments',
+      `journal-${network}-${path.basename(csvPath, path.extname(csvPath))}.json`
+    );
+  const journal = openJournal(journalPath, { network });
+  console.log(`Journal: ${journal.path}`);
+
+  // The journal pins "now" so a resumed run computes the same start time as the first one
+  const resolved = resolveManifest(manifest, { deployer: wallet.address, now: journal.startTime });
+  const [category] = selectCategories(resolved, [categoryId]);
+  if (!category.schedule) {
+    throw new Error(`Allocation category ${categoryId} has no vesting schedule`);
+  }
+
+  const cap = (ethers.parseUnits(totalSupply, decimals) * BigInt(category.percentage)) / 100n;
+  if (total > cap) {
+    throw new Error(
+      `Recipients total ${ethers.formatUnits(total, decimals)} RESKA exceeds the ` +
+        `${category.percentage}% ${categoryId} allocation of ${ethers.formatUnits(cap, decimals)} RESKA`
+    );
+  }
+
+  const { tokenAddress, vestingAddress } = vestingHelper.loadDeployedAddresses(network);
+  const contracts = await vestingHelper.loadContracts(wallet, { tokenAddress, vestingAddress });
+  const { token } = contracts;
+  const vesting = contracts.vesting.connect(operator);
+
+  console.log(`\nConnecting to contracts:`);
+  console.log(`- Token: ${tokenAddress}`);
+  console.log(`- Vesting: ${vestingAddress}`);
+  console.log(`\n=== ${category.name.toUpperCase()} SCHEDULE ===`);
+  console.log(`- Start: ${new Date(category.schedule.startTime * 1000).toISOString()}`);
+  console.log(`- Cliff period: ${category.schedule.cliffPeriod} seconds`);
+  console.log(`- Duration: ${category.schedule.duration} seconds`);
+  console.log(`- Slice period: ${category.schedule.slicePeriod} seconds`);
+  console.log(`- Revocable: ${category.schedule.revocable}\n`);
+
+  await runPreflight(
+    [
+      {
+        ...category,
+        beneficiaries: recipients.map(recipient => ({
+          address: recipient.address,
+          amount: recipient.amount,
+          immediateAmount: 0n,
+        })),
+      },
+    ],
+    { token, now: journal.startTime, force: args.includes('--force') }
+  );
+
+  const summary = await createScheduleBatches(
+    { token, vesting, wallet },
+    recipients,
+    category.schedule,
+    {
+      journal,
+      key: `${categoryId}:batch`,
+      batchSize: batchSizeArg ? Number(batchSizeArg) : undefined,
+      gasBudget: gasBudgetArg ? BigInt(gasBudgetArg) : DEFAULT_GAS_BUDGET,
+    }
+  );
+
+  vestingHelper.updateDeploymentRegistry(network, `${categoryId}Batches`, {
+    csv: path.basename(csvPath),
+    recipients: recipients.length,
+    amount: total.toString(),
+    batchSize: summary.batchSize,
+    batches: summary.batches,
+    startDate: new Date(category.schedule.startTime * 1000).toISOString(),
+  });
+
+  console.log(`\n=== BATCH VESTING COMPLETE ===`);
+  console.log(`Schedules created: ${summary.created}`);
+  console.log(`Schedules skipped (already landed): ${summary.skipped}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${describeError(error)}`);
+      console.error('Rerun the same command to resume from the journal.');
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
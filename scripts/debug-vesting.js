@@ -1,6 +1,6 @@
 // Simplified script to debug vesting contract on zkSync Era Sepolia
-const { Wallet, Provider } = require("zksync-ethers");
-const hre = require("hardhat");
+const { ethers, Wallet, Provider } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 require("dotenv").config();
 
 async function main() {
@@ -8,7 +8,8 @@ async function main() {
   
   // Initialize provider and wallet
   const provider = new Provider(process.env.ZKSYNC_TESTNET_URL || "https://sepolia.era.zksync.dev");
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncTestnet' });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Using wallet: ${wallet.address}`);
   
   // Vesting contract address from previous deployment
@@ -34,8 +35,8 @@ async function main() {
     
     console.log(`Token: ${name} (${symbol})`);
     console.log(`Decimals: ${decimals}`);
-    console.log(`Total Supply: ${ethers.utils.formatUnits(totalSupply, decimals)} ${symbol}`);
-    console.log(`Our Balance: ${ethers.utils.formatUnits(balance, decimals)} ${symbol}`);
+    console.log(`Total Supply: ${ethers.formatUnits(totalSupply, decimals)} ${symbol}`);
+    console.log(`Our Balance: ${ethers.formatUnits(balance, decimals)} ${symbol}`);
   } catch (error) {
     console.error(`Error checking token: ${error.message}`);
   }
@@ -80,18 +81,18 @@ async function main() {
   console.log("\nChecking token allowance...");
   try {
     const allowance = await token.allowance(wallet.address, VESTING_ADDRESS);
-    console.log(`Current allowance: ${ethers.utils.formatUnits(allowance, 6)} RESKA`);
+    console.log(`Current allowance: ${ethers.formatUnits(allowance, 6)} RESKA`);
     
     if (allowance.toString() === "0") {
       console.log("No allowance set - approving 1000 RESKA to vesting contract...");
-      const amount = ethers.utils.parseUnits("1000", 6);
+      const amount = ethers.parseUnits("1000", 6);
       const tx = await token.approve(VESTING_ADDRESS, amount);
       await tx.wait();
       console.log(`✅ Approved ${amount / 10**6} RESKA to vesting contract`);
       
       // Verify the new allowance
       const newAllowance = await token.allowance(wallet.address, VESTING_ADDRESS);
-      console.log(`New allowance: ${ethers.utils.formatUnits(newAllowance, 6)} RESKA`);
+      console.log(`New allowance: ${ethers.formatUnits(newAllowance, 6)} RESKA`);
     }
   } catch (error) {
     console.error(`Error checking/setting allowance: ${error.message}`);
@@ -109,7 +110,7 @@ async function main() {
     const duration = 300; // 5 minutes
     const slicePeriodSeconds = 60; // 1 minute
     const revocable = true;
-    const amount = ethers.utils.parseUnits("10", 6); // Just 10 tokens
+    const amount = ethers.parseUnits("10", 6); // Just 10 tokens
     
     console.log("Creating minimal vesting schedule with these parameters:");
     console.log(`- Beneficiary: ${beneficiary}`);
@@ -118,11 +119,11 @@ async function main() {
     console.log(`- Duration: ${duration} seconds`);
     console.log(`- Slice Period: ${slicePeriodSeconds} seconds`);
     console.log(`- Revocable: ${revocable}`);
-    console.log(`- Amount: ${ethers.utils.formatUnits(amount, 6)} RESKA`);
+    console.log(`- Amount: ${ethers.formatUnits(amount, 6)} RESKA`);
     
     // Estimate gas for the transaction to see if it would revert
     try {
-      const estimatedGas = await vesting.estimateGas.createVestingSchedule(
+      const estimatedGas = await vesting.createVestingSchedule.estimateGas(
         beneficiary,
         startTime,
         cliff,
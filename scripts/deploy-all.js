@@ -7,6 +7,18 @@ const fs = require('fs');
 const path = require('path');
 const { existsSync } = require('fs');
 const hre = require('hardhat');
+const { Provider, ReskaToken } = require('./sdk');
+const { loadDeployedAddresses, getVestingFundingAmount } = require('./helpers/vestingDeployer');
+const {
+  JOURNAL_ENV,
+  STEP_ENV,
+  getJournalPath,
+  openJournal,
+} = require('./helpers/deploymentJournal');
+const { simulateDeployment, printReport, saveReport } = require('./helpers/deploymentSimulator');
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
+const { getKeyVariable } = require('./helpers/keyManagement');
+const { getArg } = require('./helpers/cliArgs');
 require('dotenv').config();
 
 // Configuration
@@ -16,6 +28,10 @@ const VALID_NETWORKS = ['zkSyncTestnet', 'zkSyncMainnet'];
 const args = process.argv.slice(2);
 const NETWORK = args[0];
 const isDryRun = args.includes('--dry-run');
+const isRestart = args.includes('--restart');
+const isForce = args.includes('--force');
+const JOURNAL_PATH = getArg(args, '--journal');
+const FORK_URL = getArg(args, '--fork');
 
 // Centralized script paths
 const SCRIPTS = {
@@ -51,6 +67,86 @@ const REQUIRED_TASKS = [
   SCRIPTS.deployZkSync
 ];
 
+// Deployment steps in order. Each step is recorded in the deployment journal under its id
+const STEPS = [
+  {
+    id: 'deployContracts',
+    title: 'DEPLOYING TOKEN AND VESTING CONTRACTS',
+    summary: 'Token and vesting contracts deployed',
+    command: 'npx',
+    args: ['hardhat', SCRIPTS.deployZkSync, '--network', NETWORK],
+  },
+  {
+    id: 'fundVesting',
+    title: 'FUNDING VESTING CONTRACT',
+    summary: 'Vesting contract funded',
+    script: SCRIPTS.fundVesting,
+  },
+  {
+    id: 'founderVesting',
+    title: 'DEPLOYING FOUNDER VESTING SCHEDULE',
+    summary: 'Founder vesting schedule deployed (50% immediate, 50% 1yr cliff)',
+    script: SCRIPTS.founderVesting,
+    category: 'founder',
+  },
+  {
+    id: 'investorVesting',
+    title: 'DEPLOYING INVESTOR ALLOCATIONS',
+    summary: 'Investor allocations deployed (100% immediate)',
+    script: SCRIPTS.investorVesting,
+    category: 'investor',
+  },
+  {
+    id: 'advisorVesting',
+    title: 'DEPLOYING ADVISOR VESTING SCHEDULE',
+    summary: 'Advisor vesting schedule deployed (1yr cliff + quarterly releases)',
+    script: SCRIPTS.advisorVesting,
+    category: 'advisor',
+  },
+  {
+    id: 'airdropVesting',
+    title: 'DEPLOYING AIRDROP VESTING SCHEDULE',
+    summary: 'Airdrop vesting schedule deployed (1yr cliff, then 100%)',
+    script: SCRIPTS.airdropVesting,
+    category: 'airdrop',
+  },
+  {
+    id: 'ecosystemVesting',
+    title: 'DEPLOYING ECOSYSTEM VESTING SCHEDULE',
+    summary: 'Ecosystem vesting schedule deployed (2yr linear)',
+    script: SCRIPTS.ecosystemVesting,
+    category: 'ecosystem',
+  },
+  {
+    id: 'treasuryVesting',
+    title: 'DEPLOYING TREASURY VESTING SCHEDULE',
+    summary: 'Treasury vesting schedule deployed (2yr linear)',
+    script: SCRIPTS.treasuryVesting,
+    category: 'treasury',
+  },
+  {
+    id: 'escrowVesting',
+    title: 'DEPLOYING LONG-TERM ESCROW VESTING SCHEDULE',
+    summary: 'Long-term escrow deployed (3yr cliff)',
+    script: SCRIPTS.escrowVesting,
+    category: 'escrow',
+  },
+  {
+    id: 'timelock',
+    title: 'DEPLOYING TIMELOCK CONTROLLER',
+    summary: 'Timelock controller deployed',
+    script: SCRIPTS.timelock,
+  },
+  {
+    id: 'verifyMainnet',
+    title: 'VERIFYING CONTRACTS ON MAINNET',
+    summary: 'Contracts verified on zkSync Explorer',
+    command: 'node',
+    args: [SCRIPTS.verifyMainnet],
+    enabled: () => NETWORK === 'zkSyncMainnet',
+  },
+];
+
 /**
  * Validates that all Hardhat tasks exist in the task registry
  * @throws {Error} If any task is missing
@@ -59,17 +155,8 @@ async function validateHardhatTasks() {
   const missingTasks = [];
   
   for (const taskName of REQUIRED_TASKS) {
-    try {
-      // Check if the task exists in Hardhat's registry
-      const tasks = await hre.run('help', { all: true });
-      const taskExists = tasks.includes(taskName);
-      
-      if (!taskExists) {
-        missingTasks.push(taskName);
-      }
-    } catch (error) {
-      // If we can't check tasks, assume the task might be missing
-      console.warn(`Could not verify task '${taskName}': ${error.message}`);
+    // Tasks are registered on the runtime environment when hardhat.config.js loads
+    if (!hre.tasks[taskName]) {
       missingTasks.push(taskName);
     }
   }
@@ -99,7 +186,8 @@ function validateScripts() {
  * @throws {Error} If any required env var is missing
  */
 function validateEnvironment() {
-  const requiredVars = ['PRIVATE_KEY'];
+  // PRIVATE_KEY, or the keystore variable the deployer key is read from
+  const requiredVars = [getKeyVariable('deployer')];
   const missing = requiredVars.filter(varName => !process.env[varName]);
   
   if (missing.length > 0) {
@@ -107,52 +195,22 @@ function validateEnvironment() {
   }
 }
 
-/**
- * Creates a deployments.json file if it doesn't exist
- */
-function createDeploymentsFile() {
-  const deploymentsPath = path.join(__dirname, '..', 'deployments.json');
-  if (!fs.existsSync(deploymentsPath)) {
-    const initialStructure = {
-      testnet: {
-        token: null,
-        vesting: {},
-        allocations: {},
-        deploymentDate: null
-      },
-      mainnet: {
-        token: null,
-        vesting: {},
-        allocations: {},
-        deploymentDate: null
-      }
-    };
-    fs.writeFileSync(deploymentsPath, JSON.stringify(initialStructure, null, 2));
-    console.log('Created deployments.json file.');
-  }
-}
-
 /**
  * Executes a command asynchronously with Promise
  * @param {string} command - Command to execute
  * @param {Array<string>} args - Command arguments
  * @param {string} cwd - Working directory
- * @param {boolean} dryRun - If true, only log the command without executing
+ * @param {Object} env - Extra environment variables for the child process
  * @returns {Promise<{stdout: string, stderr: string}>} Promise with stdout and stderr
  */
-function executeCommand(command, args, cwd = process.cwd(), dryRun = false) {
-  // In dry-run mode, just log the command and return a resolved promise
-  if (dryRun) {
-    console.log(`[DRY RUN] Would execute: ${command} ${args.join(' ')}`);
-    return Promise.resolve({ stdout: '[Dry run - no output]', stderr: '' });
-  }
-
+function executeCommand(command, args, cwd = process.cwd(), env = {}) {
   return new Promise((resolve, reject) => {
     console.log(`Executing: ${command} ${args.join(' ')}`);
     
     // Use stdio: 'pipe' to capture stdout and stderr
     const childProcess = spawn(command, args, {
       cwd,
+      env: { ...process.env, ...env },
       stdio: ['inherit', 'pipe', 'pipe'],
       shell: true
     });
@@ -197,14 +255,137 @@ function executeCommand(command, args, cwd = process.cwd(), dryRun = false) {
 }
 
 /**
- * Updates deployment timestamp
- * @param {string} networkType - 'testnet' or 'mainnet'
+ * Opens the deployment journal, archiving the previous one when --restart is given
+ * @returns {Object} Journal handle
  */
-function updateDeploymentTimestamp(networkType) {
-  const deploymentsPath = path.join(__dirname, '..', 'deployments.json');
-  const deployments = JSON.parse(fs.readFileSync(deploymentsPath, 'utf8'));
-  deployments[networkType].deploymentDate = new Date().toISOString();
-  fs.writeFileSync(deploymentsPath, JSON.stringify(deployments, null, 2));
+function prepareJournal() {
+  const journalPath = JOURNAL_PATH || getJournalPath(NETWORK);
+
+  if (isRestart && fs.existsSync(journalPath)) {
+    const archivePath = journalPath.replace(/\.json$/, `.${Date.now()}.json`);
+    fs.renameSync(journalPath, archivePath);
+    console.log(`Previous journal archived to ${archivePath}`);
+  }
+
+  return openJournal(journalPath, { network: NETWORK });
+}
+
+// On-chain checks of the steps whose effect can be seen on-chain, by step id. The allocation
+// steps journal each of their transactions and resume on their own.
+const COMPLETION_CHECKS = {
+  // Both contracts recorded in the registry and deployed
+  async deployContracts(provider) {
+    const { tokenAddress, vestingAddress } = loadDeployedAddresses(NETWORK);
+    if (!tokenAddress || !vestingAddress) {
+      return null;
+    }
+    const [tokenCode, vestingCode] = await Promise.all([
+      provider.getCode(tokenAddress),
+      provider.getCode(vestingAddress),
+    ]);
+    if (tokenCode === '0x' || vestingCode === '0x') {
+      return null;
+    }
+    return { token: tokenAddress, vesting: vestingAddress };
+  },
+
+  // The vesting contract already holds the amount fund-vesting-contract.js tops it up to
+  async fundVesting(provider) {
+    const { tokenAddress, vestingAddress } = loadDeployedAddresses(NETWORK);
+    if (!tokenAddress || !vestingAddress) {
+      return null;
+    }
+    const balance = await ReskaToken.attach(tokenAddress, provider).balanceOf(vestingAddress);
+    if (balance < getVestingFundingAmount()) {
+      return null;
+    }
+    return { vesting: vestingAddress, balance: balance.toString() };
+  },
+
+  // A timelock recorded in the registry with code at its address
+  async timelock(provider) {
+    const timelockAddress = openRegistry().getContract(NETWORK, CONTRACTS.timelock);
+    if (!timelockAddress || (await provider.getCode(timelockAddress)) === '0x') {
+      return null;
+    }
+    return { timelock: timelockAddress };
+  },
+};
+
+/**
+ * Checks on-chain whether a step that is not completed in the journal already happened
+ * @param {Object} step - Step definition
+ * @returns {Promise<Object|null>} Step result if the step is already done, null otherwise
+ */
+async function detectCompletedStep(step) {
+  const check = COMPLETION_CHECKS[step.id];
+  if (!check) {
+    return null;
+  }
+
+  const provider = new Provider(hre.config.networks[NETWORK].url);
+  const result = await check(provider);
+  return result && { ...result, detectedOnChain: true };
+}
+
+/**
+ * Runs one deployment step unless the journal or the chain shows it is already done
+ * @param {Object} journal - Deployment journal
+ * @param {Object} step - Step definition
+ * @param {number} number - 1-based step number for display
+ */
+async function runStep(journal, step, number) {
+  console.log(`\n=== STEP ${number}: ${step.title} ===\n`);
+
+  if (journal.isStepCompleted(step.id)) {
+    console.log(`Already completed at ${journal.getStep(step.id).completedAt}, skipping.`);
+    return;
+  }
+
+  const detected = await detectCompletedStep(step);
+  if (detected) {
+    console.log('Already present on-chain, recording it in the journal and skipping.');
+    journal.completeStep(step.id, detected);
+    return;
+  }
+  journal.startStep(step.id);
+
+  const command = step.command || 'node';
+  const commandArgs = step.args || [step.script, '--network', NETWORK];
+  // Allocation steps validate their schedules first; --force overrides that
+  if (step.category && isForce) {
+    commandArgs.push('--force');
+  }
+  const env = { [JOURNAL_ENV]: journal.path, [STEP_ENV]: step.id };
+
+  try {
+    await executeCommand(command, commandArgs, process.cwd(), env);
+  } catch (error) {
+    journal.failStep(step.id, error);
+    error.message += `\nStep ${number} (${step.id}) failed. Rerun the same command to resume from this step.`;
+    throw error;
+  }
+
+  journal.completeStep(step.id, {});
+}
+
+/**
+ * Simulates the whole deployment on the in-process Hardhat network and prints a report
+ */
+async function dryRunAll() {
+  console.log(`\n=== DRY RUN MODE - NO TRANSACTIONS WILL BE SENT ===\n`);
+  console.log(
+    `The full deployment is executed against ${FORK_URL ? `a fork of ${FORK_URL}` : 'a fresh local chain'}.`
+  );
+  console.log(`Use this mode to verify the deployment steps before committing real funds.\n`);
+
+  const categories = STEPS.filter(step => step.category).map(step => step.category);
+  const report = await simulateDeployment(hre, { network: NETWORK, fork: FORK_URL, categories });
+
+  printReport(report);
+  console.log(`\nReport saved to ${saveReport(report)}`);
+  console.log(`\n=== DRY RUN COMPLETED - NO ACTUAL TRANSACTIONS WERE SENT ===`);
+  console.log(`To perform the actual deployment, run the same command without --dry-run`);
 }
 
 /**
@@ -214,109 +395,52 @@ async function deployAll() {
   try {
     // Validate network
     if (!NETWORK) {
-      throw new Error(`Network argument is required. Usage: node deploy-all.js [network] [--dry-run]`);
+      throw new Error(
+        `Network argument is required. Usage: node deploy-all.js [network] [--dry-run [--fork=url]] [--restart] [--journal=path] [--force]`
+      );
     }
     
     if (!VALID_NETWORKS.includes(NETWORK)) {
       throw new Error(`Invalid network: ${NETWORK}. Must be one of: ${VALID_NETWORKS.join(', ')}`);
     }
+
+    // Dry runs happen in-process and need neither keys nor the child scripts
+    if (isDryRun) {
+      await dryRunAll();
+      return;
+    }
     
     // Validate environment, scripts, and tasks
     validateEnvironment();
     validateScripts();
     await validateHardhatTasks();
     
-    // Log dry-run mode if active
-    if (isDryRun) {
-      console.log(`\n=== DRY RUN MODE - NO TRANSACTIONS WILL BE SENT ===\n`);
-      console.log(`This is a simulation of the deployment process. All commands will be logged but not executed.`);
-      console.log(`Use this mode to verify the deployment steps before committing real funds.\n`);
-    }
-    
-    console.log(`\n=== STARTING RESKA TOKEN DEPLOYMENT ON ${NETWORK} ${isDryRun ? '(DRY RUN)' : ''} ===\n`);
-    
-    // Create deployments file
-    createDeploymentsFile();
-    
-    // Step 1: Deploy token and vesting contracts
-    console.log('\n=== STEP 1: DEPLOYING TOKEN AND VESTING CONTRACTS ===\n');
-    await executeCommand('npx', ['hardhat', SCRIPTS.deployZkSync, '--network', NETWORK], process.cwd(), isDryRun);
-    
-    // Step 2: Fund vesting contract
-    console.log('\n=== STEP 2: FUNDING VESTING CONTRACT ===\n');
-    await executeCommand('node', [SCRIPTS.fundVesting, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
+    console.log(`\n=== STARTING RESKA TOKEN DEPLOYMENT ON ${NETWORK} ===\n`);
 
-    // Step 3: Deploy founder vesting (50% immediate, 50% 1yr cliff)
-    console.log('\n=== STEP 3: DEPLOYING FOUNDER VESTING SCHEDULE ===\n');
-    await executeCommand('node', [SCRIPTS.founderVesting, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
-    
-    // Step 4: Deploy investor allocations (100% immediate)
-    console.log('\n=== STEP 4: DEPLOYING INVESTOR ALLOCATIONS ===\n');
-    await executeCommand('node', [SCRIPTS.investorVesting, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
-    
-    // Step 5: Deploy advisor vesting (1yr cliff + quarterly releases)
-    console.log('\n=== STEP 5: DEPLOYING ADVISOR VESTING SCHEDULE ===\n');
-    await executeCommand('node', [SCRIPTS.advisorVesting, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
-    
-    // Step 6: Deploy airdrop/rewards vesting (1yr cliff, then 100%)
-    console.log('\n=== STEP 6: DEPLOYING AIRDROP VESTING SCHEDULE ===\n');
-    await executeCommand('node', [SCRIPTS.airdropVesting, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
-    
-    // Step 7: Deploy ecosystem vesting (2yr linear)
-    console.log('\n=== STEP 7: DEPLOYING ECOSYSTEM VESTING SCHEDULE ===\n');
-    await executeCommand('node', [SCRIPTS.ecosystemVesting, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
-    
-    // Step 8: Deploy treasury vesting (2yr linear)
-    console.log('\n=== STEP 8: DEPLOYING TREASURY VESTING SCHEDULE ===\n');
-    await executeCommand('node', [SCRIPTS.treasuryVesting, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
-    
-    // Step 9: Deploy long-term escrow (3yr cliff)
-    console.log('\n=== STEP 9: DEPLOYING LONG-TERM ESCROW VESTING SCHEDULE ===\n');
-    await executeCommand('node', [SCRIPTS.escrowVesting, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
-    
-    // Step 10: Deploy timelock controller for governance
-    console.log('\n=== STEP 10: DEPLOYING TIMELOCK CONTROLLER ===\n');
-    await executeCommand('node', [SCRIPTS.timelock, '--network', NETWORK, isDryRun ? '--dry-run' : ''], process.cwd(), isDryRun);
-    
-    // Step 11: Verify contracts on Explorer
-    if (NETWORK === 'zkSyncMainnet' && !isDryRun) {
-      console.log('\n=== STEP 11: VERIFYING CONTRACTS ON MAINNET ===\n');
-      await executeCommand('node', [SCRIPTS.verifyMainnet], process.cwd(), isDryRun);
+    // Real runs resume from the journal
+    const journal = prepareJournal();
+    console.log(`Deployment journal: ${journal.path}`);
+
+    const steps = STEPS.filter(step => !step.enabled || step.enabled());
+    for (let i = 0; i < steps.length; i++) {
+      await runStep(journal, steps[i], i + 1);
     }
     
-    // Update deployments.json with deployment date
-    if (!isDryRun) {
-      const networkKey = NETWORK === 'zkSyncMainnet' ? 'mainnet' : 'testnet';
-      updateDeploymentTimestamp(networkKey);
-    }
+    // Record the deployment date in the registry
+    const registry = openRegistry();
+    registry.setDeploymentDate(NETWORK);
     
-    console.log(`\n=== RESKA TOKEN DEPLOYMENT ON ${NETWORK} ${isDryRun ? 'DRY RUN ' : ''}COMPLETE ===\n`);
+    console.log(`\n=== RESKA TOKEN DEPLOYMENT ON ${NETWORK} COMPLETE ===\n`);
     console.log('Summary of deployment steps:');
-    console.log('1. Token and vesting contracts deployed');
-    console.log('2. Vesting contract funded');
-    console.log('3. Founder vesting schedule deployed (50% immediate, 50% 1yr cliff)');
-    console.log('4. Investor allocations deployed (100% immediate)');
-    console.log('5. Advisor vesting schedule deployed (1yr cliff + quarterly releases)');
-    console.log('6. Airdrop vesting schedule deployed (1yr cliff, then 100%)');
-    console.log('7. Ecosystem vesting schedule deployed (2yr linear)');
-    console.log('8. Treasury vesting schedule deployed (2yr linear)');
-    console.log('9. Long-term escrow deployed (3yr cliff)');
-    console.log('10. Timelock controller deployed');
-    if (NETWORK === 'zkSyncMainnet') {
-      console.log('11. Contracts verified on zkSync Explorer');
-    }
+    steps.forEach((step, i) => console.log(`${i + 1}. ${step.summary}`));
     
-    console.log(`\nDeployment details saved to deployments.json`);
+    console.log(`\nDeployment details saved to ${registry.path}`);
+    console.log(`Step journal saved to ${journal.path}`);
     console.log(`\nNEXT STEPS:`);
     console.log('1. Monitor token and vesting contract events');
     console.log('2. Prepare announcement for token launch');
     console.log('3. Set up monitoring systems for on-chain activities');
     
-    if (isDryRun) {
-      console.log(`\n=== DRY RUN COMPLETED - NO ACTUAL TRANSACTIONS WERE SENT ===`);
-      console.log(`To perform the actual deployment, run the same command without --dry-run`);
-    }
-    
   } catch (error) {
     console.error(`\n=== DEPLOYMENT ERROR ===\n`);
     console.error(`Error: ${error.message}`);
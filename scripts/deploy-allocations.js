@@ -0,0 +1,151 @@
+/**
+ * RESKA Token - Allocation Deployment Script
+ * Creates the transfers and vesting schedules described in allocations/<network>.json
+ *
+ * Usage:
+ *   node scripts/deploy-allocations.js --network zkSyncTestnet [--category founder,advisor]
+ *                                      [--manifest path/to/manifest.json] [--journal path]
+ *                                      [--dry-run [--fork url]] [--force]
+ *
+ * With a journal (--journal, or the one deploy-all passes down) every transfer and
+ * schedule is recorded, and a rerun skips whatever already landed on-chain.
+ *
+ * Every selected category is validated before the first transaction (start times, slice
+ * periods, cliff semantics and the ReskaToken allocation per category); the script refuses
+ * to send anything on errors unless --force is given.
+ *
+ * With --dry-run the token, vesting contract and selected categories are deployed on the
+ * in-process Hardhat network instead, and a report of schedules, tokens and gas is printed.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const hre = require('hardhat');
+const vestingHelper = require('./helpers/vestingDeployer');
+const { getSignerEnvironment } = require('./helpers/deploymentSigner');
+const { loadManifest, resolveManifest, selectCategories } = require('./helpers/allocationManifest');
+const { openJournal, openJournalFromEnv } = require('./helpers/deploymentJournal');
+const { simulateDeployment, printReport } = require('./helpers/deploymentSimulator');
+const { runPreflight } = require('./helpers/vestingPreflight');
+const { describeError } = require('./helpers/revertDecoder');
+const { getTransactionManager } = require('./helpers/transactionManager');
+const { getArg } = require('./helpers/cliArgs');
+require('dotenv').config();
+
+const VALID_NETWORKS = ['zkSyncTestnet', 'zkSyncMainnet', 'hardhat'];
+
+/**
+ * Deploys the selected allocation categories
+ * @param {Array<string>} [categoryIds] - Categories to deploy; all manifest categories when empty
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(categoryIds, args = process.argv.slice(2)) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  const manifestPath = getArg(args, '--manifest');
+  const categoryArg = getArg(args, '--category');
+  const journalPath = getArg(args, '--journal');
+  const force = args.includes('--force');
+  const ids = categoryIds || (categoryArg ? categoryArg.split(',') : []);
+
+  console.log('=== DEPLOYING RESKA ALLOCATIONS FROM MANIFEST ===');
+
+  if (!VALID_NETWORKS.includes(network)) {
+    throw new Error(`Invalid network: ${network}. Must be one of: ${VALID_NETWORKS.join(', ')}`);
+  }
+
+  if (args.includes('--dry-run')) {
+    const fork = getArg(args, '--fork');
+    const report = await simulateDeployment(hre, { network, fork, categories: ids, manifestPath });
+    printReport(report);
+    return;
+  }
+
+  vestingHelper.validateEnvironment(getSignerEnvironment({ role: 'funder' }));
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const manifest = loadManifest(network, manifestPath);
+  const { funder: wallet, operator } =
+    await vestingHelper.initializeAllocationSigners(networkConfig);
+  console.log(`Using wallet: ${wallet.address}`);
+  if (operator.address !== wallet.address) {
+    console.log(`Vesting operator: ${operator.address}`);
+  }
+  console.log(`Network: ${network}`);
+  console.log(`Manifest: version ${manifest.version}, ${manifest.categories.length} categories`);
+
+  const { tokenAddress, vestingAddress } = vestingHelper.loadDeployedAddresses(network);
+  const contracts = await vestingHelper.loadContracts(wallet, { tokenAddress, vestingAddress });
+  const { token } = contracts;
+  const vesting = contracts.vesting.connect(operator);
+
+  console.log(`\nConnecting to contracts:`);
+  console.log(`- Token: ${tokenAddress}`);
+  console.log(`- Vesting: ${vestingAddress}`);
+
+  const journal = journalPath ? openJournal(journalPath, { network }) : openJournalFromEnv(network);
+  if (journal) {
+    console.log(`Journal: ${journal.path}`);
+  }
+
+  // A journal pins "now" so a resumed run computes the same start times as the first one
+  const now = journal ? journal.startTime : undefined;
+  const resolved = resolveManifest(manifest, { deployer: wallet.address, now });
+  const categories = selectCategories(resolved, ids);
+
+  // Validate every category up front so a bad one cannot leave the deployment half done
+  await runPreflight(categories, { token, now, force });
+
+  for (const category of categories) {
+    const summary = await vestingHelper.deployAllocationCategory(
+      { token, vesting, wallet },
+      category,
+      { journal, preflight: false }
+    );
+
+    if (journal?.stepId) {
+      journal.recordStepResult(journal.stepId, { [category.id]: summary });
+    }
+
+    // Immediate-only categories are recorded next to the other plain allocations
+    const section = category.schedule ? 'vesting' : 'allocations';
+    vestingHelper.updateDeploymentRegistry(network, category.id, summary, section);
+  }
+
+  console.log(`\n=== ${categories.length} ALLOCATION CATEGORIES DEPLOYED ===`);
+
+  // Final receipts of everything the funder and the operator sent
+  for (const signer of new Set([wallet, operator])) {
+    getTransactionManager(signer).printReport();
+  }
+}
+
+/**
+ * Runs main() as a command line script and exits with its status
+ * @param {Array<string>} [categoryIds] - Categories to deploy
+ */
+function runFromCli(categoryIds) {
+  main(categoryIds)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${describeError(error)}`);
+      if (error.stack) {
+        console.error(`\nStack trace:\n${error.stack}`);
+      }
+      process.exit(1);
+    });
+}
+
+if (require.main === module) {
+  runFromCli();
+}
+
+module.exports = {
+  main,
+  runFromCli,
+};
@@ -0,0 +1,134 @@
+/**
+ * RESKA Token - Governor Deployment Script
+ * Deploys ReskaGovernor on top of ReskaToken's voting power and proposes the timelock
+ * operation that makes it the timelock's proposer and canceller
+ *
+ * Usage:
+ *   node scripts/deploy-governor.js --network zkSyncTestnet [--timelock 0x...] [--revoke-deployer]
+ *
+ * The token and timelock are read from the deployment registry (or TOKEN_ADDRESS and
+ * --timelock / TIMELOCK_ADDRESS). If the deployer (PRIVATE_KEY) is a proposer on the timelock,
+ * the role grants are scheduled right away; otherwise their calldata is printed for the
+ * timelock's proposers to schedule. --revoke-deployer adds the revocation of the deployer's
+ * proposer and canceller roles to the same operation, leaving proposals to token holders.
+ *
+ * Token holders only get voting power after delegating (to themselves or someone else).
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const hre = require('hardhat');
+const { ethers } = require('./sdk');
+const vestingHelper = require('./helpers/vestingDeployer');
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
+const { getSignerEnvironment, isQueuedTransaction } = require('./helpers/deploymentSigner');
+const { PROPOSER_ROLE, checkTimelock, buildGovernorRoleCalls } = require('./helpers/adminHandover');
+const { scheduleOperation, formatTime } = require('./helpers/timelockOperations');
+const { getArg } = require('./helpers/cliArgs');
+require('dotenv').config();
+
+const VALID_NETWORKS = ['zkSyncTestnet', 'zkSyncMainnet'];
+
+/**
+ * Deploys the governor and proposes its timelock roles
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  const revokeDeployer = args.includes('--revoke-deployer');
+
+  console.log('=== DEPLOYING RESKA GOVERNOR ===');
+
+  if (!VALID_NETWORKS.includes(network)) {
+    throw new Error(`Invalid network: ${network}. Must be one of: ${VALID_NETWORKS.join(', ')}`);
+  }
+
+  vestingHelper.validateEnvironment(getSignerEnvironment({ deploys: true }));
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const registry = openRegistry();
+  const timelockAddress =
+    getArg(args, '--timelock') ||
+    process.env.TIMELOCK_ADDRESS ||
+    registry.getContract(network, CONTRACTS.timelock);
+  if (!timelockAddress) {
+    throw new Error('Timelock address not found; deploy it first or pass --timelock');
+  }
+
+  const { wallet, deployWallet } = await vestingHelper.initializeConnection(networkConfig);
+  const { tokenAddress } = vestingHelper.loadDeployedAddresses(network);
+  vestingHelper.validateAddresses({ TOKEN_ADDRESS: tokenAddress });
+  const minDelay = await checkTimelock(wallet.provider, timelockAddress);
+
+  console.log(`Using wallet: ${wallet.address}`);
+  if (deployWallet.address !== wallet.address) {
+    console.log(`Deploying contracts with: ${deployWallet.address}`);
+  }
+  console.log(`Network: ${network}`);
+  console.log(`- Token: ${tokenAddress}`);
+  console.log(`- Timelock: ${timelockAddress} (minimum delay ${minDelay} seconds)`);
+
+  const deployer = new hre.zkSync.Deployer(hre, deployWallet);
+  const artifact = await deployer.loadArtifact('ReskaGovernor');
+  const governor = await deployer.deploy(artifact, [tokenAddress, timelockAddress]);
+  const governorAddress = await governor.getAddress();
+  console.log(`\n✅ Governor deployed to: ${governorAddress}`);
+  console.log(`- Voting delay: ${await governor.votingDelay()} seconds`);
+  console.log(`- Voting period: ${await governor.votingPeriod()} seconds`);
+  console.log(
+    `- Proposal threshold: ${ethers.formatUnits(await governor.proposalThreshold(), 6)} RESKA`
+  );
+  console.log(`- Quorum: ${await governor.quorumNumerator()}% of the total supply`);
+
+  registry.recordContract(network, CONTRACTS.governor, {
+    address: governorAddress,
+    deployer: deployWallet.address,
+    token: tokenAddress,
+    timelock: timelockAddress,
+  });
+  console.log(`Deployment info saved to ${registry.path}`);
+
+  const timelockAbi = (await hre.artifacts.readArtifact('ReskaTimelock')).abi;
+  const timelock = new ethers.Contract(timelockAddress, timelockAbi, wallet);
+  const calls = await buildGovernorRoleCalls(timelock, governorAddress, {
+    revoke: revokeDeployer ? [wallet.address] : [],
+  });
+
+  if (!(await timelock.hasRole(PROPOSER_ROLE, wallet.address))) {
+    console.log('\nThe deployer is not a timelock proposer. Have a proposer schedule this batch:');
+    for (const call of calls) {
+      console.log(`- Target: ${call.target}, value: ${call.value}, data: ${call.data}`);
+    }
+    return;
+  }
+
+  const { id, readyAt, receipt } = await scheduleOperation(timelock, calls, {
+    salt: ethers.id(`governor:${governorAddress}`),
+  });
+  console.log(`\n✅ Scheduled the governor's timelock roles as ${id} (tx ${receipt.hash})`);
+  console.log(`\n=== NEXT STEPS ===`);
+  const when = isQueuedTransaction(receipt.hash)
+    ? 'Once the Safe has executed the bundle and the delay has passed'
+    : `From ${formatTime(readyAt)}`;
+  console.log(`1. ${when}, execute it: reska timelock execute ${id}`);
+  console.log('2. Token holders delegate their votes to take part in governance');
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
@@ -1,7 +1,6 @@
 // Script to deploy the contract to a local Hardhat node
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
 
 async function main() {
   console.log('Deploying ReskaToken to local Hardhat node...');
@@ -33,25 +32,14 @@ async function main() {
     const reskaTokenAddress = await reskaToken.getAddress();
     console.log('ReskaToken deployed to:', reskaTokenAddress);
      
-    // Save deployment info to a file for tests to use
-    const deploymentInfo = {
+    // Save deployment info to the registry for tests to use
+    const registry = openRegistry();
+    registry.recordContract('localhost', CONTRACTS.token, {
       address: reskaTokenAddress,
-      deployer: deployer.address,
-      network: 'localhost',
-      timestamp: new Date().toISOString()
-    };
+      deployer: deployer.address
+    });
     
-    const deploymentDir = path.resolve(__dirname, '../deployments');
-    if (!fs.existsSync(deploymentDir)) {
-      fs.mkdirSync(deploymentDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(
-      path.resolve(deploymentDir, 'local.json'),
-      JSON.stringify(deploymentInfo, null, 2)
-    );
-    
-    console.log('Deployment info saved to deployments/local.json');
+    console.log(`Deployment info saved to ${registry.path}`);
   } catch (error) {
     console.error('Deployment failed:', error);
     process.exit(1);
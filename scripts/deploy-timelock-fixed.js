@@ -1,8 +1,9 @@
 // Deploy the Timelock Controller for RESKA governance
 // Fixed for zkSync Era deployment
-const { Wallet, Provider, utils } = require("zksync-ethers");
-const { Deployer } = require("@matterlabs/hardhat-zksync-deploy");
+const { ethers, Wallet, Provider, Deployer } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 const hre = require("hardhat");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
 require("dotenv").config();
 
 async function main() {
@@ -10,7 +11,8 @@ async function main() {
   
   // Initialize provider and wallet
   const provider = new Provider(hre.network.config.url);
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: hre.network.name });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Using wallet: ${wallet.address}`);
   console.log(`Deploying to network: ${hre.network.name}`);
   
@@ -54,7 +56,7 @@ async function main() {
   
   // Check wallet balance
   const balanceInWei = await provider.getBalance(wallet.address);
-  const balance = Number(utils.formatEther(balanceInWei.toString()));
+  const balance = Number(ethers.formatEther(balanceInWei.toString()));
   console.log(`Wallet ETH Balance: ${balance} ETH`);
   
   if (balance < 0.001) {
@@ -76,34 +78,17 @@ async function main() {
     console.log(`✅ Timelock deployed to: ${timelockAddress}`);
     
     // Save deployment info
-    let deployments = {};
-    
     try {
-      const fs = require('fs');
-      try {
-        const deploymentFile = fs.readFileSync('./deployments.json', 'utf8');
-        deployments = JSON.parse(deploymentFile);
-      } catch (error) {
-        deployments = { 
-          testnet: {},
-          mainnet: {}
-        };
-      }
-      
-      // Update deployments with timelock address
-      if (hre.network.name.includes('Mainnet') || hre.network.name.includes('mainnet')) {
-        deployments.mainnet.timelock = timelockAddress;
-      } else {
-        // Assume testnet otherwise
-        deployments.testnet.timelock = timelockAddress;
-      }
-      
-      fs.writeFileSync(
-        './deployments.json',
-        JSON.stringify(deployments, null, 2)
-      );
+      const registry = openRegistry();
+      registry.recordContract(hre.network.name, CONTRACTS.timelock, {
+        address: timelockAddress,
+        deployer: wallet.address,
+        minDelay: Number(minDelay),
+        proposers,
+        executors
+      });
       
-      console.log(`Deployment info saved to deployments.json`);
+      console.log(`Deployment info saved to ${registry.path}`);
     } catch (ioError) {
       console.error(`Note: Could not save deployment info: ${ioError.message}`);
     }
@@ -1,6 +1,6 @@
 // Simple Timelock deployment script compatible with zkSync Era Sepolia
-const { Wallet, Provider } = require("zksync-ethers");
-const { Deployer } = require("@matterlabs/hardhat-zksync-deploy");
+const { Wallet, Provider, Deployer } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 const hre = require("hardhat");
 require("dotenv").config();
 
@@ -9,7 +9,8 @@ async function main() {
   
   // Initialize provider and wallet
   const provider = new Provider(hre.network.config.url);
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: hre.network.name });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Using wallet: ${wallet.address}`);
   console.log(`Deploying to network: ${hre.network.name}`);
   
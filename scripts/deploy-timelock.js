@@ -1,14 +1,16 @@
 // Deploy the Timelock Controller for RESKA governance
-const { Wallet, Provider } = require("zksync-ethers");
 const hre = require("hardhat");
+const vestingHelper = require("./helpers/vestingDeployer");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
+const { getSignerEnvironment } = require("./helpers/deploymentSigner");
 require("dotenv").config();
 
 async function main() {
   console.log("=== DEPLOYING RESKA TIMELOCK CONTROLLER ===");
   
-  // Initialize provider and wallet
-  const provider = new Provider(hre.network.config.url);
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  // Initialize provider and wallet; with DEPLOY_SIGNER=safe the Safe becomes the default proposer
+  vestingHelper.validateEnvironment(getSignerEnvironment({ deploys: true }));
+  const { wallet, deployWallet } = await vestingHelper.initializeConnection(hre.network.config);
   console.log(`Using wallet: ${wallet.address}`);
   console.log(`Deploying to network: ${hre.network.name}`);
   
@@ -48,7 +50,7 @@ async function main() {
   const artifact = await hre.artifacts.readArtifact("ReskaTimelock");
   
   // Create deployer
-  const deployer = new hre.zkSync.Deployer(hre, wallet);
+  const deployer = new hre.zkSync.Deployer(hre, deployWallet);
   
   // Deploy timelock with constructor arguments
   console.log(`\nDeploying Timelock Controller...`);
@@ -63,34 +65,18 @@ async function main() {
   console.log(`Timelock deployed to: ${timelockAddress}`);
   
   // Save deployment info
-  let deployments = {};
-  
-  try {
-    deployments = require('../deployments.json');
-  } catch (error) {
-    deployments = { 
-      testnet: {},
-      mainnet: {}
-    };
-  }
-  
-  // Update deployments with timelock address
-  if (hre.network.name.includes('Mainnet') || hre.network.name.includes('mainnet')) {
-    deployments.mainnet.timelock = timelockAddress;
-  } else {
-    // Assume testnet otherwise
-    deployments.testnet.timelock = timelockAddress;
-  }
-  
-  const fs = require('fs');
-  fs.writeFileSync(
-    './deployments.json',
-    JSON.stringify(deployments, null, 2)
-  );
+  const registry = openRegistry();
+  registry.recordContract(hre.network.name, CONTRACTS.timelock, {
+    address: timelockAddress,
+    deployer: deployWallet.address,
+    minDelay: Number(minDelay),
+    proposers,
+    executors
+  });
   
-  console.log(`\nDeployment info saved to deployments.json`);
+  console.log(`\nDeployment info saved to ${registry.path}`);
   console.log(`\n=== NEXT STEPS ===`);
-  console.log(`1. Transfer admin roles from owner to Timelock controller: ${timelockAddress}`);
+  console.log(`1. Hand the admin roles over to the timelock: node scripts/handover-admin.js --network ${hre.network.name}`);
   console.log(`2. Verify timelock contract on Explorer`);
   console.log(`3. Test scheduling and executing administrative actions through timelock`);
 }
@@ -0,0 +1,145 @@
+/**
+ * RESKA Token - Upgradeable Deployment Script
+ * Deploys ReskaTokenUpgradeable and ReskaTokenVestingUpgradeable behind
+ * TransparentUpgradeableProxy instances, with a ProxyAdmin owned by ReskaTimelock
+ *
+ * Usage:
+ *   node scripts/deploy-upgradeable.js --network zkSyncTestnet [--timelock 0x...]
+ *
+ * This is the proxy path of UPGRADES.md Phase 1, an alternative to deploy-zksync for the
+ * immutable contracts. The timelock must be deployed first (scripts/deploy-timelock.js); it is
+ * read from --timelock, TIMELOCK_ADDRESS or the deployment registry. Allocation recipients come
+ * from FOUNDER_ADDRESS, ADVISORS_ADDRESS, ... and default to the deployer. The proxies are
+ * recorded in the registry as the token and vesting contracts, so every other script uses them
+ * unchanged.
+ *
+ * The deployer keeps the token roles and vesting ownership for the allocation steps; hand them
+ * to the timelock afterwards with scripts/handover-admin.js.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const hre = require('hardhat');
+const vestingHelper = require('./helpers/vestingDeployer');
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
+const { getSignerEnvironment } = require('./helpers/deploymentSigner');
+const { checkTimelock } = require('./helpers/adminHandover');
+const { UPGRADEABLE_IMPLEMENTATIONS, deployUpgradeableStack } = require('./helpers/proxyDeployer');
+const { getStorageLayout, hashStorageLayout } = require('./helpers/storageLayout');
+const { getArg } = require('./helpers/cliArgs');
+require('dotenv').config();
+
+const VALID_NETWORKS = ['zkSyncTestnet', 'zkSyncMainnet'];
+
+// Allocation recipients in ReskaTokenUpgradeable.initialize order
+const ALLOCATION_ENV = [
+  ['founder', 'FOUNDER_ADDRESS'],
+  ['advisors', 'ADVISORS_ADDRESS'],
+  ['investors', 'INVESTORS_ADDRESS'],
+  ['airdrop', 'AIRDROP_ADDRESS'],
+  ['ecosystem', 'ECOSYSTEM_ADDRESS'],
+  ['treasury', 'TREASURY_ADDRESS'],
+  ['publicSale', 'PUBLIC_SALE_ADDRESS'],
+  ['escrow', 'ESCROW_ADDRESS'],
+];
+
+/**
+ * Deploys the proxied token and vesting contracts
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+
+  console.log('=== DEPLOYING UPGRADEABLE RESKA CONTRACTS ===');
+
+  if (!VALID_NETWORKS.includes(network)) {
+    throw new Error(`Invalid network: ${network}. Must be one of: ${VALID_NETWORKS.join(', ')}`);
+  }
+
+  vestingHelper.validateEnvironment(getSignerEnvironment({ deploys: true }));
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const registry = openRegistry();
+  const timelock =
+    getArg(args, '--timelock') ||
+    process.env.TIMELOCK_ADDRESS ||
+    registry.getContract(network, CONTRACTS.timelock);
+  if (!timelock) {
+    throw new Error('Timelock address not found; deploy it first or pass --timelock');
+  }
+
+  const { wallet, deployWallet } = await vestingHelper.initializeConnection(networkConfig);
+  const minDelay = await checkTimelock(wallet.provider, timelock);
+  const allocationAddresses = ALLOCATION_ENV.map(([, env]) => process.env[env] || wallet.address);
+  vestingHelper.validateAddresses(
+    Object.fromEntries(ALLOCATION_ENV.map(([, env], i) => [env, allocationAddresses[i]]))
+  );
+
+  console.log(`Using wallet: ${wallet.address}`);
+  if (deployWallet.address !== wallet.address) {
+    console.log(`Deploying contracts with: ${deployWallet.address}`);
+  }
+  console.log(`Network: ${network}`);
+  console.log(`Timelock (ProxyAdmin owner): ${timelock} (minimum delay ${minDelay} seconds)\n`);
+
+  const deployer = new hre.zkSync.Deployer(hre, deployWallet);
+  const deploy = async (contractName, constructorArgs) =>
+    deployer.deploy(await deployer.loadArtifact(contractName), constructorArgs);
+  const { proxyAdmin, token, vesting } = await deployUpgradeableStack(deploy, {
+    allocationAddresses,
+    timelock,
+    onStep: description => console.log(`✅ ${description}`),
+  });
+
+  const proxyAdminAddress = await proxyAdmin.getAddress();
+  registry.recordContract(network, CONTRACTS.proxyAdmin, {
+    address: proxyAdminAddress,
+    deployer: deployWallet.address,
+    owner: timelock,
+  });
+  for (const [key, deployed] of Object.entries({ token, vesting })) {
+    const contractName = UPGRADEABLE_IMPLEMENTATIONS[key];
+    registry.recordContract(network, CONTRACTS[key], {
+      address: await deployed.proxy.getAddress(),
+      deployer: deployWallet.address,
+      implementation: await deployed.implementation.getAddress(),
+      implementationContract: contractName,
+      proxyAdmin: proxyAdminAddress,
+      storageLayout: hashStorageLayout(await getStorageLayout(hre.artifacts, contractName)),
+      ...(key === 'token' && {
+        allocationAddresses: Object.fromEntries(
+          ALLOCATION_ENV.map(([name], i) => [name, allocationAddresses[i]])
+        ),
+      }),
+    });
+  }
+  console.log(`\nDeployment info saved to ${registry.path}`);
+
+  console.log(`\n=== NEXT STEPS ===`);
+  console.log('1. Fund the vesting contract and create the vesting schedules');
+  console.log(
+    `2. Hand the admin roles over to the timelock: node scripts/handover-admin.js --network ${network}`
+  );
+  console.log(
+    `3. Upgrade later with: node scripts/upgrade-proxy.js --network ${network} --contract token`
+  );
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
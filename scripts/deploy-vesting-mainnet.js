@@ -1,8 +1,8 @@
 // RESKA Token Vesting Deployment Script for zkSync Era Mainnet
-const { Wallet, Provider } = require('zksync-ethers');
-const { Deployer } = require('@matterlabs/hardhat-zksync-deploy');
+const { Wallet, Provider, Deployer } = require('./sdk');
+const { requireRoleKey } = require('./helpers/keyManagement');
 const hre = require('hardhat');
-const fs = require('fs');
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
 require('dotenv').config();
 
 // Time constants
@@ -18,7 +18,8 @@ async function main() {
   console.log(`Connected to zkSync Era Mainnet`);
 
   // Initialize wallet
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncMainnet' });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Deploying from address: ${wallet.address}`);
 
   // Check wallet balance
@@ -36,15 +37,13 @@ async function main() {
   }
 
   // Load deployment data to get token address
-  let tokenAddress;
-  try {
-    const deploymentData = JSON.parse(fs.readFileSync('./deployments/zksync-mainnet.json', 'utf8'));
-    tokenAddress = deploymentData.ReskaToken;
-    console.log(`Found RESKA token at address: ${tokenAddress}`);
-  } catch (error) {
+  const registry = openRegistry();
+  const tokenAddress = registry.getContract('zkSyncMainnet', CONTRACTS.token);
+  if (!tokenAddress) {
     console.error(`Error: Could not find token deployment data. Please deploy the token first.`);
     process.exit(1);
   }
+  console.log(`Found RESKA token at address: ${tokenAddress}`);
 
   // Initialize the deployer
   const deployer = new Deployer(hre, wallet);
@@ -60,20 +59,13 @@ async function main() {
 
   console.log(`\n✅ Vesting contract deployed successfully at: ${vestingAddress}`);
 
-  // Save the vesting address to a file
-  const vestingDeploymentData = {
-    ReskaTokenVesting: vestingAddress,
-    ReskaToken: tokenAddress,
-    network: 'zkSyncMainnet',
-    timestamp: new Date().toISOString(),
+  // Save the vesting address to the deployment registry
+  registry.recordContract('zkSyncMainnet', CONTRACTS.vesting, {
+    address: vestingAddress,
     deployer: wallet.address,
-  };
-
-  fs.writeFileSync(
-    './deployments/vesting-mainnet.json',
-    JSON.stringify(vestingDeploymentData, null, 2)
-  );
-  console.log('Vesting deployment data saved to deployments/vesting-mainnet.json');
+    token: tokenAddress,
+  });
+  console.log(`Vesting deployment data saved to ${registry.path}`);
 
   console.log('\n=== VESTING SETUP INSTRUCTIONS ===');
   console.log('To set up vesting schedules, follow these steps:');
@@ -1,7 +1,8 @@
 // Deploy & test vesting contract on zkSync Era Sepolia
-const { Wallet, Provider } = require("zksync-ethers");
-const { Deployer } = require("@matterlabs/hardhat-zksync-deploy");
+const { Wallet, Provider, Deployer } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 const { ethers } = require("hardhat");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
 require("dotenv").config();
 
 // Helper to convert to token units (6 decimals)
@@ -16,7 +17,8 @@ async function main() {
   const provider = new Provider(process.env.ZKSYNC_TESTNET_URL || "https://sepolia.era.zksync.dev");
   
   // Initialize wallet
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncTestnet' });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Deploying from address: ${wallet.address}`);
   
   // Balance check
@@ -72,19 +74,12 @@ async function main() {
   console.log(`✅ Vesting Contract deployed to: ${vestingAddress}`);
   
   // Save deployment info
-  const fs = require('fs');
-  const deploymentData = {
-    "ReskaToken": RESKA_TOKEN_ADDRESS,
-    "ReskaVesting": vestingAddress,
-    "network": "zkSyncTestnet",
-    "timestamp": new Date().toISOString()
-  };
-  
-  fs.writeFileSync(
-    './deployments/zksync-vesting-sepolia.json',
-    JSON.stringify(deploymentData, null, 2)
-  );
-  console.log("Deployment saved to deployments/zksync-vesting-sepolia.json");
+  const registry = openRegistry();
+  registry.recordContract("zkSyncTestnet", CONTRACTS.vesting, {
+    address: vestingAddress,
+    deployer: wallet.address
+  });
+  console.log(`Deployment saved to ${registry.path}`);
   
   // Create an accelerated vesting schedule for testing
   console.log("\n=== CREATING TEST VESTING SCHEDULE ===");
@@ -149,15 +144,16 @@ async function main() {
     
     // Create a helper script to release tokens
     const releaseScript = `// Helper script to release vested tokens
-const { Wallet, Provider } = require("zksync-ethers");
-const { ethers } = require("hardhat");
+const { ethers, Wallet, Provider } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 require("dotenv").config();
 
 async function main() {
   console.log("=== RELEASING VESTED RESKA TOKENS ===");
   
   const provider = new Provider(process.env.ZKSYNC_TESTNET_URL || "https://sepolia.era.zksync.dev");
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncTestnet' });
+  const wallet = new Wallet(privateKey, provider);
   
   const VESTING_ADDRESS = "${vestingAddress}";
   const VESTING_SCHEDULE_ID = "${vestingScheduleId}";
@@ -185,12 +181,12 @@ async function main() {
     console.log(\`Elapsed time: \${elapsedTime} seconds (\${elapsedTime/60} minutes)\`);
     
     // Check releasable amount
-    const releasableAmount = await vesting.computeReleasableAmount(VESTING_SCHEDULE_ID);
+    const releasableAmount = await vesting.getReleasableAmount(VESTING_SCHEDULE_ID);
     console.log(\`Releasable amount: \${Number(releasableAmount) / 10**6} RESKA\`);
     
-    if (releasableAmount > 0) {
+    if (releasableAmount > 0n) {
       console.log("Releasing vested tokens...");
-      const releaseTx = await vesting.release(VESTING_SCHEDULE_ID, releasableAmount);
+      const releaseTx = await vesting.release(VESTING_SCHEDULE_ID);
       await releaseTx.wait();
       
       // Check new balance
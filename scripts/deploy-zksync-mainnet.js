@@ -1,8 +1,8 @@
 // RESKA Token Mainnet Deployment Script for zkSync Era
-const { Wallet, Provider } = require('zksync-ethers');
-const { Deployer } = require('@matterlabs/hardhat-zksync-deploy');
+const { Wallet, Provider, Deployer } = require('./sdk');
+const { requireRoleKey } = require('./helpers/keyManagement');
 const hre = require('hardhat');
-const fs = require('fs');
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
 require('dotenv').config();
 
 async function main() {
@@ -13,7 +13,8 @@ async function main() {
   console.log(`Connected to zkSync Era Mainnet`);
 
   // Initialize wallet
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncMainnet' });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Deploying from address: ${wallet.address}`);
 
   // Check wallet balance
@@ -96,13 +97,12 @@ async function main() {
   console.log(`\n✅ RESKA Token deployed successfully in ${deploymentTime} seconds!`);
   console.log(`Contract address: ${tokenAddress}`);
 
-  // Save the address to a file
-  const deploymentData = {
-    ReskaToken: tokenAddress,
-    network: 'zkSyncMainnet',
-    timestamp: new Date().toISOString(),
+  // Save the address to the deployment registry
+  const registry = openRegistry();
+  registry.recordContract('zkSyncMainnet', CONTRACTS.token, {
+    address: tokenAddress,
     deployer: wallet.address,
-    allocations: {
+    allocationAddresses: {
       founder: founderAddress,
       advisors: advisorsAddress,
       investors: investorsAddress,
@@ -112,15 +112,8 @@ async function main() {
       publicSale: publicSaleAddress,
       escrow: escrowAddress,
     },
-  };
-
-  // Create deployments directory if it doesn't exist
-  if (!fs.existsSync('./deployments')) {
-    fs.mkdirSync('./deployments');
-  }
-
-  fs.writeFileSync('./deployments/zksync-mainnet.json', JSON.stringify(deploymentData, null, 2));
-  console.log('Deployment data saved to deployments/zksync-mainnet.json');
+  });
+  console.log(`Deployment data saved to ${registry.path}`);
 
   // Verify contract functionality
   try {
@@ -1,7 +1,8 @@
 // Simplified zkSync Era deployment script - for cleaner deployment without verification overhead
-const { Wallet, Provider, utils } = require("zksync-ethers");
-const { Deployer } = require("@matterlabs/hardhat-zksync-deploy");
+const { Wallet, Provider, Deployer } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 const hre = require("hardhat");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
 require("dotenv").config();
 
 async function main() {
@@ -12,7 +13,8 @@ async function main() {
   console.log(`Connected to zkSync Era Sepolia`);
   
   // Initialize wallet
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncTestnet' });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Deploying from address: ${wallet.address}`);
   
   // Check wallet balance
@@ -48,20 +50,13 @@ async function main() {
   
   console.log(`\n✅ RESKA Token deployed successfully to ${tokenAddress}`);
   
-  // Save the address to a file
-  const fs = require('fs');
-  const deploymentData = {
-    "ReskaToken": tokenAddress,
-    "network": "zkSyncTestnet",
-    "timestamp": new Date().toISOString(),
-    "deployer": deployerAddress
-  };
-  
-  fs.writeFileSync(
-    './deployments/zksync-sepolia.json',
-    JSON.stringify(deploymentData, null, 2)
-  );
-  console.log("Deployment address saved to deployments/zksync-sepolia.json");
+  // Save the address to the deployment registry
+  const registry = openRegistry();
+  registry.recordContract("zkSyncTestnet", CONTRACTS.token, {
+    address: tokenAddress,
+    deployer: deployerAddress
+  });
+  console.log(`Deployment address saved to ${registry.path}`);
   
   // Now let's try to read some basic info
   try {
@@ -36,15 +36,16 @@ async function main() {
   );
   
   // Wait for deployment to complete
-  await reskaToken.deployed();
+  await reskaToken.waitForDeployment();
+  const tokenAddress = await reskaToken.getAddress();
   
   // Log the contract address
-  console.log(`RESKA token deployed to: ${reskaToken.address}`);
+  console.log(`RESKA token deployed to: ${tokenAddress}`);
   console.log(`Network: ${network.name}`);
   
   // Log verification command
   console.log("\nTo verify the contract on Etherscan, run:");
-  console.log(`npx hardhat verify --network ${network.name} ${reskaToken.address} \\`);
+  console.log(`npx hardhat verify --network ${network.name} ${tokenAddress} \\`);
   console.log(`  ${founderAddress} \\`);
   console.log(`  ${advisorsAddress} \\`);
   console.log(`  ${investorsAddress} \\`);
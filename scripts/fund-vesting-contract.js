@@ -1,33 +1,40 @@
 /**
  * RESKA Token - Fund Vesting Contract Script
- * This script funds the vesting contract with RESKA tokens from the deployer wallet
+ * This script funds the vesting contract with RESKA tokens from the funder wallet
+ * (FUNDER_KEYSTORE / FUNDER_PRIVATE_KEY, falling back to the deployer key), or queues the
+ * transfer in the Safe bundle with DEPLOY_SIGNER=safe
  * 
  * @author RESKA Team
  * @version 1.0.0
  * Node.js v18+ required
  */
 
-const { Wallet, Provider, utils } = require("zksync-ethers");
+const { ReskaToken } = require('./sdk');
 const hre = require("hardhat");
-const { validateEnvironment, validateAddresses } = require("./helpers/vestingDeployer");
+const {
+  validateEnvironment,
+  validateAddresses,
+  loadDeployedAddresses,
+  initializeConnection,
+  getVestingFundingAmount,
+} = require('./helpers/vestingDeployer');
+const { getSignerEnvironment, isQueuedTransaction } = require('./helpers/deploymentSigner');
+const { getArg } = require('./helpers/cliArgs');
 require("dotenv").config();
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const networkArg = args.find(arg => arg.startsWith('--network='))?.split('=')[1] || 
-                   args[args.indexOf('--network') + 1];
+const networkArg = getArg(args, '--network');
 
-// Token funding amount (can be overridden via environment variable)
-const FUNDING_AMOUNT = process.env.VESTING_FUNDING_AMOUNT 
-  ? BigInt(process.env.VESTING_FUNDING_AMOUNT) 
-  : BigInt(1_000_000 * 10**6); // Default: 1M RESKA with 6 decimals
+// Token funding amount (VESTING_FUNDING_AMOUNT, default 1M RESKA with 6 decimals)
+const FUNDING_AMOUNT = getVestingFundingAmount();
 
 async function main() {
   console.log("=== FUNDING VESTING CONTRACT WITH RESKA TOKENS ===");
   
   try {
     // Validate environment variables
-    validateEnvironment(['PRIVATE_KEY']);
+    validateEnvironment(getSignerEnvironment({ role: 'funder' }));
     
     // Get network configuration
     const network = networkArg || 'zkSyncTestnet';
@@ -43,37 +50,13 @@ async function main() {
       throw new Error(`Network configuration not found for: ${network}`);
     }
     
-    // Initialize provider and wallet
-    const providerUrl = network === 'zkSyncMainnet' 
-      ? (process.env.ZKSYNC_MAINNET_URL || 'https://mainnet.era.zksync.io')
-      : (process.env.ZKSYNC_TESTNET_URL || 'https://sepolia.era.zksync.dev');
-      
-    const provider = new Provider(providerUrl);
-    const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+    // The funder key, or the Safe in Safe mode, with the network's transaction manager
+    const { wallet, transactions } = await initializeConnection(networkConfig, { role: 'funder' });
     console.log(`Using wallet: ${wallet.address}`);
     
-    // Contract addresses - try to get from env, fall back to deployments.json
-    let TOKEN_ADDRESS = process.env.TOKEN_ADDRESS;
-    let VESTING_ADDRESS = process.env.VESTING_ADDRESS;
-    
-    // If not in env, try to load from deployments.json
-    if (!TOKEN_ADDRESS || !VESTING_ADDRESS) {
-      try {
-        const fs = require('fs');
-        const path = require('path');
-        const deploymentsPath = path.join(__dirname, '..', 'deployments.json');
-        
-        if (fs.existsSync(deploymentsPath)) {
-          const deployments = JSON.parse(fs.readFileSync(deploymentsPath, 'utf8'));
-          const networkKey = network === 'zkSyncMainnet' ? 'mainnet' : 'testnet';
-          
-          TOKEN_ADDRESS = TOKEN_ADDRESS || deployments[networkKey]?.token;
-          VESTING_ADDRESS = VESTING_ADDRESS || deployments[networkKey]?.vesting?.address;
-        }
-      } catch (error) {
-        console.warn('Could not load addresses from deployments.json:', error.message);
-      }
-    }
+    // Contract addresses - try to get from env, fall back to the deployment registry
+    const { tokenAddress: TOKEN_ADDRESS, vestingAddress: VESTING_ADDRESS } =
+      loadDeployedAddresses(network);
     
     // Validate contract addresses
     validateAddresses({
@@ -84,10 +67,8 @@ async function main() {
     console.log(`Token contract: ${TOKEN_ADDRESS}`);
     console.log(`Vesting contract: ${VESTING_ADDRESS}`);
     
-    // Load token contract dynamically
     console.log("Loading contracts...");
-    const tokenAbi = await hre.artifacts.readArtifact('ReskaToken').then(artifact => artifact.abi);
-    const token = new hre.ethers.Contract(TOKEN_ADDRESS, tokenAbi, wallet);
+    const token = ReskaToken.attach(TOKEN_ADDRESS, wallet);
     
     // Check balances before transfer
     const walletBalance = await token.balanceOf(wallet.address);
@@ -111,17 +92,19 @@ async function main() {
     // Transfer tokens to vesting contract
     console.log(`Transferring ${Number(FUNDING_AMOUNT - vestingBalance) / 10**6} RESKA to the vesting contract...`);
     
-    // Estimate gas for the transaction
-    const gasEstimate = await token.estimateGas.transfer(VESTING_ADDRESS, FUNDING_AMOUNT - vestingBalance);
-    // Add 20% buffer to gas estimate
-    const gasLimit = Math.floor(gasEstimate.toNumber() * 1.2);
-    
-    const tx = await token.transfer(VESTING_ADDRESS, FUNDING_AMOUNT - vestingBalance, { gasLimit });
-    console.log(`Transaction submitted: ${tx.hash}`);
-    
-    // Wait for confirmation
-    const receipt = await tx.wait();
-    console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+    const receipt = await transactions.sendContractCall(
+      token.contract,
+      'transfer',
+      [VESTING_ADDRESS, FUNDING_AMOUNT - vestingBalance],
+      { label: 'Vesting contract funding' }
+    );
+    if (isQueuedTransaction(receipt.hash)) {
+      console.log(
+        `Transfer queued as ${receipt.hash}; execute the Safe bundle to fund the vesting contract`
+      );
+      return;
+    }
+    console.log(`Transaction ${receipt.hash} confirmed in block ${receipt.blockNumber}`);
     
     // Verify the new balance
     const newVestingBalance = await token.balanceOf(VESTING_ADDRESS);
@@ -0,0 +1,155 @@
+/**
+ * RESKA Token - Admin Handover Script
+ * Hands ReskaTokenVesting ownership and ReskaToken's admin, minter and pauser roles over to
+ * the deployed ReskaTimelock, then verifies that no EOA keeps a privileged role
+ *
+ * Usage:
+ *   node scripts/handover-admin.js --network zkSyncTestnet [--timelock 0x...] [--from-block <n>]
+ *                                  [--dry-run | --verify-only]
+ *
+ * The timelock is read from --timelock, TIMELOCK_ADDRESS or the deployment registry. The
+ * deployer (PRIVATE_KEY) must currently own the vesting contract and hold DEFAULT_ADMIN_ROLE
+ * on the token. Steps already done on-chain are skipped, so an interrupted handover is
+ * resumed by running the same command again. --dry-run only prints the pending steps;
+ * --verify-only only runs the verification. --from-block is the first block searched for
+ * role grants (the token's deployment block).
+ *
+ * After the handover every admin action (minting, pausing, revoking schedules, granting
+ * roles) has to be scheduled through the timelock.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const hre = require('hardhat');
+const vestingHelper = require('./helpers/vestingDeployer');
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
+const { getSignerEnvironment } = require('./helpers/deploymentSigner');
+const {
+  checkTimelock,
+  planHandover,
+  handOverAdmin,
+  verifyHandover,
+} = require('./helpers/adminHandover');
+const { getArg } = require('./helpers/cliArgs');
+require('dotenv').config();
+
+const VALID_NETWORKS = ['zkSyncTestnet', 'zkSyncMainnet', 'localhost'];
+
+/**
+ * Prints the result of the verification
+ * @param {Object} result - Result of verifyHandover
+ */
+function printVerification(result) {
+  console.log('\n=== VERIFYING PRIVILEGED ROLES ===');
+  console.log(`ReskaTokenVesting owner: ${result.vestingOwner}`);
+  for (const [name, accounts] of Object.entries(result.holders.token)) {
+    console.log(`ReskaToken ${name}: ${accounts.join(', ') || 'nobody'}`);
+  }
+  const admins = result.holders.timelock.TIMELOCK_ADMIN_ROLE;
+  console.log(`ReskaTimelock TIMELOCK_ADMIN_ROLE: ${admins.join(', ') || 'nobody'}`);
+
+  if (result.ok) {
+    console.log('\n✅ Only the timelock holds privileged roles');
+  }
+  for (const violation of result.violations) {
+    console.log(`- ❌ ${violation}`);
+  }
+}
+
+/**
+ * Runs the admin handover
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  const dryRun = args.includes('--dry-run');
+  const verifyOnly = args.includes('--verify-only');
+  const fromBlock = Number(getArg(args, '--from-block') || 0);
+
+  console.log('=== HANDING RESKA ADMIN ROLES OVER TO THE TIMELOCK ===');
+
+  if (!VALID_NETWORKS.includes(network)) {
+    throw new Error(`Invalid network: ${network}. Must be one of: ${VALID_NETWORKS.join(', ')}`);
+  }
+
+  vestingHelper.validateEnvironment(getSignerEnvironment());
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const registry = openRegistry();
+  const timelock =
+    getArg(args, '--timelock') ||
+    process.env.TIMELOCK_ADDRESS ||
+    registry.getContract(network, CONTRACTS.timelock);
+  if (!timelock) {
+    throw new Error('Timelock address not found; deploy it first or pass --timelock');
+  }
+
+  const { wallet } = await vestingHelper.initializeConnection(networkConfig);
+  const { tokenAddress, vestingAddress } = vestingHelper.loadDeployedAddresses(network);
+  const contracts = await vestingHelper.loadContracts(wallet, { tokenAddress, vestingAddress });
+  const minDelay = await checkTimelock(wallet.provider, timelock);
+
+  console.log(`Using wallet: ${wallet.address}`);
+  console.log(`Network: ${network}`);
+  console.log(`- Token: ${tokenAddress}`);
+  console.log(`- Vesting: ${vestingAddress}`);
+  console.log(`- Timelock: ${timelock} (minimum delay ${minDelay} seconds)\n`);
+
+  if (dryRun) {
+    const steps = await planHandover(contracts, { deployer: wallet.address, timelock });
+    for (const step of steps) {
+      console.log(`${step.done ? '✓ done   ' : '• pending'} ${step.description}`);
+    }
+    return;
+  }
+
+  if (!verifyOnly) {
+    const summary = await handOverAdmin(contracts, {
+      deployer: wallet.address,
+      timelock,
+      onStep: (step, receipt) =>
+        console.log(
+          receipt
+            ? `✅ ${step.description} (tx ${receipt.hash})`
+            : `Skipping (already done): ${step.description}`
+        ),
+    });
+    console.log(`\nSteps sent: ${summary.sent}, already done: ${summary.skipped}`);
+  }
+
+  const result = await verifyHandover(contracts, {
+    timelock,
+    candidates: [wallet.address],
+    fromBlock,
+  });
+  printVerification(result);
+  if (!result.ok) {
+    throw new Error(`Handover verification failed with ${result.violations.length} problem(s)`);
+  }
+
+  registry.recordContract(network, CONTRACTS.timelock, {
+    address: timelock,
+    governs: { token: tokenAddress, vesting: vestingAddress },
+    handoverVerifiedAt: new Date().toISOString(),
+  });
+  console.log(`\nHandover recorded in ${registry.path}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
@@ -0,0 +1,297 @@
+/**
+ * RESKA Admin Handover
+ * Moves every privileged role of ReskaToken and ReskaTokenVesting to the ReskaTimelock
+ *
+ * The handover runs in an order that never leaves the contracts without an admin:
+ *
+ * 1. ReskaTokenVesting ownership is transferred to the timelock
+ * 2. ReskaToken's DEFAULT_ADMIN_ROLE, MINTER_ROLE and PAUSER_ROLE are granted to the timelock
+ * 3. the deployer's MINTER_ROLE, PAUSER_ROLE and, last, DEFAULT_ADMIN_ROLE are revoked with
+ *    safeRenounceRole
+ *
+ * Each step is checked on-chain first and skipped when already done, so an interrupted
+ * handover is resumed by running it again. verifyHandover then rebuilds the holders of every
+ * role from RoleGranted events and fails if an externally owned account still holds one.
+ *
+ * For Phase 2 governance, buildGovernorRoleCalls prepares the timelock operation that makes
+ * ReskaGovernor the timelock's proposer in place of the deployer.
+ *
+ * @module adminHandover
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { DEFAULT_BLOCK_RANGE } = require('./vestingIndexer');
+const { getTransactionManager } = require('./transactionManager');
+
+// ReskaToken roles; DEFAULT_ADMIN_ROLE comes last since revoking the others requires it
+const TOKEN_ROLES = {
+  MINTER_ROLE: ethers.id('MINTER_ROLE'),
+  PAUSER_ROLE: ethers.id('PAUSER_ROLE'),
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+};
+
+// ReskaTimelock roles; TIMELOCK_ADMIN_ROLE can change its own roles and delay
+const TIMELOCK_ADMIN_ROLE = ethers.id('TIMELOCK_ADMIN_ROLE');
+const PROPOSER_ROLE = ethers.id('PROPOSER_ROLE');
+const CANCELLER_ROLE = ethers.id('CANCELLER_ROLE');
+
+/**
+ * Checks that an address is a deployed TimelockController
+ * @param {Object} provider - ethers provider
+ * @param {string} address - Timelock address
+ * @returns {bigint} The timelock's minimum delay
+ * @throws {Error} If the address has no code or is not a timelock
+ */
+async function checkTimelock(provider, address) {
+  if (!ethers.isAddress(address) || address === ethers.ZeroAddress) {
+    throw new Error(`Invalid timelock address: ${address}`);
+  }
+  if ((await provider.getCode(address)) === '0x') {
+    throw new Error(`No contract deployed at the timelock address ${address}`);
+  }
+
+  const timelock = new ethers.Contract(
+    address,
+    ['function getMinDelay() view returns (uint256)'],
+    provider
+  );
+  try {
+    return await timelock.getMinDelay();
+  } catch (error) {
+    throw new Error(
+      `${address} is not a TimelockController: ${error.shortMessage || error.message}`
+    );
+  }
+}
+
+/**
+ * Lists the handover steps and whether each one is already done on-chain
+ * @param {Object} contracts - Object containing the token and vesting contract instances (connected to the deployer)
+ * @param {Object} options - Options
+ * @param {string} options.deployer - Address handing over its roles
+ * @param {string} options.timelock - ReskaTimelock address
+ * @returns {Array<Object>} Steps with id, description, done and send(), which sends the step
+ *   through the signer's transaction manager and resolves to its receipt
+ */
+async function planHandover({ token, vesting }, { deployer, timelock: timelockAddress }) {
+  const timelock = ethers.getAddress(timelockAddress);
+  const step = (id, description, done, contract, method, args) => ({
+    id,
+    description,
+    done,
+    send: () =>
+      getTransactionManager(contract.runner).sendContractCall(contract, method, args, {
+        label: description,
+      }),
+  });
+
+  const steps = [
+    step(
+      'vesting:owner',
+      `Transfer ReskaTokenVesting ownership to ${timelock}`,
+      (await vesting.owner()) === timelock,
+      vesting,
+      'transferOwnership',
+      [timelock]
+    ),
+  ];
+
+  for (const name of Object.keys(TOKEN_ROLES)) {
+    steps.push(
+      step(
+        `token:grant:${name}`,
+        `Grant ReskaToken ${name} to ${timelock}`,
+        await token.hasRole(TOKEN_ROLES[name], timelock),
+        token,
+        'grantRole',
+        [TOKEN_ROLES[name], timelock]
+      )
+    );
+  }
+
+  for (const [name, role] of Object.entries(TOKEN_ROLES)) {
+    steps.push(
+      step(
+        `token:revoke:${name}`,
+        `Revoke ReskaToken ${name} from ${deployer}`,
+        !(await token.hasRole(role, deployer)),
+        token,
+        'safeRenounceRole',
+        [role, deployer]
+      )
+    );
+  }
+
+  return steps;
+}
+
+/**
+ * Hands the token and vesting admin roles over to the timelock, skipping steps already done
+ * @param {Object} contracts - Object containing the token and vesting contract instances (connected to the deployer)
+ * @param {Object} options - Options
+ * @param {string} options.deployer - Address handing over its roles
+ * @param {string} options.timelock - ReskaTimelock address
+ * @param {Function} [options.onStep] - Called with each step and its receipt (null when skipped)
+ * @returns {Object} Summary with the number of steps sent and skipped
+ */
+async function handOverAdmin({ token, vesting }, { deployer, timelock, onStep }) {
+  await checkTimelock(token.runner.provider, timelock);
+
+  const steps = await planHandover({ token, vesting }, { deployer, timelock });
+  let sent = 0;
+  for (const step of steps) {
+    if (step.done) {
+      onStep?.(step, null);
+      continue;
+    }
+    const receipt = await step.send();
+    sent++;
+    onStep?.(step, receipt);
+  }
+
+  return { sent, skipped: steps.length - sent };
+}
+
+/**
+ * Builds the timelock calls that make the governor its proposer and canceller
+ *
+ * The timelock administers its own roles, so these calls have to be scheduled and executed
+ * through the timelock itself (see timelockOperations.scheduleOperation).
+ * @param {Object} timelock - ReskaTimelock contract instance
+ * @param {string} governor - ReskaGovernor address
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.revoke] - Current proposers (e.g. the deployer) losing both roles
+ * @returns {Array<Object>} Calls with target, value and data
+ */
+async function buildGovernorRoleCalls(timelock, governor, { revoke = [] } = {}) {
+  const target = await timelock.getAddress();
+  const call = (method, role, account) => ({
+    target,
+    value: 0n,
+    data: timelock.interface.encodeFunctionData(method, [role, account]),
+  });
+
+  const calls = [
+    call('grantRole', PROPOSER_ROLE, governor),
+    call('grantRole', CANCELLER_ROLE, governor),
+  ];
+  for (const account of revoke) {
+    calls.push(call('revokeRole', PROPOSER_ROLE, account));
+    calls.push(call('revokeRole', CANCELLER_ROLE, account));
+  }
+  return calls;
+}
+
+/**
+ * Rebuilds the current holders of roles from RoleGranted events
+ * @param {Object} contract - AccessControl contract instance
+ * @param {Object} roles - Role name -> role hash
+ * @param {Object} [options] - Options
+ * @param {number} [options.fromBlock] - First block to scan (the contract's deployment block)
+ * @param {number} [options.blockRange] - Blocks per log query
+ * @param {Array<string>} [options.candidates] - Addresses checked even without a RoleGranted event
+ * @returns {Object} Role name -> addresses holding it
+ */
+async function findRoleHolders(
+  contract,
+  roles,
+  { fromBlock = 0, blockRange = DEFAULT_BLOCK_RANGE, candidates = [] } = {}
+) {
+  const head = await contract.runner.provider.getBlockNumber();
+  const accounts = new Set(candidates.map(address => ethers.getAddress(address)));
+  for (let from = fromBlock; from <= head; from += blockRange) {
+    const to = Math.min(from + blockRange - 1, head);
+    for (const event of await contract.queryFilter(contract.filters.RoleGranted(), from, to)) {
+      accounts.add(event.args.account);
+    }
+  }
+
+  const holders = {};
+  for (const [name, role] of Object.entries(roles)) {
+    holders[name] = [];
+    for (const account of accounts) {
+      if (await contract.hasRole(role, account)) {
+        holders[name].push(account);
+      }
+    }
+  }
+  return holders;
+}
+
+/**
+ * Verifies on-chain that the timelock holds every privileged role and no EOA retains one
+ * @param {Object} contracts - Object containing the token and vesting contract instances
+ * @param {Object} options - Options
+ * @param {string} options.timelock - ReskaTimelock address
+ * @param {Array<string>} [options.candidates] - Addresses to check in addition to the event history (e.g. the deployer)
+ * @param {number} [options.fromBlock] - First block to scan for role grants
+ * @param {number} [options.blockRange] - Blocks per log query
+ * @returns {Object} { ok, violations, holders, vestingOwner }
+ */
+async function verifyHandover(
+  { token, vesting },
+  { timelock: timelockAddress, candidates = [], fromBlock, blockRange }
+) {
+  const timelock = ethers.getAddress(timelockAddress);
+  const provider = token.runner.provider;
+  const violations = [];
+  const isEoa = async address => (await provider.getCode(address)) === '0x';
+
+  const vestingOwner = await vesting.owner();
+  if (vestingOwner !== timelock) {
+    violations.push(`ReskaTokenVesting is owned by ${vestingOwner}, not the timelock`);
+  }
+  if (await isEoa(vestingOwner)) {
+    violations.push(`ReskaTokenVesting owner ${vestingOwner} is an EOA`);
+  }
+
+  const scan = { fromBlock, blockRange, candidates: [...candidates, timelock] };
+  const holders = {
+    token: await findRoleHolders(token, TOKEN_ROLES, scan),
+    timelock: await findRoleHolders(
+      new ethers.Contract(
+        timelock,
+        [
+          'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+          'function hasRole(bytes32 role, address account) view returns (bool)',
+        ],
+        provider
+      ),
+      { TIMELOCK_ADMIN_ROLE },
+      scan
+    ),
+  };
+
+  for (const [name, accounts] of Object.entries(holders.token)) {
+    if (!accounts.includes(timelock)) {
+      violations.push(`The timelock does not hold ReskaToken ${name}`);
+    }
+    for (const account of accounts) {
+      if (await isEoa(account)) {
+        violations.push(`EOA ${account} still holds ReskaToken ${name}`);
+      }
+    }
+  }
+  // An EOA timelock admin could change the proposers or the delay without waiting
+  for (const account of holders.timelock.TIMELOCK_ADMIN_ROLE) {
+    if (await isEoa(account)) {
+      violations.push(`EOA ${account} holds the timelock's TIMELOCK_ADMIN_ROLE`);
+    }
+  }
+
+  return { ok: violations.length === 0, violations, holders, vestingOwner };
+}
+
+module.exports = {
+  TOKEN_ROLES,
+  TIMELOCK_ADMIN_ROLE,
+  PROPOSER_ROLE,
+  CANCELLER_ROLE,
+  checkTimelock,
+  planHandover,
+  handOverAdmin,
+  buildGovernorRoleCalls,
+  findRoleHolders,
+  verifyHandover,
+};
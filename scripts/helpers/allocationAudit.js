@@ -0,0 +1,368 @@
+/**
+ * RESKA Allocation Audit
+ * Reconciles the ReskaToken allocations, the vesting schedules and the allocation manifest
+ *
+ * The audit reads ReskaToken.getAllocations, every schedule of ReskaTokenVesting and the
+ * balances of each allocation recipient and of the vesting contract, then flags:
+ *
+ * - over-allocation: schedules or manifest amounts above a category's allocation, manifest
+ *   percentages that differ from the ones hardcoded in the ReskaToken constructor
+ * - unfunded schedules: a vesting balance below what the schedules still owe, or below the
+ *   contract's own vestingSchedulesTotalAmount (which releases never reduce)
+ * - leftovers: tokens in the vesting contract that no schedule is owed
+ *
+ * The report is plain JSON (amounts as decimal strings in base units) and is signed off by
+ * the auditor: signOff holds the keccak256 digest of the canonical report and an EIP-191
+ * signature over it, so anyone can check who produced it and that it was not edited since.
+ *
+ * @module allocationAudit
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { readSchedules, readAllocations } = require('./unlockCalendar');
+
+const AUDIT_VERSION = 1;
+const UNASSIGNED = 'UNASSIGNED';
+
+/**
+ * Reads everything the audit needs from the chain
+ * @param {Object} contracts - Object containing the token and vesting contract instances
+ * @returns {Object} Chain snapshot with supply, allocations, schedules and balances (BigInt amounts)
+ */
+async function collectAuditData({ token, vesting }) {
+  const provider = token.runner.provider || token.runner;
+  const [network, block] = await Promise.all([provider.getNetwork(), provider.getBlock('latest')]);
+  const tokenAddress = await token.getAddress();
+  const vestingAddress = await vesting.getAddress();
+
+  const supply = await readAllocations(token);
+  const schedules = await readSchedules(vesting);
+
+  const balances = {};
+  for (const address of [vestingAddress, ...supply.allocations.map(a => a.recipient)]) {
+    if (balances[address] === undefined) {
+      balances[address] = await token.balanceOf(address);
+    }
+  }
+
+  return {
+    chainId: Number(network.chainId),
+    block: { number: block.number, timestamp: block.timestamp },
+    token: tokenAddress,
+    vesting: vestingAddress,
+    supply,
+    schedules,
+    balances,
+    trackedTotal: await vesting.getVestingSchedulesTotalAmount(),
+  };
+}
+
+/**
+ * Sums the vested and immediate amounts of the manifest per allocation type
+ * @param {Object} [manifest] - Allocation manifest
+ * @returns {Object} Allocation type -> { ids, percentage, vested, immediate }
+ */
+function summarizeManifest(manifest) {
+  const byType = {};
+  for (const category of manifest?.categories || []) {
+    const entry = byType[category.allocationType] || {
+      ids: [],
+      percentage: 0,
+      vested: 0n,
+      immediate: 0n,
+    };
+    entry.ids.push(category.id);
+    entry.percentage += category.percentage;
+    for (const beneficiary of category.beneficiaries) {
+      entry.vested += ethers.parseUnits(beneficiary.amount || '0', manifest.token.decimals);
+      entry.immediate += ethers.parseUnits(
+        beneficiary.immediateAmount || '0',
+        manifest.token.decimals
+      );
+    }
+    byType[category.allocationType] = entry;
+  }
+  return byType;
+}
+
+/**
+ * Reconciles a chain snapshot against the allocations and the manifest
+ * @param {Object} data - Result of collectAuditData
+ * @param {Object} [options] - Options
+ * @param {Object} [options.categories] - scheduleId -> allocation type lookup
+ * @param {Object} [options.manifest] - Allocation manifest of the network
+ * @param {number} [options.decimals] - Token decimals used in messages
+ * @returns {Object} Report with categories, vesting totals and findings (severity, code, category, message)
+ */
+function auditAllocations(data, { categories = {}, manifest, decimals = 6 } = {}) {
+  const format = amount => `${ethers.formatUnits(amount, decimals)} RESKA`;
+  const findings = [];
+  const add = (severity, code, category, message) =>
+    findings.push({ severity, code, category, message });
+  const manifestByType = summarizeManifest(manifest);
+
+  // Schedules per category, with what they still owe
+  const totals = {};
+  const entry = category => {
+    if (!totals[category]) {
+      totals[category] = { schedules: 0, scheduled: 0n, released: 0n, outstanding: 0n };
+    }
+    return totals[category];
+  };
+  let outstanding = 0n;
+  for (const schedule of data.schedules) {
+    const owed = schedule.amountTotal - schedule.released;
+    const item = entry(categories[schedule.scheduleId] || UNASSIGNED);
+    item.schedules++;
+    item.scheduled += schedule.amountTotal;
+    item.released += schedule.released;
+    item.outstanding += owed;
+    outstanding += owed;
+  }
+
+  const percentageTotal = data.supply.allocations.reduce((acc, a) => acc + a.percentage, 0);
+  if (percentageTotal !== 100) {
+    add('error', 'percentage-total', null, `allocations add up to ${percentageTotal}%, not 100%`);
+  }
+
+  const rows = data.supply.allocations.map(allocation => {
+    const type = allocation.allocationType;
+    const item = entry(type);
+    const planned = manifestByType[type];
+
+    if (item.scheduled > allocation.amount) {
+      add(
+        'error',
+        'over-allocated',
+        type,
+        `schedules hold ${format(item.scheduled)}, above the ${allocation.percentage}% allocation of ${format(allocation.amount)}`
+      );
+    }
+    if (planned) {
+      if (planned.percentage !== allocation.percentage) {
+        add(
+          'error',
+          'percentage-mismatch',
+          type,
+          `the manifest (${planned.ids.join(', ')}) allocates ${planned.percentage}%, ReskaToken ${allocation.percentage}%`
+        );
+      }
+      if (planned.vested + planned.immediate > allocation.amount) {
+        add(
+          'error',
+          'over-allocated',
+          type,
+          `the manifest distributes ${format(planned.vested + planned.immediate)}, above the allocation of ${format(allocation.amount)}`
+        );
+      }
+      if (planned.vested > item.scheduled) {
+        add(
+          'warning',
+          'schedules-missing',
+          type,
+          `the manifest vests ${format(planned.vested)} but only ${format(item.scheduled)} is in schedules`
+        );
+      }
+    }
+
+    return {
+      allocationType: type,
+      recipient: allocation.recipient,
+      percentage: allocation.percentage,
+      allocation: allocation.amount.toString(),
+      recipientBalance: data.balances[allocation.recipient].toString(),
+      schedules: item.schedules,
+      scheduled: item.scheduled.toString(),
+      released: item.released.toString(),
+      outstanding: item.outstanding.toString(),
+      manifest: planned
+        ? {
+            ids: planned.ids,
+            percentage: planned.percentage,
+            vested: planned.vested.toString(),
+            immediate: planned.immediate.toString(),
+          }
+        : null,
+    };
+  });
+
+  if (totals[UNASSIGNED]) {
+    add(
+      'warning',
+      'unassigned-schedules',
+      UNASSIGNED,
+      `${totals[UNASSIGNED].schedules} schedule(s) holding ${format(totals[UNASSIGNED].scheduled)} ` +
+        'are not attributed to any category'
+    );
+  }
+
+  // The vesting contract must hold what its schedules still owe
+  const balance = data.balances[data.vesting];
+  const tracked = data.trackedTotal;
+  if (balance < outstanding) {
+    add(
+      'error',
+      'unfunded-schedules',
+      null,
+      `the vesting contract holds ${format(balance)} but its schedules still owe ${format(outstanding)}`
+    );
+  } else if (balance > outstanding) {
+    const withdrawable = balance > tracked ? balance - tracked : 0n;
+    add(
+      'warning',
+      'leftover-tokens',
+      null,
+      `${format(balance - outstanding)} in the vesting contract is owed to no schedule ` +
+        `(withdraw() currently allows ${format(withdrawable)})`
+    );
+  }
+  if (balance < tracked) {
+    add(
+      'warning',
+      'tracked-total-exceeds-balance',
+      null,
+      `vestingSchedulesTotalAmount (${format(tracked)}) is above the balance: releases never ` +
+        'reduce it, so new schedules and withdraw() revert until the contract is topped up'
+    );
+  }
+
+  return {
+    version: AUDIT_VERSION,
+    generatedAt: new Date().toISOString(),
+    chainId: data.chainId,
+    block: data.block,
+    contracts: { token: data.token, vesting: data.vesting },
+    supply: {
+      initial: data.supply.initialSupply.toString(),
+      total: data.supply.totalSupply.toString(),
+      minted: (data.supply.totalSupply - data.supply.initialSupply).toString(),
+    },
+    categories: rows,
+    unassigned: totals[UNASSIGNED]
+      ? {
+          schedules: totals[UNASSIGNED].schedules,
+          scheduled: totals[UNASSIGNED].scheduled.toString(),
+          outstanding: totals[UNASSIGNED].outstanding.toString(),
+        }
+      : null,
+    vesting: {
+      balance: balance.toString(),
+      trackedTotal: tracked.toString(),
+      outstanding: outstanding.toString(),
+    },
+    findings,
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length,
+  };
+}
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal reports hash equally
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the digest an audit report is signed over (everything but signOff)
+ * @param {Object} report - Audit report
+ * @returns {string} keccak256 digest
+ */
+function hashAuditReport(report) {
+  // eslint-disable-next-line no-unused-vars
+  const { signOff, ...content } = report;
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(content)));
+}
+
+/**
+ * Signs off an audit report
+ * @param {Object} report - Audit report
+ * @param {Object} signer - ethers signer of the auditor
+ * @returns {Object} The report with signOff: { signer, digest, signature }
+ */
+async function signAuditReport(report, signer) {
+  const digest = hashAuditReport(report);
+  return {
+    ...report,
+    signOff: {
+      signer: await signer.getAddress(),
+      digest,
+      signature: await signer.signMessage(ethers.getBytes(digest)),
+    },
+  };
+}
+
+/**
+ * Checks the sign-off of an audit report
+ * @param {Object} report - Signed audit report
+ * @returns {Object} { valid, signer, reason }
+ */
+function verifyAuditReport(report) {
+  if (!report.signOff) {
+    return { valid: false, signer: null, reason: 'the report is not signed' };
+  }
+
+  const { signer, digest, signature } = report.signOff;
+  if (hashAuditReport(report) !== digest) {
+    return { valid: false, signer, reason: 'the report was modified after it was signed' };
+  }
+  if (ethers.verifyMessage(ethers.getBytes(digest), signature) !== signer) {
+    return { valid: false, signer, reason: 'the signature does not match the signer' };
+  }
+
+  return { valid: true, signer, reason: null };
+}
+
+/**
+ * Prints an audit report
+ * @param {Object} report - Audit report
+ * @param {number} [decimals] - Token decimals
+ */
+function printAuditReport(report, decimals = 6) {
+  const format = amount => `${ethers.formatUnits(amount, decimals)} RESKA`;
+
+  console.log(`\n=== ALLOCATION AUDIT (chain ${report.chainId}, block ${report.block.number}) ===`);
+  console.log(
+    `Total supply: ${format(report.supply.total)} (${format(report.supply.minted)} minted)`
+  );
+  for (const row of report.categories) {
+    console.log(`\n${row.allocationType} (${row.percentage}%) -> ${row.recipient}`);
+    console.log(`- Allocation: ${format(row.allocation)}`);
+    console.log(`- Recipient balance: ${format(row.recipientBalance)}`);
+    console.log(`- In ${row.schedules} schedule(s): ${format(row.scheduled)}`);
+    console.log(`- Released: ${format(row.released)}, still owed: ${format(row.outstanding)}`);
+  }
+
+  console.log('\nVesting contract:');
+  console.log(`- Balance: ${format(report.vesting.balance)}`);
+  console.log(`- Owed to schedules: ${format(report.vesting.outstanding)}`);
+  console.log(`- vestingSchedulesTotalAmount: ${format(report.vesting.trackedTotal)}`);
+
+  console.log(`\nFindings: ${report.errors} error(s), ${report.warnings} warning(s)`);
+  for (const finding of report.findings) {
+    const label = finding.severity === 'error' ? 'ERROR' : 'WARNING';
+    const where = finding.category ? ` [${finding.category}]` : '';
+    console.log(`- ${label}${where} ${finding.message}`);
+  }
+}
+
+module.exports = {
+  AUDIT_VERSION,
+  UNASSIGNED,
+  collectAuditData,
+  auditAllocations,
+  hashAuditReport,
+  signAuditReport,
+  verifyAuditReport,
+  printAuditReport,
+};
@@ -0,0 +1,342 @@
+/**
+ * RESKA Allocation Manifest
+ * Loads, validates and resolves the per-network allocation manifests in allocations/
+ *
+ * A manifest describes every allocation category of the token (percentage, vesting
+ * parameters and beneficiaries) so the tokenomics can be reviewed as data instead
+ * of being spread across the deploy-*-vesting scripts.
+ *
+ * @module allocationManifest
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_DIR = path.join(__dirname, '..', '..', 'allocations');
+
+// Allocation types in the same order as ReskaToken.AllocationTypes
+const ALLOCATION_TYPES = [
+  'FOUNDER',
+  'ADVISORS',
+  'INVESTORS',
+  'AIRDROPS',
+  'ECOSYSTEM',
+  'TREASURY',
+  'PUBLIC_SALE',
+  'ESCROW',
+];
+
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+  y: 365 * 24 * 60 * 60,
+};
+
+/**
+ * Parses a duration given either in seconds or as a string with a unit suffix
+ * @param {number|string} value - Duration such as 2592000, "30d" or "1y" (365 days)
+ * @returns {number} Duration in seconds
+ * @throws {Error} If the value cannot be parsed
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0) {
+    return value;
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d+)\s*([smhdwy]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${JSON.stringify(value)}`);
+  }
+
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Parses a start time given as "now", a unix timestamp or an ISO date string
+ * @param {number|string} value - Start time from the manifest
+ * @param {number} now - Current unix timestamp used for "now"
+ * @returns {number} Start time as a unix timestamp
+ * @throws {Error} If the value cannot be parsed
+ */
+function parseStart(value, now) {
+  if (value === undefined || value === 'now') {
+    return now;
+  }
+  if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0) {
+    return value;
+  }
+
+  const millis = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid start time: ${JSON.stringify(value)}`);
+  }
+
+  return Math.floor(millis / 1000);
+}
+
+/**
+ * Returns the path of the manifest for a network
+ * @param {string} network - Hardhat network name
+ * @returns {string} Absolute path to allocations/<network>.json
+ */
+function getManifestPath(network) {
+  return path.join(MANIFEST_DIR, `${network}.json`);
+}
+
+/**
+ * Validates the structure of a raw manifest
+ * @param {Object} manifest - Parsed manifest JSON
+ * @throws {Error} Listing every problem found in the manifest
+ */
+function validateManifest(manifest) {
+  const problems = [];
+
+  if (!manifest || typeof manifest !== 'object') {
+    throw new Error('Allocation manifest must be a JSON object');
+  }
+  if (manifest.version !== MANIFEST_VERSION) {
+    problems.push(`unsupported version ${manifest.version} (expected ${MANIFEST_VERSION})`);
+  }
+  if (!manifest.token || !Number.isInteger(manifest.token.decimals)) {
+    problems.push('token.decimals must be an integer');
+  }
+  if (!manifest.token || typeof manifest.token.totalSupply !== 'string') {
+    problems.push('token.totalSupply must be a decimal string');
+  }
+  if (!Array.isArray(manifest.categories) || manifest.categories.length === 0) {
+    problems.push('categories must be a non-empty array');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid allocation manifest:\n- ${problems.join('\n- ')}`);
+  }
+
+  const { decimals, totalSupply } = manifest.token;
+  const supply = ethers.parseUnits(totalSupply, decimals);
+  const seen = new Set();
+  let totalPercentage = 0;
+
+  for (const category of manifest.categories) {
+    const label = `category "${category.id}"`;
+
+    if (!category.id || seen.has(category.id)) {
+      problems.push(`${label}: id must be present and unique`);
+    }
+    seen.add(category.id);
+
+    if (!ALLOCATION_TYPES.includes(category.allocationType)) {
+      problems.push(`${label}: unknown allocationType ${category.allocationType}`);
+    }
+    if (!Number.isInteger(category.percentage) || category.percentage < 0) {
+      problems.push(`${label}: percentage must be a non-negative integer`);
+    } else {
+      totalPercentage += category.percentage;
+    }
+
+    if (category.schedule) {
+      try {
+        const cliff = parseDuration(category.schedule.cliff);
+        const duration = parseDuration(category.schedule.duration);
+        const slicePeriod = parseDuration(category.schedule.slicePeriod);
+
+        if (duration === 0) problems.push(`${label}: duration must be positive`);
+        if (slicePeriod === 0) problems.push(`${label}: slicePeriod must be positive`);
+        if (duration < cliff) problems.push(`${label}: duration must not be shorter than cliff`);
+      } catch (error) {
+        problems.push(`${label}: ${error.message}`);
+      }
+      if (typeof category.schedule.revocable !== 'boolean') {
+        problems.push(`${label}: schedule.revocable must be a boolean`);
+      }
+    }
+
+    if (!Array.isArray(category.beneficiaries)) {
+      problems.push(`${label}: beneficiaries must be an array`);
+      continue;
+    }
+
+    let categoryTotal = 0n;
+    category.beneficiaries.forEach((beneficiary, index) => {
+      const where = `${label} beneficiary #${index}`;
+      const { address } = beneficiary;
+
+      if (typeof address === 'string') {
+        if (address !== 'deployer' && !ethers.isAddress(address)) {
+          problems.push(`${where}: invalid address ${address}`);
+        }
+      } else if (!address || typeof address.env !== 'string') {
+        problems.push(`${where}: address must be a string or an { env, default } object`);
+      } else if (
+        address.default !== undefined &&
+        address.default !== 'deployer' &&
+        !ethers.isAddress(address.default)
+      ) {
+        problems.push(`${where}: invalid default address ${address.default}`);
+      }
+
+      for (const field of ['immediateAmount', 'amount']) {
+        if (beneficiary[field] === undefined) continue;
+        try {
+          categoryTotal += ethers.parseUnits(beneficiary[field], decimals);
+        } catch (error) {
+          problems.push(`${where}: invalid ${field} ${JSON.stringify(beneficiary[field])}`);
+        }
+      }
+
+      if (beneficiary.amount !== undefined && !category.schedule) {
+        problems.push(`${where}: vested amount given but the category has no schedule`);
+      }
+    });
+
+    const categoryCap = (supply * BigInt(category.percentage || 0)) / 100n;
+    if (categoryTotal > categoryCap) {
+      problems.push(
+        `${label}: beneficiaries total ${ethers.formatUnits(categoryTotal, decimals)} ` +
+          `exceeds the ${category.percentage}% allocation of ${ethers.formatUnits(categoryCap, decimals)}`
+      );
+    }
+  }
+
+  if (totalPercentage !== 100) {
+    problems.push(`category percentages add up to ${totalPercentage}%, expected 100%`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid allocation manifest:\n- ${problems.join('\n- ')}`);
+  }
+}
+
+/**
+ * Loads and validates the allocation manifest for a network
+ * @param {string} network - Hardhat network name
+ * @param {string} [manifestPath] - Optional explicit manifest path
+ * @returns {Object} The validated manifest
+ * @throws {Error} If the file is missing, malformed or targets another network
+ */
+function loadManifest(network, manifestPath = getManifestPath(network)) {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Allocation manifest not found: ${manifestPath}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  validateManifest(manifest);
+
+  if (manifest.network !== network) {
+    throw new Error(
+      `Allocation manifest ${manifestPath} is for network ${manifest.network}, not ${network}`
+    );
+  }
+
+  return manifest;
+}
+
+/**
+ * Resolves a beneficiary address reference to a checksummed address
+ * @param {string|Object} address - Literal address, "deployer" or { env, default }
+ * @param {string} deployer - Deployer wallet address
+ * @param {Object} env - Environment variables to read { env } references from
+ * @returns {string} Checksummed address
+ * @throws {Error} If an environment variable is required but not set
+ */
+function resolveAddress(address, deployer, env) {
+  let value = address;
+
+  if (typeof address === 'object') {
+    value = env[address.env] || address.default;
+    if (!value) {
+      throw new Error(`Missing required environment variable: ${address.env}`);
+    }
+  }
+
+  if (value === 'deployer') {
+    value = deployer;
+  }
+  if (!ethers.isAddress(value)) {
+    throw new Error(`Invalid Ethereum address: ${value}`);
+  }
+
+  return ethers.getAddress(value);
+}
+
+/**
+ * Resolves a manifest into concrete schedule parameters
+ * @param {Object} manifest - Validated manifest
+ * @param {Object} options - Resolution options
+ * @param {string} options.deployer - Deployer wallet address
+ * @param {number} [options.now] - Unix timestamp used for "now" start times
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @returns {Array<Object>} Categories with BigInt amounts, second-based durations and addresses
+ */
+function resolveManifest(
+  manifest,
+  { deployer, now = Math.floor(Date.now() / 1000), env = process.env }
+) {
+  const { decimals } = manifest.token;
+
+  return manifest.categories.map(category => {
+    const schedule = category.schedule
+      ? {
+          startTime: parseStart(category.schedule.start ?? manifest.start, now),
+          cliffPeriod: parseDuration(category.schedule.cliff),
+          duration: parseDuration(category.schedule.duration),
+          slicePeriod: parseDuration(category.schedule.slicePeriod),
+          revocable: category.schedule.revocable,
+        }
+      : null;
+
+    const beneficiaries = category.beneficiaries.map(beneficiary => ({
+      address: resolveAddress(beneficiary.address, deployer, env),
+      immediateAmount: ethers.parseUnits(beneficiary.immediateAmount || '0', decimals),
+      amount: ethers.parseUnits(beneficiary.amount || '0', decimals),
+    }));
+
+    return {
+      id: category.id,
+      name: category.name,
+      allocationType: category.allocationType,
+      percentage: category.percentage,
+      decimals,
+      schedule,
+      beneficiaries,
+    };
+  });
+}
+
+/**
+ * Selects categories by id, preserving manifest order
+ * @param {Array<Object>} categories - Resolved or raw categories
+ * @param {Array<string>} [ids] - Category ids to keep; all categories when empty
+ * @returns {Array<Object>} The selected categories
+ * @throws {Error} If an id does not exist in the manifest
+ */
+function selectCategories(categories, ids) {
+  if (!ids || ids.length === 0) {
+    return categories;
+  }
+
+  const unknown = ids.filter(id => !categories.some(category => category.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown allocation categories: ${unknown.join(', ')}`);
+  }
+
+  return categories.filter(category => ids.includes(category.id));
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  ALLOCATION_TYPES,
+  parseDuration,
+  parseStart,
+  getManifestPath,
+  validateManifest,
+  loadManifest,
+  resolveAddress,
+  resolveManifest,
+  selectCategories,
+};
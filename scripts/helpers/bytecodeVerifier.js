@@ -0,0 +1,619 @@
+/**
+ * RESKA Bytecode Verifier
+ * Checks that the deployed contracts run the code of the local sources, without an explorer
+ *
+ * The contracts recorded in the deployment registry are compared with the runtime bytecode from
+ * eth_getCode. On EVM networks the local build is Hardhat's own (the build info of
+ * `npx hardhat compile`, so no compiler is needed); on zkSync networks the contracts are
+ * recompiled with zksolc and the settings of hardhat.config.js, as scripts/direct-compile.js does:
+ *
+ * - on EVM networks the immutables are masked out of the deployed code before comparing, then
+ *   each one is decoded and checked against the value the recorded constructor arguments imply
+ *   (e.g. ReskaTokenVesting._token must be the token it was deployed for)
+ * - zkSync keeps immutables outside the bytecode, so the code must match as is and the
+ *   immutables are read through the contract's getters
+ *
+ * A difference confined to the trailing CBOR metadata (comments, source paths or settings that
+ * leave the code unchanged) is only a warning. Proxies are verified through their
+ * implementation.
+ *
+ * @module bytecodeVerifier
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ethers } = require('ethers');
+const {
+  TASK_COMPILE,
+  TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+} = require('hardhat/builtin-tasks/task-names');
+const { CONTRACTS } = require('./deploymentRegistry');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Contracts verified when none are named
+const VERIFIED_CONTRACTS = [CONTRACTS.token, CONTRACTS.vesting, CONTRACTS.timelock];
+
+// ReskaToken's ERC20 and EIP-712 name (see its constructor)
+const TOKEN_NAME = 'RESEARKA';
+
+/**
+ * Encodes a string of up to 31 bytes as an OpenZeppelin ShortString
+ * @param {string} value - String
+ * @returns {string} bytes32 hex with the string left-aligned and its length in the last byte
+ */
+function toShortString(value) {
+  const bytes = ethers.toUtf8Bytes(value);
+  const word = ethers.getBytes(ethers.zeroPadBytes(bytes, 32));
+  word[31] = bytes.length;
+  return ethers.hexlify(word);
+}
+
+// Values the immutables must hold, from { address, chainId, args } of the deployment
+const EXPECTED_IMMUTABLES = {
+  [CONTRACTS.token]: {
+    _cachedThis: ({ address }) => address,
+    _cachedChainId: ({ chainId }) => chainId,
+    _hashedName: () => ethers.id(TOKEN_NAME),
+    _hashedVersion: () => ethers.id('1'),
+    _name: () => toShortString(TOKEN_NAME),
+    _version: () => toShortString('1'),
+    _cachedDomainSeparator: ({ address, chainId }) =>
+      ethers.TypedDataEncoder.hashDomain({
+        name: TOKEN_NAME,
+        version: '1',
+        chainId,
+        verifyingContract: address,
+      }),
+  },
+  [CONTRACTS.vesting]: {
+    _token: ({ args }) => args?.[0],
+  },
+};
+
+// Getters exposing the immutables on zkSync, where they are not part of the bytecode
+const IMMUTABLE_GETTERS = {
+  [CONTRACTS.token]: {
+    _cachedDomainSeparator: 'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  },
+  [CONTRACTS.vesting]: {
+    _token: 'function getToken() view returns (address)',
+  },
+};
+
+/**
+ * Reads a source file by its source name: packages from node_modules, the rest from the
+ * repository root
+ * @param {string} sourceName - e.g. contracts/ReskaToken.sol or @openzeppelin/contracts/...
+ * @returns {string} File contents
+ * @throws {Error} If the file does not exist
+ */
+function readSource(sourceName) {
+  const filePath = sourceName.startsWith('@')
+    ? path.join(ROOT_DIR, 'node_modules', sourceName)
+    : path.join(ROOT_DIR, sourceName);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Source not found: ${sourceName}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Collects a set of source files and everything they import, keyed by source name as Hardhat
+ * does, so the metadata hash matches a Hardhat build
+ * @param {Array<string>} sourceNames - Entry source names
+ * @returns {Object} Standard JSON sources: { [sourceName]: { content } }
+ */
+function collectSources(sourceNames) {
+  const sources = {};
+  const pending = [...sourceNames];
+
+  while (pending.length > 0) {
+    const sourceName = pending.pop();
+    if (sources[sourceName]) continue;
+
+    const content = readSource(sourceName);
+    sources[sourceName] = { content };
+    for (const [, imported] of content.matchAll(
+      /^\s*import\s+(?:[^'"]*?\s+from\s+)?["']([^"']+)["']/gm
+    )) {
+      pending.push(
+        imported.startsWith('.')
+          ? path.posix.normalize(path.posix.join(path.posix.dirname(sourceName), imported))
+          : imported
+      );
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Finds the source name of a contract; each RESKA contract lives in a file of its own name
+ * @param {string} contractName - Contract name
+ * @returns {string} e.g. contracts/upgradeable/ReskaTokenUpgradeable.sol
+ * @throws {Error} If no file under contracts/ has the contract's name
+ */
+function findSourceName(contractName) {
+  const search = dir => {
+    for (const entry of fs.readdirSync(path.join(ROOT_DIR, dir), { withFileTypes: true })) {
+      const sourceName = `${dir}/${entry.name}`;
+      if (entry.isDirectory()) {
+        const found = search(sourceName);
+        if (found) return found;
+      } else if (entry.name === `${contractName}.sol`) {
+        return sourceName;
+      }
+    }
+    return null;
+  };
+
+  const sourceName = search('contracts');
+  if (!sourceName) {
+    throw new Error(`No source file for ${contractName} under contracts/`);
+  }
+  return sourceName;
+}
+
+/**
+ * Finds the declaration of every immutable in the compiler's ASTs
+ * @param {Object} outputSources - sources of the standard JSON output
+ * @returns {Object} { [astId]: { name, type } }
+ */
+function indexImmutables(outputSources) {
+  const immutables = {};
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    if (node.nodeType === 'VariableDeclaration' && node.mutability === 'immutable') {
+      immutables[node.id] = { name: node.name, type: node.typeDescriptions?.typeString };
+    }
+    Object.values(node).forEach(visit);
+  };
+
+  for (const { ast } of Object.values(outputSources || {})) {
+    visit(ast);
+  }
+  return immutables;
+}
+
+/**
+ * Resolves the solc build Hardhat uses for a version, downloading it if needed. SOLC_PATH
+ * points at a native binary instead. Only zksolc needs it.
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {string} version - Compiler version
+ * @returns {Promise<Object>} { compilerPath, isSolcJs, version, longVersion }
+ */
+async function getSolcBuild(hre, version) {
+  if (process.env.SOLC_PATH) {
+    return { compilerPath: process.env.SOLC_PATH, isSolcJs: false, version, longVersion: version };
+  }
+  return hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, { quiet: true, solcVersion: version });
+}
+
+/**
+ * Runs a zksolc standard JSON compilation and fails on compiler errors
+ * @param {Object} input - Standard JSON input
+ * @param {Object} options - Options
+ * @param {Object} options.solc - solc build from getSolcBuild
+ * @param {string} options.zksolc - zksolc binary
+ * @returns {Object} Standard JSON output
+ * @throws {Error} Listing the compiler errors
+ */
+function runZksolc(input, { solc, zksolc }) {
+  if (solc.isSolcJs) {
+    throw new Error('zksolc needs a native solc binary; set SOLC_PATH');
+  }
+  const output = JSON.parse(
+    execFileSync(zksolc, ['--standard-json', '--solc', solc.compilerPath], {
+      input: JSON.stringify(input),
+      maxBuffer: 512 * 1024 * 1024,
+    }).toString()
+  );
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(
+      `Compilation failed:\n${errors.map(error => error.formattedMessage || error.message).join('\n')}`
+    );
+  }
+  return output;
+}
+
+/**
+ * Picks a contract's runtime bytecode and immutables out of a standard JSON output
+ * @param {Object} output - Standard JSON output
+ * @param {string} sourceName - Source name of the contract
+ * @param {string} name - Contract name
+ * @param {boolean} zksync - Whether the output is zksolc's
+ * @returns {Object} { sourceName, bytecode, immutableReferences, immutables }
+ * @throws {Error} If the output does not have the contract
+ */
+function readContractBuild(output, sourceName, name, zksync) {
+  const evm = output.contracts?.[sourceName]?.[name]?.evm;
+  if (!evm) {
+    throw new Error(`The compiler output has no ${sourceName}:${name}`);
+  }
+  // zkSync deploys the bytecode itself; there is no separate runtime code
+  const deployed = zksync ? evm.bytecode : evm.deployedBytecode;
+  const immutableReferences = deployed.immutableReferences || {};
+  const immutables = indexImmutables(output.sources);
+  return {
+    sourceName,
+    bytecode: ethers.hexlify(`0x${deployed.object.replace(/^0x/, '')}`),
+    immutableReferences,
+    immutables: Object.fromEntries(
+      Object.keys(immutableReferences).map(id => [id, immutables[id]])
+    ),
+  };
+}
+
+/**
+ * Reads the EVM build of contracts from Hardhat's build info, compiling first if the artifacts
+ * are out of date (a no-op, and no compiler download, when they are current)
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} sourceNames - { [contractName]: sourceName }
+ * @returns {Promise<Object>} Same shape as compileContracts
+ * @throws {Error} If a contract has no build info
+ */
+async function readBuildInfo(hre, sourceNames) {
+  await hre.run(TASK_COMPILE, { quiet: true });
+
+  const versions = new Set();
+  const contracts = {};
+  for (const [name, sourceName] of Object.entries(sourceNames)) {
+    const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${name}`);
+    if (!buildInfo) {
+      throw new Error(`No build info for ${sourceName}:${name}; run npx hardhat compile`);
+    }
+    versions.add(buildInfo.solcLongVersion);
+    contracts[name] = readContractBuild(buildInfo.output, sourceName, name, false);
+  }
+
+  return { compiler: [...versions].map(version => `solc ${version}`).join(', '), contracts };
+}
+
+/**
+ * Builds contracts from the local sources with the settings of hardhat.config.js: Hardhat's
+ * build info on EVM networks, a zksolc compilation on zkSync
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Array<string>} contractNames - Contracts to build
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.zksync] - Compile with zksolc (ZKSOLC_PATH or zksolc.settings.compilerPath)
+ * @returns {Promise<Object>} { compiler, contracts: { [name]: { bytecode, immutableReferences,
+ *   immutables } } } with runtime bytecode; immutableReferences is empty for zkSync
+ * @throws {Error} If the compiler is missing or the sources do not compile
+ */
+async function compileContracts(hre, contractNames, { zksync = false } = {}) {
+  const sourceNames = Object.fromEntries(contractNames.map(name => [name, findSourceName(name)]));
+  if (!zksync) {
+    return readBuildInfo(hre, sourceNames);
+  }
+
+  const { version } = hre.config.solidity.compilers[0];
+  const { compilerPath, experimental, ...settings } = hre.config.zksolc?.settings || {};
+  const zksolc = process.env.ZKSOLC_PATH || compilerPath;
+  if (!zksolc) {
+    throw new Error(
+      `Set ZKSOLC_PATH to the zksolc ${hre.config.zksolc?.version || ''} binary`.trim()
+    );
+  }
+
+  const input = {
+    language: 'Solidity',
+    sources: collectSources([...new Set(Object.values(sourceNames))]),
+    settings: {
+      ...settings,
+      outputSelection: {
+        '*': {
+          '': ['ast'],
+          '*': ['evm.bytecode.object', 'evm.deployedBytecode'],
+        },
+      },
+    },
+  };
+  const solc = await getSolcBuild(hre, version);
+  const output = runZksolc(input, { solc, zksolc });
+
+  const contracts = {};
+  for (const [name, sourceName] of Object.entries(sourceNames)) {
+    contracts[name] = readContractBuild(output, sourceName, name, true);
+  }
+  return {
+    compiler: `zksolc ${hre.config.zksolc?.version} with solc ${solc.longVersion}`,
+    contracts,
+  };
+}
+
+/**
+ * Splits the CBOR metadata solc appends to the runtime code
+ * @param {string} code - Runtime bytecode hex
+ * @returns {Object} { code, metadata } with metadata null when the code has none
+ */
+function splitMetadata(code) {
+  const bytes = ethers.getBytes(code);
+  const length = bytes.length >= 2 ? (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1] : 0;
+  if (length === 0 || length + 2 > bytes.length) {
+    return { code, metadata: null };
+  }
+  const split = bytes.length - length - 2;
+  return {
+    code: ethers.hexlify(bytes.slice(0, split)),
+    metadata: ethers.hexlify(bytes.slice(split)),
+  };
+}
+
+/**
+ * Encodes a value as the 32-byte word an immutable stores
+ * @param {bigint|number|string} value - Number, address or bytes32 hex
+ * @returns {string} Lowercase bytes32 hex
+ */
+function toWord(value) {
+  if (typeof value === 'bigint' || typeof value === 'number') {
+    return ethers.toBeHex(value, 32);
+  }
+  return ethers.zeroPadValue(value, 32).toLowerCase();
+}
+
+/**
+ * Formats an immutable's word for the report according to its type
+ * @param {string} word - bytes32 hex
+ * @param {string} [type] - Solidity type string
+ * @returns {string} Checksummed address, decimal number or hex
+ */
+function formatWord(word, type = '') {
+  if (/^(address|contract )/.test(type)) {
+    return ethers.getAddress(ethers.dataSlice(word, 12));
+  }
+  if (/^u?int\d*$/.test(type)) {
+    return ethers.toBigInt(word).toString();
+  }
+  return word;
+}
+
+/**
+ * Reads the immutables of EVM runtime code and zeroes them, as in the compiler output
+ * @param {string} code - Deployed runtime bytecode hex
+ * @param {Object} build - Contract build from compileContracts
+ * @returns {Object} { masked, values: { [name]: { word, type, consistent } } }
+ */
+function extractImmutables(code, build) {
+  const bytes = ethers.getBytes(code);
+  const values = {};
+
+  for (const [id, references] of Object.entries(build.immutableReferences)) {
+    const { name, type } = build.immutables[id] || { name: `immutable #${id}` };
+    const words = references.map(({ start, length }) => {
+      const word = ethers.hexlify(bytes.slice(start, start + length));
+      bytes.fill(0, start, start + length);
+      return word;
+    });
+    values[name] = { word: words[0], type, consistent: words.every(word => word === words[0]) };
+  }
+
+  return { masked: ethers.hexlify(bytes), values };
+}
+
+/**
+ * Compares deployed code with the local build
+ * @param {string} deployed - Code from eth_getCode, immutables masked
+ * @param {string} local - Code from the local build
+ * @returns {string} match, metadata (only the CBOR metadata differs) or mismatch
+ */
+function compareCode(deployed, local) {
+  if (deployed.toLowerCase() === local.toLowerCase()) {
+    return 'match';
+  }
+  const a = splitMetadata(deployed);
+  const b = splitMetadata(local);
+  return a.metadata && b.metadata && a.code.toLowerCase() === b.code.toLowerCase()
+    ? 'metadata'
+    : 'mismatch';
+}
+
+/**
+ * Derives the constructor arguments of a recorded contract: constructorArgs when the deploy
+ * recorded them, otherwise from the fields the deploy scripts record
+ * @param {string} contractName - Contract name (see CONTRACTS)
+ * @param {Object} entry - Registry entry of the contract
+ * @param {Object} [contracts] - Addresses of the chain's contracts by name
+ * @returns {Array|null} Constructor arguments, or null if they cannot be derived
+ */
+function getConstructorArgs(contractName, entry, contracts = {}) {
+  if (Array.isArray(entry?.constructorArgs)) {
+    return entry.constructorArgs;
+  }
+
+  switch (contractName) {
+    case CONTRACTS.token:
+      return entry?.allocationAddresses ? Object.values(entry.allocationAddresses) : null;
+    case CONTRACTS.vesting: {
+      // Older records omit the token; the chain's current token is the one it was deployed for
+      const token = entry?.token || contracts[CONTRACTS.token];
+      return token ? [token] : null;
+    }
+    case CONTRACTS.timelock:
+      return entry?.minDelay !== undefined && entry.proposers && entry.executors
+        ? [entry.minDelay, entry.proposers, entry.executors, entry.admin || ethers.ZeroAddress]
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks the immutables of a contract against the values its deployment implies
+ * @param {string} contractName - Contract name
+ * @param {Object} values - { [name]: { word, type, consistent } } read from the contract
+ * @param {Object} deployment - { address, chainId, args }
+ * @returns {Object} { immutables, findings }
+ */
+function checkImmutables(contractName, values, deployment) {
+  const expectations = EXPECTED_IMMUTABLES[contractName] || {};
+  const immutables = [];
+  const findings = [];
+
+  for (const [name, { word, type, consistent }] of Object.entries(values)) {
+    const value = formatWord(word, type);
+    const expect = expectations[name];
+    const expected = expect ? expect(deployment) : undefined;
+
+    if (consistent === false) {
+      findings.push({
+        severity: 'error',
+        message: `${name} holds different values across the code`,
+      });
+    }
+    if (expect && expected === undefined) {
+      findings.push({
+        severity: 'warning',
+        message: `${name} is ${value}, not checked: the constructor arguments are not recorded`,
+      });
+    } else if (expect && toWord(expected) !== word.toLowerCase()) {
+      findings.push({
+        severity: 'error',
+        message: `${name} is ${value}, expected ${formatWord(toWord(expected), type)}`,
+      });
+    }
+
+    immutables.push({
+      name,
+      value,
+      expected: expected === undefined ? null : formatWord(toWord(expected), type),
+      ok:
+        consistent !== false && (expected === undefined || toWord(expected) === word.toLowerCase()),
+    });
+  }
+
+  return { immutables, findings };
+}
+
+/**
+ * Verifies one deployed contract against its local build
+ * @param {Object} provider - Provider of the network
+ * @param {Object} target - { contract, address, args, chainId, zksync }
+ * @param {Object} build - Contract build from compileContracts
+ * @returns {Promise<Object>} { contract, address, status, ok, immutables, findings }
+ */
+async function verifyContract(provider, { contract, address, args, chainId, zksync }, build) {
+  const result = { contract, address, status: 'mismatch', immutables: [], findings: [] };
+  const code = await provider.getCode(address);
+  if (!code || code === '0x') {
+    result.status = 'missing';
+    result.findings.push({ severity: 'error', message: `No code at ${address}` });
+    result.ok = false;
+    return result;
+  }
+
+  let values = {};
+  if (zksync) {
+    result.status = compareCode(code, build.bytecode);
+    for (const [name, signature] of Object.entries(IMMUTABLE_GETTERS[contract] || {})) {
+      const getter = ethers.FunctionFragment.from(signature);
+      const value = await new ethers.Contract(address, [getter], provider)[getter.name]();
+      values[name] = { word: toWord(value), type: getter.outputs[0].type };
+    }
+  } else {
+    const extracted = extractImmutables(code, build);
+    result.status = compareCode(extracted.masked, build.bytecode);
+    values = extracted.values;
+  }
+
+  if (result.status === 'mismatch') {
+    result.findings.push({
+      severity: 'error',
+      message: `The deployed code differs from the local build of ${build.sourceName}`,
+    });
+  } else if (result.status === 'metadata') {
+    result.findings.push({
+      severity: 'warning',
+      message:
+        'Only the metadata differs: the code is identical but the sources (comments, paths) ' +
+        'or compiler settings changed',
+    });
+  }
+
+  const checked = checkImmutables(contract, values, { address, chainId, args });
+  result.immutables = checked.immutables;
+  result.findings.push(...checked.findings);
+  result.ok = result.findings.every(finding => finding.severity !== 'error');
+  return result;
+}
+
+/**
+ * Verifies the contracts a network's registry records against the local sources
+ * @param {Object} options - Options
+ * @param {Object} options.hre - Hardhat runtime environment (compiler and network settings)
+ * @param {string} options.network - Network name
+ * @param {Object} options.provider - Provider of the network
+ * @param {Object} options.registry - Registry handle from openRegistry
+ * @param {Array<string>} [options.contracts] - Contracts to verify (default: token, vesting and
+ *   timelock, those recorded)
+ * @param {Object} [options.build] - Result of compileContracts, to skip building again
+ * @returns {Promise<Object>} { network, chainId, compiler, ok, contracts }
+ * @throws {Error} If the registry has no deployment for the network or a named contract
+ */
+async function verifyDeployment({ hre, network, provider, registry, contracts, build }) {
+  const chain = registry.getChain(network);
+  if (!chain || Object.keys(chain.contracts).length === 0) {
+    throw new Error(`No deployment recorded for ${network} in ${registry.path}`);
+  }
+
+  const names = contracts || VERIFIED_CONTRACTS.filter(name => chain.contracts[name]);
+  const addresses = registry.getContracts(network);
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const zksync = hre.config.networks[network]?.zksync === true;
+
+  const targets = names.map(name => {
+    const entry = chain.contracts[name];
+    if (!entry) {
+      throw new Error(`${name} is not recorded for ${network}`);
+    }
+    // Proxies are verified through the implementation they point at
+    return entry.implementation
+      ? { contract: entry.implementationContract, address: entry.implementation, args: [] }
+      : {
+          contract: name,
+          address: entry.address,
+          args: getConstructorArgs(name, entry, addresses),
+        };
+  });
+
+  const compiled =
+    build ||
+    (await compileContracts(hre, [...new Set(targets.map(target => target.contract))], { zksync }));
+
+  const results = [];
+  for (const target of targets) {
+    results.push(
+      await verifyContract(
+        provider,
+        { ...target, chainId, zksync },
+        compiled.contracts[target.contract]
+      )
+    );
+  }
+
+  return {
+    network,
+    chainId,
+    compiler: compiled.compiler,
+    ok: results.every(result => result.ok),
+    contracts: results,
+  };
+}
+
+module.exports = {
+  VERIFIED_CONTRACTS,
+  collectSources,
+  compileContracts,
+  splitMetadata,
+  getConstructorArgs,
+  verifyContract,
+  verifyDeployment,
+};
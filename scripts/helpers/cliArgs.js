@@ -0,0 +1,29 @@
+/**
+ * RESKA Command Line Arguments
+ * Reads options from the arguments of the scripts and reska commands
+ *
+ * @module cliArgs
+ * @author RESKA Team
+ */
+
+/**
+ * Reads the value of a --flag=value or --flag value command line option
+ *
+ * Inline values are taken whole, so values containing "=" (RPC URLs with query parameters,
+ * base64 data) are kept intact.
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - Option name including the leading dashes
+ * @returns {string|undefined} The option value
+ */
+function getArg(args, flag) {
+  const inline = args.find(arg => arg.startsWith(`${flag}=`));
+  if (inline) {
+    return inline.slice(flag.length + 1);
+  }
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+module.exports = {
+  getArg,
+};
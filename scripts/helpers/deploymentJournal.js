@@ -0,0 +1,188 @@
+/**
+ * RESKA Deployment Journal
+ * Persists the progress of a multi-step deployment so it can be resumed after a failure
+ *
+ * The journal is a JSON file holding two kinds of entries:
+ * - steps: one per deploy-all step (status, timestamps and the step result)
+ * - actions: one per on-chain action inside a step (transfer or vesting schedule),
+ *   recorded as "pending" with its tx hash before waiting and "completed" afterwards
+ *
+ * Every mutation re-reads the file and writes it back atomically, so the parent
+ * orchestrator and the child scripts it spawns can share one journal.
+ *
+ * @module deploymentJournal
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_ENV = 'RESKA_DEPLOY_JOURNAL';
+const STEP_ENV = 'RESKA_DEPLOY_STEP';
+
+/**
+ * Returns the default journal path for a network
+ * @param {string} network - Hardhat network name
+ * @returns {string} Absolute path to deployments/journal-<network>.json
+ */
+function getJournalPath(network) {
+  return path.join(__dirname, '..', '..', 'deployments', `journal-${network}.json`);
+}
+
+/**
+ * Writes JSON to a file atomically (temporary file + rename)
+ * @param {string} filePath - Destination path
+ * @param {Object} data - Data to serialize
+ */
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Opens (or creates) a deployment journal
+ * @param {string} filePath - Journal file path
+ * @param {Object} [options] - Options used when the journal is created
+ * @param {string} [options.network] - Network the journal belongs to
+ * @param {number} [options.startTime] - Unix timestamp pinned as "now" for vesting start times
+ * @returns {Object} Journal handle
+ * @throws {Error} If the existing journal belongs to another network
+ */
+function openJournal(filePath, { network, startTime = Math.floor(Date.now() / 1000) } = {}) {
+  const read = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const update = mutate => {
+    const data = read();
+    mutate(data);
+    data.updatedAt = new Date().toISOString();
+    writeJsonAtomic(filePath, data);
+    return data;
+  };
+
+  if (!fs.existsSync(filePath)) {
+    const now = new Date().toISOString();
+    writeJsonAtomic(filePath, {
+      version: JOURNAL_VERSION,
+      network,
+      startTime,
+      createdAt: now,
+      updatedAt: now,
+      steps: {},
+      actions: {},
+    });
+  }
+
+  const initial = read();
+  if (initial.version !== JOURNAL_VERSION) {
+    throw new Error(`Unsupported journal version ${initial.version} in ${filePath}`);
+  }
+  if (network && initial.network && initial.network !== network) {
+    throw new Error(`Journal ${filePath} belongs to network ${initial.network}, not ${network}`);
+  }
+
+  return {
+    path: filePath,
+    network: initial.network,
+    // Start time pinned on the first run so resumed runs create identical schedules
+    startTime: initial.startTime,
+
+    getStep(stepId) {
+      return read().steps[stepId];
+    },
+
+    isStepCompleted(stepId) {
+      return read().steps[stepId]?.status === 'completed';
+    },
+
+    startStep(stepId) {
+      update(data => {
+        const previous = data.steps[stepId] || {};
+        data.steps[stepId] = {
+          ...previous,
+          status: 'started',
+          attempts: (previous.attempts || 0) + 1,
+          startedAt: new Date().toISOString(),
+          error: undefined,
+        };
+      });
+    },
+
+    completeStep(stepId, result) {
+      update(data => {
+        const step = data.steps[stepId] || {};
+        data.steps[stepId] = {
+          ...step,
+          status: 'completed',
+          completedAt: new Date().toISOString(),
+          result: { ...step.result, ...result },
+        };
+      });
+    },
+
+    failStep(stepId, error) {
+      update(data => {
+        data.steps[stepId] = {
+          ...data.steps[stepId],
+          status: 'failed',
+          failedAt: new Date().toISOString(),
+          error: error.message,
+        };
+      });
+    },
+
+    recordStepResult(stepId, result) {
+      update(data => {
+        const step = data.steps[stepId] || { status: 'started' };
+        data.steps[stepId] = { ...step, result: { ...step.result, ...result } };
+      });
+    },
+
+    getAction(key) {
+      return read().actions[key];
+    },
+
+    recordAction(key, fields) {
+      update(data => {
+        data.actions[key] = {
+          ...data.actions[key],
+          ...fields,
+          updatedAt: new Date().toISOString(),
+        };
+      });
+    },
+
+    clearAction(key) {
+      update(data => {
+        delete data.actions[key];
+      });
+    },
+  };
+}
+
+/**
+ * Opens the journal handed down by deploy-all through the environment, if any
+ * @param {string} network - Network the calling script runs against
+ * @returns {Object|null} Journal handle with the current step id, or null outside deploy-all
+ */
+function openJournalFromEnv(network) {
+  const filePath = process.env[JOURNAL_ENV];
+  if (!filePath) {
+    return null;
+  }
+
+  const journal = openJournal(filePath, { network });
+  journal.stepId = process.env[STEP_ENV];
+  return journal;
+}
+
+module.exports = {
+  JOURNAL_ENV,
+  STEP_ENV,
+  getJournalPath,
+  writeJsonAtomic,
+  openJournal,
+  openJournalFromEnv,
+};
@@ -0,0 +1,417 @@
+/**
+ * RESKA Deployment Registry
+ * Single store for every deployed contract address, keyed by chain id
+ *
+ * The registry lives in deployments/registry.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "updatedAt": "<ISO date>",
+ *     "chains": {
+ *       "<chainId>": {
+ *         "network": "zkSyncTestnet",
+ *         "contracts": { "ReskaToken": { "address", "deployer", "deployedAt", ... } },
+ *         "vesting": { "<category>": { ... } },
+ *         "allocations": { "<category>": { ... } },
+ *         "deploymentDate": "<ISO date>" | null,
+ *         "history": [{ "contract", "address", "deployedAt", "replacedAt", ... }]
+ *       }
+ *     }
+ *   }
+ *
+ * Redeploying a contract moves the previous entry to the chain history. Writes re-read
+ * the file and replace it atomically. migrateLegacyStores imports deployments.json,
+ * .deployment-addresses.json and the per-network files under deployments/.
+ *
+ * @module deploymentRegistry
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { writeJsonAtomic } = require('./deploymentJournal');
+
+const REGISTRY_VERSION = 1;
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Contract names used as registry keys
+const CONTRACTS = {
+  token: 'ReskaToken',
+  vesting: 'ReskaTokenVesting',
+  timelock: 'ReskaTimelock',
+  distributor: 'ReskaMerkleDistributor',
+  governor: 'ReskaGovernor',
+  proxyAdmin: 'ProxyAdmin',
+};
+
+// Chain ids of the networks in hardhat.config.js
+const CHAIN_IDS = {
+  hardhat: 31337,
+  localhost: 31337,
+  zkSyncTestnetLocal: 260,
+  zkSyncTestnet: 300,
+  zkSyncMainnet: 324,
+  sepolia: 11155111,
+};
+
+// Keys the legacy stores used for each contract
+const LEGACY_CONTRACT_KEYS = {
+  token: CONTRACTS.token,
+  ReskaToken: CONTRACTS.token,
+  vesting: CONTRACTS.vesting,
+  ReskaVesting: CONTRACTS.vesting,
+  ReskaTokenVesting: CONTRACTS.vesting,
+  timelock: CONTRACTS.timelock,
+  ReskaTimelock: CONTRACTS.timelock,
+};
+
+/**
+ * Returns the default registry path
+ * @returns {string} Absolute path to deployments/registry.json
+ */
+function getRegistryPath() {
+  return path.join(ROOT_DIR, 'deployments', 'registry.json');
+}
+
+/**
+ * Resolves a network name or chain id to a chain id
+ * @param {string|number} network - Hardhat network name or chain id
+ * @returns {number} Chain id
+ * @throws {Error} If the network is unknown
+ */
+function resolveChainId(network) {
+  if (Number.isSafeInteger(network) && network > 0) {
+    return network;
+  }
+  if (typeof network === 'string' && /^\d+$/.test(network)) {
+    return Number(network);
+  }
+  if (CHAIN_IDS[network] === undefined) {
+    throw new Error(
+      `Unknown network: ${network}. Known networks: ${Object.keys(CHAIN_IDS).join(', ')}`
+    );
+  }
+  return CHAIN_IDS[network];
+}
+
+/**
+ * Validates the structure of registry data
+ * @param {Object} data - Parsed registry JSON
+ * @throws {Error} Listing every problem found
+ */
+function validateRegistry(data) {
+  const problems = [];
+
+  if (!data || data.version !== REGISTRY_VERSION) {
+    problems.push(`unsupported version ${data?.version} (expected ${REGISTRY_VERSION})`);
+  }
+  if (!data || typeof data.chains !== 'object' || data.chains === null) {
+    problems.push('chains must be an object');
+  }
+
+  for (const [chainId, chain] of Object.entries(data?.chains || {})) {
+    const label = `chain ${chainId}`;
+
+    if (!/^\d+$/.test(chainId)) {
+      problems.push(`${label}: key must be a numeric chain id`);
+    }
+    for (const [name, contract] of Object.entries(chain.contracts || {})) {
+      if (!ethers.isAddress(contract?.address)) {
+        problems.push(`${label}: ${name} has an invalid address ${contract?.address}`);
+      }
+    }
+    if (!Array.isArray(chain.history)) {
+      problems.push(`${label}: history must be an array`);
+    } else {
+      chain.history.forEach((entry, index) => {
+        if (!entry.contract || !ethers.isAddress(entry.address)) {
+          problems.push(`${label}: history entry #${index} needs a contract and a valid address`);
+        }
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid deployment registry:\n- ${problems.join('\n- ')}`);
+  }
+}
+
+/**
+ * Creates an empty chain entry
+ * @param {string} [network] - Network name
+ * @returns {Object} Chain entry
+ */
+function emptyChain(network) {
+  return {
+    network: network || null,
+    contracts: {},
+    vesting: {},
+    allocations: {},
+    deploymentDate: null,
+    history: [],
+  };
+}
+
+/**
+ * Opens the deployment registry. The file is only created on the first write.
+ * @param {string} [filePath] - Registry path (defaults to deployments/registry.json)
+ * @returns {Object} Registry handle
+ * @throws {Error} If the existing file does not match the schema
+ */
+function openRegistry(filePath = getRegistryPath()) {
+  const read = () => {
+    if (!fs.existsSync(filePath)) {
+      return { version: REGISTRY_VERSION, updatedAt: null, chains: {} };
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    validateRegistry(data);
+    return data;
+  };
+
+  const update = (network, mutate) => {
+    const data = read();
+    const chainId = String(resolveChainId(network));
+    const chain = data.chains[chainId] || emptyChain();
+
+    if (typeof network === 'string' && !/^\d+$/.test(network)) {
+      chain.network = network;
+    }
+    mutate(chain);
+    data.chains[chainId] = chain;
+    data.updatedAt = new Date().toISOString();
+
+    validateRegistry(data);
+    writeJsonAtomic(filePath, data);
+    return chain;
+  };
+
+  const getChain = network => read().chains[String(resolveChainId(network))] || null;
+
+  // Validate an existing file up front rather than on the first use
+  read();
+
+  return {
+    path: filePath,
+
+    getChain,
+
+    getContract(network, name) {
+      return getChain(network)?.contracts[name]?.address || null;
+    },
+
+    getContracts(network) {
+      const contracts = getChain(network)?.contracts || {};
+      return Object.fromEntries(
+        Object.entries(contracts).map(([name, contract]) => [name, contract.address])
+      );
+    },
+
+    getHistory(network, name) {
+      const history = getChain(network)?.history || [];
+      return name ? history.filter(entry => entry.contract === name) : history;
+    },
+
+    list() {
+      return Object.entries(read().chains).map(([chainId, chain]) => ({
+        chainId: Number(chainId),
+        ...chain,
+      }));
+    },
+
+    /**
+     * Records a deployed contract; a previous deployment under the same name goes to history
+     * @param {string|number} network - Network name or chain id
+     * @param {string} name - Contract name (see CONTRACTS)
+     * @param {Object} info - Contract details; address is required
+     */
+    recordContract(network, name, info) {
+      if (!ethers.isAddress(info?.address)) {
+        throw new Error(`Invalid ${name} address: ${info?.address}`);
+      }
+
+      const entry = {
+        ...info,
+        address: ethers.getAddress(info.address),
+        deployedAt: info.deployedAt || new Date().toISOString(),
+      };
+
+      return update(network, chain => {
+        const current = chain.contracts[name];
+        const archive = (previous, replacedAt) =>
+          chain.history.push({ contract: name, ...previous, replacedAt });
+
+        if (!current) {
+          chain.contracts[name] = entry;
+        } else if (current.address === entry.address) {
+          chain.contracts[name] = { ...current, ...entry, deployedAt: current.deployedAt };
+        } else if (current.deployedAt > entry.deployedAt) {
+          // An older deployment imported after a newer one only belongs in the history
+          if (!chain.history.some(h => h.contract === name && h.address === entry.address)) {
+            archive(entry, current.deployedAt);
+          }
+        } else {
+          archive(current, entry.deployedAt);
+          chain.contracts[name] = entry;
+        }
+      });
+    },
+
+    /**
+     * Records the result of deploying a vesting or allocation category
+     * @param {string|number} network - Network name or chain id
+     * @param {string} section - "vesting" or "allocations"
+     * @param {string} category - Category id
+     * @param {Object} data - Category details
+     */
+    recordCategory(network, section, category, data) {
+      if (!['vesting', 'allocations'].includes(section)) {
+        throw new Error(`Unknown registry section: ${section}`);
+      }
+      return update(network, chain => {
+        chain[section][category] = {
+          ...data,
+          timestamp: data.timestamp || new Date().toISOString(),
+        };
+      });
+    },
+
+    setDeploymentDate(network, date = new Date().toISOString()) {
+      return update(network, chain => {
+        chain.deploymentDate = date;
+      });
+    },
+  };
+}
+
+/**
+ * Imports the contracts found in a legacy record
+ * @param {Object} registry - Registry handle
+ * @param {string} network - Network the record belongs to
+ * @param {Object} record - Legacy record with token/vesting/timelock-like keys
+ * @param {Object} details - Extra fields stored with every contract (deployer, deployedAt, source)
+ * @returns {number} Number of contracts imported
+ */
+function importLegacyContracts(registry, network, record, details) {
+  let imported = 0;
+
+  for (const [key, name] of Object.entries(LEGACY_CONTRACT_KEYS)) {
+    // Older deployments.json files store the vesting contract as { address, <category>... }
+    const value = typeof record[key] === 'object' ? record[key]?.address : record[key];
+    if (ethers.isAddress(value)) {
+      registry.recordContract(network, name, { address: value, ...details });
+      imported++;
+    }
+  }
+
+  return imported;
+}
+
+/**
+ * Imports the legacy address stores into the registry. Existing files are left untouched.
+ * @param {Object} registry - Registry handle from openRegistry
+ * @param {Object} [options] - Options
+ * @param {string} [options.root] - Repository root containing the legacy files
+ * @returns {Array<{file: string, contracts: number}>} Files imported and their contract counts
+ */
+function migrateLegacyStores(registry, { root = ROOT_DIR } = {}) {
+  const results = [];
+  const readJson = file => {
+    const filePath = path.join(root, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  };
+
+  // deployments.json: { testnet | mainnet: { token, vesting, timelock, allocations, deploymentDate } }
+  const deployments = readJson('deployments.json');
+  if (deployments) {
+    let contracts = 0;
+    for (const [key, network] of [
+      ['testnet', 'zkSyncTestnet'],
+      ['mainnet', 'zkSyncMainnet'],
+    ]) {
+      const entry = deployments[key];
+      if (!entry) continue;
+
+      const details = { source: 'deployments.json' };
+      if (entry.deploymentDate) details.deployedAt = entry.deploymentDate;
+      contracts += importLegacyContracts(registry, network, entry, details);
+
+      const vesting = typeof entry.vesting === 'object' && entry.vesting ? entry.vesting : {};
+      for (const [category, data] of Object.entries(vesting)) {
+        if (category !== 'address') registry.recordCategory(network, 'vesting', category, data);
+      }
+      for (const [category, data] of Object.entries(entry.allocations || {})) {
+        registry.recordCategory(network, 'allocations', category, data);
+      }
+      if (entry.deploymentDate) registry.setDeploymentDate(network, entry.deploymentDate);
+    }
+    results.push({ file: 'deployments.json', contracts });
+  }
+
+  // .deployment-addresses.json: { <network>: { token, vesting, timestamp } }
+  const addresses = readJson('.deployment-addresses.json');
+  if (addresses) {
+    let contracts = 0;
+    for (const [network, entry] of Object.entries(addresses)) {
+      contracts += importLegacyContracts(registry, network, entry, {
+        deployedAt: entry.timestamp,
+        source: '.deployment-addresses.json',
+      });
+    }
+    results.push({ file: '.deployment-addresses.json', contracts });
+  }
+
+  // Single-deployment files written by the local and per-network deploy scripts
+  const singleFiles = [
+    ['deployments/local.json', 'localhost'],
+    ['deployments/vesting-local.json', 'localhost'],
+    ['deployments/zksync-sepolia.json', 'zkSyncTestnet'],
+    ['deployments/zksync-vesting-sepolia.json', 'zkSyncTestnet'],
+    ['deployments/zksync-mainnet.json', 'zkSyncMainnet'],
+    ['deployments/vesting-mainnet.json', 'zkSyncMainnet'],
+  ];
+  for (const [file, defaultNetwork] of singleFiles) {
+    const entry = readJson(file);
+    if (!entry) continue;
+
+    const network = entry.network && CHAIN_IDS[entry.network] ? entry.network : defaultNetwork;
+    const details = { deployedAt: entry.timestamp, source: file };
+    if (entry.deployer) details.deployer = entry.deployer;
+
+    // deployments/local.json stores the token under "address"
+    const record = file === 'deployments/local.json' ? { token: entry.address } : entry;
+    const contracts = importLegacyContracts(registry, network, record, details);
+
+    if (entry.allocations) {
+      registry.recordContract(network, CONTRACTS.token, {
+        address: entry.ReskaToken,
+        allocationAddresses: entry.allocations,
+        ...details,
+      });
+    }
+    if (entry.scheduleId) {
+      const { scheduleId, beneficiary, cliffEnds, fullyVestedAt, timestamp } = entry;
+      registry.recordCategory(network, 'vesting', 'verification', {
+        scheduleId,
+        beneficiary,
+        cliffEnds,
+        fullyVestedAt,
+        timestamp,
+      });
+    }
+    results.push({ file, contracts });
+  }
+
+  return results;
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  CONTRACTS,
+  CHAIN_IDS,
+  getRegistryPath,
+  resolveChainId,
+  validateRegistry,
+  openRegistry,
+  migrateLegacyStores,
+};
@@ -0,0 +1,624 @@
+/**
+ * RESKA Deployment Signer
+ * Chooses who signs the transactions of the deployment scripts: a key wallet, or a Safe
+ * multisig whose transactions are queued for its owners to sign offline
+ *
+ * DEPLOY_SIGNER selects the mode:
+ * - key (default): the key of the script's role (PRIVATE_KEY or a keystore, see keyManagement)
+ *   signs and sends every transaction
+ * - safe: calls from SAFE_ADDRESS are appended to a Safe Transaction Builder JSON batch
+ *   (SAFE_BUNDLE, or a new file in deployments/safe-bundles/) instead of being sent. A Safe
+ *   cannot create contracts, so scripts that deploy any still need the deployer key for that.
+ *
+ * A queued transaction gets a reference (safe:<bundle>#<index>) in place of a hash, which the
+ * journals record like any other. Until the bundle runs the reference counts as pending, so a
+ * rerun stops instead of queueing the same call twice. Once the owners have executed the batch,
+ * ingesting the execution transaction (reska safe ingest) checks it against the bundle and
+ * resolves the references to its receipt, and rerunning the script continues the flow.
+ *
+ * @module deploymentSigner
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { writeJsonAtomic } = require('./deploymentJournal');
+const { getKeyVariable } = require('./keyManagement');
+
+const SIGNER_MODES = ['key', 'safe'];
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const BUNDLES_DIR = path.join(ROOT_DIR, 'deployments', 'safe-bundles');
+
+const QUEUED_PREFIX = 'safe:';
+
+// Transaction Builder release whose batch file format the bundles follow
+const TX_BUILDER_VERSION = '1.16.5';
+
+const SAFE_ABI = [
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool)',
+  'event ExecutionSuccess(bytes32 txHash, uint256 payment)',
+];
+const MULTISEND_ABI = ['function multiSend(bytes transactions) payable'];
+
+const safeInterface = new ethers.Interface(SAFE_ABI);
+const multiSendInterface = new ethers.Interface(MULTISEND_ABI);
+
+/**
+ * Reads the signer mode
+ * @param {Object} [env] - Environment variables
+ * @returns {string} 'key' or 'safe'
+ * @throws {Error} If DEPLOY_SIGNER is not a known mode
+ */
+function getSignerMode(env = process.env) {
+  const mode = env.DEPLOY_SIGNER || 'key';
+  if (!SIGNER_MODES.includes(mode)) {
+    throw new Error(`Invalid DEPLOY_SIGNER: ${mode}. Must be one of: ${SIGNER_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Lists the environment variables the signer mode needs, for validateEnvironment
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.deploys] - Whether the script creates contracts
+ * @param {string} [options.role] - Key role that signs in key mode (see keyManagement)
+ * @param {Object} [options.env] - Environment variables
+ * @returns {Array<string>} Required variable names
+ */
+function getSignerEnvironment({ deploys = false, role = 'deployer', env = process.env } = {}) {
+  if (getSignerMode(env) === 'key') {
+    return [getKeyVariable(role, env)];
+  }
+  return deploys ? ['SAFE_ADDRESS', getKeyVariable('deployer', env)] : ['SAFE_ADDRESS'];
+}
+
+/**
+ * Serialises a value with sorted keys, like the Transaction Builder does for its checksum
+ * @param {*} value - JSON value
+ * @returns {string} Serialised value
+ */
+function serializeBundleValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serializeBundleValue).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map(key => `${serializeBundleValue(value[key])},`).join('')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the checksum the Transaction Builder verifies when a batch file is imported
+ * @param {Object} bundle - Batch file contents
+ * @returns {string} keccak256 of the batch without its name and checksum
+ */
+function computeBundleChecksum(bundle) {
+  const meta = { ...bundle.meta, name: null };
+  delete meta.checksum;
+  return ethers.id(serializeBundleValue({ ...bundle, meta }));
+}
+
+/**
+ * Creates an empty batch file
+ * @param {Object} options - Options
+ * @param {bigint|number} options.chainId - Chain the Safe lives on
+ * @param {string} options.safe - Safe address
+ * @param {string} [options.owner] - Owner or deployer address that prepared the batch
+ * @param {string} [options.description] - Description shown by the Transaction Builder
+ * @returns {Object} Batch file contents
+ */
+function createSafeBundle({ chainId, safe, owner = '', description = '' }) {
+  return {
+    version: '1.0',
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name: 'RESKA deployment',
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.getAddress(safe),
+      createdFromOwnerAddress: owner,
+    },
+    transactions: [],
+  };
+}
+
+/**
+ * Reads a batch file
+ * @param {string} filePath - Batch file path
+ * @returns {Object} Batch file contents
+ * @throws {Error} If the file was edited after it was written
+ */
+function loadSafeBundle(filePath) {
+  const bundle = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (bundle.meta?.checksum !== computeBundleChecksum(bundle)) {
+    throw new Error(`Safe bundle ${filePath} does not match its checksum; it was modified`);
+  }
+  return bundle;
+}
+
+/**
+ * Writes a batch file with an up-to-date checksum
+ * @param {string} filePath - Batch file path
+ * @param {Object} bundle - Batch file contents
+ */
+function saveSafeBundle(filePath, bundle) {
+  bundle.meta.checksum = computeBundleChecksum(bundle);
+  writeJsonAtomic(filePath, bundle);
+}
+
+/**
+ * Returns whether a transaction hash is a reference to a queued Safe transaction
+ * @param {string} hash - Transaction hash or reference
+ * @returns {boolean} True for safe:<bundle>#<index> references
+ */
+function isQueuedTransaction(hash) {
+  return typeof hash === 'string' && hash.startsWith(QUEUED_PREFIX);
+}
+
+/**
+ * Builds the reference of a queued transaction
+ * @param {string} filePath - Batch file path
+ * @param {number} index - Position in the batch
+ * @returns {string} safe:<path relative to the repository>#<index>
+ */
+function toQueuedReference(filePath, index) {
+  return `${QUEUED_PREFIX}${path.relative(ROOT_DIR, filePath)}#${index}`;
+}
+
+/**
+ * Splits a queued transaction reference
+ * @param {string} reference - safe:<bundle>#<index> reference
+ * @returns {Object} { path, index }
+ */
+function parseQueuedReference(reference) {
+  const body = reference.slice(QUEUED_PREFIX.length);
+  const separator = body.lastIndexOf('#');
+  return {
+    path: path.resolve(ROOT_DIR, body.slice(0, separator)),
+    index: Number(body.slice(separator + 1)),
+  };
+}
+
+/**
+ * Reads the receipt of a transaction that may have been queued in a Safe bundle
+ * @param {Object} provider - ethers provider
+ * @param {string} hash - Transaction hash or queued transaction reference
+ * @returns {Object|null} The receipt (the Safe execution's for a queued transaction), or null
+ *   while the transaction or its bundle is not mined
+ */
+async function getSettledReceipt(provider, hash) {
+  if (!isQueuedTransaction(hash)) {
+    return await provider.getTransactionReceipt(hash);
+  }
+  const bundle = loadSafeBundle(parseQueuedReference(hash).path);
+  return bundle.execution ? await provider.getTransactionReceipt(bundle.execution.txHash) : null;
+}
+
+/**
+ * Returns whether a transaction without a receipt will never be mined: the node no longer
+ * knows it, or another transaction of its sender was mined with its nonce
+ * @param {Object} provider - ethers provider
+ * @param {string} hash - Transaction hash or queued transaction reference
+ * @returns {boolean} True if the transaction was dropped; queued transactions never are
+ */
+async function isTransactionDropped(provider, hash) {
+  if (isQueuedTransaction(hash)) {
+    return false;
+  }
+  const tx = await provider.getTransaction(hash);
+  if (!tx) {
+    return true;
+  }
+  if (tx.blockNumber != null) {
+    return false;
+  }
+  return (await provider.getTransactionCount(tx.from, 'latest')) > tx.nonce;
+}
+
+/**
+ * Wraps a provider so the responses of queued transactions can be waited on: they resolve to
+ * a receipt without logs until the bundle is executed, and to the execution's receipt after
+ * @param {Object} provider - ethers provider
+ * @returns {Object} Provider proxy
+ */
+function createQueueAwareProvider(provider) {
+  const getTransactionReceipt = async hash => {
+    if (!isQueuedTransaction(hash)) {
+      return await provider.getTransactionReceipt(hash);
+    }
+    const { path: bundlePath, index } = parseQueuedReference(hash);
+    const bundle = loadSafeBundle(bundlePath);
+    if (bundle.execution) {
+      return await provider.getTransactionReceipt(bundle.execution.txHash);
+    }
+    return {
+      hash,
+      index,
+      to: bundle.transactions[index].to,
+      from: bundle.meta.createdFromSafeAddress,
+      contractAddress: null,
+      blockHash: null,
+      blockNumber: null,
+      logsBloom: ethers.ZeroHash,
+      gasUsed: 0n,
+      cumulativeGasUsed: 0n,
+      gasPrice: 0n,
+      type: 0,
+      status: 1,
+      logs: [],
+    };
+  };
+
+  return new Proxy(provider, {
+    get(target, property) {
+      if (property === 'getTransactionReceipt') {
+        return getTransactionReceipt;
+      }
+      const value = Reflect.get(target, property);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
+
+/**
+ * Lists the bundles of a Safe that hold transactions but have not been executed
+ * @param {string} dir - Bundles directory
+ * @param {string} safe - Safe address
+ * @param {string} chainId - Chain id
+ * @returns {Array<string>} Bundle paths
+ */
+function findPendingBundles(dir, safe, chainId) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => path.join(dir, name))
+    .filter(filePath => {
+      const bundle = loadSafeBundle(filePath);
+      return (
+        bundle.chainId === chainId &&
+        bundle.meta.createdFromSafeAddress === ethers.getAddress(safe) &&
+        bundle.transactions.length > 0 &&
+        !bundle.execution
+      );
+    });
+}
+
+/**
+ * Signer for a Safe that queues its transactions in a Transaction Builder batch file
+ * instead of sending them. Reads and gas estimates go to the provider as the Safe.
+ */
+class SafeBundleSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} safe - Safe address
+   * @param {Object} provider - ethers provider
+   * @param {Object} [options] - Options
+   * @param {string} [options.bundlePath] - Batch file to append to; a new one by default
+   * @param {string} [options.bundlesDir] - Directory of the new batch files
+   * @param {string} [options.owner] - Owner or deployer address recorded in the batch
+   * @param {string} [options.description] - Batch description
+   */
+  constructor(
+    safe,
+    provider,
+    {
+      bundlePath,
+      bundlesDir = BUNDLES_DIR,
+      owner = '',
+      description = 'Transactions queued by the RESKA deployment scripts',
+    } = {}
+  ) {
+    super(provider ? createQueueAwareProvider(provider) : null);
+    this.address = ethers.getAddress(safe);
+    this.options = { bundlePath, bundlesDir, owner, description };
+    this.bundlePath = bundlePath ? path.resolve(bundlePath) : null;
+    this.queued = 0;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new SafeBundleSigner(this.address, provider, this.options);
+  }
+
+  /**
+   * Opens the batch file on the first queued transaction
+   * @param {string} chainId - Chain id of the provider
+   * @returns {Object} Batch file contents
+   */
+  openBundle(chainId) {
+    if (!this.bundlePath) {
+      const pending = findPendingBundles(this.options.bundlesDir, this.address, chainId);
+      if (pending.length > 0) {
+        throw new Error(
+          `Safe bundle ${pending[0]} has not been executed yet; execute and ingest it, or set SAFE_BUNDLE to append to it`
+        );
+      }
+      this.bundlePath = path.join(this.options.bundlesDir, `${chainId}-${Date.now()}.json`);
+    }
+    if (!fs.existsSync(this.bundlePath)) {
+      return createSafeBundle({
+        chainId,
+        safe: this.address,
+        owner: this.options.owner,
+        description: this.options.description,
+      });
+    }
+
+    const bundle = loadSafeBundle(this.bundlePath);
+    if (bundle.chainId !== chainId || bundle.meta.createdFromSafeAddress !== this.address) {
+      throw new Error(
+        `Safe bundle ${this.bundlePath} belongs to Safe ${bundle.meta.createdFromSafeAddress} on chain ${bundle.chainId}`
+      );
+    }
+    if (bundle.execution) {
+      throw new Error(
+        `Safe bundle ${this.bundlePath} was already executed; queue into a new bundle`
+      );
+    }
+    return bundle;
+  }
+
+  /**
+   * Appends a call to the batch file
+   * @param {Object} tx - Transaction request
+   * @returns {Object} Transaction response whose hash is the queued transaction reference
+   * @throws {Error} If the transaction creates a contract
+   */
+  async sendTransaction(tx) {
+    if (tx.to == null) {
+      throw new Error('A Safe cannot deploy contracts; deploy them with the deployer key');
+    }
+
+    const { chainId } = await this.provider.getNetwork();
+    const bundle = this.openBundle(chainId.toString());
+    const transaction = {
+      to: await ethers.resolveAddress(tx.to, this.provider),
+      value: ethers.getBigInt(tx.value ?? 0).toString(),
+      data: tx.data ? ethers.hexlify(tx.data) : '0x',
+    };
+    bundle.transactions.push(transaction);
+    saveSafeBundle(this.bundlePath, bundle);
+    this.queued++;
+
+    return new ethers.TransactionResponse(
+      {
+        hash: toQueuedReference(this.bundlePath, bundle.transactions.length - 1),
+        from: this.address,
+        to: transaction.to,
+        data: transaction.data,
+        value: BigInt(transaction.value),
+        nonce: null,
+        gasLimit: 0n,
+        gasPrice: 0n,
+        chainId,
+        type: 0,
+      },
+      this.provider
+    );
+  }
+
+  /**
+   * Estimates gas as the Safe. A call that depends on an earlier call of the same batch
+   * cannot be estimated until the batch has run.
+   * @param {Object} tx - Transaction request
+   * @returns {bigint} Gas estimate
+   */
+  async estimateGas(tx) {
+    try {
+      return await super.estimateGas(tx);
+    } catch (error) {
+      if (this.queued === 0) {
+        throw error;
+      }
+      throw new Error(
+        `Cannot estimate a call that may depend on the transactions queued in ${this.bundlePath} ` +
+          `(${error.shortMessage || error.message}); execute and ingest the bundle, then rerun`
+      );
+    }
+  }
+
+  async signTransaction() {
+    throw new Error('A Safe signs through its owners; execute the queued bundle instead');
+  }
+
+  async signMessage() {
+    throw new Error('A Safe signs through its owners; execute the queued bundle instead');
+  }
+
+  async signTypedData() {
+    throw new Error('A Safe signs through its owners; execute the queued bundle instead');
+  }
+}
+
+/**
+ * Creates the signers of a deployment script from the environment
+ * @param {Object} provider - Connected provider
+ * @param {Function} createWallet - (privateKey) => wallet connected to the provider
+ * @param {Object} [options] - Options
+ * @param {Object} [options.env] - Environment variables
+ * @param {string|null} [options.privateKey] - Key resolved by keyManagement (defaults to PRIVATE_KEY)
+ * @param {string} [options.bundlesDir] - Directory of new Safe bundles
+ * @returns {Object} { mode, wallet, deployWallet }: wallet signs the scripts' transactions,
+ *   deployWallet (the key's wallet, or null) creates contracts
+ * @throws {Error} If the variables of the selected mode are missing
+ */
+function createDeploymentSigner(
+  provider,
+  createWallet,
+  { env = process.env, privateKey = env.PRIVATE_KEY, bundlesDir } = {}
+) {
+  const mode = getSignerMode(env);
+  const deployWallet = privateKey ? createWallet(privateKey) : null;
+
+  if (mode === 'key') {
+    if (!deployWallet) {
+      throw new Error('A signing key is required: set PRIVATE_KEY or an encrypted KEYSTORE');
+    }
+    return { mode, wallet: deployWallet, deployWallet };
+  }
+
+  if (!env.SAFE_ADDRESS || !ethers.isAddress(env.SAFE_ADDRESS)) {
+    throw new Error(`Invalid Safe address in SAFE_ADDRESS: ${env.SAFE_ADDRESS}`);
+  }
+  const wallet = new SafeBundleSigner(env.SAFE_ADDRESS, provider, {
+    bundlePath: env.SAFE_BUNDLE,
+    bundlesDir,
+    owner: deployWallet?.address,
+  });
+  return { mode, wallet, deployWallet };
+}
+
+/**
+ * Encodes calls as a MultiSend batch, the way the Safe executes a Transaction Builder batch
+ * @param {Array<Object>} calls - Calls ({ to, value, data })
+ * @returns {string} multiSend calldata
+ */
+function encodeMultiSend(calls) {
+  const packed = calls.map(call =>
+    ethers.solidityPacked(
+      ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+      [0, call.to, call.value, ethers.dataLength(call.data), call.data]
+    )
+  );
+  return multiSendInterface.encodeFunctionData('multiSend', [ethers.concat(packed)]);
+}
+
+/**
+ * Decodes the calls of a MultiSend batch
+ * @param {string} data - multiSend calldata
+ * @returns {Array<Object>} Calls ({ operation, to, value, data })
+ */
+function decodeMultiSend(data) {
+  const [packed] = multiSendInterface.decodeFunctionData('multiSend', data);
+  const bytes = ethers.getBytes(packed);
+  const calls = [];
+
+  // Each call is packed as operation (1 byte), to (20), value (32), data length (32), data
+  let offset = 0;
+  while (offset < bytes.length) {
+    const length = Number(ethers.toBigInt(bytes.slice(offset + 53, offset + 85)));
+    calls.push({
+      operation: bytes[offset],
+      to: ethers.getAddress(ethers.hexlify(bytes.slice(offset + 1, offset + 21))),
+      value: ethers.toBigInt(bytes.slice(offset + 21, offset + 53)),
+      data: ethers.hexlify(bytes.slice(offset + 85, offset + 85 + length)),
+    });
+    offset += 85 + length;
+  }
+  return calls;
+}
+
+/**
+ * Decodes the calls a Safe execTransaction ran
+ * @param {string} data - execTransaction calldata
+ * @returns {Array<Object>} Calls ({ operation, to, value, data })
+ * @throws {Error} If the calldata is not an execTransaction call
+ */
+function decodeSafeExecution(data) {
+  let decoded;
+  try {
+    decoded = safeInterface.decodeFunctionData('execTransaction', data);
+  } catch (error) {
+    throw new Error('The transaction is not a Safe execTransaction call');
+  }
+
+  // The Transaction Builder sends one call directly and delegates a batch to MultiSend
+  if (Number(decoded.operation) === 0) {
+    return [{ operation: 0, to: decoded.to, value: decoded.value, data: decoded.data }];
+  }
+  return decodeMultiSend(decoded.data);
+}
+
+/**
+ * Records the Safe transaction that executed a bundle, after checking it ran exactly the
+ * bundle's calls, so the references of its queued transactions resolve to it
+ * @param {Object} provider - ethers provider
+ * @param {string} bundlePath - Batch file path
+ * @param {string} txHash - Hash of the Safe's execTransaction transaction
+ * @returns {Object} Updated batch file contents
+ * @throws {Error} If the transaction did not run the bundle successfully
+ */
+async function ingestSafeExecution(provider, bundlePath, txHash) {
+  const bundle = loadSafeBundle(bundlePath);
+  if (bundle.execution) {
+    if (bundle.execution.txHash === txHash) {
+      return bundle;
+    }
+    throw new Error(`Safe bundle ${bundlePath} was already executed in ${bundle.execution.txHash}`);
+  }
+
+  const [transaction, receipt] = await Promise.all([
+    provider.getTransaction(txHash),
+    provider.getTransactionReceipt(txHash),
+  ]);
+  if (!transaction || !receipt) {
+    throw new Error(`Transaction ${txHash} not found or not mined yet`);
+  }
+
+  const safe = bundle.meta.createdFromSafeAddress;
+  if (!transaction.to || ethers.getAddress(transaction.to) !== safe) {
+    throw new Error(`Transaction ${txHash} was not sent to the Safe ${safe}`);
+  }
+  const executionSuccess = safeInterface.getEvent('ExecutionSuccess').topicHash;
+  const succeeded = receipt.logs.some(
+    log => ethers.getAddress(log.address) === safe && log.topics[0] === executionSuccess
+  );
+  if (receipt.status !== 1 || !succeeded) {
+    throw new Error(`The Safe did not report a successful execution in ${txHash}`);
+  }
+
+  const calls = decodeSafeExecution(transaction.data);
+  if (calls.length !== bundle.transactions.length) {
+    throw new Error(
+      `Transaction ${txHash} ran ${calls.length} calls, the bundle has ${bundle.transactions.length}`
+    );
+  }
+  bundle.transactions.forEach((expected, i) => {
+    const call = calls[i];
+    if (
+      call.operation !== 0 ||
+      call.to !== ethers.getAddress(expected.to) ||
+      call.value !== BigInt(expected.value) ||
+      call.data.toLowerCase() !== expected.data.toLowerCase()
+    ) {
+      throw new Error(`Call #${i} of ${txHash} differs from transaction #${i} of the bundle`);
+    }
+  });
+
+  bundle.execution = {
+    txHash,
+    blockNumber: receipt.blockNumber,
+    ingestedAt: new Date().toISOString(),
+  };
+  saveSafeBundle(bundlePath, bundle);
+  return bundle;
+}
+
+module.exports = {
+  SIGNER_MODES,
+  BUNDLES_DIR,
+  getSignerMode,
+  getSignerEnvironment,
+  computeBundleChecksum,
+  createSafeBundle,
+  loadSafeBundle,
+  saveSafeBundle,
+  isQueuedTransaction,
+  getSettledReceipt,
+  isTransactionDropped,
+  SafeBundleSigner,
+  createDeploymentSigner,
+  encodeMultiSend,
+  decodeMultiSend,
+  decodeSafeExecution,
+  ingestSafeExecution,
+};
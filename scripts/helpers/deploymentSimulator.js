@@ -0,0 +1,348 @@
+/**
+ * RESKA Deployment Simulator
+ * Runs the full deployment sequence against the in-process Hardhat network
+ *
+ * The simulation either forks a live EVM chain (--fork <rpc-url>) or uses a fresh
+ * local chain on which the deployer is impersonated and seeded with the balance and
+ * nonce it has on the target network. zkSync Era itself cannot be forked by Hardhat,
+ * so for zkSync targets the gas figures are EVM gas and only indicative.
+ *
+ * @module deploymentSimulator
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { fundVestingContractIfNeeded, deployAllocationCategory } = require('./vestingDeployer');
+const { loadManifest, resolveManifest, selectCategories } = require('./allocationManifest');
+const { readAllocationAmounts, validateCategories, printPreflight } = require('./vestingPreflight');
+const { loadRoleKey } = require('./keyManagement');
+
+const DEFAULT_FUNDING_AMOUNT = 1000000n * 10n ** 6n; // 1M RESKA, as in fund-vesting-contract.js
+const DEFAULT_BALANCE = ethers.parseEther('10');
+const RPC_TIMEOUT_MS = 10000;
+
+// Environment variables holding the ReskaToken constructor allocation addresses, in order
+const TOKEN_ALLOCATION_ENV = [
+  'FOUNDER_ADDRESS',
+  'ADVISORS_ADDRESS',
+  'INVESTORS_ADDRESS',
+  'AIRDROP_ADDRESS',
+  'ECOSYSTEM_ADDRESS',
+  'TREASURY_ADDRESS',
+  'PUBLIC_SALE_ADDRESS',
+  'ESCROW_ADDRESS',
+];
+
+/**
+ * Reads the deployer balance and nonce on the target network
+ * @param {string} url - RPC URL of the target network
+ * @param {string} address - Deployer address
+ * @returns {Promise<{balance: bigint, nonce: number}|null>} State, or null if unreachable
+ */
+async function readDeployerState(url, address) {
+  const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true });
+  const timeout = new Promise((resolve, reject) =>
+    setTimeout(() => reject(new Error(`timed out after ${RPC_TIMEOUT_MS}ms`)), RPC_TIMEOUT_MS)
+  );
+
+  try {
+    const [balance, nonce] = await Promise.race([
+      Promise.all([provider.getBalance(address), provider.getTransactionCount(address)]),
+      timeout,
+    ]);
+    return { balance, nonce };
+  } catch (error) {
+    console.warn(`Could not read deployer state from ${url}: ${error.message}`);
+    return null;
+  } finally {
+    provider.destroy();
+  }
+}
+
+/**
+ * Prepares the in-process chain and returns an impersonated deployer signer
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} options - Simulation options (see simulateDeployment)
+ * @returns {Promise<{signer: Object, mode: string, balance: bigint}>} Deployer signer and chain mode
+ */
+async function prepareChain(hre, { network, fork, deployer, balance, nonce, env = process.env }) {
+  const provider = hre.network.provider;
+
+  if (fork) {
+    await provider.request({
+      method: 'hardhat_reset',
+      params: [{ forking: { jsonRpcUrl: fork } }],
+    });
+  }
+
+  // The deployer key is resolved like a real run's, from its keystore or private key variables
+  const key = deployer ? null : await loadRoleKey('deployer', { env, network });
+  const address = ethers.getAddress(
+    deployer || key?.address || (await hre.ethers.getSigners())[0].address
+  );
+  let seed = { balance, nonce };
+
+  // Fresh chains copy the deployer state from the target network unless it was given explicitly
+  if (!fork && balance === undefined) {
+    const url = hre.config.networks[network]?.url;
+    seed = (url && (await readDeployerState(url, address))) || { balance: DEFAULT_BALANCE, nonce };
+  }
+
+  await provider.request({ method: 'hardhat_impersonateAccount', params: [address] });
+  if (seed.balance !== undefined) {
+    await provider.request({
+      method: 'hardhat_setBalance',
+      params: [address, ethers.toQuantity(seed.balance)],
+    });
+  }
+  if (seed.nonce) {
+    await provider.request({
+      method: 'hardhat_setNonce',
+      params: [address, ethers.toQuantity(seed.nonce)],
+    });
+  }
+
+  const signer = await hre.ethers.getSigner(address);
+  return {
+    signer,
+    mode: fork ? 'fork' : 'local',
+    balance: await hre.ethers.provider.getBalance(address),
+  };
+}
+
+/**
+ * Runs a deployment step and measures the gas of every block it mined
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} report - Report the step is appended to
+ * @param {string} id - Step id, matching the deploy-all step ids
+ * @param {string} title - Step title
+ * @param {Function} run - Async function performing the step
+ * @returns {Promise<*>} Value returned by run
+ */
+async function measureStep(hre, report, id, title, run) {
+  console.log(`\n=== [DRY RUN] ${title} ===\n`);
+
+  const provider = hre.ethers.provider;
+  const fromBlock = await provider.getBlockNumber();
+  const result = await run();
+  const toBlock = await provider.getBlockNumber();
+
+  let gasUsed = 0n;
+  let transactions = 0;
+  for (let number = fromBlock + 1; number <= toBlock; number++) {
+    const block = await provider.getBlock(number);
+    gasUsed += block.gasUsed;
+    transactions += block.transactions.length;
+  }
+
+  report.steps.push({ id, title, transactions, gasUsed: gasUsed.toString() });
+  report.totalGasUsed = (BigInt(report.totalGasUsed) + gasUsed).toString();
+  return result;
+}
+
+/**
+ * Simulates the full deployment: token and vesting contracts, funding, every allocation
+ * category from the manifest and the timelock
+ * @param {Object} hre - Hardhat runtime environment, connected to the in-process network
+ * @param {Object} options - Simulation options
+ * @param {string} options.network - Target network whose manifest and deployer state are used
+ * @param {string} [options.fork] - RPC URL of an EVM chain to fork instead of a fresh chain
+ * @param {string} [options.deployer] - Deployer address (defaults to the deployer key's address)
+ * @param {bigint} [options.balance] - Deployer ETH balance (defaults to the target network balance)
+ * @param {number} [options.nonce] - Deployer nonce to start from
+ * @param {Array<string>} [options.categories] - Allocation categories to deploy (all when empty)
+ * @param {string} [options.manifestPath] - Explicit allocation manifest path
+ * @param {Object} [options.env] - Environment variables for addresses and the deployer key
+ *   (defaults to process.env)
+ * @returns {Promise<Object>} Dry-run report
+ * @throws {Error} If Hardhat is not connected to its in-process network
+ */
+async function simulateDeployment(hre, options) {
+  const { network, categories: categoryIds, manifestPath, env = process.env } = options;
+
+  if (hre.network.name !== 'hardhat') {
+    throw new Error(`Dry runs use the in-process hardhat network, not ${hre.network.name}`);
+  }
+
+  const manifest = loadManifest(network, manifestPath);
+  const { signer, mode, balance } = await prepareChain(hre, options);
+  const deployer = signer.address;
+
+  const report = {
+    network,
+    mode,
+    fork: options.fork || null,
+    deployer,
+    deployerBalance: balance.toString(),
+    createdAt: new Date().toISOString(),
+    contracts: {},
+    steps: [],
+    schedules: [],
+    tokensByCategory: {},
+    preflight: null,
+    totalGasUsed: '0',
+  };
+
+  const { token, vesting } = await measureStep(
+    hre,
+    report,
+    'deployContracts',
+    'DEPLOYING TOKEN AND VESTING CONTRACTS',
+    async () => {
+      const allocationAddresses = TOKEN_ALLOCATION_ENV.map(name => env[name] || deployer);
+      const ReskaToken = await hre.ethers.getContractFactory('ReskaToken', signer);
+      const token = await ReskaToken.deploy(...allocationAddresses);
+      await token.waitForDeployment();
+
+      const ReskaTokenVesting = await hre.ethers.getContractFactory('ReskaTokenVesting', signer);
+      const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+      await vesting.waitForDeployment();
+
+      return { token, vesting };
+    }
+  );
+  report.contracts.ReskaToken = await token.getAddress();
+  report.contracts.ReskaTokenVesting = await vesting.getAddress();
+
+  await measureStep(hre, report, 'fundVesting', 'FUNDING VESTING CONTRACT', () => {
+    const amount = env.VESTING_FUNDING_AMOUNT
+      ? BigInt(env.VESTING_FUNDING_AMOUNT)
+      : DEFAULT_FUNDING_AMOUNT;
+    return fundVestingContractIfNeeded(token, signer, report.contracts.ReskaTokenVesting, amount);
+  });
+
+  // Vesting start times are pinned to the simulated chain so cliffs line up with it
+  const latest = await hre.ethers.provider.getBlock('latest');
+  const resolved = resolveManifest(manifest, { deployer, now: latest.timestamp, env });
+  const categories = selectCategories(resolved, categoryIds);
+
+  // Report what a real run would refuse instead of stopping the simulation
+  report.preflight = validateCategories(categories, {
+    allocations: await readAllocationAmounts(token),
+    now: latest.timestamp,
+  });
+
+  for (const category of categories) {
+    const before = await token.balanceOf(deployer);
+    const summary = await measureStep(
+      hre,
+      report,
+      `${category.id}Vesting`,
+      `DEPLOYING ${category.name.toUpperCase()} ALLOCATION`,
+      () =>
+        deployAllocationCategory({ token, vesting, wallet: signer }, category, {
+          preflight: false,
+        })
+    );
+    const after = await token.balanceOf(deployer);
+
+    const sum = items => items.reduce((acc, item) => acc + BigInt(item.amount), 0n);
+    report.tokensByCategory[category.id] = {
+      immediate: sum(summary.transfers).toString(),
+      vested: sum(summary.schedules).toString(),
+      movedFromDeployer: (before - after).toString(),
+    };
+    report.schedules.push(
+      ...summary.schedules.map(schedule => ({ category: category.id, ...schedule }))
+    );
+  }
+
+  const timelock = await measureStep(
+    hre,
+    report,
+    'timelock',
+    'DEPLOYING TIMELOCK CONTROLLER',
+    async () => {
+      const minDelay = env.TIMELOCK_DELAY || 86400;
+      const proposers = env.TIMELOCK_PROPOSERS ? env.TIMELOCK_PROPOSERS.split(',') : [deployer];
+      const executors = env.TIMELOCK_EXECUTORS ? env.TIMELOCK_EXECUTORS.split(',') : [deployer];
+
+      const ReskaTimelock = await hre.ethers.getContractFactory('ReskaTimelock', signer);
+      const timelock = await ReskaTimelock.deploy(
+        minDelay,
+        proposers,
+        executors,
+        ethers.ZeroAddress
+      );
+      await timelock.waitForDeployment();
+      return timelock;
+    }
+  );
+  report.contracts.ReskaTimelock = await timelock.getAddress();
+
+  return report;
+}
+
+/**
+ * Prints a dry-run report to the console
+ * @param {Object} report - Report from simulateDeployment
+ * @param {number} [decimals] - Token decimals used to format amounts
+ */
+function printReport(report, decimals = 6) {
+  const format = amount => `${ethers.formatUnits(amount, decimals)} RESKA`;
+
+  console.log(`\n=== DRY RUN REPORT (${report.network}, ${report.mode} chain) ===\n`);
+  console.log(`Deployer: ${report.deployer} (${ethers.formatEther(report.deployerBalance)} ETH)`);
+
+  console.log('\nContracts that would be deployed:');
+  for (const [name, address] of Object.entries(report.contracts)) {
+    console.log(`- ${name}: ${address}`);
+  }
+
+  console.log(`\nVesting schedules created: ${report.schedules.length}`);
+  for (const schedule of report.schedules) {
+    console.log(`- [${schedule.category}] ${schedule.address}: ${format(schedule.amount)}`);
+  }
+
+  console.log('\nTokens moved per category:');
+  for (const [id, moved] of Object.entries(report.tokensByCategory)) {
+    console.log(
+      `- ${id}: ${format(moved.immediate)} immediate, ${format(moved.vested)} vested, ` +
+        `${format(moved.movedFromDeployer)} from deployer`
+    );
+  }
+
+  if (report.preflight) {
+    printPreflight(report.preflight);
+    if (report.preflight.errors > 0) {
+      console.log('A real deployment would refuse to proceed without --force.');
+    }
+  }
+
+  console.log('\nGas per step:');
+  for (const step of report.steps) {
+    console.log(`- ${step.id}: ${step.gasUsed} gas in ${step.transactions} transaction(s)`);
+  }
+  console.log(`Total: ${report.totalGasUsed} gas`);
+
+  if (report.mode === 'local' && report.network.startsWith('zkSync')) {
+    console.log('\nNote: gas is measured on the EVM and only approximates zkSync Era costs.');
+  }
+}
+
+/**
+ * Writes a dry-run report to deployments/dry-run-<network>.json
+ * @param {Object} report - Report from simulateDeployment
+ * @returns {string} Path of the written report
+ */
+function saveReport(report) {
+  const reportPath = path.join(
+    __dirname,
+    '..',
+    '..',
+    'deployments',
+    `dry-run-${report.network}.json`
+  );
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+  return reportPath;
+}
+
+module.exports = {
+  TOKEN_ALLOCATION_ENV,
+  simulateDeployment,
+  printReport,
+  saveReport,
+};
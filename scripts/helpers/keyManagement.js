@@ -0,0 +1,330 @@
+/**
+ * RESKA Key Management
+ * Resolves the signing keys of the scripts from encrypted JSON keystores or plaintext
+ * variables, with one key per role
+ *
+ * Roles and the variables they are read from, first match wins:
+ * - deployer: DEPLOYER_KEYSTORE, DEPLOYER_PRIVATE_KEY, KEYSTORE, PRIVATE_KEY
+ * - funder (transfers tokens into the vesting contract): FUNDER_KEYSTORE, FUNDER_PRIVATE_KEY,
+ *   then the deployer key
+ * - operator (creates and releases vesting schedules): VESTING_OPERATOR_KEYSTORE,
+ *   VESTING_OPERATOR_PRIVATE_KEY, then the deployer key
+ *
+ * A *_KEYSTORE variable holds the path of a standard encrypted JSON keystore (the format of
+ * geth, Foundry's cast wallet and ethers). Its passphrase is read from the file named by
+ * <variable>_PASSWORD_FILE or KEYSTORE_PASSWORD_FILE, or prompted for on the terminal.
+ *
+ * The all-zero key that .env.example and hardhat.config.js fall back to counts as no key at
+ * all, and is refused outright on zkSyncMainnet.
+ *
+ * @module keyManagement
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const MAINNET = 'zkSyncMainnet';
+
+const ZERO_KEY = ethers.ZeroHash;
+
+const KEY_ROLES = {
+  deployer: {
+    label: 'Deployer',
+    variables: ['DEPLOYER_KEYSTORE', 'DEPLOYER_PRIVATE_KEY', 'KEYSTORE', 'PRIVATE_KEY'],
+  },
+  funder: {
+    label: 'Funder',
+    variables: ['FUNDER_KEYSTORE', 'FUNDER_PRIVATE_KEY'],
+    fallback: 'deployer',
+  },
+  operator: {
+    label: 'Vesting operator',
+    variables: ['VESTING_OPERATOR_KEYSTORE', 'VESTING_OPERATOR_PRIVATE_KEY'],
+    fallback: 'deployer',
+  },
+};
+
+// Decrypted keystores by path, so a script using several roles asks for each passphrase once
+const decrypted = new Map();
+
+/**
+ * Checks whether a value is the all-zero placeholder key
+ * @param {string} key - Private key
+ * @returns {boolean} True for 0x00...00 in any length
+ */
+function isZeroKey(key) {
+  return typeof key === 'string' && /^(0x)?0+$/i.test(key.trim());
+}
+
+/**
+ * Lists the variables a role's key is read from, in order, including its fallback role
+ * @param {string} role - Key role
+ * @returns {Array<string>} Variable names
+ * @throws {Error} If the role is unknown
+ */
+function getKeyVariables(role) {
+  const definition = KEY_ROLES[role];
+  if (!definition) {
+    throw new Error(
+      `Unknown key role: ${role}. Must be one of: ${Object.keys(KEY_ROLES).join(', ')}`
+    );
+  }
+  return definition.fallback
+    ? [...definition.variables, ...getKeyVariables(definition.fallback)]
+    : definition.variables;
+}
+
+/**
+ * Finds the variable a role's key is taken from
+ * @param {string} role - Key role
+ * @param {Object} [env] - Environment variables
+ * @returns {string|undefined} The first variable of the role that is set
+ */
+function findKeyVariable(role, env = process.env) {
+  return getKeyVariables(role).find(variable => env[variable]);
+}
+
+/**
+ * Checks whether a role has a key configured: a keystore, or a key other than the zero key
+ * @param {string} role - Key role
+ * @param {Object} [env] - Environment variables
+ * @returns {boolean} True if loadRoleKey would return a key
+ */
+function hasRoleKey(role, env = process.env) {
+  const source = findKeyVariable(role, env);
+  return Boolean(source) && (isKeystoreVariable(source) || !isZeroKey(env[source]));
+}
+
+/**
+ * Names the variable validateEnvironment should require for a role: the one in use, or
+ * PRIVATE_KEY when none is set
+ * @param {string} role - Key role
+ * @param {Object} [env] - Environment variables
+ * @returns {string} Variable name
+ */
+function getKeyVariable(role, env = process.env) {
+  return findKeyVariable(role, env) || 'PRIVATE_KEY';
+}
+
+/**
+ * Checks whether a variable names a keystore file rather than holding a key
+ * @param {string} variable - Variable name
+ * @returns {boolean} True for *KEYSTORE variables
+ */
+function isKeystoreVariable(variable) {
+  return variable.endsWith('KEYSTORE');
+}
+
+/**
+ * Reads a passphrase from the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} The passphrase
+ * @throws {Error} If there is no terminal to prompt on
+ */
+function promptPassphrase(question) {
+  return new Promise((resolve, reject) => {
+    const { stdin, stderr } = process;
+    if (!stdin.isTTY) {
+      reject(
+        new Error(
+          'No terminal to prompt for the keystore passphrase on; set KEYSTORE_PASSWORD_FILE'
+        )
+      );
+      return;
+    }
+
+    let value = '';
+    const finish = () => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write('\n');
+    };
+    const onData = chunk => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n' || char === '\u0004') {
+          finish();
+          resolve(value);
+          return;
+        }
+        if (char === '\u0003') {
+          finish();
+          reject(new Error('Passphrase prompt cancelled'));
+          return;
+        }
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    };
+
+    stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Reads the passphrase of a keystore from its password file, or prompts for it
+ * @param {string} variable - Keystore variable
+ * @param {string} keystorePath - Keystore file path
+ * @param {Object} options - Options
+ * @param {Object} options.env - Environment variables
+ * @param {Function} options.prompt - (question) => Promise<passphrase>
+ * @returns {Promise<string>} The passphrase
+ */
+async function readPassphrase(variable, keystorePath, { env, prompt }) {
+  const passwordFile = env[`${variable}_PASSWORD_FILE`] || env.KEYSTORE_PASSWORD_FILE;
+  if (passwordFile) {
+    // A trailing newline is what an editor or `echo` leaves, not part of the passphrase
+    return fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+  }
+  return prompt(`Passphrase for ${path.basename(keystorePath)} (${variable}): `);
+}
+
+/**
+ * Decrypts an encrypted JSON keystore
+ * @param {string} variable - Keystore variable
+ * @param {string} keystorePath - Keystore file path
+ * @param {Object} options - Options passed to readPassphrase
+ * @returns {Promise<string>} The private key
+ * @throws {Error} If the file is missing or the passphrase is wrong
+ */
+async function decryptKeystore(variable, keystorePath, options) {
+  const resolved = path.resolve(keystorePath);
+  if (decrypted.has(resolved)) {
+    return decrypted.get(resolved);
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Keystore not found for ${variable}: ${keystorePath}`);
+  }
+
+  const json = fs.readFileSync(resolved, 'utf8');
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error(`${keystorePath} (${variable}) is not an encrypted JSON keystore`);
+  }
+  const passphrase = await readPassphrase(variable, resolved, options);
+  let account;
+  try {
+    account = await ethers.decryptKeystoreJson(json, passphrase);
+  } catch (error) {
+    throw new Error(
+      `Cannot decrypt ${keystorePath} (${variable}): ${error.shortMessage || error.message}`
+    );
+  }
+
+  decrypted.set(resolved, account.privateKey);
+  return account.privateKey;
+}
+
+/**
+ * Resolves the key of a role
+ * @param {string} role - deployer, funder or operator
+ * @param {Object} [options] - Options
+ * @param {Object} [options.env] - Environment variables
+ * @param {string} [options.network] - Hardhat network name, to refuse the zero key on mainnet
+ * @param {Function} [options.prompt] - (question) => Promise<passphrase>, defaults to a terminal prompt
+ * @returns {Promise<Object|null>} { role, privateKey, address, source }, or null if no key is set
+ * @throws {Error} If a keystore cannot be decrypted, or the zero key is used on zkSyncMainnet
+ */
+async function loadRoleKey(role, { env = process.env, network, prompt = promptPassphrase } = {}) {
+  const source = findKeyVariable(role, env);
+  if (!source) {
+    return null;
+  }
+
+  let privateKey = env[source];
+  if (isKeystoreVariable(source)) {
+    privateKey = await decryptKeystore(source, env[source], { env, prompt });
+  } else if (isZeroKey(privateKey)) {
+    if (network === MAINNET) {
+      throw new Error(
+        `Refusing to run on ${MAINNET} with the all-zero default key in ${source}; ` +
+          'set a real key or, better, an encrypted KEYSTORE'
+      );
+    }
+    return null;
+  }
+
+  let address;
+  try {
+    address = ethers.computeAddress(privateKey);
+  } catch (error) {
+    throw new Error(`${source} does not hold a valid private key`);
+  }
+  return { role, privateKey, address, source };
+}
+
+/**
+ * Resolves the key of a role for a script that cannot run without one
+ * @param {string} role - deployer, funder or operator
+ * @param {Object} [options] - Options, as for loadRoleKey
+ * @returns {Promise<Object>} { role, privateKey, address, source }
+ * @throws {Error} If no key is set for the role, or as loadRoleKey
+ */
+async function requireRoleKey(role, options = {}) {
+  const key = await loadRoleKey(role, options);
+  if (!key) {
+    throw new Error(`No ${role} key configured: set one of ${getKeyVariables(role).join(', ')}`);
+  }
+  return key;
+}
+
+/**
+ * Refuses to run on zkSyncMainnet while the deployer key is the all-zero default, as it is
+ * when PRIVATE_KEY is unset or copied unchanged from .env.example and no keystore is configured
+ * @param {string} network - Hardhat network name
+ * @param {Object} [env] - Environment variables
+ * @throws {Error} On zkSyncMainnet without a real deployer key
+ */
+function assertMainnetKey(network, env = process.env) {
+  if (network !== MAINNET) {
+    return;
+  }
+  if (!hasRoleKey('deployer', env)) {
+    throw new Error(
+      `Refusing to run on ${MAINNET}: no deployer key is configured, so the all-zero default ` +
+        'key would be used. Set DEPLOYER_KEYSTORE (or KEYSTORE) to an encrypted keystore, or PRIVATE_KEY'
+    );
+  }
+}
+
+/**
+ * Encrypts a private key into a JSON keystore
+ * @param {string} privateKey - Private key
+ * @param {string} passphrase - Passphrase
+ * @param {Object} [options] - ethers encryption options (e.g. a lower scrypt N for tests)
+ * @returns {Promise<string>} Keystore JSON
+ */
+async function encryptKeystore(privateKey, passphrase, options = {}) {
+  if (isZeroKey(privateKey)) {
+    throw new Error('Refusing to encrypt the all-zero placeholder key');
+  }
+  const address = ethers.computeAddress(privateKey);
+  return ethers.encryptKeystoreJson({ address, privateKey }, passphrase, options);
+}
+
+/**
+ * Forgets the decrypted keystores, e.g. between tests
+ */
+function clearKeyCache() {
+  decrypted.clear();
+}
+
+module.exports = {
+  MAINNET,
+  ZERO_KEY,
+  KEY_ROLES,
+  isZeroKey,
+  getKeyVariables,
+  getKeyVariable,
+  hasRoleKey,
+  promptPassphrase,
+  loadRoleKey,
+  requireRoleKey,
+  assertMainnetKey,
+  encryptKeystore,
+  clearKeyCache,
+};
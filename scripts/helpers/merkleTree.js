@@ -0,0 +1,235 @@
+/**
+ * RESKA Airdrop Merkle Tree
+ * Builds the Merkle tree of airdrop allocations claimed through ReskaMerkleDistributor
+ *
+ * Leaves use the OpenZeppelin standard tree encoding,
+ * keccak256(bytes.concat(keccak256(abi.encode(account, amount)))), and pairs are
+ * hashed in sorted order so proofs verify with MerkleProof.verify. The claims file
+ * written for recipients holds the root and, per address, the amount and its proof.
+ *
+ * @module merkleTree
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { writeJsonAtomic } = require('./deploymentJournal');
+
+const CLAIMS_VERSION = 1;
+
+/**
+ * Hashes an (account, amount) leaf
+ * @param {string} account - Recipient address
+ * @param {bigint} amount - Allocation in base units
+ * @returns {string} Leaf hash
+ */
+function hashLeaf(account, amount) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['address', 'uint256'],
+    [account, amount]
+  );
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+/**
+ * Hashes two nodes in sorted order, as MerkleProof does
+ * @param {string} a - First node
+ * @param {string} b - Second node
+ * @returns {string} Parent node
+ */
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [a, b])
+    : ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [b, a]);
+}
+
+/**
+ * Builds a Merkle tree over a list of recipients
+ *
+ * An odd node at the end of a layer is carried up unchanged, so its proof
+ * simply has no sibling for that level.
+ * @param {Array<Object>} recipients - Recipients with address and BigInt amount
+ * @returns {Object} Tree with root, leaves (in recipient order) and layers
+ * @throws {Error} If the list is empty or contains an address twice
+ */
+function buildMerkleTree(recipients) {
+  if (recipients.length === 0) {
+    throw new Error('Cannot build a Merkle tree without recipients');
+  }
+
+  const seen = new Set();
+  const leaves = recipients.map(({ address, amount }) => {
+    const account = ethers.getAddress(address);
+    if (seen.has(account)) {
+      throw new Error(`Duplicate recipient ${account}`);
+    }
+    seen.add(account);
+    return { address: account, amount, hash: hashLeaf(account, amount) };
+  });
+
+  const layers = [leaves.map(leaf => leaf.hash)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  return { root: layers[layers.length - 1][0], leaves, layers };
+}
+
+/**
+ * Returns the proof of the leaf at an index
+ * @param {Object} tree - Tree from buildMerkleTree
+ * @param {number} index - Leaf index (recipient order)
+ * @returns {Array<string>} Sibling hashes from the leaf up to the root
+ */
+function getProof(tree, index) {
+  const proof = [];
+  let position = index;
+
+  for (const layer of tree.layers.slice(0, -1)) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    position = Math.floor(position / 2);
+  }
+
+  return proof;
+}
+
+/**
+ * Verifies a proof the same way ReskaMerkleDistributor.claim does
+ * @param {string} root - Merkle root
+ * @param {string} account - Recipient address
+ * @param {bigint} amount - Allocation in base units
+ * @param {Array<string>} proof - Proof from getProof
+ * @returns {boolean} True if the leaf belongs to the tree
+ */
+function verifyProof(root, account, amount, proof) {
+  const computed = proof.reduce(
+    (node, sibling) => hashPair(node, sibling),
+    hashLeaf(account, amount)
+  );
+  return computed === root;
+}
+
+/**
+ * Builds the claims file published to recipients
+ * @param {Array<Object>} recipients - Recipients with address and BigInt amount
+ * @param {Object} [options] - Options
+ * @param {number} [options.decimals] - Token decimals, recorded for readers of the file
+ * @returns {Object} Claims with root, total, count and a proof per address
+ */
+function buildClaims(recipients, { decimals = 6 } = {}) {
+  const tree = buildMerkleTree(recipients);
+  const claims = {};
+  let total = 0n;
+
+  tree.leaves.forEach((leaf, index) => {
+    total += leaf.amount;
+    claims[leaf.address] = { amount: leaf.amount.toString(), proof: getProof(tree, index) };
+  });
+
+  return {
+    version: CLAIMS_VERSION,
+    root: tree.root,
+    decimals,
+    total: total.toString(),
+    count: tree.leaves.length,
+    claims,
+  };
+}
+
+/**
+ * Writes a claims file
+ * @param {string} filePath - Destination path
+ * @param {Object} claims - Claims from buildClaims
+ */
+function saveClaims(filePath, claims) {
+  writeJsonAtomic(filePath, claims);
+}
+
+/**
+ * Loads a claims file and checks that every proof matches its root
+ * @param {string} filePath - Path to the claims file
+ * @returns {Object} The claims
+ * @throws {Error} If the file is missing, has an unsupported version or holds an invalid proof
+ */
+function loadClaims(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Claims file not found: ${filePath}`);
+  }
+
+  const claims = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (claims.version !== CLAIMS_VERSION) {
+    throw new Error(`Unsupported claims version ${claims.version} in ${filePath}`);
+  }
+
+  const invalid = Object.entries(claims.claims).filter(
+    ([address, claim]) => !verifyProof(claims.root, address, BigInt(claim.amount), claim.proof)
+  );
+  if (invalid.length > 0) {
+    throw new Error(
+      `Claims file ${filePath} has invalid proofs for: ${invalid.map(([address]) => address).join(', ')}`
+    );
+  }
+
+  return claims;
+}
+
+/**
+ * Checks a deployed distributor against a claims file
+ * @param {Object} distributor - ReskaMerkleDistributor contract instance
+ * @param {Object} token - Token contract instance
+ * @param {Object} claims - Claims from buildClaims or loadClaims
+ * @returns {Object} Root, balance and outstanding amounts plus the list of problems found
+ */
+async function verifyDistributor(distributor, token, claims) {
+  const problems = [];
+  const distributorAddress = await distributor.getAddress();
+
+  const root = await distributor.merkleRoot();
+  if (root !== claims.root) {
+    problems.push(`on-chain root ${root} does not match the claims root ${claims.root}`);
+  }
+
+  const tokenAddress = await distributor.getToken();
+  if (tokenAddress !== (await token.getAddress())) {
+    problems.push(`distributor pays out ${tokenAddress}, not the RESKA token`);
+  }
+
+  // Every unclaimed allocation must still be covered by the balance
+  let unclaimed = 0n;
+  for (const [address, claim] of Object.entries(claims.claims)) {
+    if (!(await distributor.isClaimed(address))) {
+      unclaimed += BigInt(claim.amount);
+    }
+  }
+
+  const balance = await token.balanceOf(distributorAddress);
+  const outstanding = await distributor.getOutstandingAmount();
+  if (balance < unclaimed + outstanding) {
+    problems.push(
+      `balance ${ethers.formatUnits(balance, claims.decimals)} does not cover the ` +
+        `${ethers.formatUnits(unclaimed + outstanding, claims.decimals)} RESKA still owed`
+    );
+  }
+
+  return { root, balance, unclaimed, outstanding, problems };
+}
+
+module.exports = {
+  CLAIMS_VERSION,
+  hashLeaf,
+  buildMerkleTree,
+  getProof,
+  verifyProof,
+  buildClaims,
+  saveClaims,
+  loadClaims,
+  verifyDistributor,
+};
@@ -0,0 +1,174 @@
+/**
+ * RESKA Proxy Deployment
+ * Deploys the upgradeable token and vesting contracts behind TransparentUpgradeableProxy
+ * instances administered by a ProxyAdmin owned by ReskaTimelock (Phase 1 of UPGRADES.md)
+ *
+ * The helpers take a deploy(contractName, args) function so the same sequence runs with the
+ * zkSync Deployer in the deployment scripts and with ethers on the Hardhat network in tests.
+ * Upgrades are timelock operations calling ProxyAdmin.upgrade, prepared only when the new
+ * implementation's storage layout is compatible with the current one (see storageLayout).
+ *
+ * @module proxyDeployer
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { checkUpgradeLayout } = require('./storageLayout');
+const { getTransactionManager } = require('./transactionManager');
+
+// EIP-1967 slots of the proxy's implementation and admin
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+// Implementations behind each proxied contract, by deployment registry key
+const UPGRADEABLE_IMPLEMENTATIONS = {
+  token: 'ReskaTokenUpgradeable',
+  vesting: 'ReskaTokenVestingUpgradeable',
+};
+
+/**
+ * Deploys an implementation and a TransparentUpgradeableProxy initialised with it
+ * @param {Function} deploy - async (contractName, args) => deployed contract
+ * @param {string} contractName - Implementation contract name
+ * @param {Array} initArgs - Arguments of the implementation's initialize()
+ * @param {string} proxyAdmin - ProxyAdmin address
+ * @returns {Object} { proxy, implementation } contract instances
+ */
+async function deployProxied(deploy, contractName, initArgs, proxyAdmin) {
+  const implementation = await deploy(contractName, []);
+  const initData = implementation.interface.encodeFunctionData('initialize', initArgs);
+  const proxy = await deploy('TransparentUpgradeableProxy', [
+    await implementation.getAddress(),
+    proxyAdmin,
+    initData,
+  ]);
+  return {
+    proxy: implementation.attach(await proxy.getAddress()),
+    implementation,
+  };
+}
+
+/**
+ * Deploys the ProxyAdmin and the proxied token and vesting contracts, then hands the
+ * ProxyAdmin to the timelock. The deployer keeps the token roles and vesting ownership
+ * until the admin handover (see adminHandover).
+ * @param {Function} deploy - async (contractName, args) => deployed contract
+ * @param {Object} options - Options
+ * @param {Array<string>} options.allocationAddresses - The eight ReskaToken allocation recipients
+ * @param {string} options.timelock - ReskaTimelock address, the ProxyAdmin's owner
+ * @param {Function} [options.onStep] - Called with a description after each deployment
+ * @returns {Object} { proxyAdmin, token, vesting } with token and vesting as { proxy, implementation }
+ */
+async function deployUpgradeableStack(
+  deploy,
+  { allocationAddresses, timelock, onStep = () => {} }
+) {
+  const proxyAdmin = await deploy('ProxyAdmin', []);
+  const proxyAdminAddress = await proxyAdmin.getAddress();
+  onStep(`ProxyAdmin deployed to ${proxyAdminAddress}`);
+
+  const token = await deployProxied(
+    deploy,
+    UPGRADEABLE_IMPLEMENTATIONS.token,
+    allocationAddresses,
+    proxyAdminAddress
+  );
+  onStep(`Token proxy deployed to ${await token.proxy.getAddress()}`);
+
+  const vesting = await deployProxied(
+    deploy,
+    UPGRADEABLE_IMPLEMENTATIONS.vesting,
+    [await token.proxy.getAddress()],
+    proxyAdminAddress
+  );
+  onStep(`Vesting proxy deployed to ${await vesting.proxy.getAddress()}`);
+
+  await getTransactionManager(proxyAdmin.runner).sendContractCall(
+    proxyAdmin,
+    'transferOwnership',
+    [timelock],
+    { label: 'ProxyAdmin ownership transfer' }
+  );
+  onStep(`ProxyAdmin ownership transferred to the timelock ${timelock}`);
+
+  return { proxyAdmin, token, vesting };
+}
+
+/**
+ * Reads an address stored in an EIP-1967 slot of a proxy
+ * @param {Object} provider - ethers provider
+ * @param {string} proxy - Proxy address
+ * @param {string} slot - Storage slot
+ * @returns {string} Checksummed address
+ */
+async function readAddressSlot(provider, proxy, slot) {
+  const value = await provider.getStorage(proxy, slot);
+  return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+/**
+ * Returns the implementation a proxy delegates to
+ * @param {Object} provider - ethers provider
+ * @param {string} proxy - Proxy address
+ * @returns {string} Implementation address
+ */
+async function getImplementationAddress(provider, proxy) {
+  return await readAddressSlot(provider, proxy, IMPLEMENTATION_SLOT);
+}
+
+/**
+ * Returns the admin (ProxyAdmin) of a proxy
+ * @param {Object} provider - ethers provider
+ * @param {string} proxy - Proxy address
+ * @returns {string} Admin address
+ */
+async function getProxyAdminAddress(provider, proxy) {
+  return await readAddressSlot(provider, proxy, ADMIN_SLOT);
+}
+
+/**
+ * Deploys a new implementation for a proxy after checking its storage layout, and builds the
+ * ProxyAdmin.upgrade call for the timelock to schedule
+ * @param {Function} deploy - async (contractName, args) => deployed contract
+ * @param {Object} options - Options
+ * @param {Object} options.artifacts - Hardhat artifacts, for the storage layouts
+ * @param {Object} options.proxyAdmin - ProxyAdmin contract instance
+ * @param {string} options.proxy - Proxy address
+ * @param {string} options.contractName - New implementation contract name
+ * @param {Object} [options.previous] - Layout being replaced; defaults to the committed one
+ * @returns {Object} { implementation, call, findings, layout }
+ * @throws {Error} If the layouts are incompatible; nothing is deployed then
+ */
+async function prepareUpgrade(deploy, { artifacts, proxyAdmin, proxy, contractName, previous }) {
+  const { ok, findings, layout } = await checkUpgradeLayout(artifacts, contractName, { previous });
+  if (!ok) {
+    const errors = findings.filter(f => f.severity === 'error').map(f => `- ${f.message}`);
+    throw new Error(
+      `Storage layout of ${contractName} is incompatible with the deployed implementation:\n${errors.join('\n')}`
+    );
+  }
+
+  const implementation = await deploy(contractName, []);
+  const implementationAddress = await implementation.getAddress();
+  return {
+    implementation,
+    call: {
+      target: await proxyAdmin.getAddress(),
+      value: 0n,
+      data: proxyAdmin.interface.encodeFunctionData('upgrade', [proxy, implementationAddress]),
+    },
+    findings,
+    layout,
+  };
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  UPGRADEABLE_IMPLEMENTATIONS,
+  deployProxied,
+  deployUpgradeableStack,
+  getImplementationAddress,
+  getProxyAdminAddress,
+  prepareUpgrade,
+};
@@ -0,0 +1,419 @@
+/**
+ * RESKA Revert Decoder
+ * Turns the revert data of a failed ReskaToken, ReskaTokenVesting or ReskaTimelock call into
+ * an explanation and a suggested fix. Custom errors are decoded with the error ABIs bundled
+ * here, so decoding works without Hardhat or its artifacts; Error(string) reasons from
+ * OpenZeppelin (Ownable, AccessControl, ERC20, TimelockController, ...) and Panic(uint256)
+ * codes are recognised too.
+ *
+ * zkSync RPCs report a revert as an opaque data blob, so the data is searched for in every
+ * place ethers, zksync-ethers and Hardhat put it, including the causes of wrapped errors.
+ *
+ * The transaction manager simulates every write with eth_call before sending it and refuses
+ * one that would revert with the reason describeError gives.
+ *
+ * @module revertDecoder
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+/**
+ * Custom errors of each contract, in the order errors shared by several contracts are attributed.
+ * ReskaTimelock only reverts with TimelockController's reason strings.
+ * test/revert-decoder.test.js checks them against the compiled contracts.
+ */
+const CONTRACT_ERRORS = {
+  ReskaToken: [
+    'error AmountMustBePositive()',
+    'error ExceedsMintCap()',
+    'error InvalidAllocationTotal()',
+    'error InvalidShortString()',
+    'error MintToZeroAddress()',
+    'error RenounceRoleZeroAddress()',
+    'error StringTooLong(string str)',
+    'error ZeroAddress()',
+  ],
+  ReskaTokenVesting: [
+    'error AmountMustBePositive()',
+    'error ArrayLengthMismatch()',
+    'error CannotWithdrawVestedTokens()',
+    'error DurationMustBePositive()',
+    'error DurationTooShort()',
+    'error EmptyBatch()',
+    'error IndexOutOfBounds()',
+    'error InsufficientContractBalance()',
+    'error InvalidNewBeneficiary()',
+    'error NoPendingTransfer()',
+    'error NotBeneficiary()',
+    'error NoTokensToRelease()',
+    'error ScheduleAlreadyRevoked()',
+    'error ScheduleNotFound()',
+    'error ScheduleNotRevocable()',
+    'error SlicePeriodMustBePositive()',
+    'error ZeroAddress()',
+  ],
+};
+
+/**
+ * Explanations and fixes of the contracts' custom errors
+ */
+const CUSTOM_ERRORS = {
+  ZeroAddress: {
+    explanation: 'An address argument is the zero address',
+    fix: 'Check the addresses passed to the call, e.g. the allocation or beneficiary addresses in .env or the manifest',
+  },
+  AmountMustBePositive: {
+    explanation: 'The amount is zero',
+    fix: 'Pass an amount greater than zero, in token base units (6 decimals)',
+  },
+  InvalidAllocationTotal: {
+    explanation: 'The ReskaToken allocation percentages do not add up to 100',
+    fix: 'Fix the allocation percentages in ReskaToken before deploying',
+  },
+  MintToZeroAddress: {
+    explanation: 'Tokens cannot be minted to the zero address',
+    fix: 'Pass the recipient address of the mint',
+  },
+  ExceedsMintCap: {
+    explanation: 'The mint would take additional minting above MAX_ADDITIONAL_MINTING (500M RESKA)',
+    fix: 'Read totalMintedAdditional() and mint at most the remaining headroom',
+  },
+  RenounceRoleZeroAddress: {
+    explanation: 'A role cannot be renounced for the zero address',
+    fix: 'Renounce the role with the address that holds it',
+  },
+  DurationMustBePositive: {
+    explanation: 'The vesting duration is zero',
+    fix: 'Pass a duration in seconds greater than zero',
+  },
+  SlicePeriodMustBePositive: {
+    explanation: 'The slice period is zero',
+    fix: 'Pass a slice period of at least 1 second',
+  },
+  DurationTooShort: {
+    explanation: 'The vesting duration is shorter than the cliff',
+    fix: 'Use a duration at least as long as the cliff period',
+  },
+  InsufficientContractBalance: {
+    explanation:
+      'The vesting contract does not hold enough tokens to cover every schedule once this one is added',
+    fix: 'Fund the vesting contract first (npx hardhat reska:fund or scripts/fund-vesting-contract.js), then retry',
+  },
+  ScheduleNotFound: {
+    explanation: 'No vesting schedule exists with this ID',
+    fix: 'List the holder\'s schedules with "reska vesting status <holder>" and use one of their IDs',
+  },
+  ScheduleNotRevocable: {
+    explanation: 'The schedule was created as non-revocable',
+    fix: 'Only schedules created with revocable = true can be revoked',
+  },
+  ScheduleAlreadyRevoked: {
+    explanation: 'The schedule has been revoked',
+    fix: 'Nothing more can be released, revoked or transferred from a revoked schedule',
+  },
+  IndexOutOfBounds: {
+    explanation: 'The schedule index is past the end of the list',
+    fix: 'Read getVestingSchedulesCount() or getVestingSchedulesCountByHolder() for the valid range',
+  },
+  NotBeneficiary: {
+    explanation: 'The signer is not allowed to act on this schedule',
+    fix: 'Sign with the beneficiary, the owner or a release operator (setReleaseOperator); transfers need the beneficiary',
+  },
+  NoTokensToRelease: {
+    explanation:
+      'Nothing is releasable yet: the cliff has not passed or everything vested was released',
+    fix: 'Check the next unlock with "reska vesting status <holder>" and release after it',
+  },
+  CannotWithdrawVestedTokens: {
+    explanation: 'The withdrawal would take tokens reserved for vesting schedules',
+    fix: 'Withdraw at most the balance above getVestingSchedulesTotalAmount()',
+  },
+  ArrayLengthMismatch: {
+    explanation: 'The beneficiaries and amounts arrays have different lengths',
+    fix: 'Pass one amount per beneficiary',
+  },
+  EmptyBatch: {
+    explanation: 'The batch has no beneficiaries',
+    fix: 'Pass at least one beneficiary',
+  },
+  InvalidNewBeneficiary: {
+    explanation: 'The schedule would be transferred to its current beneficiary',
+    fix: 'Pass a different address as the new beneficiary',
+  },
+  NoPendingTransfer: {
+    explanation: 'The schedule has no transfer waiting for approval',
+    fix: 'Request the transfer with transferVestingSchedule first',
+  },
+};
+
+/**
+ * Explanations and fixes of OpenZeppelin's revert reasons, matched on the reason string
+ */
+const REASONS = [
+  {
+    pattern: /^Ownable: caller is not the owner/,
+    explanation: 'Only the contract owner can make this call',
+    fix: 'Sign with the owner, or schedule the call through ReskaTimelock ("reska timelock") once it owns the contract',
+  },
+  {
+    pattern: /^AccessControl: account (0x[0-9a-fA-F]{40}) is missing role (0x[0-9a-fA-F]{64})/,
+    explanation: match => `${match[1]} does not hold ${roleName(match[2])}`,
+    fix: match =>
+      `Sign with an account holding ${roleName(match[2])}, or grant it through the role's admin`,
+  },
+  {
+    pattern: /^Pausable: paused/,
+    explanation: 'The token is paused',
+    fix: 'Unpause the token with an account holding PAUSER_ROLE',
+  },
+  {
+    pattern: /^ReentrancyGuard: reentrant call/,
+    explanation: 'The call re-entered the contract',
+    fix: 'Do not call back into the contract from a token hook',
+  },
+  {
+    pattern: /^ERC20: transfer amount exceeds balance/,
+    explanation: 'The sender does not hold enough tokens',
+    fix: 'Check the balance of the sending account (or contract) and transfer at most that',
+  },
+  {
+    pattern: /^ERC20: insufficient allowance/,
+    explanation: 'The spender is not approved for this amount',
+    fix: 'Approve the spender for at least the amount first',
+  },
+  {
+    pattern: /^ERC20: (transfer|mint|approve) (to|from) the zero address/,
+    explanation: 'An ERC20 address argument is the zero address',
+    fix: 'Check the recipient and sender addresses',
+  },
+  {
+    pattern: /^ERC20Votes: /,
+    explanation: match => `The token refused a vote checkpoint operation (${match.input})`,
+    fix: 'Query past votes at a timestamp strictly in the past',
+  },
+  {
+    pattern: /^ERC20Permit: /,
+    explanation: 'The permit signature was refused',
+    fix: 'Sign a new permit with the current nonce and a deadline in the future',
+  },
+  {
+    pattern: /^TimelockController: operation is not ready/,
+    explanation:
+      'The timelock operation is not ready: it is not scheduled or its delay has not passed',
+    fix: 'Check its ready time with "reska timelock list" and execute it afterwards',
+  },
+  {
+    pattern: /^TimelockController: operation already scheduled/,
+    explanation: 'An operation with the same calls, predecessor and salt is already scheduled',
+    fix: 'Execute or cancel the existing operation, or schedule with another salt',
+  },
+  {
+    pattern: /^TimelockController: insufficient delay/,
+    explanation: 'The delay is below the timelock minimum',
+    fix: 'Schedule with a delay of at least getMinDelay()',
+  },
+  {
+    pattern: /^TimelockController: missing dependency/,
+    explanation: 'The predecessor operation has not been executed',
+    fix: 'Execute the predecessor operation first',
+  },
+  {
+    pattern: /^TimelockController: operation cannot be cancelled/,
+    explanation: 'Only pending or ready operations can be cancelled',
+    fix: 'Check the operation state with "reska timelock list"',
+  },
+  {
+    pattern: /^TimelockController: underlying transaction reverted/,
+    explanation: 'A call of the timelock operation reverted when executed',
+    fix: "Simulate the operation's calls from the timelock address to find which one reverts",
+  },
+  {
+    pattern: /^TimelockController: caller must be timelock/,
+    explanation: 'Only the timelock itself can make this call',
+    fix: 'Schedule the call through the timelock',
+  },
+  {
+    pattern: /^SafeERC20: /,
+    explanation: 'A token transfer made by the contract failed',
+    fix: "Check the contract's token balance",
+  },
+];
+
+/**
+ * Explanations of Solidity panic codes
+ */
+const PANICS = {
+  0x01: 'An assertion failed',
+  0x11: 'An arithmetic operation overflowed or underflowed',
+  0x12: 'Division or modulo by zero',
+  0x21: 'A value was out of range for an enum',
+  0x31: 'pop() on an empty array',
+  0x32: 'An array index was out of bounds',
+  0x41: 'Too much memory was allocated',
+  0x51: 'A zero-initialized function was called',
+};
+
+// The roles of ReskaToken and ReskaTimelock, by hash
+const ROLES = Object.fromEntries(
+  [
+    'MINTER_ROLE',
+    'PAUSER_ROLE',
+    'TIMELOCK_ADMIN_ROLE',
+    'PROPOSER_ROLE',
+    'EXECUTOR_ROLE',
+    'CANCELLER_ROLE',
+  ].map(name => [ethers.id(name), name])
+);
+ROLES[ethers.ZeroHash] = 'DEFAULT_ADMIN_ROLE';
+
+const CONTRACT_INTERFACES = Object.entries(CONTRACT_ERRORS).map(([contract, errors]) => ({
+  contract,
+  iface: new ethers.Interface(errors),
+}));
+
+/**
+ * Names a role hash
+ * @param {string} role - Role hash
+ * @returns {string} Role name, or the hash for unknown roles
+ */
+function roleName(role) {
+  return ROLES[role.toLowerCase()] || role;
+}
+
+/**
+ * Finds the revert data of a failed call in an error, its nested RPC error or its causes
+ * @param {Error|Object} error - Error thrown by ethers, zksync-ethers or Hardhat
+ * @returns {string|null} Revert data, or null if the error carries none
+ */
+function getRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+
+    const { data } = current;
+    if (typeof data === 'string' && ethers.isHexString(data) && data.length >= 10) {
+      return data;
+    }
+    queue.push(data, current.error, current.info?.error, current.cause, current.revert);
+  }
+  return null;
+}
+
+/**
+ * Decodes revert data
+ * @param {string} data - Revert data
+ * @returns {Object|null} { name, args, contract, explanation, fix }, or null for unknown data
+ */
+function decodeRevertData(data) {
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = coder.decode(['string'], ethers.dataSlice(data, 4));
+    const known = REASONS.find(({ pattern }) => pattern.test(reason));
+    if (!known) {
+      return { name: 'Error', args: [reason], contract: null, explanation: reason, fix: null };
+    }
+    const match = reason.match(known.pattern);
+    const resolve = value => (typeof value === 'function' ? value(match) : value);
+    return {
+      name: 'Error',
+      args: [reason],
+      contract: null,
+      explanation: resolve(known.explanation),
+      fix: resolve(known.fix),
+    };
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+    return {
+      name: 'Panic',
+      args: [code],
+      contract: null,
+      explanation: PANICS[Number(code)] || `Panic code 0x${code.toString(16)}`,
+      fix: 'This is a contract bug or an unexpected state; report it with the call that caused it',
+    };
+  }
+
+  for (const { contract, iface } of CONTRACT_INTERFACES) {
+    const parsed = iface.parseError(data);
+    if (parsed) {
+      const hint = CUSTOM_ERRORS[parsed.name] || {};
+      return {
+        name: parsed.name,
+        args: [...parsed.args],
+        contract,
+        explanation: hint.explanation || parsed.signature,
+        fix: hint.fix || null,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decodes the revert reason of a failed call
+ * @param {Error|Object} error - Error thrown by ethers, zksync-ethers or Hardhat
+ * @returns {Object|null} Decoded revert (see decodeRevertData), or null when the error is not a
+ *   revert or its data is unknown
+ */
+function decodeError(error) {
+  const data = getRevertData(error);
+  return data ? decodeRevertData(data) : null;
+}
+
+/**
+ * Formats a decoded revert for the console
+ * @param {Object} decoded - Decoded revert from decodeError
+ * @returns {string} "<error>: <explanation>. Fix: <fix>"
+ */
+function formatRevert(decoded) {
+  const error =
+    decoded.name === 'Error'
+      ? `reverted with "${decoded.args[0]}"`
+      : `${decoded.contract ? `${decoded.contract}.` : ''}${decoded.name}`;
+  const explanation = decoded.name === 'Error' && !decoded.fix ? '' : `: ${decoded.explanation}`;
+  return `${error}${explanation}${decoded.fix ? `. Fix: ${decoded.fix}` : ''}`;
+}
+
+/**
+ * Describes an error for the console, with its decoded revert reason when it has one. Error
+ * handlers call it, so it never throws.
+ * @param {*} error - Any error or rejection value
+ * @returns {string} Decoded reason, or the error's own message (kept when it already holds the
+ *   decoded reason, as the transaction manager's errors do), or String(error) for values that
+ *   are not errors or cannot be decoded
+ */
+function describeError(error) {
+  try {
+    const message = String(error?.shortMessage || error?.message || error);
+    const decoded = decodeError(error);
+    if (!decoded) {
+      return message;
+    }
+    const reason = formatRevert(decoded);
+    return message.includes(reason) ? message : reason;
+  } catch {
+    return String(error);
+  }
+}
+
+module.exports = {
+  CONTRACT_ERRORS,
+  CUSTOM_ERRORS,
+  getRevertData,
+  decodeRevertData,
+  decodeError,
+  formatRevert,
+  describeError,
+};
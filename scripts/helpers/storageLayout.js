@@ -0,0 +1,300 @@
+/**
+ * RESKA Storage Layout Check
+ * Compares the storage layout of an upgradeable implementation with the layout it replaces
+ *
+ * A proxy keeps its state when it is pointed at a new implementation, so the new code must
+ * read every existing variable from the same slot, with the same type. The layouts come from
+ * the solc storageLayout output (enabled in hardhat.config.js) and are normalised so they can
+ * be compared across compilations and committed to storage-layouts/:
+ *
+ * - errors: a variable removed, moved or retyped, a struct member removed or retyped, a struct
+ *   stored inline that grows, and a new variable overlapping an existing one
+ * - warnings: a renamed variable or struct member
+ *
+ * New variables may be appended after the last one or take slots out of a shrinking __gap.
+ * An upgrade is refused while the check reports errors.
+ *
+ * @module storageLayout
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { writeJsonAtomic } = require('./deploymentJournal');
+
+// Committed layouts of the released implementations
+const LAYOUTS_DIR = path.join(__dirname, '..', '..', 'storage-layouts');
+
+// Implementations deployed behind proxies (see proxyDeployer)
+const UPGRADEABLE_CONTRACTS = ['ReskaTokenUpgradeable', 'ReskaTokenVestingUpgradeable'];
+
+const SLOT_BYTES = 32;
+
+/**
+ * Removes the declaring contract from struct and enum type names
+ * @param {string} label - Type label from the solc output
+ * @returns {string} e.g. "struct VestingSchedule" for "struct ReskaTokenVesting.VestingSchedule"
+ */
+function normalizeTypeLabel(label) {
+  return label.replace(/\b(struct|enum) \w+\./g, '$1 ');
+}
+
+/**
+ * Converts a solc storage layout into the compared form, keyed by type name instead of AST ids
+ * @param {Object} raw - storageLayout from the compiler output
+ * @returns {Object} { storage, types }
+ */
+function normalizeStorageLayout(raw) {
+  const name = typeId => normalizeTypeLabel(raw.types[typeId].label);
+  const entry = item => ({
+    label: item.label,
+    slot: Number(item.slot),
+    offset: item.offset,
+    type: name(item.type),
+  });
+
+  const types = {};
+  for (const [typeId, type] of Object.entries(raw.types || {})) {
+    const normalized = {
+      encoding: type.encoding,
+      bytes: Number(type.numberOfBytes),
+    };
+    if (type.key) normalized.key = name(type.key);
+    if (type.value) normalized.value = name(type.value);
+    if (type.base) normalized.base = name(type.base);
+    if (type.members) normalized.members = type.members.map(entry);
+    types[name(typeId)] = normalized;
+  }
+
+  return { storage: raw.storage.map(entry), types };
+}
+
+/**
+ * Reads the compiled storage layout of a contract
+ * @param {Object} artifacts - Hardhat artifacts (hre.artifacts)
+ * @param {string} contractName - Contract name
+ * @returns {Object} Normalised layout with the contract name
+ * @throws {Error} If the build output has no storage layout
+ */
+async function getStorageLayout(artifacts, contractName) {
+  const { sourceName } = await artifacts.readArtifact(contractName);
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const raw = buildInfo?.output.contracts[sourceName][contractName].storageLayout;
+  if (!raw) {
+    throw new Error(
+      `No storage layout for ${contractName}; add "storageLayout" to the compiler outputSelection`
+    );
+  }
+  return { contract: contractName, ...normalizeStorageLayout(raw) };
+}
+
+/**
+ * Returns the number of slots a variable occupies
+ * @param {Object} layout - Normalised layout
+ * @param {Object} item - Storage entry
+ * @returns {number} Slots from item.slot on
+ */
+function slotCount(layout, item) {
+  const bytes = layout.types[item.type]?.bytes ?? SLOT_BYTES;
+  return Math.max(1, Math.ceil((item.offset + bytes) / SLOT_BYTES));
+}
+
+/**
+ * Returns the byte range of a variable, counted from slot 0
+ * @param {Object} layout - Normalised layout
+ * @param {Object} item - Storage entry
+ * @returns {Array<number>} [start, end)
+ */
+function byteRange(layout, item) {
+  const start = item.slot * SLOT_BYTES + item.offset;
+  const bytes = layout.types[item.type]?.bytes ?? SLOT_BYTES;
+  return [start, start + (bytes >= SLOT_BYTES ? slotCount(layout, item) * SLOT_BYTES : bytes)];
+}
+
+/**
+ * Returns whether a variable only reserves storage for later implementations
+ * @param {Object} item - Storage entry
+ * @returns {boolean} True for __gap arrays
+ */
+function isGap(item) {
+  return item.label === '__gap';
+}
+
+/**
+ * Compares the storage layout of a new implementation with the one it replaces
+ * @param {Object} previous - Normalised layout of the current implementation
+ * @param {Object} next - Normalised layout of the new implementation
+ * @returns {Array<Object>} Findings with severity ('error' or 'warning'), code and message
+ */
+function compareStorageLayouts(previous, next) {
+  const findings = [];
+  const error = (code, message) => findings.push({ severity: 'error', code, message });
+  const warning = (code, message) => findings.push({ severity: 'warning', code, message });
+  const at = item => `slot ${item.slot}${item.offset ? ` offset ${item.offset}` : ''}`;
+
+  // Struct members follow the same rules as variables; only structs outside the
+  // contract's sequential storage (in mappings and dynamic arrays) may grow
+  const compareTypes = (type, where, inline) => {
+    const before = previous.types[type];
+    const after = next.types[type];
+    if (!before || !after) {
+      return;
+    }
+    if (before.value) compareTypes(before.value, `${where} values`, false);
+    if (before.base) {
+      compareTypes(before.base, `${where} items`, inline && before.encoding === 'inplace');
+    }
+    if (!before.members) {
+      return;
+    }
+    for (const member of before.members) {
+      const match = after.members.find(m => m.slot === member.slot && m.offset === member.offset);
+      if (!match) {
+        error('member-removed', `${where}: ${type} member ${member.label} was removed or moved`);
+      } else if (match.type !== member.type) {
+        error(
+          'member-retyped',
+          `${where}: ${type} member ${member.label} changed from ${member.type} to ${match.type}`
+        );
+      } else {
+        if (match.label !== member.label) {
+          warning(
+            'member-renamed',
+            `${where}: ${type} member ${member.label} renamed to ${match.label}`
+          );
+        }
+        compareTypes(member.type, `${where}.${member.label}`, inline);
+      }
+    }
+    if (inline && after.bytes !== before.bytes) {
+      error(
+        'struct-resized',
+        `${where}: ${type} is stored inline and grows from ${before.bytes} to ${after.bytes} bytes`
+      );
+    }
+  };
+
+  const matched = new Set();
+  for (const item of previous.storage) {
+    if (isGap(item)) {
+      continue;
+    }
+    const match = next.storage.find(n => n.slot === item.slot && n.offset === item.offset);
+    if (!match || isGap(match)) {
+      error('variable-removed', `${item.label} (${at(item)}) was removed or moved`);
+      continue;
+    }
+    matched.add(match);
+    if (match.type !== item.type) {
+      error(
+        'variable-retyped',
+        `${item.label} (${at(item)}) changed from ${item.type} to ${match.type}`
+      );
+      continue;
+    }
+    if (match.label !== item.label) {
+      warning('variable-renamed', `${item.label} (${at(item)}) renamed to ${match.label}`);
+    }
+    compareTypes(item.type, item.label, true);
+  }
+
+  // Anything new must land in a gap or after the previous layout, never over a kept variable
+  const kept = previous.storage.filter(item => !isGap(item));
+  for (const item of next.storage) {
+    if (matched.has(item)) {
+      continue;
+    }
+    const [start, end] = byteRange(next, item);
+    const overlap = kept.find(old => {
+      const [oldStart, oldEnd] = byteRange(previous, old);
+      return start < oldEnd && oldStart < end;
+    });
+    if (overlap) {
+      error(
+        'variable-collision',
+        `${item.label} (${at(item)}) collides with ${overlap.label} (${at(overlap)})`
+      );
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Hashes a normalised layout, to record which layout a deployment used
+ * @param {Object} layout - Normalised layout
+ * @returns {string} keccak256 of the storage entries and types
+ */
+function hashStorageLayout(layout) {
+  return ethers.id(JSON.stringify({ storage: layout.storage, types: layout.types }));
+}
+
+/**
+ * Returns the path of a committed layout
+ * @param {string} contractName - Contract name
+ * @param {string} [dir] - Layouts directory
+ * @returns {string} Absolute path
+ */
+function getLayoutPath(contractName, dir = LAYOUTS_DIR) {
+  return path.join(dir, `${contractName}.json`);
+}
+
+/**
+ * Reads the committed layout of a released implementation
+ * @param {string} contractName - Contract name
+ * @param {string} [dir] - Layouts directory
+ * @returns {Object|null} Normalised layout, or null if none was committed
+ */
+function loadStorageLayout(contractName, dir = LAYOUTS_DIR) {
+  const filePath = getLayoutPath(contractName, dir);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Writes the layout of a released implementation
+ * @param {Object} layout - Normalised layout with the contract name
+ * @param {string} [dir] - Layouts directory
+ * @returns {string} Path written
+ */
+function saveStorageLayout(layout, dir = LAYOUTS_DIR) {
+  const filePath = getLayoutPath(layout.contract, dir);
+  writeJsonAtomic(filePath, layout);
+  return filePath;
+}
+
+/**
+ * Checks a new implementation against the layout it replaces
+ * @param {Object} artifacts - Hardhat artifacts (hre.artifacts)
+ * @param {string} contractName - Contract name of the new implementation
+ * @param {Object} [options] - Options
+ * @param {Object} [options.previous] - Layout replaced; defaults to the committed one of the same contract
+ * @returns {Object} { ok, findings, layout }
+ * @throws {Error} If there is no previous layout to compare with
+ */
+async function checkUpgradeLayout(artifacts, contractName, { previous } = {}) {
+  const reference = previous || loadStorageLayout(contractName);
+  if (!reference) {
+    throw new Error(
+      `No committed storage layout for ${contractName}; run scripts/check-storage-layout.js --update`
+    );
+  }
+  const layout = await getStorageLayout(artifacts, contractName);
+  const findings = compareStorageLayouts(reference, layout);
+  return { ok: !findings.some(f => f.severity === 'error'), findings, layout };
+}
+
+module.exports = {
+  LAYOUTS_DIR,
+  UPGRADEABLE_CONTRACTS,
+  normalizeStorageLayout,
+  getStorageLayout,
+  compareStorageLayouts,
+  hashStorageLayout,
+  loadStorageLayout,
+  saveStorageLayout,
+  checkUpgradeLayout,
+};
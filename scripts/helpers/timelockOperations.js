@@ -0,0 +1,362 @@
+/**
+ * RESKA Timelock Operations
+ * Encodes, schedules, lists, executes and cancels ReskaTimelock operations
+ *
+ * Once the admin roles are handed over to the timelock (see adminHandover), every admin call
+ * on ReskaToken and ReskaTokenVesting is a timelock operation: one or more calls scheduled
+ * by a proposer, executable by an executor once the delay has passed. The operations are
+ * rebuilt from the timelock's CallScheduled and CallSalt events, so anything scheduled can be
+ * executed later from its id alone, and their state is read from getTimestamp().
+ *
+ * @module timelockOperations
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { parseDuration, parseStart } = require('./allocationManifest');
+const { DEFAULT_BLOCK_RANGE } = require('./vestingIndexer');
+const { getTransactionManager } = require('./transactionManager');
+
+// getTimestamp() of an executed operation
+const DONE_TIMESTAMP = 1n;
+
+// Admin calls the toolkit can encode, with their contract and parameters
+const TIMELOCK_ACTIONS = {
+  mint: { contract: 'token', params: ['to', 'amount'] },
+  pause: { contract: 'token', params: [] },
+  unpause: { contract: 'token', params: [] },
+  revoke: { contract: 'vesting', params: ['scheduleId'] },
+  withdraw: { contract: 'vesting', params: ['amount'] },
+  createVestingSchedule: {
+    contract: 'vesting',
+    params: ['beneficiary', 'start', 'cliff', 'duration', 'slicePeriod', 'revocable', 'amount'],
+  },
+};
+
+/**
+ * Parses one command line argument of an action
+ * @param {string} param - Parameter name
+ * @param {string} value - Raw value
+ * @param {number} decimals - Token decimals for amounts
+ * @returns {*} Value for the contract call
+ */
+function parseParam(param, value, decimals) {
+  switch (param) {
+    case 'to':
+    case 'beneficiary':
+      if (!ethers.isAddress(value) || value === ethers.ZeroAddress) {
+        throw new Error(`Invalid ${param} address: ${value}`);
+      }
+      return ethers.getAddress(value);
+    case 'amount':
+      return ethers.parseUnits(String(value), decimals);
+    case 'scheduleId':
+      if (!ethers.isHexString(value, 32)) {
+        throw new Error(`Invalid schedule id: ${value}`);
+      }
+      return value;
+    case 'start':
+      return /^\d+$/.test(String(value))
+        ? Number(value)
+        : parseStart(value, Math.floor(Date.now() / 1000));
+    case 'revocable':
+      if (!['true', 'false'].includes(String(value))) {
+        throw new Error(`revocable must be true or false, not ${value}`);
+      }
+      return String(value) === 'true';
+    default:
+      // cliff, duration and slicePeriod: seconds or "30d"-style durations
+      return parseDuration(/^\d+$/.test(String(value)) ? Number(value) : value);
+  }
+}
+
+/**
+ * Encodes an admin call on the token or vesting contract
+ * @param {Object} contracts - Object containing the token and vesting contract instances
+ * @param {string} action - One of TIMELOCK_ACTIONS
+ * @param {Array<string>} args - Raw arguments, in the order of the action's parameters
+ * @param {Object} [options] - Options
+ * @param {number} [options.decimals] - Token decimals for amounts
+ * @returns {Object} Call with target, value and data
+ * @throws {Error} If the action is unknown or the arguments are invalid
+ */
+async function buildCall(contracts, action, args, { decimals = 6 } = {}) {
+  const spec = TIMELOCK_ACTIONS[action];
+  if (!spec) {
+    throw new Error(
+      `Unknown action: ${action}. Must be one of: ${Object.keys(TIMELOCK_ACTIONS).join(', ')}`
+    );
+  }
+  if (args.length !== spec.params.length) {
+    throw new Error(`${action} takes ${spec.params.length} argument(s): ${spec.params.join(' ')}`);
+  }
+
+  const contract = contracts[spec.contract];
+  const values = spec.params.map((param, i) => parseParam(param, args[i], decimals));
+  return {
+    target: await contract.getAddress(),
+    value: 0n,
+    data: contract.interface.encodeFunctionData(action, values),
+  };
+}
+
+/**
+ * Describes a call in human-readable form
+ * @param {Object} contracts - Object containing the token and vesting contract instances
+ * @param {Object} call - Call with target, value and data
+ * @returns {string} e.g. "ReskaToken.mint(0x..., 1000000)"
+ */
+async function describeCall(contracts, call) {
+  const names = { token: 'ReskaToken', vesting: 'ReskaTokenVesting' };
+  for (const [key, contract] of Object.entries(contracts)) {
+    if (!names[key] || (await contract.getAddress()) !== ethers.getAddress(call.target)) {
+      continue;
+    }
+    const parsed = contract.interface.parseTransaction({ data: call.data, value: call.value });
+    if (parsed) {
+      return `${names[key]}.${parsed.name}(${parsed.args.map(String).join(', ')})`;
+    }
+  }
+  return `${call.target} ${call.data.slice(0, 10)}`;
+}
+
+/**
+ * Computes the id of an operation; single calls and batches are hashed differently
+ * @param {Object} timelock - ReskaTimelock contract instance
+ * @param {Array<Object>} calls - Calls with target, value and data
+ * @param {Object} [options] - Options
+ * @param {string} [options.predecessor] - Operation that must be executed first
+ * @param {string} [options.salt] - Salt distinguishing otherwise identical operations
+ * @returns {string} Operation id
+ */
+async function getOperationId(
+  timelock,
+  calls,
+  { predecessor = ethers.ZeroHash, salt = ethers.ZeroHash } = {}
+) {
+  if (calls.length === 1) {
+    const [{ target, value, data }] = calls;
+    return await timelock.hashOperation(target, value, data, predecessor, salt);
+  }
+  return await timelock.hashOperationBatch(
+    calls.map(call => call.target),
+    calls.map(call => call.value),
+    calls.map(call => call.data),
+    predecessor,
+    salt
+  );
+}
+
+/**
+ * Schedules an operation, through scheduleBatch when it has more than one call
+ * @param {Object} timelock - ReskaTimelock contract instance connected to a proposer
+ * @param {Array<Object>} calls - Calls with target, value and data
+ * @param {Object} [options] - Options
+ * @param {string} [options.predecessor] - Operation that must be executed first
+ * @param {string} [options.salt] - Salt distinguishing otherwise identical operations
+ * @param {bigint|number} [options.delay] - Delay in seconds; defaults to the timelock's minimum
+ * @returns {Object} { id, readyAt, receipt }
+ */
+async function scheduleOperation(
+  timelock,
+  calls,
+  { predecessor = ethers.ZeroHash, salt = ethers.ZeroHash, delay } = {}
+) {
+  if (calls.length === 0) {
+    throw new Error('An operation needs at least one call');
+  }
+
+  const minDelay = delay ?? (await timelock.getMinDelay());
+  const id = await getOperationId(timelock, calls, { predecessor, salt });
+  const [method, args] =
+    calls.length === 1
+      ? ['schedule', [calls[0].target, calls[0].value, calls[0].data, predecessor, salt, minDelay]]
+      : [
+          'scheduleBatch',
+          [
+            calls.map(call => call.target),
+            calls.map(call => call.value),
+            calls.map(call => call.data),
+            predecessor,
+            salt,
+            minDelay,
+          ],
+        ];
+  const receipt = await getTransactionManager(timelock.runner).sendContractCall(
+    timelock,
+    method,
+    args
+  );
+
+  return { id, readyAt: await timelock.getTimestamp(id), receipt };
+}
+
+/**
+ * Rebuilds the operations scheduled on the timelock from its events
+ * @param {Object} timelock - ReskaTimelock contract instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.fromBlock] - First block to scan (the timelock's deployment block)
+ * @param {number} [options.blockRange] - Blocks per log query
+ * @param {boolean} [options.all] - Include executed and cancelled operations
+ * @returns {Array<Object>} Operations (id, calls, predecessor, salt, delay, batch, readyAt, status) by ready time
+ */
+async function listOperations(
+  timelock,
+  { fromBlock = 0, blockRange = DEFAULT_BLOCK_RANGE, all = false } = {}
+) {
+  const provider = timelock.runner.provider;
+  const address = await timelock.getAddress();
+  const topics = ['CallScheduled', 'CallSalt'].map(
+    name => timelock.interface.getEvent(name).topicHash
+  );
+  const head = await provider.getBlock('latest');
+
+  const operations = {};
+  const salts = {};
+  for (let from = fromBlock; from <= head.number; from += blockRange) {
+    const to = Math.min(from + blockRange - 1, head.number);
+    const logs = await provider.getLogs({
+      address,
+      topics: [topics],
+      fromBlock: from,
+      toBlock: to,
+    });
+    for (const log of logs) {
+      const event = timelock.interface.parseLog(log);
+      const id = event.args.id;
+      if (event.name === 'CallSalt') {
+        salts[id] = event.args.salt;
+        continue;
+      }
+      // An id scheduled again after a cancellation starts over
+      if (!operations[id] || operations[id].txHash !== log.transactionHash) {
+        operations[id] = {
+          id,
+          calls: [],
+          predecessor: event.args.predecessor,
+          delay: event.args.delay,
+          txHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+        };
+      }
+      operations[id].calls[Number(event.args.index)] = {
+        target: event.args.target,
+        value: event.args.value,
+        data: event.args.data,
+      };
+    }
+  }
+
+  const results = [];
+  for (const operation of Object.values(operations)) {
+    const salt = salts[operation.id] || ethers.ZeroHash;
+    const timestamp = await timelock.getTimestamp(operation.id);
+    let status = 'pending';
+    if (timestamp === 0n) {
+      status = 'cancelled';
+    } else if (timestamp === DONE_TIMESTAMP) {
+      status = 'done';
+    } else if (timestamp <= BigInt(head.timestamp)) {
+      status = 'ready';
+    }
+    if (!all && ['cancelled', 'done'].includes(status)) {
+      continue;
+    }
+
+    const single =
+      operation.calls.length === 1 &&
+      (await getOperationId(timelock, operation.calls, {
+        predecessor: operation.predecessor,
+        salt,
+      })) === operation.id;
+    results.push({
+      ...operation,
+      salt,
+      batch: !single,
+      readyAt: timestamp > DONE_TIMESTAMP ? timestamp : null,
+      status,
+    });
+  }
+
+  return results.sort((a, b) => Number((a.readyAt ?? 0n) - (b.readyAt ?? 0n)));
+}
+
+/**
+ * Finds a scheduled operation by id
+ * @param {Object} timelock - ReskaTimelock contract instance
+ * @param {string} id - Operation id
+ * @param {Object} [options] - Options passed to listOperations
+ * @returns {Object} The operation
+ * @throws {Error} If no CallScheduled event exists for the id
+ */
+async function findOperation(timelock, id, options = {}) {
+  const operations = await listOperations(timelock, { ...options, all: true });
+  const operation = operations.find(item => item.id === id);
+  if (!operation) {
+    throw new Error(`No scheduled operation found with id ${id}`);
+  }
+  return operation;
+}
+
+/**
+ * Executes a ready operation
+ * @param {Object} timelock - ReskaTimelock contract instance connected to an executor
+ * @param {Object} operation - Operation from listOperations or findOperation
+ * @returns {Object} Transaction receipt
+ * @throws {Error} If the operation is not ready
+ */
+async function executeOperation(timelock, operation) {
+  if (operation.status !== 'ready') {
+    const when = operation.readyAt ? ` (ready at ${formatTime(operation.readyAt)})` : '';
+    throw new Error(`Operation ${operation.id} is ${operation.status}${when}`);
+  }
+
+  const { calls, predecessor, salt } = operation;
+  const value = calls.reduce((acc, call) => acc + call.value, 0n);
+  const [method, args] = operation.batch
+    ? [
+        'executeBatch',
+        [
+          calls.map(call => call.target),
+          calls.map(call => call.value),
+          calls.map(call => call.data),
+          predecessor,
+          salt,
+          { value },
+        ],
+      ]
+    : ['execute', [calls[0].target, calls[0].value, calls[0].data, predecessor, salt, { value }]];
+  return await getTransactionManager(timelock.runner).sendContractCall(timelock, method, args);
+}
+
+/**
+ * Cancels a pending or ready operation
+ * @param {Object} timelock - ReskaTimelock contract instance connected to a canceller
+ * @param {string} id - Operation id
+ * @returns {Object} Transaction receipt
+ */
+async function cancelOperation(timelock, id) {
+  return await getTransactionManager(timelock.runner).sendContractCall(timelock, 'cancel', [id]);
+}
+
+/**
+ * Formats a unix timestamp as an ISO date
+ * @param {bigint|number} time - Unix timestamp
+ * @returns {string} ISO date string
+ */
+function formatTime(time) {
+  return new Date(Number(time) * 1000).toISOString();
+}
+
+module.exports = {
+  TIMELOCK_ACTIONS,
+  buildCall,
+  describeCall,
+  getOperationId,
+  scheduleOperation,
+  listOperations,
+  findOperation,
+  executeOperation,
+  cancelOperation,
+  formatTime,
+};
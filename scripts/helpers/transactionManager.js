@@ -0,0 +1,647 @@
+/**
+ * RESKA Transaction Manager
+ * Sends the transactions of one signer: every transaction is simulated before it is broadcast,
+ * gets a buffered gas limit and a nonce tracked locally, and is replaced with bumped fees when
+ * it is dropped from the mempool, underpriced or not mined within the network timeout.
+ *
+ * Transactions in flight are written to a pending file before anything waits on them, so a
+ * run that stops halfway can be resumed: the next manager of the same signer waits for (or
+ * replaces) them before sending new ones. A transaction sent for a deployment journal action
+ * keeps the action's journal path and key in the file, so the replacements sent while resuming
+ * it are recorded in that action. Settled transactions leave the file and are kept in the
+ * manager's report.
+ *
+ * A SafeBundleSigner queues its transactions instead of broadcasting them, so they are passed
+ * through untouched.
+ *
+ * @module transactionManager
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic, openJournal } = require('./deploymentJournal');
+const { SafeBundleSigner } = require('./deploymentSigner');
+const { describeError } = require('./revertDecoder');
+
+const PENDING_VERSION = 1;
+const DEFAULT_TIMEOUT_MS = 120000; // zkSyncMainnet's transaction timeout
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_FEE_BUMP_PERCENT = 20; // Nodes refuse replacements that bump fees by less than 10%
+const DEFAULT_GAS_BUFFER_PERCENT = 20;
+const MAX_NONCE_ATTEMPTS = 3;
+
+// Managers shared by everything sending with a given signer
+const managers = new WeakMap();
+
+/**
+ * Returns the default pending transactions path for a network
+ * @param {string} network - Hardhat network name
+ * @returns {string} Absolute path to deployments/pending-tx-<network>.json
+ */
+function getPendingTransactionsPath(network) {
+  return path.join(__dirname, '..', '..', 'deployments', `pending-tx-${network}.json`);
+}
+
+/**
+ * Returns whether a broadcast was refused because its nonce is already used
+ * @param {Error} error - Error from sendTransaction
+ * @returns {boolean} True for "nonce too low" errors
+ */
+function isNonceExpired(error) {
+  return (
+    error.code === 'NONCE_EXPIRED' ||
+    /nonce too low|nonce has already been used/i.test(error.message)
+  );
+}
+
+/**
+ * Returns whether a replacement was refused because its fees are too low
+ * @param {Error} error - Error from sendTransaction
+ * @returns {boolean} True for "replacement transaction underpriced" errors
+ */
+function isUnderpriced(error) {
+  return error.code === 'REPLACEMENT_UNDERPRICED' || /underpriced/i.test(error.message);
+}
+
+/**
+ * Returns whether the node already holds the broadcast transaction
+ * @param {Error} error - Error from sendTransaction
+ * @returns {boolean} True for "already known" errors
+ */
+function isAlreadyKnown(error) {
+  return /already known|already imported/i.test(error.message);
+}
+
+/**
+ * Converts the bigint fields of an object to strings for the pending file
+ * @param {Object} value - Object with bigint fields
+ * @returns {Object} Serializable copy
+ */
+function serializeFields(value) {
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, field]) => field !== undefined && field !== null)
+      .map(([key, field]) => [key, typeof field === 'bigint' ? field.toString() : field])
+  );
+}
+
+/**
+ * Converts the numeric string fields of the pending file back to bigints
+ * @param {Object} value - Fields read from the pending file
+ * @param {Array<string>} keys - Fields holding bigints
+ * @returns {Object} Copy with bigint fields
+ */
+function parseFields(value, keys) {
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [key, keys.includes(key) ? BigInt(field) : field])
+  );
+}
+
+/**
+ * Returns the onSubmitted callback of a resumed transaction, recording the hash of each
+ * replacement in the journal action the transaction was sent for
+ * @param {Object} journalAction - Journal path and action key persisted with the transaction
+ * @returns {Function} Callback taking the transaction response
+ */
+function recordInJournal({ path: journalPath, key }) {
+  return response => openJournal(journalPath).recordAction(key, { txHash: response.hash });
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends and tracks the transactions of one signer
+ */
+class TransactionManager {
+  /**
+   * @param {Object} signer - ethers or zksync-ethers signer connected to a provider
+   * @param {Object} [options] - Options
+   * @param {string} [options.pendingPath] - File in which transactions in flight are persisted
+   *   (kept in memory only when omitted)
+   * @param {number} [options.timeout] - Milliseconds to wait for a transaction before replacing it
+   * @param {number} [options.pollInterval] - Milliseconds between receipt checks
+   * @param {number} [options.maxRetries] - Replacements sent before giving up on a transaction
+   * @param {number} [options.feeBumpPercent] - Percentage each replacement adds to the fees
+   * @param {number} [options.gasBufferPercent] - Percentage added to gas estimates
+   */
+  constructor(
+    signer,
+    {
+      pendingPath,
+      timeout = DEFAULT_TIMEOUT_MS,
+      pollInterval = DEFAULT_POLL_INTERVAL_MS,
+      maxRetries = DEFAULT_MAX_RETRIES,
+      feeBumpPercent = DEFAULT_FEE_BUMP_PERCENT,
+      gasBufferPercent = DEFAULT_GAS_BUFFER_PERCENT,
+    } = {}
+  ) {
+    if (!signer?.provider) {
+      throw new Error('The transaction manager needs a signer connected to a provider');
+    }
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.pendingPath = pendingPath;
+    this.timeout = timeout;
+    this.pollInterval = pollInterval;
+    this.maxRetries = maxRetries;
+    this.feeBumpPercent = BigInt(feeBumpPercent);
+    this.gasBufferPercent = BigInt(gasBufferPercent);
+
+    this.inFlight = new Map();
+    this.results = [];
+    this.resumed = false;
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<string>} Address of the signer
+   */
+  async getAddress() {
+    if (!this.address) {
+      this.address = await this.signer.getAddress();
+    }
+    return this.address;
+  }
+
+  /**
+   * @returns {Promise<string>} Chain id, as a string
+   */
+  async getChainId() {
+    if (!this.chainId) {
+      this.chainId = (await this.provider.getNetwork()).chainId.toString();
+    }
+    return this.chainId;
+  }
+
+  /**
+   * Runs tasks one after the other, so nonces are reserved in the order transactions are sent
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Result of the task
+   */
+  serialize(task) {
+    const run = this.tail.then(task);
+    this.tail = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Reads the transactions persisted in the pending file
+   * @returns {Array<Object>} Pending file entries of every signer
+   */
+  readPending() {
+    if (!this.pendingPath || !fs.existsSync(this.pendingPath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(this.pendingPath, 'utf8')).transactions;
+  }
+
+  /**
+   * Writes the transactions in flight to the pending file, keeping the entries of other signers
+   * and chains
+   */
+  async savePending() {
+    if (!this.pendingPath) {
+      return;
+    }
+    const from = await this.getAddress();
+    const chainId = await this.getChainId();
+    const others = this.readPending().filter(
+      entry => entry.from !== from || entry.chainId !== chainId
+    );
+    const own = [...this.inFlight.values()]
+      .filter(record => record.hashes.length > 0)
+      .map(record => ({
+        from,
+        chainId,
+        label: record.label,
+        nonce: record.nonce,
+        request: serializeFields(record.request),
+        fees: serializeFields(record.fees),
+        hashes: record.hashes,
+        attempts: record.attempts,
+        submittedAt: new Date(record.submittedAt).toISOString(),
+        journalAction: record.journalAction,
+      }));
+    writeJsonAtomic(this.pendingPath, {
+      version: PENDING_VERSION,
+      transactions: [...others, ...own],
+    });
+  }
+
+  /**
+   * Simulates a transaction with eth_call and estimates its gas, unless it sets its own limit
+   * @param {Object} tx - Transaction request (to, data, value, and optionally gasLimit)
+   * @param {Object} [options] - Options
+   * @param {string} [options.label] - Name of the transaction in errors
+   * @returns {Promise<bigint>} Gas limit with the buffer added
+   * @throws {Error} If the transaction would revert, with its decoded reason (see revertDecoder);
+   *   the node's error is kept as its cause
+   */
+  async simulate(tx, { label = 'Transaction' } = {}) {
+    try {
+      await this.signer.call(tx);
+      if (tx.gasLimit != null) {
+        return BigInt(tx.gasLimit);
+      }
+      const estimate = await this.signer.estimateGas(tx);
+      return (estimate * (100n + this.gasBufferPercent)) / 100n;
+    } catch (error) {
+      // Set by hand: the Error constructor's cause option needs Node.js 16.9
+      const refused = new Error(`${label} would revert: ${describeError(error)}`);
+      refused.cause = error;
+      throw refused;
+    }
+  }
+
+  /**
+   * Reserves the nonce of the next transaction: the node's pending count, moved past the
+   * transactions in flight it does not count yet (load-balanced RPCs lag behind the transactions
+   * just sent). Transactions the node no longer knows, e.g. after a reorg, do not hold a nonce.
+   * @returns {Promise<number>} Nonce
+   */
+  async reserveNonce() {
+    let next = await this.provider.getTransactionCount(await this.getAddress(), 'pending');
+    const records = [...this.inFlight.values()].sort((a, b) => a.nonce - b.nonce);
+    for (const record of records) {
+      if (record.nonce === next && record.hashes.length > 0 && (await this.isKnown(record))) {
+        next++;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * @param {Object} record - Transaction record
+   * @returns {Promise<boolean>} Whether the node knows the latest broadcast of the transaction
+   */
+  async isKnown(record) {
+    return (await this.provider.getTransaction(record.hashes[record.hashes.length - 1])) !== null;
+  }
+
+  /**
+   * Reads the current fees of the network
+   * @returns {Promise<Object>} maxFeePerGas and maxPriorityFeePerGas, or gasPrice on legacy networks
+   */
+  async getFees() {
+    const feeData = await this.provider.getFeeData();
+    if (feeData.maxFeePerGas != null) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  /**
+   * Bumps the fees of a transaction for its replacement, following the network if its fees rose
+   * further
+   * @param {Object} fees - Fees of the transaction being replaced
+   * @returns {Promise<Object>} Fees of the replacement
+   */
+  async bumpFees(fees) {
+    const current = await this.getFees();
+    const bump = (value, floor) => {
+      const bumped = (value * (100n + this.feeBumpPercent)) / 100n;
+      return floor != null && floor > bumped ? floor : bumped;
+    };
+    return Object.fromEntries(
+      Object.entries(fees).map(([key, value]) => [key, bump(value, current[key])])
+    );
+  }
+
+  /**
+   * Signs and broadcasts a transaction with the nonce and fees of its record
+   * @param {Object} record - Transaction record
+   * @returns {Promise<Object>} Transaction response
+   */
+  async broadcast(record) {
+    const response = await this.signer.sendTransaction({
+      ...record.request,
+      nonce: record.nonce,
+      ...record.fees,
+    });
+    record.hashes.push(response.hash);
+    record.attempts += 1;
+    record.submittedAt = Date.now();
+    record.response = response;
+    await this.savePending();
+    return response;
+  }
+
+  /**
+   * Simulates and broadcasts a transaction without waiting for it
+   * @param {Object} tx - Transaction request (to, data, value, and optionally gasLimit)
+   * @param {Object} [options] - Options
+   * @param {string} [options.label] - Name of the transaction in logs and the report
+   * @param {Function} [options.onSubmitted] - Called with the response of every broadcast,
+   *   replacements included, so callers can record the latest hash
+   * @param {Object} [options.journalAction] - Journal path and action key the transaction is
+   *   recorded in, persisted so a later run's resume() records its replacements there
+   * @returns {Promise<Object>} Transaction record, to pass to wait; its response is the latest
+   *   broadcast transaction
+   * @throws {Error} If the simulation fails or the node refuses the transaction
+   */
+  submit(tx, { label = 'Transaction', onSubmitted, journalAction } = {}) {
+    if (this.signer instanceof SafeBundleSigner) {
+      return this.queueInBundle(tx, { label, onSubmitted });
+    }
+
+    return this.serialize(async () => {
+      if (!this.resumed) {
+        await this.resume();
+      }
+
+      const { to, data, value } = tx;
+      const gasLimit = await this.simulate(tx, { label });
+      const record = {
+        label,
+        request: { to, data, value, gasLimit },
+        fees: await this.getFees(),
+        hashes: [],
+        attempts: 0,
+        onSubmitted,
+        journalAction,
+      };
+
+      let floor = 0;
+      for (let attempt = 1; ; attempt++) {
+        record.nonce = Math.max(await this.reserveNonce(), floor);
+        this.inFlight.set(record.nonce, record);
+        try {
+          await this.broadcast(record);
+          break;
+        } catch (error) {
+          this.inFlight.delete(record.nonce);
+          // Another sender took the nonce between the count and the broadcast: count again
+          if (!isNonceExpired(error) || attempt === MAX_NONCE_ATTEMPTS) {
+            throw error;
+          }
+          floor = record.nonce + 1;
+        }
+      }
+      console.log(`${label} submitted with nonce ${record.nonce}: ${record.hashes[0]}`);
+      if (onSubmitted) {
+        await onSubmitted(record.response);
+      }
+      return record;
+    });
+  }
+
+  /**
+   * Finds the receipt of whichever broadcast of a transaction was mined
+   * @param {Object} record - Transaction record
+   * @returns {Promise<Object|null>} Receipt, or null while none is mined
+   */
+  async findReceipt(record) {
+    for (const hash of [...record.hashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replaces a transaction with the same nonce and bumped fees, bumping again while the node
+   * finds the replacement underpriced
+   * @param {Object} record - Transaction record
+   * @param {string} reason - Why the transaction is replaced, for the log
+   * @returns {Promise<boolean>} False when the nonce was mined in the meantime
+   * @throws {Error} If the retries are exhausted
+   */
+  async replace(record, reason) {
+    while (record.attempts <= this.maxRetries) {
+      record.fees = await this.bumpFees(record.fees);
+      console.warn(
+        `⚠️  ${record.label} (nonce ${record.nonce}) ${reason}; ` +
+          `replacing it with fees raised by ${this.feeBumpPercent}%`
+      );
+      try {
+        await this.broadcast(record);
+      } catch (error) {
+        if (isNonceExpired(error) || isAlreadyKnown(error)) {
+          return false;
+        }
+        if (!isUnderpriced(error)) {
+          throw error;
+        }
+        reason = 'was refused as underpriced';
+        record.attempts += 1;
+        continue;
+      }
+      if (record.onSubmitted) {
+        await record.onSubmitted(record.response);
+      }
+      return true;
+    }
+    throw new Error(
+      `${record.label} (nonce ${record.nonce}) was not mined after ${record.attempts} attempts; ` +
+        `its transactions are ${record.hashes.join(', ')}` +
+        (this.pendingPath ? ` (kept in ${this.pendingPath} to resume)` : '')
+    );
+  }
+
+  /**
+   * Waits for a submitted transaction, replacing it when it is dropped or times out
+   * @param {Object} record - Record returned by submit
+   * @returns {Promise<Object>} Receipt of the mined transaction
+   * @throws {Error} If the transaction reverted, its nonce was used by another transaction or
+   *   the retries are exhausted
+   */
+  async wait(record) {
+    if (record.queued) {
+      return record.response.wait();
+    }
+
+    for (;;) {
+      const receipt = await this.findReceipt(record);
+      if (receipt) {
+        return this.settle(record, receipt);
+      }
+
+      const mined = await this.provider.getTransactionCount(await this.getAddress(), 'latest');
+      if (mined > record.nonce) {
+        // The nonce was used: by one of ours whose receipt just appeared, or by someone else
+        const late = await this.findReceipt(record);
+        if (late) {
+          return this.settle(record, late);
+        }
+        this.inFlight.delete(record.nonce);
+        await this.savePending();
+        throw new Error(
+          `Nonce ${record.nonce} of ${record.label} was used by another transaction; ` +
+            `none of ${record.hashes.join(', ')} was mined`
+        );
+      }
+
+      const latest = record.hashes[record.hashes.length - 1];
+      if (!(await this.provider.getTransaction(latest))) {
+        await this.replace(record, 'was dropped from the mempool');
+      } else if (Date.now() - record.submittedAt >= this.timeout) {
+        await this.replace(record, `was not mined within ${this.timeout / 1000}s`);
+      } else {
+        await sleep(this.pollInterval);
+      }
+    }
+  }
+
+  /**
+   * Removes a mined transaction from the transactions in flight and adds it to the report
+   * @param {Object} record - Transaction record
+   * @param {Object} receipt - Receipt of the mined transaction
+   * @returns {Promise<Object>} The receipt
+   * @throws {Error} If the transaction reverted
+   */
+  async settle(record, receipt) {
+    this.inFlight.delete(record.nonce);
+    await this.savePending();
+
+    const status = receipt.status === 1 ? 'mined' : 'reverted';
+    this.results.push({
+      label: record.label,
+      nonce: record.nonce,
+      hash: receipt.hash,
+      status,
+      attempts: record.attempts,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+    });
+    if (status === 'reverted') {
+      throw new Error(`${record.label} reverted in ${receipt.hash}`);
+    }
+    return receipt;
+  }
+
+  /**
+   * Simulates, broadcasts and waits for a transaction
+   * @param {Object} tx - Transaction request (to, data, value, and optionally gasLimit)
+   * @param {Object} [options] - label, onSubmitted and journalAction, as for submit
+   * @returns {Promise<Object>} Receipt
+   */
+  async send(tx, options = {}) {
+    return this.wait(await this.submit(tx, options));
+  }
+
+  /**
+   * Queues a transaction in the Safe bundle of a SafeBundleSigner
+   * @param {Object} tx - Transaction request
+   * @param {Object} [options] - label and onSubmitted, as for submit
+   * @returns {Promise<Object>} Record of the queued transaction
+   */
+  async queueInBundle(tx, { label, onSubmitted } = {}) {
+    // The Safe sets its own gas limit; estimating checks the call against the Safe's state
+    await this.signer.estimateGas(tx);
+    const response = await this.signer.sendTransaction(tx);
+    if (onSubmitted) {
+      await onSubmitted(response);
+    }
+    return { label, queued: true, hashes: [response.hash], response };
+  }
+
+  /**
+   * Sends a contract call through the manager
+   * @param {Object} contract - ethers contract
+   * @param {string} method - Contract method
+   * @param {Array} args - Method arguments
+   * @param {Object} [options] - label, onSubmitted and journalAction, as for submit; the label
+   *   defaults to the method name
+   * @returns {Promise<Object>} Receipt
+   */
+  async sendContractCall(contract, method, args, options = {}) {
+    const tx = await contract[method].populateTransaction(...args);
+    return this.send(tx, { label: method, ...options });
+  }
+
+  /**
+   * Waits for the transactions of this signer that an earlier run left in the pending file.
+   * Only the first call resumes them; the manager does so itself before its first transaction.
+   * @returns {Promise<Array<Object>>} Their receipts
+   */
+  async resume() {
+    if (this.resumed) {
+      return [];
+    }
+    this.resumed = true;
+    const from = await this.getAddress();
+    const chainId = await this.getChainId();
+    const entries = this.readPending().filter(
+      entry => entry.from === from && entry.chainId === chainId
+    );
+
+    for (const entry of entries) {
+      this.inFlight.set(entry.nonce, {
+        label: entry.label,
+        nonce: entry.nonce,
+        request: parseFields(entry.request, ['value', 'gasLimit']),
+        fees: parseFields(entry.fees, ['maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice']),
+        hashes: entry.hashes,
+        attempts: entry.attempts,
+        submittedAt: Date.parse(entry.submittedAt),
+        journalAction: entry.journalAction,
+        onSubmitted: entry.journalAction && recordInJournal(entry.journalAction),
+      });
+    }
+    if (entries.length > 0) {
+      console.log(`Resuming ${entries.length} pending transaction(s) from ${this.pendingPath}`);
+    }
+
+    const receipts = [];
+    for (const record of [...this.inFlight.values()].sort((a, b) => a.nonce - b.nonce)) {
+      receipts.push(await this.wait(record));
+    }
+    return receipts;
+  }
+
+  /**
+   * @returns {Array<Object>} Settled transactions: label, nonce, hash, status, attempts,
+   *   blockNumber and gasUsed
+   */
+  getReport() {
+    return [...this.results];
+  }
+
+  /**
+   * Prints the settled transactions
+   */
+  printReport() {
+    console.log(`\n=== TRANSACTIONS (${this.results.length}) ===`);
+    for (const result of this.results) {
+      const retries = result.attempts > 1 ? `, ${result.attempts - 1} replacement(s)` : '';
+      console.log(
+        `${result.status === 'mined' ? '✅' : '❌'} ${result.label} (nonce ${result.nonce}): ` +
+          `${result.hash}, block ${result.blockNumber}, gas ${result.gasUsed}${retries}`
+      );
+    }
+  }
+}
+
+/**
+ * Returns the manager shared by everything sending with a signer, creating it on first use
+ * @param {Object} signer - ethers or zksync-ethers signer
+ * @param {Object} [options] - Options of TransactionManager, only used when it is created
+ * @returns {TransactionManager} The signer's manager
+ */
+function getTransactionManager(signer, options) {
+  if (!managers.has(signer)) {
+    managers.set(signer, new TransactionManager(signer, options));
+  }
+  return managers.get(signer);
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  getPendingTransactionsPath,
+  TransactionManager,
+  getTransactionManager,
+};
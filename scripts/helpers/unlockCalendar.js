@@ -0,0 +1,314 @@
+/**
+ * RESKA Unlock Calendar
+ * Projects monthly unlocks and circulating vs locked supply per allocation category
+ *
+ * Every vesting schedule is replayed with the contract's own math (vestingMath mirrors
+ * _computeReleasableAmount, including the enforced start + start + cliff date), so
+ * the months shown are the ones in which release() actually pays out. A category's
+ * allocation comes from ReskaToken.getAllocations; whatever of it is not locked in a vesting
+ * schedule counts as circulating, including tokens still held by the allocation wallet.
+ * Tokens minted after deployment are reported as ADDITIONAL_MINTING.
+ *
+ * Schedules are attributed to a category through a scheduleId -> allocation type lookup;
+ * schedules missing from it are reported as UNASSIGNED, with no allocation of their own.
+ *
+ * @module unlockCalendar
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { ALLOCATION_TYPES } = require('./allocationManifest');
+const { computeVestedAmount, getFullyVestedTime } = require('./vestingMath');
+
+const UNASSIGNED = 'UNASSIGNED';
+const ADDITIONAL_MINTING = 'ADDITIONAL_MINTING';
+const MAX_MONTHS = 240;
+
+/**
+ * Reads every vesting schedule of the contract
+ * @param {Object} vesting - Vesting contract instance
+ * @returns {Array<Object>} Schedules as returned by getVestingSchedule, with their scheduleId
+ */
+async function readSchedules(vesting) {
+  const count = await vesting.getVestingSchedulesCount();
+  const schedules = [];
+
+  for (let index = 0n; index < count; index++) {
+    const scheduleId = await vesting.getVestingScheduleIdAtIndex(index);
+    const schedule = await vesting.getVestingSchedule(scheduleId);
+    schedules.push({
+      scheduleId,
+      beneficiary: schedule.beneficiary,
+      start: schedule.start,
+      cliff: schedule.cliff,
+      duration: schedule.duration,
+      slicePeriodSeconds: schedule.slicePeriodSeconds,
+      amountTotal: schedule.amountTotal,
+      released: schedule.released,
+      revoked: schedule.revoked,
+    });
+  }
+
+  return schedules;
+}
+
+/**
+ * Reads the token allocations and supply
+ * @param {Object} token - ReskaToken contract instance
+ * @returns {Object} { totalSupply, initialSupply, allocations: [{ allocationType, recipient, percentage, amount }] }
+ */
+async function readAllocations(token) {
+  const [recipients, percentages, types] = await token.getAllocations();
+  const initialSupply = await token.INITIAL_SUPPLY();
+
+  return {
+    totalSupply: await token.totalSupply(),
+    initialSupply,
+    allocations: recipients.map((recipient, i) => ({
+      allocationType: ALLOCATION_TYPES[Number(types[i])],
+      recipient,
+      percentage: Number(percentages[i]),
+      // Same rounding as the ReskaToken constructor
+      amount: (initialSupply * percentages[i]) / 100n,
+    })),
+  };
+}
+
+/**
+ * Returns the unix timestamp of the first day of a month, UTC
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11, may overflow into following years)
+ * @returns {bigint} Unix timestamp
+ */
+function monthStart(year, month) {
+  return BigInt(Date.UTC(year, month, 1) / 1000);
+}
+
+/**
+ * Builds the month-by-month unlock calendar
+ * @param {Object} input - Chain data
+ * @param {Array<Object>} input.schedules - Schedules from readSchedules
+ * @param {Object} input.supply - Result of readAllocations
+ * @param {Object} [input.categories] - scheduleId -> allocation type lookup
+ * @param {Object} [options] - Options
+ * @param {bigint} [options.from] - Any timestamp in the first month; defaults to now
+ * @param {number} [options.months] - Number of months; defaults to the last unlock
+ * @returns {Object} Calendar with categories and one row per month (amounts as BigInt)
+ */
+function buildUnlockCalendar({ schedules, supply, categories = {} }, { from, months } = {}) {
+  const first = new Date(Number(from ?? BigInt(Math.floor(Date.now() / 1000))) * 1000);
+  const year = first.getUTCFullYear();
+  const month = first.getUTCMonth();
+  const byCategory = schedule => categories[schedule.scheduleId] || UNASSIGNED;
+
+  if (months === undefined) {
+    const lastUnlock = schedules.reduce((acc, s) => {
+      const end = getFullyVestedTime(s);
+      return end > acc ? end : acc;
+    }, 0n);
+    months = 1;
+    while (months < MAX_MONTHS && monthStart(year, month + months) <= lastUnlock) {
+      months++;
+    }
+  }
+  if (!Number.isSafeInteger(months) || months < 1 || months > MAX_MONTHS) {
+    throw new Error(`Months must be between 1 and ${MAX_MONTHS}`);
+  }
+
+  // Category table: token allocations, then schedules outside of them, then later mints
+  const table = supply.allocations.map(allocation => ({
+    category: allocation.allocationType,
+    recipient: allocation.recipient,
+    percentage: allocation.percentage,
+    allocation: allocation.amount,
+    scheduled: 0n,
+  }));
+  const entry = category => {
+    let item = table.find(row => row.category === category);
+    if (!item) {
+      item = { category, recipient: null, percentage: 0, allocation: 0n, scheduled: 0n };
+      table.push(item);
+    }
+    return item;
+  };
+  for (const schedule of schedules) {
+    entry(byCategory(schedule)).scheduled += schedule.amountTotal;
+  }
+  const minted = supply.totalSupply - supply.initialSupply;
+  if (minted > 0n) {
+    entry(ADDITIONAL_MINTING).allocation = minted;
+  }
+
+  const lockedAt = time => {
+    const locked = Object.fromEntries(table.map(row => [row.category, 0n]));
+    for (const schedule of schedules) {
+      locked[byCategory(schedule)] += schedule.amountTotal - computeVestedAmount(schedule, time);
+    }
+    return locked;
+  };
+
+  const rows = [];
+  // Amounts vested up to the last second of the previous month
+  let previous = lockedAt(monthStart(year, month) - 1n);
+  for (let i = 0; i < months; i++) {
+    const end = monthStart(year, month + i + 1) - 1n;
+    const locked = lockedAt(end);
+    const row = {
+      month: new Date(Number(monthStart(year, month + i)) * 1000).toISOString().slice(0, 7),
+      unlocked: {},
+      locked,
+      circulating: {},
+      totals: { unlocked: 0n, locked: 0n, circulating: 0n },
+    };
+
+    for (const { category, allocation } of table) {
+      row.unlocked[category] = previous[category] - locked[category];
+      const circulating = allocation - locked[category];
+      row.circulating[category] = circulating > 0n ? circulating : 0n;
+      row.totals.unlocked += row.unlocked[category];
+      row.totals.locked += locked[category];
+    }
+    row.totals.circulating = supply.totalSupply - row.totals.locked;
+
+    rows.push(row);
+    previous = locked;
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totalSupply: supply.totalSupply,
+    categories: table,
+    rows,
+  };
+}
+
+/**
+ * Converts BigInt values to decimal strings
+ * @param {Object} value - Any value
+ * @returns {Object} JSON-friendly copy
+ */
+function toPlain(value) {
+  return JSON.parse(
+    JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item))
+  );
+}
+
+/**
+ * Formats the calendar as JSON (amounts in base units, as strings)
+ * @param {Object} calendar - Result of buildUnlockCalendar
+ * @param {Object} [meta] - Extra fields for the top of the report (network, addresses)
+ * @returns {string} JSON text
+ */
+function formatJson(calendar, meta = {}) {
+  return `${JSON.stringify(toPlain({ ...meta, ...calendar }), null, 2)}\n`;
+}
+
+/**
+ * Formats the calendar as CSV, one line per month and category plus a TOTAL line per month
+ * @param {Object} calendar - Result of buildUnlockCalendar
+ * @param {number} [decimals] - Token decimals
+ * @returns {string} CSV text (amounts in tokens)
+ */
+function formatCsv(calendar, decimals = 6) {
+  const format = amount => ethers.formatUnits(amount, decimals);
+  const lines = ['month,category,unlocked,locked,circulating'];
+
+  for (const row of calendar.rows) {
+    for (const { category } of calendar.categories) {
+      lines.push(
+        [
+          row.month,
+          category,
+          format(row.unlocked[category]),
+          format(row.locked[category]),
+          format(row.circulating[category]),
+        ].join(',')
+      );
+    }
+    lines.push(
+      [
+        row.month,
+        'TOTAL',
+        format(row.totals.unlocked),
+        format(row.totals.locked),
+        format(row.totals.circulating),
+      ].join(',')
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats the calendar as Markdown: monthly unlocks per category and circulating vs locked supply
+ * @param {Object} calendar - Result of buildUnlockCalendar
+ * @param {Object} [options] - Options
+ * @param {number} [options.decimals] - Token decimals
+ * @param {string} [options.title] - Report title
+ * @returns {string} Markdown text (amounts in whole tokens)
+ */
+function formatMarkdown(calendar, { decimals = 6, title = 'RESKA Unlock Calendar' } = {}) {
+  const unit = 10n ** BigInt(decimals);
+  const format = amount => (amount / unit).toLocaleString('en-US');
+  const categories = calendar.categories.map(row => row.category);
+  const table = (header, rows) => [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map((_, i) => (i === 0 ? '---' : '---:')).join(' | ')} |`,
+    ...rows.map(cells => `| ${cells.join(' | ')} |`),
+  ];
+
+  const lines = [
+    `# ${title}`,
+    '',
+    `Generated ${calendar.generatedAt}. Total supply: ${format(calendar.totalSupply)} RESKA.`,
+    '',
+    '## Allocations',
+    '',
+    ...table(
+      ['Category', 'Share', 'Allocation', 'In vesting schedules'],
+      calendar.categories.map(row => [
+        row.category,
+        row.percentage ? `${row.percentage}%` : '-',
+        format(row.allocation),
+        format(row.scheduled),
+      ])
+    ),
+    '',
+    '## Monthly unlocks',
+    '',
+    ...table(
+      ['Month', ...categories, 'Total'],
+      calendar.rows.map(row => [
+        row.month,
+        ...categories.map(category => format(row.unlocked[category])),
+        format(row.totals.unlocked),
+      ])
+    ),
+    '',
+    '## Circulating vs locked supply (end of month)',
+    '',
+    ...table(
+      ['Month', 'Circulating', 'Locked', 'Circulating %'],
+      calendar.rows.map(row => [
+        row.month,
+        format(row.totals.circulating),
+        format(row.totals.locked),
+        `${(Number((row.totals.circulating * 10000n) / calendar.totalSupply) / 100).toFixed(2)}%`,
+      ])
+    ),
+    '',
+  ];
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  UNASSIGNED,
+  ADDITIONAL_MINTING,
+  readSchedules,
+  readAllocations,
+  buildUnlockCalendar,
+  formatJson,
+  formatCsv,
+  formatMarkdown,
+};
@@ -0,0 +1,449 @@
+/**
+ * RESKA Vesting Batch Client
+ * Creates vesting schedules for large recipient lists (airdrops) through
+ * ReskaTokenVesting.createVestingSchedules
+ *
+ * Recipients are read from a CSV file (address,amount), split into batches small
+ * enough to fit a gas budget and sent one transaction per batch. With a journal,
+ * every batch is recorded as "pending" with its tx hash before waiting and
+ * "completed" afterwards, so a run interrupted halfway can be repeated and only
+ * the batches that did not land are sent again.
+ *
+ * @module vestingBatcher
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { fundVestingContractIfNeeded } = require('./vestingDeployer');
+const {
+  getSettledReceipt,
+  isTransactionDropped,
+  isQueuedTransaction,
+} = require('./deploymentSigner');
+const { getTransactionManager } = require('./transactionManager');
+
+// Gas a single batch transaction may use, well below the block gas limit
+const DEFAULT_GAS_BUDGET = 10000000n;
+const DEFAULT_MAX_BATCH_SIZE = 200;
+
+/**
+ * Parses a recipient CSV with one "address,amount" row per recipient
+ *
+ * A header row, blank lines and lines starting with # are ignored. Amounts are
+ * decimal token amounts ("1500" or "0.25"), not base units.
+ * @param {string} content - CSV file content
+ * @param {number} [decimals] - Token decimals used to parse the amounts
+ * @returns {Array<Object>} Recipients with line number, checksummed address and BigInt amount
+ * @throws {Error} Listing every invalid or duplicated row
+ */
+function parseRecipientsCsv(content, decimals = 6) {
+  const recipients = [];
+  const problems = [];
+  const seen = new Map();
+
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const text = raw.trim();
+    if (!text || text.startsWith('#')) {
+      return;
+    }
+
+    const cells = text.split(',').map(cell => cell.trim());
+    if (recipients.length === 0 && problems.length === 0 && cells[0].toLowerCase() === 'address') {
+      return;
+    }
+    if (cells.length !== 2) {
+      problems.push(`line ${line}: expected "address,amount", got ${JSON.stringify(text)}`);
+      return;
+    }
+
+    const [address, amountText] = cells;
+    if (!ethers.isAddress(address) || BigInt(address) === 0n) {
+      problems.push(`line ${line}: invalid address ${address}`);
+      return;
+    }
+
+    let amount;
+    try {
+      amount = ethers.parseUnits(amountText, decimals);
+    } catch (error) {
+      problems.push(`line ${line}: invalid amount ${JSON.stringify(amountText)}`);
+      return;
+    }
+    if (amount <= 0n) {
+      problems.push(`line ${line}: amount must be positive`);
+      return;
+    }
+
+    const checksummed = ethers.getAddress(address);
+    if (seen.has(checksummed)) {
+      problems.push(
+        `line ${line}: duplicate address ${checksummed} (first seen on line ${seen.get(checksummed)})`
+      );
+      return;
+    }
+    seen.set(checksummed, line);
+
+    recipients.push({ line, address: checksummed, amount });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid recipient CSV:\n- ${problems.join('\n- ')}`);
+  }
+  if (recipients.length === 0) {
+    throw new Error('Recipient CSV does not contain any recipients');
+  }
+
+  return recipients;
+}
+
+/**
+ * Loads and parses a recipient CSV file
+ * @param {string} filePath - Path to the CSV file
+ * @param {number} [decimals] - Token decimals used to parse the amounts
+ * @returns {Array<Object>} Recipients from parseRecipientsCsv
+ * @throws {Error} If the file is missing or invalid
+ */
+function loadRecipientsCsv(filePath, decimals = 6) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Recipient CSV not found: ${filePath}`);
+  }
+  return parseRecipientsCsv(fs.readFileSync(filePath, 'utf8'), decimals);
+}
+
+/**
+ * Hashes a list of recipients so a journal can detect a changed CSV
+ * @param {Array<Object>} recipients - Recipients with address and amount
+ * @returns {string} keccak256 of the ABI-encoded addresses and amounts
+ */
+function hashRecipients(recipients) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address[]', 'uint256[]'],
+      [
+        recipients.map(recipient => recipient.address),
+        recipients.map(recipient => recipient.amount),
+      ]
+    )
+  );
+}
+
+/**
+ * Splits recipients into consecutive batches
+ * @param {Array<Object>} recipients - Recipients from parseRecipientsCsv
+ * @param {number} batchSize - Maximum number of recipients per batch
+ * @returns {Array<Object>} Batches with index, recipients, total amount and content hash
+ */
+function chunkRecipients(recipients, batchSize) {
+  if (!Number.isSafeInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid batch size: ${batchSize}`);
+  }
+
+  const batches = [];
+  for (let start = 0; start < recipients.length; start += batchSize) {
+    const slice = recipients.slice(start, start + batchSize);
+    batches.push({
+      index: batches.length,
+      recipients: slice,
+      total: slice.reduce((acc, recipient) => acc + recipient.amount, 0n),
+      hash: hashRecipients(slice),
+    });
+  }
+
+  return batches;
+}
+
+/**
+ * Estimates gas for one createVestingSchedules call
+ * @param {Object} vesting - Vesting contract instance
+ * @param {Array<Object>} recipients - Recipients of the batch
+ * @param {Object} schedule - Shared schedule parameters (startTime, cliffPeriod, duration, slicePeriod, revocable)
+ * @returns {bigint} Gas estimate
+ */
+async function estimateBatchGas(vesting, recipients, schedule) {
+  return await vesting.createVestingSchedules.estimateGas(
+    recipients.map(recipient => recipient.address),
+    recipients.map(recipient => recipient.amount),
+    schedule.startTime,
+    schedule.cliffPeriod,
+    schedule.duration,
+    schedule.slicePeriod,
+    schedule.revocable
+  );
+}
+
+/**
+ * Derives how many schedules fit in one transaction under a gas budget
+ *
+ * The fixed and per-schedule costs are measured by estimating a batch of one and a
+ * batch of two recipients, so the vesting contract must already hold enough tokens
+ * for both estimates to succeed.
+ * @param {Object} vesting - Vesting contract instance
+ * @param {Array<Object>} recipients - Recipients to create schedules for
+ * @param {Object} schedule - Shared schedule parameters
+ * @param {Object} [options] - Options
+ * @param {bigint} [options.gasBudget] - Gas a batch transaction may use
+ * @param {number} [options.maxBatchSize] - Upper bound on the batch size
+ * @returns {Object} batchSize, baseGas and gasPerSchedule
+ * @throws {Error} If a single schedule does not fit the gas budget
+ */
+async function computeBatchSize(
+  vesting,
+  recipients,
+  schedule,
+  { gasBudget = DEFAULT_GAS_BUDGET, maxBatchSize = DEFAULT_MAX_BATCH_SIZE } = {}
+) {
+  const single = await estimateBatchGas(vesting, recipients.slice(0, 1), schedule);
+  if (single > gasBudget) {
+    throw new Error(`A single schedule needs ${single} gas, above the gas budget of ${gasBudget}`);
+  }
+  if (recipients.length < 2) {
+    return { batchSize: 1, baseGas: single, gasPerSchedule: single };
+  }
+
+  const double = await estimateBatchGas(vesting, recipients.slice(0, 2), schedule);
+  const gasPerSchedule = double > single ? double - single : single;
+  const baseGas = single > gasPerSchedule ? single - gasPerSchedule : 0n;
+  const fitting = Number((gasBudget - baseGas) / gasPerSchedule);
+
+  return {
+    batchSize: Math.max(1, Math.min(fitting, maxBatchSize, recipients.length)),
+    baseGas,
+    gasPerSchedule,
+  };
+}
+
+/**
+ * Checks whether a journaled batch already landed on-chain
+ * @param {Object} provider - Provider to read receipts from
+ * @param {Object} entry - Journal action entry of the batch
+ * @param {Object} batch - Batch from chunkRecipients
+ * @returns {boolean} True if the batch does not need to be sent again, false if it was never
+ *   sent or its transaction reverted or was dropped
+ * @throws {Error} If the batch no longer matches the journal or its transaction is still pending
+ */
+async function isBatchLanded(provider, entry, batch) {
+  if (!entry) {
+    return false;
+  }
+  if (entry.hash !== batch.hash) {
+    throw new Error(`Batch #${batch.index} does not match the journal; the recipient list changed`);
+  }
+  if (entry.status === 'completed') {
+    return true;
+  }
+  if (!entry.txHash) {
+    return false;
+  }
+
+  const receipt = await getSettledReceipt(provider, entry.txHash);
+  if (!receipt) {
+    if (await isTransactionDropped(provider, entry.txHash)) {
+      console.warn(
+        `⚠️  Batch #${batch.index} transaction ${entry.txHash} was dropped, sending it again`
+      );
+      return false;
+    }
+    throw new Error(
+      `Batch #${batch.index} transaction ${entry.txHash} is still pending; rerun once it is mined or dropped`
+    );
+  }
+
+  // A reverted batch created nothing and is sent again
+  return receipt.status === 1;
+}
+
+/**
+ * Creates one vesting schedule per recipient in gas-bounded batches
+ *
+ * The batch size is fixed the first time a journal is used and read back on every
+ * rerun, so batch boundaries stay stable and landed batches can be recognised.
+ * @param {Object} contracts - Object containing token, vesting and the sending wallet
+ * @param {Array<Object>} recipients - Recipients from parseRecipientsCsv
+ * @param {Object} schedule - Shared schedule parameters (startTime, cliffPeriod, duration, slicePeriod, revocable)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.journal] - Journal from deploymentJournal.openJournal
+ * @param {string} [options.key] - Prefix of the journal action keys
+ * @param {number} [options.batchSize] - Fixed batch size; measured against the gas budget when omitted
+ * @param {bigint} [options.gasBudget] - Gas a batch transaction may use
+ * @param {number} [options.maxBatchSize] - Upper bound on a measured batch size
+ * @param {Function} [options.onSubmitted] - Called with the batch and transaction before waiting for it
+ * @returns {Object} Summary with the batch size, batches and number of schedules created
+ * @throws {Error} If a batch fails; rerun with the same journal to resume
+ */
+async function createScheduleBatches(
+  { token, vesting, wallet },
+  recipients,
+  schedule,
+  {
+    journal,
+    key = 'batch',
+    batchSize,
+    gasBudget = DEFAULT_GAS_BUDGET,
+    maxBatchSize = DEFAULT_MAX_BATCH_SIZE,
+    onSubmitted,
+  } = {}
+) {
+  const vestingAddress = await vesting.getAddress();
+  const recipientsHash = hashRecipients(recipients);
+  const planKey = `${key}:plan`;
+  const plan = journal?.getAction(planKey);
+
+  if (plan && plan.recipientsHash !== recipientsHash) {
+    throw new Error(`The recipient list differs from the one recorded in ${journal.path}`);
+  }
+
+  // Settle what a previous run left in flight first, so the journal points at what was mined
+  for (const signer of new Set([token.runner, vesting.runner])) {
+    await getTransactionManager(signer).resume();
+  }
+
+  let size = plan ? plan.batchSize : batchSize;
+  let batches = size ? chunkRecipients(recipients, size) : null;
+  const landed = new Set();
+
+  if (batches) {
+    for (const batch of batches) {
+      if (
+        await isBatchLanded(wallet.provider, journal?.getAction(`${key}:${batch.index}`), batch)
+      ) {
+        landed.add(batch.index);
+      }
+    }
+  }
+
+  // Top up the vesting contract so it covers existing schedules plus the ones still to create
+  const remaining = batches
+    ? batches
+        .filter(batch => !landed.has(batch.index))
+        .reduce((acc, batch) => acc + batch.total, 0n)
+    : recipients.reduce((acc, recipient) => acc + recipient.amount, 0n);
+  if (remaining > 0n) {
+    const committed = await vesting.getVestingSchedulesTotalAmount();
+    await fundVestingContractIfNeeded(token, wallet, vestingAddress, committed + remaining);
+  }
+
+  if (!batches) {
+    const measured = await computeBatchSize(vesting, recipients, schedule, {
+      gasBudget,
+      maxBatchSize,
+    });
+    console.log(
+      `Measured ${measured.gasPerSchedule} gas per schedule, ${measured.batchSize} schedules per batch`
+    );
+    size = measured.batchSize;
+    batches = chunkRecipients(recipients, size);
+  }
+
+  journal?.recordAction(planKey, {
+    status: 'completed',
+    batchSize: size,
+    recipients: recipients.length,
+    recipientsHash,
+  });
+
+  console.log(`${recipients.length} recipients in ${batches.length} batches of up to ${size}`);
+
+  const summary = { batchSize: size, created: 0, skipped: 0, batches: [] };
+
+  for (const batch of batches) {
+    const batchKey = `${key}:${batch.index}`;
+    const label = `Batch #${batch.index + 1}/${batches.length}`;
+
+    if (landed.has(batch.index)) {
+      const entry = journal.getAction(batchKey);
+      journal.recordAction(batchKey, { status: 'completed' });
+      console.log(`Skipping ${label}, already landed in ${entry.txHash}`);
+      summary.skipped += batch.recipients.length;
+      summary.batches.push({
+        index: batch.index,
+        size: batch.recipients.length,
+        txHash: entry.txHash,
+      });
+      continue;
+    }
+
+    const gasEstimate = await estimateBatchGas(vesting, batch.recipients, schedule);
+    if (gasEstimate > gasBudget) {
+      throw new Error(
+        `${label} needs ${gasEstimate} gas, above the gas budget of ${gasBudget}; use a smaller batch size`
+      );
+    }
+
+    console.log(
+      `${label}: ${batch.recipients.length} schedules, ` +
+        `${ethers.formatUnits(batch.total, 6)} RESKA (lines ${batch.recipients[0].line}-` +
+        `${batch.recipients[batch.recipients.length - 1].line})`
+    );
+
+    const tx = await vesting.createVestingSchedules.populateTransaction(
+      batch.recipients.map(recipient => recipient.address),
+      batch.recipients.map(recipient => recipient.amount),
+      schedule.startTime,
+      schedule.cliffPeriod,
+      schedule.duration,
+      schedule.slicePeriod,
+      schedule.revocable
+    );
+
+    // Every broadcast, replacements included, is journaled before waiting on it
+    const transactions = getTransactionManager(vesting.runner);
+    const submitted = await transactions.submit(
+      // Add 20% buffer to gas estimate
+      { ...tx, gasLimit: (gasEstimate * 120n) / 100n },
+      {
+        label,
+        onSubmitted: response =>
+          journal?.recordAction(batchKey, {
+            status: 'pending',
+            size: batch.recipients.length,
+            total: batch.total.toString(),
+            hash: batch.hash,
+            txHash: response.hash,
+          }),
+        journalAction: journal && { path: journal.path, key: batchKey },
+      }
+    );
+    if (onSubmitted) {
+      await onSubmitted(batch, submitted.response);
+    }
+
+    let receipt;
+    try {
+      receipt = await transactions.wait(submitted);
+    } catch (error) {
+      journal?.recordAction(batchKey, { status: 'failed', error: error.message });
+      throw new Error(`${label} failed: ${error.message}. Rerun with the same journal to resume`);
+    }
+
+    if (isQueuedTransaction(receipt.hash)) {
+      journal?.recordAction(batchKey, { status: 'queued' });
+      console.log(`✅ ${label} queued as ${receipt.hash}`);
+    } else {
+      journal?.recordAction(batchKey, { status: 'completed', gasUsed: receipt.gasUsed.toString() });
+      console.log(`✅ ${label} landed, gas used: ${receipt.gasUsed}`);
+    }
+
+    summary.created += batch.recipients.length;
+    summary.batches.push({
+      index: batch.index,
+      size: batch.recipients.length,
+      txHash: receipt.hash,
+    });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_GAS_BUDGET,
+  DEFAULT_MAX_BATCH_SIZE,
+  parseRecipientsCsv,
+  loadRecipientsCsv,
+  hashRecipients,
+  chunkRecipients,
+  estimateBatchGas,
+  computeBatchSize,
+  createScheduleBatches,
+};
@@ -6,10 +6,25 @@
  * @author RESKA Team
  */
 
-const { Wallet, Provider, utils } = require("zksync-ethers");
+const { ethers } = require('ethers');
 const hre = require("hardhat");
-const fs = require('fs');
-const path = require('path');
+const { CONTRACTS, openRegistry } = require('./deploymentRegistry');
+const { toStoredSchedule, getEnforcedCliffTime, getFullyVestedTime } = require('./vestingMath');
+const { runPreflight } = require('./vestingPreflight');
+const {
+  getSignerMode,
+  createDeploymentSigner,
+  getSettledReceipt,
+  isTransactionDropped,
+  isQueuedTransaction,
+} = require('./deploymentSigner');
+const { loadRoleKey } = require('./keyManagement');
+const { getPendingTransactionsPath, getTransactionManager } = require('./transactionManager');
+const { createProvider, createWallet } = require('../sdk/connection');
+
+// Schedules each signer queued in a Safe bundle, per holder: the holder's on-chain count does not
+// include them until the Safe executes the bundle
+const queuedSchedules = new WeakMap();
 require("dotenv").config();
 
 /**
@@ -31,7 +46,7 @@ function validateEnvironment(requiredVars) {
  */
 function validateAddresses(addresses) {
   for (const [name, address] of Object.entries(addresses)) {
-    if (!address || !utils.isAddress(address)) {
+    if (!address || !ethers.isAddress(address)) {
       throw new Error(`Invalid Ethereum address for ${name}: ${address}`);
     }
   }
@@ -39,24 +54,68 @@ function validateAddresses(addresses) {
 
 /**
  * Initializes provider and wallet connection
+ *
+ * The wallet is the signer selected by DEPLOY_SIGNER (see deploymentSigner): the key of the
+ * given role (see keyManagement), or a Safe whose transactions are queued in a bundle.
+ * Contracts are always created by deployWallet, the role's key wallet, which is null for a
+ * Safe without a key.
+ *
+ * The wallet's shared transaction manager (see transactionManager) is set up with the network's
+ * timeout and persists its transactions in flight to deployments/pending-tx-<network>.json.
  * @param {Object} networkConfig - Network configuration from Hardhat
- * @returns {Object} Object containing provider and wallet
- * @throws {Error} If network URL or private key is missing
+ * @param {Object} [options] - Options
+ * @param {string} [options.role] - Key role: deployer (default), funder or operator
+ * @returns {Object} Object containing provider, wallet, deployWallet and transactions, the
+ *   wallet's transaction manager
+ * @throws {Error} If network URL or the signer variables are missing, a keystore cannot be
+ *   decrypted, or the zero key would be used on zkSyncMainnet
  */
-async function initializeConnection(networkConfig) {
+async function initializeConnection(networkConfig, { role = 'deployer' } = {}) {
   // Validate essential connection parameters
   if (!networkConfig.url) {
     throw new Error(`Network URL is missing for network: ${networkConfig.name}`);
   }
-  
-  if (!process.env.PRIVATE_KEY) {
-    throw new Error('PRIVATE_KEY environment variable is required');
+
+  const network = Object.keys(hre.config.networks).find(
+    name => hre.config.networks[name] === networkConfig
+  );
+  const key = await loadRoleKey(role, { network });
+  const options = { privateKey: key ? key.privateKey : null };
+
+  // Plain EVM networks (zksync: false, e.g. localhost) get an ethers wallet, zkSync ones a zkSync wallet
+  const provider = createProvider(networkConfig);
+  const signers = createDeploymentSigner(
+    provider,
+    privateKey => createWallet(privateKey, provider),
+    options
+  );
+
+  // Everything sending with the wallet shares its manager, configured for the network here
+  const transactions = getTransactionManager(signers.wallet, {
+    timeout: networkConfig.timeout,
+    pendingPath: network ? getPendingTransactionsPath(network) : undefined,
+  });
+
+  return { provider, wallet: signers.wallet, deployWallet: signers.deployWallet, transactions };
+}
+
+/**
+ * Initializes the signers of an allocation run: the funder sends tokens, the operator creates
+ * the vesting schedules. A Safe signs for both roles with one bundle, and roles that resolve
+ * to the same key share one wallet so their nonces stay in step.
+ * @param {Object} networkConfig - Network configuration from Hardhat
+ * @returns {Object} Object containing provider, funder and operator
+ */
+async function initializeAllocationSigners(networkConfig) {
+  const { provider, wallet: funder } = await initializeConnection(networkConfig, {
+    role: 'funder',
+  });
+  if (getSignerMode() === 'safe') {
+    return { provider, funder, operator: funder };
   }
 
-  const provider = new Provider(networkConfig.url);
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
-  
-  return { provider, wallet };
+  const { wallet: operator } = await initializeConnection(networkConfig, { role: 'operator' });
+  return { provider, funder, operator: operator.address === funder.address ? funder : operator };
 }
 
 /**
@@ -82,6 +141,15 @@ async function loadContracts(wallet, addresses) {
   return { token, vesting };
 }
 
+/**
+ * Reads the amount fund-vesting-contract.js tops the vesting contract up to
+ * @param {Object} [env] - Environment variables
+ * @returns {bigint} VESTING_FUNDING_AMOUNT, or 1M RESKA (6 decimals)
+ */
+function getVestingFundingAmount(env = process.env) {
+  return env.VESTING_FUNDING_AMOUNT ? BigInt(env.VESTING_FUNDING_AMOUNT) : 1000000n * 10n ** 6n;
+}
+
 /**
  * Verifies token balance in vesting contract
  * @param {Object} token - Token contract instance
@@ -118,8 +186,12 @@ async function fundVestingContractIfNeeded(token, wallet, vestingAddress, requir
     }
     
     console.log(`Transferring ${Number(deficit) / 10**6} RESKA to vesting contract...`);
-    const tx = await token.transfer(vestingAddress, deficit);
-    const receipt = await tx.wait();
+    const receipt = await getTransactionManager(token.runner).sendContractCall(
+      token,
+      'transfer',
+      [vestingAddress, deficit],
+      { label: 'Vesting contract funding' }
+    );
     
     console.log(`✅ Transfer successful. Transaction hash: ${receipt.hash}`);
     const newBalance = await token.balanceOf(vestingAddress);
@@ -131,26 +203,17 @@ async function fundVestingContractIfNeeded(token, wallet, vestingAddress, requir
  * Creates a vesting schedule
  * @param {Object} vesting - Vesting contract instance
  * @param {Object} params - Vesting schedule parameters
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onSubmitted] - Called with the transaction before waiting for it,
+ *   and again with each replacement the transaction manager sends
+ * @param {Object} [options.journalAction] - Journal path and action key recording the schedule,
+ *   for the replacements a resumed run sends
  * @returns {Object} Transaction receipt
  */
-async function createVestingSchedule(vesting, params) {
+async function createVestingSchedule(vesting, params, { onSubmitted, journalAction } = {}) {
   // Validate beneficiary address
   validateAddresses({ 'beneficiary': params.beneficiary });
   
-  // Estimate gas for the transaction
-  const gasEstimate = await vesting.estimateGas.createVestingSchedule(
-    params.beneficiary,
-    params.startTime,
-    params.cliffPeriod,
-    params.duration,
-    params.slicePeriod,
-    params.revocable,
-    params.amount
-  );
-  
-  // Add 20% buffer to gas estimate
-  const gasLimit = Math.floor(gasEstimate.toNumber() * 1.2);
-  
   console.log(`Creating vesting schedule for ${params.beneficiary}...`);
   console.log(`- Amount: ${Number(params.amount) / 10**6} RESKA`);
   console.log(`- Cliff period: ${params.cliffPeriod} seconds`);
@@ -158,19 +221,22 @@ async function createVestingSchedule(vesting, params) {
   console.log(`- Slice period: ${params.slicePeriod} seconds`);
   console.log(`- Revocable: ${params.revocable}`);
   
-  const tx = await vesting.createVestingSchedule(
-    params.beneficiary,
-    params.startTime,
-    params.cliffPeriod,
-    params.duration,
-    params.slicePeriod,
-    params.revocable,
-    params.amount,
-    { gasLimit }
+  // The signer's transaction manager simulates the call, buffers its gas estimate by 20%
+  // and replaces the transaction if it is dropped or not mined in time
+  const receipt = await getTransactionManager(vesting.runner).sendContractCall(
+    vesting,
+    'createVestingSchedule',
+    [
+      params.beneficiary,
+      params.startTime,
+      params.cliffPeriod,
+      params.duration,
+      params.slicePeriod,
+      params.revocable,
+      params.amount,
+    ],
+    { label: `Vesting schedule for ${params.beneficiary}`, onSubmitted, journalAction }
   );
-  
-  console.log(`Transaction submitted: ${tx.hash}`);
-  const receipt = await tx.wait();
   console.log(`✅ Vesting schedule created successfully`);
   
   return receipt;
@@ -188,45 +254,322 @@ async function getVestingScheduleId(vesting, beneficiary, index = 0) {
 }
 
 /**
- * Updates deployments.json with vesting details
- * @param {string} networkType - Network type (testnet or mainnet)
- * @param {string} category - Vesting category
- * @param {Object} data - Vesting data to save
+ * Reads token and vesting addresses from the environment, falling back to the deployment registry
+ * @param {string} network - Hardhat network name
+ * @returns {Object} Object containing tokenAddress and vestingAddress (either may be undefined)
  */
-function updateDeploymentsJson(networkType, category, data) {
-  try {
-    const deploymentsPath = path.join(__dirname, '..', '..', 'deployments.json');
-    let deployments = {};
-    
-    // Read existing file or create structure
+function loadDeployedAddresses(network) {
+  let tokenAddress = process.env.TOKEN_ADDRESS;
+  let vestingAddress = process.env.VESTING_ADDRESS;
+
+  if (!tokenAddress || !vestingAddress) {
     try {
-      const fileContent = fs.readFileSync(deploymentsPath, 'utf8');
-      deployments = JSON.parse(fileContent);
+      const registry = openRegistry();
+      tokenAddress = tokenAddress || registry.getContract(network, CONTRACTS.token) || undefined;
+      vestingAddress =
+        vestingAddress || registry.getContract(network, CONTRACTS.vesting) || undefined;
     } catch (error) {
-      // File doesn't exist or is invalid JSON
-      deployments = {
-        testnet: { token: null, vesting: {}, allocations: {} },
-        mainnet: { token: null, vesting: {}, allocations: {} }
-      };
+      console.warn('Could not load addresses from the deployment registry:', error.message);
     }
-    
-    // Ensure structure exists
-    if (!deployments[networkType]) {
-      deployments[networkType] = { token: null, vesting: {}, allocations: {} };
+  }
+
+  return { tokenAddress, vestingAddress };
+}
+
+/**
+ * Checks on-chain whether a journaled vesting schedule was already created
+ *
+ * A schedule whose transaction was dropped is removed from the journal, so it is created again.
+ * @param {Object} vesting - Vesting contract instance
+ * @param {Object} journal - Journal from deploymentJournal.openJournal
+ * @param {string} key - Journal action key of the schedule (index and txHash of the create transaction)
+ * @param {Object} expected - Expected beneficiary, amount and schedule parameters
+ * @returns {string|null} The existing schedule ID, or null if the schedule still has to be created
+ * @throws {Error} If the chain disagrees with the journal or the transaction is still pending
+ */
+async function findJournaledSchedule(vesting, journal, key, expected) {
+  const entry = journal.getAction(key);
+  // Schedules transferred away leave the holder's list, so compare with the creation counter
+  const created = await vesting.getVestingSchedulesCreatedByHolder(expected.beneficiary);
+
+  if (created > BigInt(entry.index)) {
+    const scheduleId = await getVestingScheduleId(vesting, expected.beneficiary, entry.index);
+    const schedule = await vesting.getVestingSchedule(scheduleId);
+
+    if (
+      schedule.amountTotal !== expected.amount ||
+      schedule.duration !== BigInt(expected.duration) ||
+      schedule.slicePeriodSeconds !== BigInt(expected.slicePeriod)
+    ) {
+      throw new Error(
+        `Schedule ${scheduleId} for ${expected.beneficiary} does not match the journal; refusing to continue`
+      );
     }
-    
-    if (!deployments[networkType].vesting) {
-      deployments[networkType].vesting = {};
+    return scheduleId;
+  }
+
+  if (entry.txHash) {
+    const provider = vesting.runner.provider;
+    const receipt = await getSettledReceipt(provider, entry.txHash);
+    if (!receipt) {
+      if (!(await isTransactionDropped(provider, entry.txHash))) {
+        throw new Error(
+          `Transaction ${entry.txHash} for ${expected.beneficiary} is still pending; rerun once it is mined or dropped`
+        );
+      }
+      console.warn(`⚠️  Schedule transaction ${entry.txHash} was dropped, creating it again`);
+      journal.clearAction(key);
     }
-    
-    // Update data
-    deployments[networkType].vesting[category] = data;
-    
-    // Write back to file
-    fs.writeFileSync(deploymentsPath, JSON.stringify(deployments, null, 2));
-    console.log(`Vesting details for ${category} saved to deployments.json`);
+  }
+
+  return null;
+}
+
+/**
+ * Transfers a beneficiary's immediate amount unless a journaled run already sent it
+ * @param {Object} token - Token contract instance
+ * @param {Object} wallet - Sending wallet
+ * @param {Object} beneficiary - Resolved beneficiary (address and immediateAmount)
+ * @param {number} decimals - Token decimals
+ * @param {Object} [options] - Options
+ * @param {Object} [options.journal] - Journal from deploymentJournal.openJournal
+ * @param {string} [options.key] - Journal action key for this transfer
+ * @returns {Object|null} Transfer record, or null when the beneficiary is the deployer
+ * @throws {Error} If a previously sent transfer is still pending; a dropped one is sent again
+ */
+async function sendImmediateTransfer(token, wallet, beneficiary, decimals, { journal, key } = {}) {
+  const amount = ethers.formatUnits(beneficiary.immediateAmount, decimals);
+
+  if (beneficiary.address === wallet.address) {
+    console.log(`${beneficiary.address} is the deployer, ${amount} RESKA already available`);
+    return null;
+  }
+
+  const entry = journal?.getAction(key);
+  if (entry?.txHash) {
+    // A transfer was sent by an earlier run: only resend if it reverted or was dropped
+    const previous = await getSettledReceipt(wallet.provider, entry.txHash);
+    if (!previous) {
+      if (!(await isTransactionDropped(wallet.provider, entry.txHash))) {
+        throw new Error(
+          `Transfer ${entry.txHash} to ${beneficiary.address} is still pending; rerun once it is mined or dropped`
+        );
+      }
+      console.warn(`⚠️  Transfer ${entry.txHash} was dropped, sending it again`);
+      journal.clearAction(key);
+    } else if (previous.status === 1) {
+      journal.recordAction(key, { status: 'completed' });
+      console.log(`Skipping transfer to ${beneficiary.address}, already sent in ${entry.txHash}`);
+      return { address: beneficiary.address, amount: entry.amount, txHash: entry.txHash };
+    }
+  }
+
+  console.log(`Transferring ${amount} RESKA immediately to ${beneficiary.address}...`);
+  const receipt = await getTransactionManager(token.runner).sendContractCall(
+    token,
+    'transfer',
+    [beneficiary.address, beneficiary.immediateAmount],
+    {
+      label: `Transfer to ${beneficiary.address}`,
+      onSubmitted: tx =>
+        journal?.recordAction(key, {
+          status: 'pending',
+          amount: beneficiary.immediateAmount.toString(),
+          txHash: tx.hash,
+        }),
+      journalAction: journal && { path: journal.path, key },
+    }
+  );
+  if (isQueuedTransaction(receipt.hash)) {
+    journal?.recordAction(key, { status: 'queued' });
+    console.log(`✅ Transfer queued as ${receipt.hash}`);
+  } else {
+    journal?.recordAction(key, { status: 'completed' });
+    console.log(`✅ Transfer successful. Transaction hash: ${receipt.hash}`);
+  }
+
+  return {
+    address: beneficiary.address,
+    amount: beneficiary.immediateAmount.toString(),
+    txHash: receipt.hash,
+  };
+}
+
+/**
+ * Deploys one allocation category from a resolved allocation manifest:
+ * funds the vesting contract, transfers immediate amounts and creates every schedule
+ *
+ * When a journal is given, every transfer and schedule is recorded before and after
+ * it is mined, and actions already present on-chain are skipped, so a failed run
+ * can be repeated without double-funding or double-creating schedules.
+ *
+ * The category is validated first (see vestingPreflight) and nothing is sent if that
+ * finds errors, unless forced.
+ * @param {Object} contracts - Object containing token, vesting and the sending wallet
+ * @param {Object} category - Category from allocationManifest.resolveManifest
+ * @param {Object} [options] - Options
+ * @param {Object} [options.journal] - Journal from deploymentJournal.openJournal
+ * @param {boolean} [options.preflight] - Validate the category first (skip when the caller already did)
+ * @param {boolean} [options.force] - Proceed despite validation errors
+ * @param {number} [options.now] - Unix timestamp start times are validated against; defaults to the journal start
+ * @returns {Object} Summary with the transfers and schedules of the category
+ */
+async function deployAllocationCategory(
+  { token, vesting, wallet },
+  category,
+  { journal, preflight = true, force = false, now } = {}
+) {
+  const vestingAddress = await vesting.getAddress();
+  const decimals = category.decimals;
+  const summary = { category: category.id, transfers: [], schedules: [] };
+  const occurrences = {};
+
+  console.log(`\n=== ${category.name.toUpperCase()} (${category.percentage}% of supply) ===`);
+
+  if (preflight) {
+    await runPreflight([category], { token, now: now ?? journal?.startTime, force });
+  }
+
+  // Key every beneficiary by address and occurrence so repeated addresses stay distinct
+  const items = category.beneficiaries.map(beneficiary => {
+    const occurrence = occurrences[beneficiary.address] || 0;
+    occurrences[beneficiary.address] = occurrence + 1;
+    const key = `${category.id}:${beneficiary.address}:${occurrence}`;
+    return { beneficiary, transferKey: `${key}:transfer`, scheduleKey: `${key}:schedule` };
+  });
+
+  // Settle what a previous run left in flight first, so the journal points at what was mined
+  for (const signer of new Set([token.runner, vesting.runner])) {
+    await getTransactionManager(signer).resume();
+  }
+
+  // Find schedules a previous run already created
+  for (const item of items) {
+    if (item.beneficiary.amount > 0n && journal?.getAction(item.scheduleKey)) {
+      item.existingScheduleId = await findJournaledSchedule(vesting, journal, item.scheduleKey, {
+        ...category.schedule,
+        beneficiary: item.beneficiary.address,
+        amount: item.beneficiary.amount,
+      });
+    }
+  }
+
+  // Top up the vesting contract so it covers existing schedules plus the ones still to create
+  const vestedTotal = items
+    .filter(item => !item.existingScheduleId)
+    .reduce((acc, item) => acc + item.beneficiary.amount, 0n);
+  if (vestedTotal > 0n) {
+    const committed = await vesting.getVestingSchedulesTotalAmount();
+    await fundVestingContractIfNeeded(token, wallet, vestingAddress, committed + vestedTotal);
+  }
+
+  for (const { beneficiary, transferKey, scheduleKey, existingScheduleId } of items) {
+    if (beneficiary.immediateAmount > 0n) {
+      const transfer = await sendImmediateTransfer(token, wallet, beneficiary, decimals, {
+        journal,
+        key: transferKey,
+      });
+      if (transfer) {
+        summary.transfers.push(transfer);
+      }
+    }
+
+    if (beneficiary.amount > 0n) {
+      if (existingScheduleId) {
+        const entry = journal.getAction(scheduleKey);
+        journal.recordAction(scheduleKey, { status: 'completed', scheduleId: existingScheduleId });
+        console.log(
+          `Skipping schedule for ${beneficiary.address}, already created: ${existingScheduleId}`
+        );
+
+        summary.schedules.push({
+          address: beneficiary.address,
+          amount: beneficiary.amount.toString(),
+          scheduleId: existingScheduleId,
+          txHash: entry.txHash,
+        });
+        continue;
+      }
+
+      // The new schedule takes the next index of this holder, counting transferred-away schedules
+      // and the ones already queued for the Safe
+      if (!queuedSchedules.has(vesting.runner)) {
+        queuedSchedules.set(vesting.runner, {});
+      }
+      const queued = queuedSchedules.get(vesting.runner);
+      const index =
+        (await vesting.getVestingSchedulesCreatedByHolder(beneficiary.address)) +
+        BigInt(queued[beneficiary.address] || 0);
+      const receipt = await createVestingSchedule(
+        vesting,
+        {
+          ...category.schedule,
+          beneficiary: beneficiary.address,
+          amount: beneficiary.amount,
+        },
+        {
+          onSubmitted: tx =>
+            journal?.recordAction(scheduleKey, {
+              status: 'pending',
+              index: Number(index),
+              amount: beneficiary.amount.toString(),
+              txHash: tx.hash,
+            }),
+          journalAction: journal && { path: journal.path, key: scheduleKey },
+        }
+      );
+      if (isQueuedTransaction(receipt.hash)) {
+        queued[beneficiary.address] = (queued[beneficiary.address] || 0) + 1;
+      }
+      const scheduleId = await getVestingScheduleId(vesting, beneficiary.address, index);
+      journal?.recordAction(scheduleKey, {
+        status: isQueuedTransaction(receipt.hash) ? 'queued' : 'completed',
+        scheduleId,
+      });
+      console.log(`Vesting schedule ID: ${scheduleId}`);
+
+      summary.schedules.push({
+        address: beneficiary.address,
+        amount: beneficiary.amount.toString(),
+        scheduleId,
+        txHash: receipt.hash,
+      });
+    }
+  }
+
+  if (category.schedule) {
+    const { startTime, cliffPeriod, duration, slicePeriod } = category.schedule;
+    // Dates at which the contract actually pays out, not the nominal start + cliff
+    const stored = toStoredSchedule({
+      start: startTime,
+      cliff: cliffPeriod,
+      duration,
+      slicePeriodSeconds: slicePeriod,
+      amount: 0,
+    });
+    const toDate = time => new Date(Number(time) * 1000).toISOString();
+    summary.startDate = toDate(startTime);
+    summary.cliffDate = toDate(getEnforcedCliffTime(stored));
+    summary.endDate = toDate(getFullyVestedTime(stored));
+  }
+
+  return summary;
+}
+
+/**
+ * Records vesting or allocation details in the deployment registry
+ * @param {string} network - Hardhat network name
+ * @param {string} category - Vesting category
+ * @param {Object} data - Vesting data to save
+ * @param {string} [section] - Registry section to write to (vesting or allocations)
+ */
+function updateDeploymentRegistry(network, category, data, section = 'vesting') {
+  try {
+    const registry = openRegistry();
+    registry.recordCategory(network, section, category, data);
+    console.log(`Vesting details for ${category} saved to ${registry.path}`);
   } catch (error) {
-    console.error(`Error updating deployments.json:`, error);
+    console.error(`Error updating the deployment registry:`, error);
   }
 }
 
@@ -234,10 +577,14 @@ module.exports = {
   validateEnvironment,
   validateAddresses,
   initializeConnection,
+  initializeAllocationSigners,
   loadContracts,
+  getVestingFundingAmount,
   checkVestingBalance,
   fundVestingContractIfNeeded,
   createVestingSchedule,
   getVestingScheduleId,
-  updateDeploymentsJson
+  loadDeployedAddresses,
+  deployAllocationCategory,
+  updateDeploymentRegistry,
 };
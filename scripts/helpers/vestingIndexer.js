@@ -0,0 +1,459 @@
+/**
+ * RESKA Vesting Indexer
+ * Rebuilds vesting and allocation state from contract events into a local JSON store
+ *
+ * The index scans ReskaTokenVesting (VestingScheduleCreated, TokensReleased, VestingRevoked,
+ * VestingScheduleTransferred) and ReskaToken (TokensAllocated, AdditionalTokensMinted) in
+ * block ranges small enough for public RPC limits. The store lives in
+ * deployments/index-<network>.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "chainId": 324,
+ *     "vesting": "0x...", "token": "0x...",
+ *     "fromBlock": 0, "lastBlock": 123,
+ *     "schedules": { "<scheduleId>": { beneficiary, amount, released, category, ... } },
+ *     "releases": [{ scheduleId, beneficiary, amount, category, block, timestamp, txHash }],
+ *     "allocations": [...], "mints": [...]
+ *   }
+ *
+ * Amounts are decimal strings. The store is written atomically after every block range,
+ * so an interrupted sync resumes from the last completed range without double counting.
+ * Schedules are assigned to the allocation categories recorded in the deployment registry,
+ * by schedule id or by the batch transaction that created them.
+ *
+ * @module vestingIndexer
+ * @author RESKA Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { writeJsonAtomic } = require('./deploymentJournal');
+const { ALLOCATION_TYPES, loadManifest } = require('./allocationManifest');
+const { openRegistry } = require('./deploymentRegistry');
+
+const INDEX_VERSION = 1;
+const DEFAULT_BLOCK_RANGE = 5000;
+const UNCATEGORIZED = 'uncategorized';
+
+// Events read from each contract
+const VESTING_EVENTS = [
+  'VestingScheduleCreated',
+  'TokensReleased',
+  'VestingRevoked',
+  'VestingScheduleTransferred',
+];
+const TOKEN_EVENTS = ['TokensAllocated', 'AdditionalTokensMinted'];
+
+/**
+ * Returns the default index path for a network
+ * @param {string} network - Hardhat network name
+ * @returns {string} Absolute path to deployments/index-<network>.json
+ */
+function getIndexPath(network) {
+  return path.join(__dirname, '..', '..', 'deployments', `index-${network}.json`);
+}
+
+/**
+ * Builds the schedule-to-category lookup from a deployment registry chain entry
+ * @param {Object|null} chain - Chain entry from deploymentRegistry getChain
+ * @returns {Object} { scheduleIds: { id: category }, txHashes: { hash: category } }
+ */
+function loadScheduleCategories(chain) {
+  const categories = { scheduleIds: {}, txHashes: {} };
+
+  for (const [key, data] of Object.entries(chain?.vesting || {})) {
+    // create-vesting-batch.js records batches under "<category>Batches"
+    const category = key.replace(/Batches$/, '');
+    for (const schedule of data.schedules || []) {
+      if (schedule.scheduleId) categories.scheduleIds[schedule.scheduleId] = category;
+    }
+    for (const batch of data.batches || []) {
+      if (batch.txHash) categories.txHashes[batch.txHash] = category;
+    }
+  }
+
+  return categories;
+}
+
+/**
+ * Maps every known schedule of a network to its ReskaToken allocation type
+ *
+ * Schedules are found in the deployment registry, and batch-created ones through the event
+ * index (by creating transaction); their category ids are mapped to allocation types with
+ * the network's allocation manifest.
+ * @param {string} network - Hardhat network name
+ * @returns {Object} scheduleId -> allocation type (e.g. FOUNDER)
+ */
+function loadScheduleAllocationTypes(network) {
+  const lookup = { scheduleIds: {}, txHashes: {} };
+  try {
+    Object.assign(lookup, loadScheduleCategories(openRegistry().getChain(network)));
+  } catch (error) {
+    console.warn('Could not load categories from the deployment registry:', error.message);
+  }
+
+  // Category ids of the manifest mapped to ReskaToken allocation types
+  const types = {};
+  try {
+    for (const category of loadManifest(network).categories) {
+      types[category.id] = category.allocationType;
+    }
+  } catch (error) {
+    console.warn('Could not load the allocation manifest:', error.message);
+  }
+  const toType = id => types[id] || id.toUpperCase();
+
+  const categories = {};
+  for (const [scheduleId, id] of Object.entries(lookup.scheduleIds)) {
+    categories[scheduleId] = toType(id);
+  }
+
+  // Batch-created schedules are only known by their transaction, which the event index records
+  const indexPath = getIndexPath(network);
+  if (fs.existsSync(indexPath)) {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    for (const schedule of Object.values(index.schedules)) {
+      const id = lookup.txHashes[schedule.txHash];
+      if (!categories[schedule.scheduleId] && id) {
+        categories[schedule.scheduleId] = toType(id);
+      }
+    }
+  }
+
+  return categories;
+}
+
+/**
+ * Returns the start of the period a timestamp falls in
+ * @param {number} timestamp - Unix timestamp
+ * @param {string} interval - "day", "month" or "year"
+ * @returns {string} Period label (YYYY-MM-DD, YYYY-MM or YYYY)
+ */
+function toPeriod(timestamp, interval) {
+  const lengths = { day: 10, month: 7, year: 4 };
+  if (!lengths[interval]) {
+    throw new Error(`Unknown interval: ${interval}. Use day, month or year`);
+  }
+  return new Date(timestamp * 1000).toISOString().slice(0, lengths[interval]);
+}
+
+/**
+ * Opens (or creates) a vesting index
+ * @param {string} filePath - Index file path
+ * @param {Object} options - Contracts the index belongs to
+ * @param {number} options.chainId - Chain id
+ * @param {string} options.vesting - Vesting contract address
+ * @param {string} options.token - Token contract address
+ * @param {number} [options.fromBlock] - First block to scan when the index is created
+ * @returns {Object} Index handle
+ * @throws {Error} If the existing index belongs to another chain or other contracts
+ */
+function openIndex(filePath, { chainId, vesting, token, fromBlock = 0 }) {
+  const read = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!fs.existsSync(filePath)) {
+    writeJsonAtomic(filePath, {
+      version: INDEX_VERSION,
+      chainId,
+      vesting: ethers.getAddress(vesting),
+      token: ethers.getAddress(token),
+      fromBlock,
+      lastBlock: fromBlock - 1,
+      updatedAt: new Date().toISOString(),
+      schedules: {},
+      releases: [],
+      allocations: [],
+      mints: [],
+    });
+  }
+
+  const initial = read();
+  if (initial.version !== INDEX_VERSION) {
+    throw new Error(`Unsupported index version ${initial.version} in ${filePath}`);
+  }
+  if (
+    initial.chainId !== chainId ||
+    initial.vesting !== ethers.getAddress(vesting) ||
+    initial.token !== ethers.getAddress(token)
+  ) {
+    throw new Error(
+      `Index ${filePath} was built for other contracts (chain ${initial.chainId}, vesting ${initial.vesting}); delete it to rebuild`
+    );
+  }
+
+  return {
+    path: filePath,
+
+    read,
+
+    write(data) {
+      data.updatedAt = new Date().toISOString();
+      writeJsonAtomic(filePath, data);
+    },
+
+    getLastBlock() {
+      return read().lastBlock;
+    },
+
+    getSchedule(scheduleId) {
+      return read().schedules[scheduleId] || null;
+    },
+
+    /**
+     * Returns every schedule currently held by an address, oldest first
+     * @param {string} holder - Holder address
+     * @returns {Array<Object>} Schedules
+     */
+    getSchedulesForHolder(holder) {
+      const address = ethers.getAddress(holder);
+      return Object.values(read().schedules)
+        .filter(schedule => schedule.beneficiary === address)
+        .sort((a, b) => a.createdBlock - b.createdBlock);
+    },
+
+    /**
+     * Sums released tokens per category and period
+     * @param {Object} [options] - Options
+     * @param {string} [options.interval] - "day", "month" or "year"
+     * @returns {Array<Object>} { period, category, released, cumulative } sorted by period and category
+     */
+    getReleasedByCategory({ interval = 'month' } = {}) {
+      const totals = new Map();
+      for (const release of read().releases) {
+        const key = `${toPeriod(release.timestamp, interval)}|${release.category}`;
+        totals.set(key, (totals.get(key) || 0n) + BigInt(release.amount));
+      }
+
+      const cumulative = {};
+      return [...totals.keys()].sort().map(key => {
+        const [period, category] = key.split('|');
+        const released = totals.get(key);
+        cumulative[category] = (cumulative[category] || 0n) + released;
+        return {
+          period,
+          category,
+          released: released.toString(),
+          cumulative: cumulative[category].toString(),
+        };
+      });
+    },
+
+    /**
+     * Summarizes the index: schedule counts and amounts per category, allocations and mints
+     * @returns {Object} Summary
+     */
+    getSummary() {
+      const data = read();
+      const categories = {};
+
+      for (const schedule of Object.values(data.schedules)) {
+        if (!categories[schedule.category]) {
+          categories[schedule.category] = { schedules: 0, revoked: 0, amount: 0n, released: 0n };
+        }
+        const entry = categories[schedule.category];
+        entry.schedules++;
+        entry.revoked += schedule.revoked ? 1 : 0;
+        entry.amount += BigInt(schedule.amount);
+        entry.released += BigInt(schedule.released);
+      }
+
+      const sum = items => items.reduce((acc, item) => acc + BigInt(item.amount), 0n).toString();
+      return {
+        lastBlock: data.lastBlock,
+        categories: Object.fromEntries(
+          Object.entries(categories).map(([category, entry]) => [
+            category,
+            { ...entry, amount: entry.amount.toString(), released: entry.released.toString() },
+          ])
+        ),
+        allocated: sum(data.allocations),
+        minted: sum(data.mints),
+      };
+    },
+  };
+}
+
+/**
+ * Fetches the logs of the given events emitted by a contract in a block range
+ * @param {Object} contract - Contract instance
+ * @param {Array<string>} eventNames - Event names
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Array<Object>} Logs with the parsed event attached
+ */
+async function fetchEvents(contract, eventNames, fromBlock, toBlock) {
+  const topics = eventNames.map(name => contract.interface.getEvent(name).topicHash);
+  const logs = await contract.runner.provider.getLogs({
+    address: await contract.getAddress(),
+    topics: [topics],
+    fromBlock,
+    toBlock,
+  });
+  return logs.map(log => ({ log, event: contract.interface.parseLog(log) }));
+}
+
+/**
+ * Applies one event to the index data
+ * @param {Object} data - Index data
+ * @param {Object} item - { log, event } from fetchEvents
+ * @param {number} timestamp - Block timestamp
+ * @param {Object} categories - Lookup from loadScheduleCategories
+ */
+function applyEvent(data, { log, event }, timestamp, categories) {
+  const args = event.args;
+  const meta = { block: log.blockNumber, timestamp, txHash: log.transactionHash };
+
+  switch (event.name) {
+    case 'VestingScheduleCreated':
+      data.schedules[args.scheduleId] = {
+        scheduleId: args.scheduleId,
+        beneficiary: args.beneficiary,
+        amount: args.amount.toString(),
+        start: Number(args.start),
+        // Nominal cliff period, as passed to createVestingSchedule
+        cliff: Number(args.cliff),
+        duration: Number(args.duration),
+        slicePeriodSeconds: Number(args.slicePeriodSeconds),
+        released: '0',
+        revoked: false,
+        category:
+          categories.scheduleIds[args.scheduleId] ||
+          categories.txHashes[log.transactionHash] ||
+          UNCATEGORIZED,
+        createdBlock: log.blockNumber,
+        createdAt: timestamp,
+        txHash: log.transactionHash,
+        transfers: [],
+      };
+      break;
+
+    case 'TokensReleased': {
+      const schedule = data.schedules[args.scheduleId];
+      if (!schedule) {
+        throw new Error(
+          `TokensReleased for unknown schedule ${args.scheduleId} in block ${log.blockNumber}`
+        );
+      }
+      schedule.released = (BigInt(schedule.released) + args.amount).toString();
+      data.releases.push({
+        scheduleId: args.scheduleId,
+        beneficiary: args.beneficiary,
+        amount: args.amount.toString(),
+        category: schedule.category,
+        ...meta,
+      });
+      break;
+    }
+
+    case 'VestingRevoked':
+      if (data.schedules[args.scheduleId]) {
+        data.schedules[args.scheduleId].revoked = true;
+        data.schedules[args.scheduleId].revokedAt = timestamp;
+      }
+      break;
+
+    case 'VestingScheduleTransferred':
+      if (data.schedules[args.scheduleId]) {
+        data.schedules[args.scheduleId].beneficiary = args.to;
+        data.schedules[args.scheduleId].transfers.push({ from: args.from, to: args.to, ...meta });
+      }
+      break;
+
+    case 'TokensAllocated':
+      data.allocations.push({
+        recipient: args.recipient,
+        amount: args.amount.toString(),
+        allocationType: ALLOCATION_TYPES[Number(args.allocationType)],
+        allocationName: args.allocationName,
+        ...meta,
+      });
+      break;
+
+    case 'AdditionalTokensMinted':
+      data.mints.push({ to: args.to, amount: args.amount.toString(), ...meta });
+      break;
+  }
+}
+
+/**
+ * Scans new blocks and updates the index, resuming after the last indexed block
+ * @param {Object} index - Index from openIndex
+ * @param {Object} contracts - { vesting, token } contract instances connected to a provider
+ * @param {Object} [options] - Options
+ * @param {number} [options.toBlock] - Last block to index; defaults to the latest block minus confirmations
+ * @param {number} [options.confirmations] - Blocks to stay behind the chain head
+ * @param {number} [options.blockRange] - Blocks per getLogs request
+ * @param {Object} [options.categories] - Lookup from loadScheduleCategories
+ * @param {Function} [options.onProgress] - Called with { fromBlock, toBlock, events } after each range
+ * @returns {Object} { fromBlock, toBlock, events } of this sync
+ */
+async function syncIndex(
+  index,
+  { vesting, token },
+  {
+    toBlock,
+    confirmations = 0,
+    blockRange = DEFAULT_BLOCK_RANGE,
+    categories = { scheduleIds: {}, txHashes: {} },
+    onProgress,
+  } = {}
+) {
+  const provider = vesting.runner.provider;
+  const head = toBlock ?? (await provider.getBlockNumber()) - confirmations;
+  const data = index.read();
+  const start = data.lastBlock + 1;
+  let events = 0;
+
+  for (let from = start; from <= head; from += blockRange) {
+    const to = Math.min(from + blockRange - 1, head);
+    const items = [
+      ...(await fetchEvents(vesting, VESTING_EVENTS, from, to)),
+      ...(await fetchEvents(token, TOKEN_EVENTS, from, to)),
+    ].sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+
+    const timestamps = {};
+    for (const item of items) {
+      const block = item.log.blockNumber;
+      if (timestamps[block] === undefined) {
+        timestamps[block] = (await provider.getBlock(block)).timestamp;
+      }
+      applyEvent(data, item, timestamps[block], categories);
+    }
+
+    data.lastBlock = to;
+    index.write(data);
+    events += items.length;
+    onProgress?.({ fromBlock: from, toBlock: to, events: items.length });
+  }
+
+  // Categories recorded in the registry after a schedule was indexed
+  let recategorized = false;
+  for (const schedule of Object.values(data.schedules)) {
+    const category =
+      categories.scheduleIds[schedule.scheduleId] || categories.txHashes[schedule.txHash];
+    if (schedule.category === UNCATEGORIZED && category) {
+      schedule.category = category;
+      recategorized = true;
+    }
+  }
+  if (recategorized) {
+    for (const release of data.releases) {
+      release.category = data.schedules[release.scheduleId].category;
+    }
+    index.write(data);
+  }
+
+  return { fromBlock: start, toBlock: Math.max(head, data.lastBlock), events };
+}
+
+module.exports = {
+  DEFAULT_BLOCK_RANGE,
+  UNCATEGORIZED,
+  getIndexPath,
+  loadScheduleCategories,
+  loadScheduleAllocationTypes,
+  openIndex,
+  syncIndex,
+};
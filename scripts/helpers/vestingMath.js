@@ -0,0 +1,199 @@
+/**
+ * RESKA Vesting Math
+ * Pure BigInt reimplementation of ReskaTokenVesting's vesting computation
+ *
+ * The functions take a schedule as the contract stores it (getVestingSchedule): note
+ * that createVestingSchedule stores `cliff` as start + cliff period, and
+ * _computeReleasableAmount then compares block.timestamp with start + cliff, so the
+ * cliff it enforces is start + start + cliff period. Use toStoredSchedule to project a
+ * schedule from createVestingSchedule arguments before it exists on-chain.
+ *
+ * Results match the contract bit for bit, including its rounding; arithmetic that would
+ * overflow uint256 (and make the contract call revert) throws instead.
+ *
+ * @module vestingMath
+ * @author RESKA Team
+ */
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+/**
+ * Reverts like checked Solidity arithmetic when a value leaves the uint256 range
+ * @param {bigint} value - Result of an operation
+ * @returns {bigint} The value
+ * @throws {Error} If the value overflows or underflows uint256
+ */
+function checked(value) {
+  if (value < 0n || value > MAX_UINT256) {
+    throw new Error('Arithmetic overflow: the contract call would revert');
+  }
+  return value;
+}
+
+/**
+ * Converts createVestingSchedule arguments to the schedule the contract stores
+ * @param {Object} params - Schedule parameters
+ * @param {bigint|number} params.start - Start time
+ * @param {bigint|number} params.cliff - Cliff period in seconds, as passed to createVestingSchedule
+ * @param {bigint|number} params.duration - Duration in seconds
+ * @param {bigint|number} params.slicePeriodSeconds - Slice period in seconds
+ * @param {bigint|number} params.amount - Amount to vest
+ * @param {boolean} [params.revocable] - Whether the schedule is revocable
+ * @returns {Object} Stored schedule (cliff = start + cliff period, released = 0)
+ */
+function toStoredSchedule({
+  start,
+  cliff,
+  duration,
+  slicePeriodSeconds,
+  amount,
+  revocable = false,
+}) {
+  return {
+    start: BigInt(start),
+    cliff: checked(BigInt(start) + BigInt(cliff)),
+    duration: BigInt(duration),
+    slicePeriodSeconds: BigInt(slicePeriodSeconds),
+    revocable,
+    amountTotal: BigInt(amount),
+    released: 0n,
+    revoked: false,
+  };
+}
+
+/**
+ * Returns the first timestamp at which the contract pays out anything
+ * @param {Object} schedule - Stored schedule
+ * @returns {bigint} start + stored cliff
+ */
+function getEnforcedCliffTime(schedule) {
+  return checked(schedule.start + schedule.cliff);
+}
+
+/**
+ * Returns the first timestamp at which the whole amount is releasable
+ * @param {Object} schedule - Stored schedule
+ * @returns {bigint} The later of the enforced cliff and start + duration
+ */
+function getFullyVestedTime(schedule) {
+  const end = checked(schedule.start + schedule.duration);
+  const cliffTime = getEnforcedCliffTime(schedule);
+  return end > cliffTime ? end : cliffTime;
+}
+
+/**
+ * Computes the amount of a schedule vested at a given time, as _computeReleasableAmount does
+ * @param {Object} schedule - Stored schedule with BigInt start, cliff, duration, slicePeriodSeconds and amountTotal
+ * @param {bigint} time - Unix timestamp
+ * @returns {bigint} Vested amount (including what was already released)
+ */
+function computeVestedAmount(schedule, time) {
+  const { start, duration, slicePeriodSeconds, amountTotal } = schedule;
+
+  if (time < getEnforcedCliffTime(schedule)) {
+    return 0n;
+  }
+  if (time >= checked(start + duration) || schedule.revoked) {
+    return amountTotal;
+  }
+
+  const vestedSlices = (time - start) / slicePeriodSeconds;
+  return checked(checked(amountTotal * vestedSlices) * slicePeriodSeconds) / duration;
+}
+
+/**
+ * Computes the releasable amount of a schedule at a given time, as _computeReleasableAmount does
+ * @param {Object} schedule - Stored schedule, including released and revoked
+ * @param {bigint} time - Unix timestamp
+ * @returns {bigint} Releasable amount
+ */
+function computeReleasableAmount(schedule, time) {
+  const { start, duration, amountTotal, released } = schedule;
+
+  if (time < getEnforcedCliffTime(schedule)) {
+    return 0n;
+  }
+  if (time >= checked(start + duration) || schedule.revoked) {
+    return checked(amountTotal - released);
+  }
+
+  const vested = computeVestedAmount(schedule, time);
+  return vested > released ? vested - released : 0n;
+}
+
+/**
+ * Projects the effect of revoke() on a schedule at a given time
+ * @param {Object} schedule - Stored schedule
+ * @param {bigint} time - Unix timestamp of the revocation
+ * @returns {Object} { schedule, refund }: the schedule as stored after revoke() and the amount returned to the owner
+ */
+function computeRevocation(schedule, time) {
+  const releasable = computeReleasableAmount(schedule, time);
+  const refund = checked(schedule.amountTotal - releasable);
+
+  return {
+    schedule: {
+      ...schedule,
+      revoked: true,
+      // revoke() keeps only what was released once anything is refunded
+      amountTotal: checked(
+        schedule.released + (refund > 0n ? 0n : checked(releasable - schedule.released))
+      ),
+    },
+    refund,
+  };
+}
+
+/**
+ * Finds the next time the vested amount of a schedule increases
+ * @param {Object} schedule - Stored schedule
+ * @param {bigint} now - Current unix timestamp
+ * @returns {Object|null} { time, amount } of the next unlock, or null if nothing is left to unlock
+ */
+function computeNextUnlock(schedule, now) {
+  const { start, duration, slicePeriodSeconds, amountTotal } = schedule;
+  const vestedNow = computeVestedAmount(schedule, now);
+  const end = start + duration;
+
+  if (schedule.revoked || vestedNow >= amountTotal) {
+    return null;
+  }
+
+  const cliffTime = getEnforcedCliffTime(schedule);
+  if (now < cliffTime) {
+    const atCliff = computeVestedAmount(schedule, cliffTime);
+    if (atCliff > vestedNow) {
+      return { time: cliffTime, amount: atCliff - vestedNow };
+    }
+  }
+
+  // First slice boundary after both now and the cliff...
+  const from = now > cliffTime ? now : cliffTime;
+  let slices = (from - start) / slicePeriodSeconds + 1n;
+
+  // ...at which the rounded-down vested amount actually grows
+  const needed =
+    ((vestedNow + 1n) * duration + amountTotal * slicePeriodSeconds - 1n) /
+    (amountTotal * slicePeriodSeconds);
+  if (needed > slices) {
+    slices = needed;
+  }
+
+  let time = start + slices * slicePeriodSeconds;
+  if (time > end) {
+    time = end;
+  }
+
+  return { time, amount: computeVestedAmount(schedule, time) - vestedNow };
+}
+
+module.exports = {
+  MAX_UINT256,
+  toStoredSchedule,
+  getEnforcedCliffTime,
+  getFullyVestedTime,
+  computeVestedAmount,
+  computeReleasableAmount,
+  computeRevocation,
+  computeNextUnlock,
+};
@@ -0,0 +1,234 @@
+/**
+ * RESKA Vesting Pre-flight Validation
+ * Lints proposed vesting schedules before any transaction is sent
+ *
+ * ReskaTokenVesting only rejects zero values and a duration shorter than the cliff, so
+ * schedules that do something other than intended go through silently. Every schedule is
+ * checked here against the contract's actual semantics:
+ *
+ * - errors: parameters the contract rejects, a zero beneficiary or amount, a start in the
+ *   past, and categories whose amounts exceed their ReskaToken allocation
+ * - warnings: the cliff the contract enforces (start + start + cliff), a slice period that
+ *   does not divide the duration, and a cliff that swallows the whole vesting period
+ *
+ * Deployments refuse to proceed on errors unless explicitly forced (--force).
+ *
+ * @module vestingPreflight
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { toStoredSchedule, getEnforcedCliffTime } = require('./vestingMath');
+const { readAllocations } = require('./unlockCalendar');
+
+// A "now" start resolved a little before validation runs is not in the past
+const START_TOLERANCE = 15 * 60;
+
+/**
+ * Formats a unix timestamp as an ISO date
+ * @param {bigint|number} time - Unix timestamp
+ * @returns {string} ISO date string
+ */
+function formatTime(time) {
+  return new Date(Number(time) * 1000).toISOString();
+}
+
+/**
+ * Lints the parameters of a vesting schedule
+ * @param {Object} schedule - Schedule parameters (startTime, cliffPeriod, duration, slicePeriod)
+ * @param {Object} [options] - Options
+ * @param {number} [options.now] - Unix timestamp the start is compared with; defaults to the current time
+ * @returns {Array<Object>} Findings with severity ('error' or 'warning'), code and message
+ */
+function lintSchedule(schedule, { now = Math.floor(Date.now() / 1000) } = {}) {
+  const { startTime, cliffPeriod, duration, slicePeriod } = schedule;
+  const findings = [];
+  const error = (code, message) => findings.push({ severity: 'error', code, message });
+  const warning = (code, message) => findings.push({ severity: 'warning', code, message });
+
+  if (duration <= 0 || slicePeriod <= 0) {
+    error('zero-period', 'duration and slicePeriod must be positive');
+    return findings;
+  }
+  if (duration < cliffPeriod) {
+    error(
+      'duration-shorter-than-cliff',
+      `duration ${duration}s is shorter than the cliff ${cliffPeriod}s; the duration counts from ` +
+        'the start and includes the cliff'
+    );
+  }
+  if (startTime < now - START_TOLERANCE) {
+    error('start-in-past', `start ${formatTime(startTime)} is in the past`);
+  }
+
+  // The contract stores start + cliff and then checks block.timestamp against start + that
+  const stored = toStoredSchedule({
+    start: startTime,
+    cliff: cliffPeriod,
+    duration,
+    slicePeriodSeconds: slicePeriod,
+    amount: 0,
+  });
+  const enforcedCliff = getEnforcedCliffTime(stored);
+  if (startTime > 0) {
+    const atOnce = enforcedCliff >= BigInt(startTime + duration) ? ', and then all at once' : '';
+    warning(
+      'cliff-counted-twice',
+      `the contract counts the start twice: nothing unlocks before ${formatTime(enforcedCliff)}` +
+        `${atOnce}, not from ${formatTime(startTime + cliffPeriod)}`
+    );
+  }
+  if (cliffPeriod >= duration && slicePeriod < duration) {
+    warning(
+      'cliff-covers-duration',
+      'the cliff lasts the whole duration, so everything unlocks at once at the cliff and the ' +
+        `${slicePeriod}s slices never apply`
+    );
+  }
+  if (slicePeriod > duration) {
+    warning(
+      'slice-longer-than-duration',
+      `slicePeriod ${slicePeriod}s is longer than the duration; nothing unlocks before the end`
+    );
+  } else if (duration % slicePeriod !== 0) {
+    warning(
+      'slice-not-dividing-duration',
+      `slicePeriod ${slicePeriod}s does not divide the duration ${duration}s; the last ` +
+        `${duration % slicePeriod}s unlock in one step at the end`
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * Reads the amount allocated to each allocation type by ReskaToken
+ * @param {Object} token - ReskaToken contract instance
+ * @returns {Object} Allocation type -> amount (bigint)
+ */
+async function readAllocationAmounts(token) {
+  const { allocations } = await readAllocations(token);
+  const amounts = {};
+  for (const allocation of allocations) {
+    amounts[allocation.allocationType] =
+      (amounts[allocation.allocationType] || 0n) + allocation.amount;
+  }
+  return amounts;
+}
+
+/**
+ * Validates resolved allocation categories: every schedule, beneficiary and category total
+ * @param {Array<Object>} categories - Categories from allocationManifest.resolveManifest
+ * @param {Object} [options] - Options
+ * @param {Object} [options.allocations] - Allocation type -> amount from readAllocationAmounts
+ * @param {number} [options.now] - Unix timestamp start times are compared with
+ * @returns {Object} Report with findings (severity, code, category, message), errors and warnings
+ */
+function validateCategories(categories, { allocations, now } = {}) {
+  const findings = [];
+  const totals = {};
+
+  for (const category of categories) {
+    const add = (severity, code, message) =>
+      findings.push({ severity, code, category: category.id, message });
+
+    if (category.schedule && category.beneficiaries.some(beneficiary => beneficiary.amount > 0n)) {
+      for (const finding of lintSchedule(category.schedule, { now })) {
+        add(finding.severity, finding.code, finding.message);
+      }
+    }
+
+    for (const beneficiary of category.beneficiaries) {
+      if (!ethers.isAddress(beneficiary.address) || beneficiary.address === ethers.ZeroAddress) {
+        add('error', 'invalid-beneficiary', `invalid beneficiary address ${beneficiary.address}`);
+      }
+      if (beneficiary.amount === 0n && beneficiary.immediateAmount === 0n) {
+        add('error', 'zero-amount', `beneficiary ${beneficiary.address} receives nothing`);
+      }
+    }
+
+    totals[category.allocationType] =
+      (totals[category.allocationType] || 0n) +
+      category.beneficiaries.reduce(
+        (acc, beneficiary) => acc + beneficiary.amount + beneficiary.immediateAmount,
+        0n
+      );
+  }
+
+  if (allocations) {
+    for (const [allocationType, total] of Object.entries(totals)) {
+      const allocated = allocations[allocationType] ?? 0n;
+      if (total > allocated) {
+        findings.push({
+          severity: 'error',
+          code: 'exceeds-allocation',
+          category: categories
+            .filter(category => category.allocationType === allocationType)
+            .map(category => category.id)
+            .join(','),
+          message:
+            `${ethers.formatUnits(total, categories[0].decimals)} RESKA exceeds the ` +
+            `${allocationType} allocation of ${ethers.formatUnits(allocated, categories[0].decimals)} RESKA`,
+        });
+      }
+    }
+  }
+
+  return {
+    findings,
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length,
+  };
+}
+
+/**
+ * Prints a validation report
+ * @param {Object} report - Report from validateCategories
+ */
+function printPreflight(report) {
+  console.log(
+    `\n=== PRE-FLIGHT VALIDATION: ${report.errors} error(s), ${report.warnings} warning(s) ===`
+  );
+  for (const finding of report.findings) {
+    const label = finding.severity === 'error' ? 'ERROR' : 'WARNING';
+    console.log(`- ${label} [${finding.category}] ${finding.message}`);
+  }
+}
+
+/**
+ * Validates categories against the token allocations, prints the findings and refuses on errors
+ * @param {Array<Object>} categories - Categories from allocationManifest.resolveManifest
+ * @param {Object} options - Options
+ * @param {Object} options.token - ReskaToken contract instance
+ * @param {number} [options.now] - Unix timestamp start times are compared with
+ * @param {boolean} [options.force] - Proceed despite errors
+ * @returns {Object} Report from validateCategories
+ * @throws {Error} If validation found errors and force is not set
+ */
+async function runPreflight(categories, { token, now, force = false }) {
+  const allocations = await readAllocationAmounts(token);
+  const report = validateCategories(categories, { allocations, now });
+
+  if (report.findings.length > 0) {
+    printPreflight(report);
+  }
+  if (report.errors > 0) {
+    if (!force) {
+      throw new Error(
+        `Pre-flight validation failed with ${report.errors} error(s); fix the schedules or rerun with --force to override`
+      );
+    }
+    console.warn(`⚠️  Proceeding despite ${report.errors} pre-flight error(s) (--force)`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  START_TOLERANCE,
+  lintSchedule,
+  readAllocationAmounts,
+  validateCategories,
+  printPreflight,
+  runPreflight,
+};
@@ -0,0 +1,269 @@
+/**
+ * RESKA Vesting Status Helper
+ * Reads the vesting schedules of a holder, projects their next unlock and releases them
+ *
+ * Releases can be sent by the beneficiary, the vesting owner or a release operator (e.g. a
+ * relayer); the contract always pays the beneficiary. A beneficiary can also move a schedule
+ * to a new address, subject to the owner's approval when the contract requires it.
+ *
+ * ReskaTokenVesting stores a schedule's cliff as start + cliff period and then checks
+ * block.timestamp against start + cliff, so the cliff it enforces lies one start time
+ * later than the nominal one. The projections here use the contract's own math (see
+ * vestingMath), so the dates shown are the ones at which release() actually succeeds.
+ *
+ * @module vestingStatus
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { getTransactionManager } = require('./transactionManager');
+const {
+  getEnforcedCliffTime,
+  getFullyVestedTime,
+  computeVestedAmount,
+  computeNextUnlock,
+} = require('./vestingMath');
+
+/**
+ * Reads every vesting schedule of a holder
+ * @param {Object} vesting - Vesting contract instance
+ * @param {string} holder - Holder address
+ * @param {Object} [options] - Options
+ * @param {bigint} [options.now] - Timestamp to project from; defaults to the latest block
+ * @returns {Array<Object>} Schedules with id, dates, amounts and next unlock
+ */
+async function getHolderSchedules(vesting, holder, { now } = {}) {
+  const provider = vesting.runner.provider || vesting.runner;
+  const timestamp = now ?? BigInt((await provider.getBlock('latest')).timestamp);
+  const count = await vesting.getVestingSchedulesCountByHolder(holder);
+  const schedules = [];
+
+  for (let index = 0n; index < count; index++) {
+    const scheduleId = await vesting.getVestingScheduleIdAtHolderIndex(holder, index);
+    const schedule = await vesting.getVestingSchedule(scheduleId);
+    const releasable = await vesting.getReleasableAmount(scheduleId);
+    const pendingTransfer = await vesting.getPendingScheduleTransfer(scheduleId);
+
+    schedules.push({
+      index: Number(index),
+      scheduleId,
+      beneficiary: schedule.beneficiary,
+      start: schedule.start,
+      cliffTime: getEnforcedCliffTime(schedule),
+      // Nothing unlocks before the cliff, even when the duration has already elapsed
+      end: getFullyVestedTime(schedule),
+      slicePeriodSeconds: schedule.slicePeriodSeconds,
+      revocable: schedule.revocable,
+      revoked: schedule.revoked,
+      total: schedule.amountTotal,
+      released: schedule.released,
+      // Revoked schedules report a releasable amount the contract no longer pays out
+      releasable: schedule.revoked ? 0n : releasable,
+      nextUnlock: computeNextUnlock(schedule, timestamp),
+      pendingTransfer: pendingTransfer === ethers.ZeroAddress ? null : pendingTransfer,
+    });
+  }
+
+  return schedules;
+}
+
+/**
+ * Sends a vesting contract call through its signer's transaction manager, which simulates it,
+ * buffers its gas limit and replaces it if it is dropped or not mined in time
+ * @param {Object} vesting - Vesting contract instance connected to a signer
+ * @param {string} method - Contract method
+ * @param {Array} args - Method arguments
+ * @param {string} label - Name of the transaction in logs and the report
+ * @returns {Promise<Object>} Receipt
+ */
+function sendVestingCall(vesting, method, args, label) {
+  return getTransactionManager(vesting.runner).sendContractCall(vesting, method, args, { label });
+}
+
+/**
+ * Releases the releasable tokens of a holder's schedules, one transaction per schedule
+ * @param {Object} vesting - Vesting contract instance connected to the beneficiary, the owner or a release operator
+ * @param {Array<Object>} schedules - Schedules from getHolderSchedules
+ * @param {Object} [options] - Options
+ * @param {string} [options.scheduleId] - Only release this schedule
+ * @returns {Array<Object>} Released schedules with scheduleId, amount and txHash
+ * @throws {Error} If the requested schedule does not exist or has nothing to release
+ */
+async function releaseSchedules(vesting, schedules, { scheduleId } = {}) {
+  let selected = schedules.filter(schedule => schedule.releasable > 0n);
+
+  if (scheduleId) {
+    const schedule = schedules.find(item => item.scheduleId === scheduleId);
+    if (!schedule) {
+      throw new Error(`Schedule ${scheduleId} does not belong to this holder`);
+    }
+    if (schedule.releasable === 0n) {
+      throw new Error(`Schedule ${scheduleId} has nothing to release`);
+    }
+    selected = [schedule];
+  }
+
+  const results = [];
+  for (const schedule of selected) {
+    console.log(`Releasing schedule ${schedule.scheduleId}...`);
+    const receipt = await sendVestingCall(
+      vesting,
+      'release',
+      [schedule.scheduleId],
+      `Release of schedule #${schedule.index}`
+    );
+    console.log(`✅ Released schedule #${schedule.index}`);
+
+    results.push({
+      scheduleId: schedule.scheduleId,
+      amount: schedule.releasable,
+      txHash: receipt.hash,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Releases every releasable schedule of a holder in a single releaseAll transaction
+ * @param {Object} vesting - Vesting contract instance connected to the holder, the owner or a release operator
+ * @param {string} holder - Holder address
+ * @returns {Array<Object>} Released schedules with scheduleId, amount and txHash
+ */
+async function releaseAllSchedules(vesting, holder) {
+  console.log(`Releasing all schedules of ${holder}...`);
+  const receipt = await sendVestingCall(vesting, 'releaseAll', [holder], `Release of ${holder}`);
+
+  // One TokensReleased event is emitted per released schedule
+  const results = [];
+  for (const log of receipt.logs) {
+    const event = vesting.interface.parseLog(log);
+    if (event && event.name === 'TokensReleased') {
+      results.push({
+        scheduleId: event.args.scheduleId,
+        amount: event.args.amount,
+        txHash: receipt.hash,
+      });
+    }
+  }
+
+  console.log(`✅ Released ${results.length} schedule(s)`);
+  return results;
+}
+
+/**
+ * Asks to move a schedule to a new beneficiary; the signer must be the current beneficiary
+ * @param {Object} vesting - Vesting contract instance connected to the beneficiary
+ * @param {string} scheduleId - Schedule ID
+ * @param {string} newBeneficiary - Address of the new beneficiary
+ * @returns {Object} { status: 'transferred' | 'pending', txHash }; pending transfers await the owner's approval
+ */
+async function transferSchedule(vesting, scheduleId, newBeneficiary) {
+  if (!ethers.isAddress(newBeneficiary) || newBeneficiary === ethers.ZeroAddress) {
+    throw new Error(`Invalid new beneficiary: ${newBeneficiary}`);
+  }
+
+  console.log(`Transferring schedule ${scheduleId} to ${newBeneficiary}...`);
+  const receipt = await sendVestingCall(
+    vesting,
+    'transferVestingSchedule',
+    [scheduleId, newBeneficiary],
+    'Schedule transfer'
+  );
+
+  const transferred = receipt.logs.some(
+    log => vesting.interface.parseLog(log)?.name === 'VestingScheduleTransferred'
+  );
+  console.log(
+    transferred
+      ? `✅ Schedule transferred to ${newBeneficiary}`
+      : "✅ Transfer requested, awaiting the owner's approval"
+  );
+
+  return { status: transferred ? 'transferred' : 'pending', txHash: receipt.hash };
+}
+
+/**
+ * Approves or cancels a pending schedule transfer
+ * @param {Object} vesting - Vesting contract instance connected to the owner (or the beneficiary to cancel)
+ * @param {string} scheduleId - Schedule ID
+ * @param {boolean} approve - Whether to approve (true) or cancel (false) the transfer
+ * @returns {Object} { newBeneficiary, txHash }
+ * @throws {Error} If the schedule has no pending transfer
+ */
+async function settleScheduleTransfer(vesting, scheduleId, approve) {
+  const newBeneficiary = await vesting.getPendingScheduleTransfer(scheduleId);
+  if (newBeneficiary === ethers.ZeroAddress) {
+    throw new Error(`Schedule ${scheduleId} has no pending transfer`);
+  }
+
+  console.log(
+    `${approve ? 'Approving' : 'Cancelling'} transfer of ${scheduleId} to ${newBeneficiary}...`
+  );
+  const receipt = await sendVestingCall(
+    vesting,
+    approve ? 'approveScheduleTransfer' : 'cancelScheduleTransfer',
+    [scheduleId],
+    approve ? 'Transfer approval' : 'Transfer cancellation'
+  );
+  console.log(`✅ Transfer ${approve ? 'approved' : 'cancelled'}`);
+
+  return { newBeneficiary, txHash: receipt.hash };
+}
+
+/**
+ * Formats a unix timestamp as an ISO date
+ * @param {bigint} time - Unix timestamp
+ * @returns {string} ISO date string
+ */
+function formatTime(time) {
+  return new Date(Number(time) * 1000).toISOString();
+}
+
+/**
+ * Prints a holder's schedules
+ * @param {string} holder - Holder address
+ * @param {Array<Object>} schedules - Schedules from getHolderSchedules
+ * @param {number} [decimals] - Token decimals
+ */
+function printSchedules(holder, schedules, decimals = 6) {
+  const format = amount => `${ethers.formatUnits(amount, decimals)} RESKA`;
+
+  console.log(`\n=== VESTING SCHEDULES FOR ${holder} ===`);
+  if (schedules.length === 0) {
+    console.log('No vesting schedules found.');
+    return;
+  }
+
+  for (const schedule of schedules) {
+    const status = schedule.revoked ? ' (revoked)' : '';
+    console.log(`\n#${schedule.index} ${schedule.scheduleId}${status}`);
+    console.log(`- Cliff: ${formatTime(schedule.cliffTime)}`);
+    console.log(`- Fully vested: ${formatTime(schedule.end)}`);
+    console.log(`- Total: ${format(schedule.total)}`);
+    console.log(`- Released: ${format(schedule.released)}`);
+    console.log(`- Releasable now: ${format(schedule.releasable)}`);
+    console.log(
+      schedule.nextUnlock
+        ? `- Next unlock: ${formatTime(schedule.nextUnlock.time)} (+${format(schedule.nextUnlock.amount)})`
+        : `- Next unlock: none${schedule.revoked ? '' : ', fully vested'}`
+    );
+    if (schedule.pendingTransfer) {
+      console.log(`- Pending transfer to: ${schedule.pendingTransfer}`);
+    }
+  }
+
+  const releasable = schedules.reduce((acc, schedule) => acc + schedule.releasable, 0n);
+  console.log(`\nTotal releasable now: ${format(releasable)}`);
+}
+
+module.exports = {
+  computeVestedAmount,
+  computeNextUnlock,
+  getHolderSchedules,
+  releaseSchedules,
+  releaseAllSchedules,
+  transferSchedule,
+  settleScheduleTransfer,
+  printSchedules,
+};
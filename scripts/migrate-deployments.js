@@ -0,0 +1,58 @@
+/**
+ * RESKA Token - Deployment Registry Migration Script
+ * Imports deployments.json, .deployment-addresses.json and the per-network files under
+ * deployments/ into the unified registry (deployments/registry.json)
+ *
+ * Usage:
+ *   node scripts/migrate-deployments.js [--registry path/to/registry.json]
+ *
+ * The legacy files are left in place; delete them once the registry has been reviewed.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const {
+  openRegistry,
+  migrateLegacyStores,
+  getRegistryPath,
+} = require('./helpers/deploymentRegistry');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const registryIndex = args.indexOf('--registry');
+  const registryPath = registryIndex >= 0 ? args[registryIndex + 1] : getRegistryPath();
+
+  console.log('=== MIGRATING DEPLOYMENT ADDRESSES TO THE REGISTRY ===');
+
+  const registry = openRegistry(registryPath);
+  const results = migrateLegacyStores(registry);
+
+  if (results.length === 0) {
+    console.log('No legacy deployment files found, nothing to migrate.');
+    return;
+  }
+
+  for (const { file, contracts } of results) {
+    console.log(`✅ ${file}: ${contracts} contract address(es) imported`);
+  }
+
+  console.log(`\nRegistry written to ${registry.path}:`);
+  for (const chain of registry.list()) {
+    console.log(`- ${chain.network} (chain ${chain.chainId})`);
+    for (const [name, contract] of Object.entries(chain.contracts)) {
+      console.log(`  ${name}: ${contract.address}`);
+    }
+    if (chain.history.length > 0) {
+      console.log(`  ${chain.history.length} previous deployment(s) kept in history`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`\nError: ${error.message}`);
+    process.exit(1);
+  });
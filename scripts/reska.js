@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * RESKA Token - Command Line Interface
+ * Entry point of the `reska` command; each subcommand lives in scripts/commands/
+ *
+ * Usage:
+ *   reska <command> [arguments]
+ *   reska help
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+require('dotenv').config();
+const { describeError } = require('./helpers/revertDecoder');
+
+// Commands are loaded on demand so one command's dependencies don't slow down the others
+const COMMANDS = {
+  vesting: () => require('./commands/vesting'),
+  index: () => require('./commands/indexer'),
+  audit: () => require('./commands/audit'),
+  timelock: () => require('./commands/timelock'),
+  safe: () => require('./commands/safe'),
+  keys: () => require('./commands/keys'),
+};
+
+/**
+ * Prints the available commands
+ */
+function printHelp() {
+  console.log('Usage: reska <command> [arguments]\n');
+  console.log('Commands:');
+  for (const [name, load] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(10)} ${load().description}`);
+  }
+}
+
+/**
+ * Runs the command given on the command line
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const [name, ...rest] = args;
+
+  if (!name || name === 'help' || name === '--help') {
+    printHelp();
+    return;
+  }
+  if (!COMMANDS[name]) {
+    throw new Error(`Unknown command: ${name}. Run "reska help" for the list of commands`);
+  }
+
+  await COMMANDS[name]().run(rest);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${describeError(error)}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
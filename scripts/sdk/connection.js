@@ -0,0 +1,137 @@
+/**
+ * RESKA SDK connection
+ * Builds the provider and wallets of a network, and connects the RESKA contracts recorded for
+ * it. zkSync networks get zksync-ethers providers and wallets; plain EVM networks (zksync:
+ * false in the Hardhat config, e.g. localhost) get their ethers v6 counterparts.
+ *
+ * @module reska-sdk/connection
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const zksync = require('zksync-ethers');
+const { CONTRACTS, openRegistry } = require('../helpers/deploymentRegistry');
+const { ReskaToken, ReskaTokenVesting, ReskaTimelock } = require('./contracts');
+
+/**
+ * Reads the Hardhat configuration of a network
+ * @param {string} network - Hardhat network name
+ * @returns {Object} Network configuration
+ * @throws {Error} If the network is not configured or has no URL
+ */
+function getNetworkConfig(network) {
+  const networkConfig = require('hardhat').config.networks[network];
+  if (!networkConfig || !networkConfig.url) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+  return networkConfig;
+}
+
+/**
+ * Creates the provider of a network
+ * @param {Object} networkConfig - Network configuration from Hardhat
+ * @returns {ethers.JsonRpcProvider|zksync.Provider} Provider
+ */
+function createProvider(networkConfig) {
+  return networkConfig.zksync === false
+    ? new ethers.JsonRpcProvider(networkConfig.url)
+    : new zksync.Provider(networkConfig.url);
+}
+
+/**
+ * Creates a wallet of the same flavour as its provider
+ * @param {string} privateKey - Private key
+ * @param {ethers.JsonRpcProvider|zksync.Provider} provider - Provider from createProvider
+ * @returns {ethers.Wallet|zksync.Wallet} Wallet
+ */
+function createWallet(privateKey, provider) {
+  return provider instanceof zksync.Provider
+    ? new zksync.Wallet(privateKey, provider)
+    : new ethers.Wallet(privateKey, provider);
+}
+
+/**
+ * Finds the recorded addresses of the RESKA contracts of a network: TOKEN_ADDRESS,
+ * VESTING_ADDRESS and TIMELOCK_ADDRESS first, then the deployment registry
+ * @param {string} network - Hardhat network name
+ * @returns {Object} token, vesting and timelock addresses (any may be undefined)
+ */
+function getContractAddresses(network) {
+  const { loadDeployedAddresses } = require('../helpers/vestingDeployer');
+  const { tokenAddress, vestingAddress } = loadDeployedAddresses(network);
+
+  let timelockAddress = process.env.TIMELOCK_ADDRESS;
+  if (!timelockAddress) {
+    try {
+      timelockAddress = openRegistry().getContract(network, CONTRACTS.timelock) || undefined;
+    } catch (error) {
+      console.warn('Could not load addresses from the deployment registry:', error.message);
+    }
+  }
+
+  return { token: tokenAddress, vesting: vestingAddress, timelock: timelockAddress };
+}
+
+// Variables each contract address is read from, for the errors of connect
+const ADDRESS_VARIABLES = {
+  token: 'TOKEN_ADDRESS',
+  vesting: 'VESTING_ADDRESS',
+  timelock: 'TIMELOCK_ADDRESS',
+};
+
+/**
+ * Connects to the RESKA contracts of a network
+ * @param {string} network - Hardhat network name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.signer] - Sign with the key of the role instead of reading only
+ * @param {string} [options.role] - Key role to sign with: deployer (default), funder or operator
+ * @param {Array<string>} [options.contracts] - Contracts that must be deployed: token, vesting
+ *   and/or timelock
+ * @returns {Promise<Object>} { network, provider, signer, transactions, token, vesting, timelock },
+ *   with null for the signer and its transaction manager when reading only, and for contracts
+ *   without a recorded address
+ * @throws {Error} If the network is not configured, a required contract has no valid address or
+ *   the signer's key cannot be loaded
+ */
+async function connect(network, { signer = false, role = 'deployer', contracts = [] } = {}) {
+  const networkConfig = getNetworkConfig(network);
+  const addresses = getContractAddresses(network);
+
+  for (const name of contracts) {
+    if (!addresses[name] || !ethers.isAddress(addresses[name])) {
+      throw new Error(
+        `Invalid Ethereum address for ${ADDRESS_VARIABLES[name]}: ${addresses[name]}`
+      );
+    }
+  }
+
+  let provider;
+  let wallet = null;
+  let transactions = null;
+  if (signer) {
+    const { initializeConnection } = require('../helpers/vestingDeployer');
+    ({ provider, wallet, transactions } = await initializeConnection(networkConfig, { role }));
+  } else {
+    provider = createProvider(networkConfig);
+  }
+
+  const runner = wallet || provider;
+  const attach = (Wrapper, address) => (address ? Wrapper.attach(address, runner) : null);
+  return {
+    network,
+    provider,
+    signer: wallet,
+    transactions,
+    token: attach(ReskaToken, addresses.token),
+    vesting: attach(ReskaTokenVesting, addresses.vesting),
+    timelock: attach(ReskaTimelock, addresses.timelock),
+  };
+}
+
+module.exports = {
+  getNetworkConfig,
+  createProvider,
+  createWallet,
+  getContractAddresses,
+  connect,
+};
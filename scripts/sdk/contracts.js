@@ -0,0 +1,310 @@
+/**
+ * RESKA SDK contract wrappers
+ * Typed wrappers around ReskaToken, ReskaTokenVesting and ReskaTimelock built on ethers v6.
+ * Each wrapper keeps the underlying ethers Contract in `contract` for calls it does not cover.
+ *
+ * @module reska-sdk/contracts
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { getHolderSchedules, releaseAllSchedules } = require('../helpers/vestingStatus');
+const {
+  scheduleOperation,
+  executeOperation,
+  cancelOperation,
+  listOperations,
+} = require('../helpers/timelockOperations');
+const { getTransactionManager } = require('../helpers/transactionManager');
+
+/**
+ * A vesting schedule of a holder, as returned by getSchedulesForHolder
+ * @typedef {Object} VestingSchedule
+ * @property {number} index - Index of the schedule among the holder's schedules
+ * @property {string} scheduleId - Schedule ID
+ * @property {string} beneficiary - Beneficiary address
+ * @property {bigint} start - Start timestamp
+ * @property {bigint} cliffTime - Time the contract lets the first tokens be released
+ * @property {bigint} end - Time the schedule is fully vested
+ * @property {bigint} slicePeriodSeconds - Slice period in seconds
+ * @property {boolean} revocable - Whether the owner can revoke the schedule
+ * @property {boolean} revoked - Whether the schedule was revoked
+ * @property {bigint} total - Total amount in base units
+ * @property {bigint} released - Amount released so far
+ * @property {bigint} releasable - Amount that can be released now
+ * @property {Object|null} nextUnlock - { time, amount } of the next unlock, null when fully vested
+ * @property {string|null} pendingTransfer - Address a requested transfer would move the schedule to
+ */
+
+/**
+ * Parameters of a new vesting schedule
+ * @typedef {Object} ScheduleParams
+ * @property {string} beneficiary - Beneficiary address
+ * @property {number|bigint} start - Start timestamp
+ * @property {number|bigint} [cliff] - Cliff period in seconds after the start (default 0)
+ * @property {number|bigint} duration - Vesting duration in seconds
+ * @property {number|bigint} [slicePeriod] - Slice period in seconds (default 1)
+ * @property {boolean} [revocable] - Whether the owner can revoke the schedule (default false)
+ * @property {bigint} amount - Amount in token base units
+ */
+
+/**
+ * A token release, as returned by releaseAll
+ * @typedef {Object} Release
+ * @property {string} scheduleId - Schedule ID
+ * @property {bigint} amount - Released amount
+ * @property {string} txHash - Release transaction hash
+ */
+
+/**
+ * Reads the ABI of a compiled contract from the Hardhat artifacts
+ * @param {string} contractName - Contract name
+ * @returns {Array<Object>} ABI
+ */
+function loadAbi(contractName) {
+  // Hardhat is only needed for the artifacts, so wrappers built from an explicit ABI skip it
+  return require('hardhat').artifacts.readArtifactSync(contractName).abi;
+}
+
+/**
+ * Base of the contract wrappers
+ */
+class ReskaContract {
+  /**
+   * @param {ethers.Contract} contract - Contract connected to a provider or signer
+   */
+  constructor(contract) {
+    this.contract = contract;
+    this.interface = contract.interface;
+  }
+
+  /**
+   * Wraps the contract deployed at an address
+   * @param {string} address - Contract address
+   * @param {ethers.ContractRunner} runner - Provider or signer
+   * @param {Object} [options] - Options
+   * @param {Array<Object>} [options.abi] - ABI, read from the Hardhat artifacts by default
+   * @returns {ReskaContract} The wrapper
+   */
+  static attach(address, runner, { abi } = {}) {
+    return new this(new ethers.Contract(address, abi || loadAbi(this.contractName), runner));
+  }
+
+  /**
+   * The provider or signer the contract sends calls with
+   * @type {ethers.ContractRunner}
+   */
+  get runner() {
+    return this.contract.runner;
+  }
+
+  /**
+   * @returns {Promise<string>} Contract address
+   */
+  getAddress() {
+    return this.contract.getAddress();
+  }
+
+  /**
+   * Wraps the same contract with another provider or signer
+   * @param {ethers.ContractRunner} runner - Provider or signer
+   * @returns {ReskaContract} A new wrapper of the same type
+   */
+  connect(runner) {
+    return new this.constructor(this.contract.connect(runner));
+  }
+
+  /**
+   * Sends a contract call through the signer's transaction manager, which simulates it, buffers
+   * its gas limit and replaces it if it is dropped or not mined in time
+   * @param {string} method - Contract method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  send(method, args) {
+    return getTransactionManager(this.runner).sendContractCall(this.contract, method, args);
+  }
+}
+
+/**
+ * The RESKA token
+ */
+class ReskaToken extends ReskaContract {
+  /**
+   * @returns {Promise<number>} Token decimals, read once
+   */
+  async decimals() {
+    if (this.cachedDecimals === undefined) {
+      this.cachedDecimals = Number(await this.contract.decimals());
+    }
+    return this.cachedDecimals;
+  }
+
+  /**
+   * Converts a whole-token amount to base units
+   * @param {string|number} value - Amount in tokens, e.g. "1500.5"
+   * @returns {Promise<bigint>} Amount in base units
+   */
+  async parseAmount(value) {
+    return ethers.parseUnits(String(value), await this.decimals());
+  }
+
+  /**
+   * Converts base units to a whole-token amount
+   * @param {bigint} amount - Amount in base units
+   * @returns {Promise<string>} Amount in tokens
+   */
+  async formatAmount(amount) {
+    return ethers.formatUnits(amount, await this.decimals());
+  }
+
+  /**
+   * @param {string} address - Account address
+   * @returns {Promise<bigint>} Balance in base units
+   */
+  balanceOf(address) {
+    return this.contract.balanceOf(address);
+  }
+
+  /**
+   * Transfers tokens from the connected signer
+   * @param {string} to - Recipient address
+   * @param {bigint} amount - Amount in base units
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  transfer(to, amount) {
+    return this.send('transfer', [to, amount]);
+  }
+}
+ReskaToken.contractName = 'ReskaToken';
+
+/**
+ * The RESKA token vesting contract
+ */
+class ReskaTokenVesting extends ReskaContract {
+  /**
+   * Wraps the token the contract vests, with the same provider or signer
+   * @returns {Promise<ReskaToken>} Token wrapper
+   */
+  async getToken() {
+    return ReskaToken.attach(await this.contract.getToken(), this.runner);
+  }
+
+  /**
+   * Reads the schedules of a holder with their releasable amounts and next unlock
+   * @param {string} holder - Holder address
+   * @param {Object} [options] - Options
+   * @param {bigint} [options.now] - Timestamp to project from, defaults to the latest block
+   * @returns {Promise<Array<VestingSchedule>>} The holder's schedules
+   */
+  getSchedulesForHolder(holder, { now } = {}) {
+    return getHolderSchedules(this.contract, holder, { now });
+  }
+
+  /**
+   * Creates a vesting schedule; the signer must own the contract, and the contract must hold
+   * enough unallocated tokens
+   * @param {ScheduleParams} params - Schedule parameters
+   * @returns {Promise<Object>} scheduleId and receipt
+   * @throws {Error} If the beneficiary is not a valid address
+   */
+  async createSchedule({
+    beneficiary,
+    start,
+    cliff = 0,
+    duration,
+    slicePeriod = 1,
+    revocable = false,
+    amount,
+  }) {
+    if (!ethers.isAddress(beneficiary)) {
+      throw new Error(`Invalid beneficiary address: ${beneficiary}`);
+    }
+
+    // The new schedule takes the next index of the beneficiary, counting transferred-away ones
+    const index = await this.contract.getVestingSchedulesCreatedByHolder(beneficiary);
+    const receipt = await this.send('createVestingSchedule', [
+      beneficiary,
+      start,
+      cliff,
+      duration,
+      slicePeriod,
+      revocable,
+      amount,
+    ]);
+    const scheduleId = await this.contract.computeVestingScheduleIdForAddressAndIndex(
+      beneficiary,
+      index
+    );
+
+    return { scheduleId, receipt };
+  }
+
+  /**
+   * Releases every releasable schedule of a holder in one transaction; the signer must be the
+   * holder, the owner or a release operator
+   * @param {string} holder - Holder address
+   * @returns {Promise<Array<Release>>} One release per schedule that had tokens to release
+   */
+  releaseAll(holder) {
+    return releaseAllSchedules(this.contract, holder);
+  }
+}
+ReskaTokenVesting.contractName = 'ReskaTokenVesting';
+
+/**
+ * The RESKA timelock
+ */
+class ReskaTimelock extends ReskaContract {
+  /**
+   * @returns {Promise<bigint>} Minimum delay in seconds
+   */
+  getMinDelay() {
+    return this.contract.getMinDelay();
+  }
+
+  /**
+   * Schedules an operation; the signer must hold the proposer role
+   * @param {Array<Object>} calls - Calls from timelockOperations.buildCall
+   * @param {Object} [options] - predecessor, salt and delay, as for scheduleOperation
+   * @returns {Promise<Object>} { id, readyAt, receipt }
+   */
+  schedule(calls, options) {
+    return scheduleOperation(this.contract, calls, options);
+  }
+
+  /**
+   * Lists the operations scheduled on the timelock
+   * @param {Object} [options] - fromBlock, blockRange and all, as for listOperations
+   * @returns {Promise<Array<Object>>} Operations by ready time
+   */
+  listOperations(options) {
+    return listOperations(this.contract, options);
+  }
+
+  /**
+   * Executes a ready operation; the signer must hold the executor role
+   * @param {Object} operation - Operation from listOperations
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  execute(operation) {
+    return executeOperation(this.contract, operation);
+  }
+
+  /**
+   * Cancels a pending or ready operation; the signer must hold the canceller role
+   * @param {string} id - Operation ID
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  cancel(id) {
+    return cancelOperation(this.contract, id);
+  }
+}
+ReskaTimelock.contractName = 'ReskaTimelock';
+
+module.exports = {
+  ReskaContract,
+  ReskaToken,
+  ReskaTokenVesting,
+  ReskaTimelock,
+};
@@ -0,0 +1,60 @@
+/**
+ * RESKA SDK
+ * The one module the scripts import to talk to the chain. It wraps ReskaToken,
+ * ReskaTokenVesting and ReskaTimelock on ethers v6, builds zksync-ethers or ethers providers
+ * and wallets from the Hardhat network configuration, and re-exports the libraries it is
+ * built on so every script uses the same versions:
+ *
+ * - ethers: ethers v6 (formatUnits, parseUnits, Contract, ...; there is no ethers.utils)
+ * - Provider, Wallet, utils: zksync-ethers, the zkSync Era flavour of ethers v6
+ * - Deployer: @matterlabs/hardhat-zksync-deploy, loaded on first use
+ *
+ * Every write goes through the signer's TransactionManager (see transactionManager), which
+ * connect sets up with the network's timeout and pending transactions file.
+ *
+ * @example
+ * const { connect } = require('./sdk');
+ * const { vesting } = await connect('zkSyncTestnet', { signer: true, contracts: ['vesting'] });
+ * const schedules = await vesting.getSchedulesForHolder(holder);
+ * const releases = await vesting.releaseAll(holder);
+ *
+ * @module reska-sdk
+ * @author RESKA Team
+ */
+
+const { ethers } = require('ethers');
+const { Provider, Wallet, utils } = require('zksync-ethers');
+const {
+  getNetworkConfig,
+  createProvider,
+  createWallet,
+  getContractAddresses,
+  connect,
+} = require('./connection');
+const { ReskaContract, ReskaToken, ReskaTokenVesting, ReskaTimelock } = require('./contracts');
+const { TransactionManager, getTransactionManager } = require('../helpers/transactionManager');
+const { decodeError, describeError } = require('../helpers/revertDecoder');
+
+module.exports = {
+  ethers,
+  Provider,
+  Wallet,
+  utils,
+  // The deploy plugin needs a Hardhat runtime, so only the scripts deploying with it load it
+  get Deployer() {
+    return require('@matterlabs/hardhat-zksync-deploy').Deployer;
+  },
+  getNetworkConfig,
+  createProvider,
+  createWallet,
+  getContractAddresses,
+  connect,
+  ReskaContract,
+  ReskaToken,
+  ReskaTokenVesting,
+  ReskaTimelock,
+  TransactionManager,
+  getTransactionManager,
+  decodeError,
+  describeError,
+};
@@ -1,6 +1,6 @@
 // Simplified vesting test for zkSync Era Sepolia - avoiding ethers utility functions
-const { Wallet, Provider } = require("zksync-ethers");
-const hre = require("hardhat");
+const { ethers, Wallet, Provider } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 require("dotenv").config();
 
 async function main() {
@@ -8,7 +8,8 @@ async function main() {
   
   // Initialize provider and wallet
   const provider = new Provider(process.env.ZKSYNC_TESTNET_URL || "https://sepolia.era.zksync.dev");
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncTestnet' });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Using wallet: ${wallet.address}`);
   
   // Contract addresses
@@ -20,8 +21,8 @@ async function main() {
   const { abi: vestingAbi } = require("../artifacts-zk/contracts/ReskaTokenVesting.sol/ReskaTokenVesting.json");
   
   // Connect to contracts
-  const token = new hre.ethers.Contract(TOKEN_ADDRESS, tokenAbi, wallet);
-  const vesting = new hre.ethers.Contract(VESTING_ADDRESS, vestingAbi, wallet);
+  const token = new ethers.Contract(TOKEN_ADDRESS, tokenAbi, wallet);
+  const vesting = new ethers.Contract(VESTING_ADDRESS, vestingAbi, wallet);
   
   // Basic checks
   try {
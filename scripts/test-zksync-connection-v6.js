@@ -1,5 +1,7 @@
 // Modern zkSync connection test script using standard ethers with hardhat
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers, createProvider, createWallet } = require("./sdk");
+const { loadRoleKey } = require('./helpers/keyManagement');
 require("dotenv").config();
 
 async function main() {
@@ -15,9 +17,9 @@ async function main() {
       console.log("⚠️ Warning: You are not connected to zkSyncTestnet. Use --network zkSyncTestnet");
     }
     
-    // Use hardhat's ethers provider
-    const provider = ethers.provider;
-    console.log(`Provider URL: ${provider.connection.url}`);
+    // Use the SDK provider for the network (zksync-ethers on zkSync networks)
+    const provider = createProvider(hre.network.config);
+    console.log(`Provider URL: ${hre.network.config.url}`);
     console.log("Provider initialized successfully");
     
     // Get chain ID
@@ -48,8 +50,9 @@ async function main() {
     console.log(`Latest block timestamp: ${new Date(Number(block.timestamp) * 1000).toLocaleString()}`);
     
     // Try with a wallet
-    if (process.env.PRIVATE_KEY) {
-      const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    const key = await loadRoleKey('deployer', { network: hre.network.name });
+    if (key) {
+      const wallet = createWallet(key.privateKey, provider);
       console.log(`\nWallet address: ${wallet.address}`);
       
       // Check balance
@@ -1,6 +1,7 @@
 // Script to test connection to zkSync testnet
-const { ethers } = require("hardhat");
 const hre = require("hardhat");
+const { ethers, createProvider, createWallet } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 
 async function main() {
   try {
@@ -8,10 +9,10 @@ async function main() {
     console.log(`Network configured: ${hre.network.name}`);
     console.log(`RPC URL: ${hre.network.config.url}`);
     
-    // Test using ethers v6 provider directly
+    // Test using the SDK provider (zksync-ethers on zkSync networks)
     console.log("\nTesting RPC connection with ethers...");
-    const provider = new ethers.JsonRpcProvider(hre.network.config.url);
-    const chainId = await provider.getChainId();
+    const provider = createProvider(hre.network.config);
+    const chainId = Number((await provider.getNetwork()).chainId);
     console.log(`✅ Connected! Chain ID: ${chainId}`);
     
     // Get the latest block
@@ -33,14 +34,15 @@ async function main() {
     }
     
     // Test wallet access (without requiring funds)
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    const { privateKey } = await requireRoleKey('deployer', { network: hre.network.name });
+    const wallet = createWallet(privateKey, provider);
     console.log(`✅ Wallet configured: ${wallet.address}`);
     
     // Get wallet balance
     const balance = await provider.getBalance(wallet.address);
     console.log(`Wallet balance: ${ethers.formatEther(balance)} ETH`);
     
-    if (balance.eq(0)) {
+    if (balance === 0n) {
       console.log(`\n⚠️ Your wallet has no ETH on zkSync Era Testnet.`);
       console.log(`To proceed with deployment, you'll need to:`);
       console.log(`1. Get Goerli ETH from a faucet like https://goerlifaucet.com/`);
@@ -67,7 +69,7 @@ async function main() {
     console.log("   • Blast: https://blast-zksync-era-testnet.public.blastapi.io");
     console.log("   • BlockPI: https://public.zksync2-testnet.blockpi.network");
     console.log("4. Check for firewall or network restrictions");
-    console.log("5. Ensure you're using compatible versions of zksync-web3 with ethers");
+    console.log("5. Ensure you're using compatible versions of zksync-ethers with ethers v6");
     
     return false;
   }
@@ -0,0 +1,137 @@
+/**
+ * RESKA Token - Unlock Calendar Report
+ * Projects monthly unlocks and circulating vs locked supply from the deployed contracts
+ *
+ * Usage:
+ *   node scripts/unlock-calendar.js --network zkSyncMainnet [--format md|csv|json|all]
+ *                                   [--from 2025-06] [--months 36] [--out-dir reports]
+ *
+ * Reads every schedule from ReskaTokenVesting and the allocations from ReskaToken, replays
+ * the contract's vesting math month by month and writes
+ * reports/unlock-calendar-<network>.<md|csv|json>. Schedules are attributed to allocation
+ * categories through the deployment registry, the event index (reska index sync) for batch
+ * schedules, and the allocation manifest for the category's allocation type.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const { ethers, Provider } = require('./sdk');
+const vestingHelper = require('./helpers/vestingDeployer');
+const { loadScheduleAllocationTypes } = require('./helpers/vestingIndexer');
+const {
+  readSchedules,
+  readAllocations,
+  buildUnlockCalendar,
+  formatJson,
+  formatCsv,
+  formatMarkdown,
+} = require('./helpers/unlockCalendar');
+const { getArg } = require('./helpers/cliArgs');
+require('dotenv').config();
+
+const FORMATS = {
+  md: (calendar, meta) =>
+    formatMarkdown(calendar, { title: `RESKA Unlock Calendar (${meta.network})` }),
+  csv: calendar => formatCsv(calendar),
+  json: (calendar, meta) => formatJson(calendar, meta),
+};
+
+/**
+ * Parses --from (YYYY-MM) into a unix timestamp
+ * @param {string} [value] - Month
+ * @returns {bigint|undefined} Timestamp of the first day of the month
+ */
+function parseMonth(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d{4}-\d{2}$/.test(value)) {
+    throw new Error(`Invalid --from month: ${value}. Use YYYY-MM`);
+  }
+  return BigInt(Date.parse(`${value}-01T00:00:00Z`) / 1000);
+}
+
+/**
+ * Generates the unlock calendar report
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  const format = getArg(args, '--format') || 'all';
+  const monthsArg = getArg(args, '--months');
+  const outDir = getArg(args, '--out-dir') || path.join(__dirname, '..', 'reports');
+
+  console.log('=== RESKA UNLOCK CALENDAR ===');
+
+  if (format !== 'all' && !FORMATS[format]) {
+    throw new Error(`Invalid format: ${format}. Must be one of: md, csv, json, all`);
+  }
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig || !networkConfig.url) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const { tokenAddress, vestingAddress } = vestingHelper.loadDeployedAddresses(network);
+  vestingHelper.validateAddresses({ TOKEN_ADDRESS: tokenAddress, VESTING_ADDRESS: vestingAddress });
+
+  const provider =
+    networkConfig.zksync === false
+      ? new ethers.JsonRpcProvider(networkConfig.url)
+      : new Provider(networkConfig.url);
+  const token = new ethers.Contract(
+    tokenAddress,
+    (await hre.artifacts.readArtifact('ReskaToken')).abi,
+    provider
+  );
+  const vesting = new ethers.Contract(
+    vestingAddress,
+    (await hre.artifacts.readArtifact('ReskaTokenVesting')).abi,
+    provider
+  );
+
+  console.log(`Network: ${network}`);
+  console.log(`Token: ${tokenAddress}`);
+  console.log(`Vesting: ${vestingAddress}`);
+
+  const [schedules, supply, latest] = await Promise.all([
+    readSchedules(vesting),
+    readAllocations(token),
+    provider.getBlock('latest'),
+  ]);
+  console.log(`Schedules: ${schedules.length}`);
+
+  const calendar = buildUnlockCalendar(
+    { schedules, supply, categories: loadScheduleAllocationTypes(network) },
+    {
+      from: parseMonth(getArg(args, '--from')) ?? BigInt(latest.timestamp),
+      months: monthsArg ? Number(monthsArg) : undefined,
+    }
+  );
+
+  const meta = { network, token: tokenAddress, vesting: vestingAddress, block: latest.number };
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const ext of format === 'all' ? Object.keys(FORMATS) : [format]) {
+    const file = path.join(outDir, `unlock-calendar-${network}.${ext}`);
+    fs.writeFileSync(file, FORMATS[ext](calendar, meta));
+    console.log(`✅ Wrote ${file}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
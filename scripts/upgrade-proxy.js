@@ -0,0 +1,157 @@
+/**
+ * RESKA Token - Proxy Upgrade Script
+ * Deploys a new implementation for the proxied token or vesting contract and proposes the
+ * ProxyAdmin.upgrade call through ReskaTimelock
+ *
+ * Usage:
+ *   node scripts/upgrade-proxy.js --network zkSyncTestnet --contract token|vesting
+ *                                 [--implementation ReskaTokenUpgradeableV2]
+ *
+ * The new implementation (by default the current contract name, recompiled) is checked
+ * against the committed layout of the deployed one in storage-layouts/ first; an
+ * incompatible layout stops the upgrade before anything is deployed. If PRIVATE_KEY is a
+ * timelock proposer the upgrade is scheduled, otherwise its calldata is printed. Once the
+ * operation is executed (reska timelock execute <id>), record the new layout with
+ * scripts/check-storage-layout.js --update.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const hre = require('hardhat');
+const { ethers } = require('./sdk');
+const vestingHelper = require('./helpers/vestingDeployer');
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
+const { getSignerEnvironment, isQueuedTransaction } = require('./helpers/deploymentSigner');
+const { PROPOSER_ROLE } = require('./helpers/adminHandover');
+const { scheduleOperation, formatTime } = require('./helpers/timelockOperations');
+const {
+  UPGRADEABLE_IMPLEMENTATIONS,
+  getImplementationAddress,
+  prepareUpgrade,
+} = require('./helpers/proxyDeployer');
+const { loadStorageLayout, hashStorageLayout } = require('./helpers/storageLayout');
+const { getArg } = require('./helpers/cliArgs');
+require('dotenv').config();
+
+const VALID_NETWORKS = ['zkSyncTestnet', 'zkSyncMainnet'];
+
+/**
+ * Prepares and proposes a proxy upgrade
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  const key = getArg(args, '--contract');
+
+  console.log('=== UPGRADING A RESKA PROXY ===');
+
+  if (!VALID_NETWORKS.includes(network)) {
+    throw new Error(`Invalid network: ${network}. Must be one of: ${VALID_NETWORKS.join(', ')}`);
+  }
+  if (!UPGRADEABLE_IMPLEMENTATIONS[key]) {
+    throw new Error(
+      `Invalid --contract: ${key}. Must be one of: ${Object.keys(UPGRADEABLE_IMPLEMENTATIONS).join(', ')}`
+    );
+  }
+
+  vestingHelper.validateEnvironment(getSignerEnvironment({ deploys: true }));
+
+  const networkConfig = hre.config.networks[network];
+  if (!networkConfig) {
+    throw new Error(`Network configuration not found for: ${network}`);
+  }
+
+  const registry = openRegistry();
+  const entry = registry.getChain(network)?.contracts[CONTRACTS[key]];
+  if (!entry?.proxyAdmin) {
+    throw new Error(
+      `${CONTRACTS[key]} on ${network} is not a proxy deployed by deploy-upgradeable.js`
+    );
+  }
+  const currentName = entry.implementationContract || UPGRADEABLE_IMPLEMENTATIONS[key];
+  const nextName = getArg(args, '--implementation') || currentName;
+  const previous = loadStorageLayout(currentName);
+  if (!previous) {
+    throw new Error(`No committed storage layout for ${currentName} in storage-layouts/`);
+  }
+  if (entry.storageLayout && entry.storageLayout !== hashStorageLayout(previous)) {
+    console.warn(
+      `⚠️  storage-layouts/${currentName}.json differs from the layout recorded at deployment`
+    );
+  }
+
+  const { wallet, deployWallet } = await vestingHelper.initializeConnection(networkConfig);
+  const deployed = await getImplementationAddress(wallet.provider, entry.address);
+  console.log(`Using wallet: ${wallet.address}`);
+  if (deployWallet.address !== wallet.address) {
+    console.log(`Deploying contracts with: ${deployWallet.address}`);
+  }
+  console.log(`Network: ${network}`);
+  console.log(`- Proxy: ${entry.address}`);
+  console.log(`- Current implementation: ${deployed} (${currentName})`);
+  console.log(`- New implementation: ${nextName}`);
+
+  const proxyAdminAbi = (await hre.artifacts.readArtifact('ProxyAdmin')).abi;
+  const proxyAdmin = new ethers.Contract(entry.proxyAdmin, proxyAdminAbi, wallet);
+  const deployer = new hre.zkSync.Deployer(hre, deployWallet);
+  const deploy = async (contractName, constructorArgs) =>
+    deployer.deploy(await deployer.loadArtifact(contractName), constructorArgs);
+
+  const { implementation, call, findings, layout } = await prepareUpgrade(deploy, {
+    artifacts: hre.artifacts,
+    proxyAdmin,
+    proxy: entry.address,
+    contractName: nextName,
+    previous,
+  });
+  for (const finding of findings) {
+    console.warn(`⚠️  ${finding.severity.toUpperCase()}: ${finding.message}`);
+  }
+  const implementationAddress = await implementation.getAddress();
+  console.log(
+    `\n✅ Storage layout compatible; implementation deployed to ${implementationAddress}`
+  );
+
+  registry.recordContract(network, CONTRACTS[key], {
+    address: entry.address,
+    pendingImplementation: implementationAddress,
+    pendingImplementationContract: nextName,
+    pendingStorageLayout: hashStorageLayout(layout),
+  });
+
+  const timelockAbi = (await hre.artifacts.readArtifact('ReskaTimelock')).abi;
+  const timelock = new ethers.Contract(await proxyAdmin.owner(), timelockAbi, wallet);
+  if (!(await timelock.hasRole(PROPOSER_ROLE, wallet.address))) {
+    console.log('\nThe wallet is not a timelock proposer. Have a proposer schedule this call:');
+    console.log(`- Target: ${call.target}, value: ${call.value}, data: ${call.data}`);
+    return;
+  }
+
+  const { id, readyAt, receipt } = await scheduleOperation(timelock, [call], {
+    salt: ethers.id(`upgrade:${entry.address}:${implementationAddress}`),
+  });
+  console.log(`\n✅ Scheduled the upgrade as ${id} (tx ${receipt.hash})`);
+  console.log(`\n=== NEXT STEPS ===`);
+  const when = isQueuedTransaction(receipt.hash)
+    ? 'Once the Safe has executed the bundle and the delay has passed'
+    : `From ${formatTime(readyAt)}`;
+  console.log(`1. ${when}, execute it: reska timelock execute ${id}`);
+  console.log(
+    `2. Record the new layout: node scripts/check-storage-layout.js --update --contract ${nextName}`
+  );
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
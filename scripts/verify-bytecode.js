@@ -0,0 +1,99 @@
+/**
+ * RESKA Token - Bytecode Verification
+ * Checks the deployed contracts against the local sources without an explorer
+ *
+ * Usage:
+ *   node scripts/verify-bytecode.js --network zkSyncMainnet [--contract ReskaTokenVesting]
+ *                                   [--json path/to/report.json]
+ *
+ * Reads the addresses and constructor arguments from the deployment registry and compares the
+ * deployed runtime bytecode and immutables with the local build: Hardhat's build info, or a
+ * zksolc compilation on zkSync networks (ZKSOLC_PATH or zksolc.settings.compilerPath). Fails on
+ * any mismatch.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const path = require('path');
+const hre = require('hardhat');
+const { getNetworkConfig, createProvider } = require('./sdk');
+const { openRegistry } = require('./helpers/deploymentRegistry');
+const { writeJsonAtomic } = require('./helpers/deploymentJournal');
+const { verifyDeployment } = require('./helpers/bytecodeVerifier');
+const { getArg } = require('./helpers/cliArgs');
+
+const STATUS_LABELS = {
+  match: 'bytecode matches',
+  metadata: 'bytecode matches except for its metadata',
+  mismatch: 'bytecode differs',
+  missing: 'no code deployed',
+};
+
+/**
+ * Prints the verification report
+ * @param {Object} report - Result of verifyDeployment
+ */
+function printReport(report) {
+  console.log(`Network: ${report.network} (chain ${report.chainId})`);
+  console.log(`Compiler: ${report.compiler}`);
+
+  for (const result of report.contracts) {
+    console.log(`\n${result.ok ? '✅' : '❌'} ${result.contract} at ${result.address}`);
+    console.log(`- ${STATUS_LABELS[result.status]}`);
+    for (const immutable of result.immutables) {
+      const expected = immutable.expected === null ? '' : ` (expected ${immutable.expected})`;
+      console.log(
+        `- ${immutable.ok ? '✓' : '✗'} ${immutable.name} = ${immutable.value}${expected}`
+      );
+    }
+    for (const finding of result.findings) {
+      console.log(`- ${finding.severity.toUpperCase()}: ${finding.message}`);
+    }
+  }
+}
+
+/**
+ * Verifies the deployed contracts of a network
+ * @param {Array<string>} [args] - Command line arguments
+ * @returns {Promise<Object>} Verification report
+ */
+async function main(args = process.argv.slice(2)) {
+  const network = getArg(args, '--network') || 'zkSyncTestnet';
+  const contract = getArg(args, '--contract');
+  const jsonPath = getArg(args, '--json');
+
+  console.log('=== VERIFYING DEPLOYED BYTECODE ===');
+  const report = await verifyDeployment({
+    hre,
+    network,
+    provider: createProvider(getNetworkConfig(network)),
+    registry: openRegistry(),
+    contracts: contract ? [contract] : undefined,
+  });
+  printReport(report);
+
+  if (jsonPath) {
+    writeJsonAtomic(path.resolve(jsonPath), report);
+    console.log(`\nReport saved to ${jsonPath}`);
+  }
+  if (!report.ok) {
+    const failed = report.contracts.filter(result => !result.ok).length;
+    throw new Error(`${failed} contract(s) do not match the local sources`);
+  }
+  return report;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\nError: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
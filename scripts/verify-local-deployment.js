@@ -1,15 +1,16 @@
 // Script to verify the local deployment functionality
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
 
 async function main() {
   console.log("Verifying local deployment functionality...\n");
 
   try {
     // Load deployment info
-    const deploymentPath = path.resolve(__dirname, "../deployments/local.json");
-    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+    const deploymentInfo = openRegistry().getChain("localhost")?.contracts[CONTRACTS.token];
+    if (!deploymentInfo) {
+      throw new Error("No local ReskaToken deployment found. Run 'npm run deploy:local' first.");
+    }
     const tokenAddress = deploymentInfo.address;
 
     console.log(`ReskaToken address: ${tokenAddress}`);
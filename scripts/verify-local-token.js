@@ -1,16 +1,16 @@
 // Script to verify the RESKA token deployment on the local Hardhat node
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
 
 async function main() {
   try {
     console.log("Verifying RESKA token deployment on local Hardhat node...");
     
     // Get deployment info
-    const deploymentPath = path.join(__dirname, "../deployments/local.json");
-    const deploymentData = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
-    const tokenAddress = deploymentData.address; // Fixed: Use 'address' instead of 'token'
+    const tokenAddress = openRegistry().getContract("localhost", CONTRACTS.token);
+    if (!tokenAddress) {
+      throw new Error("No local ReskaToken deployment found. Run 'npm run deploy:local' first.");
+    }
     
     console.log(`Deployed token address: ${tokenAddress}`);
     
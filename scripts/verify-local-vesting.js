@@ -1,16 +1,17 @@
 // Script to deploy and verify the RESKA vesting contract functionality locally
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
 
 async function main() {
   try {
     console.log("Deploying and verifying RESKA vesting contract on local Hardhat node...");
     
     // Get deployment info for the token
-    const deploymentPath = path.join(__dirname, "../deployments/local.json");
-    const deploymentData = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
-    const tokenAddress = deploymentData.address;
+    const registry = openRegistry();
+    const tokenAddress = registry.getContract("localhost", CONTRACTS.token);
+    if (!tokenAddress) {
+      throw new Error("No local ReskaToken deployment found. Run 'npm run deploy:local' first.");
+    }
     
     console.log(`Using RESKA token at address: ${tokenAddress}`);
     
@@ -126,21 +127,17 @@ async function main() {
     console.log(`and will be fully vested after ${duration} seconds (at ${new Date(endTime * 1000).toLocaleString()})`);
     
     // Save vesting deployment info
-    const vestingDeployment = {
-      token: tokenAddress,
-      vesting: vestingAddress,
-      deployer: owner.address,
+    registry.recordContract("localhost", CONTRACTS.vesting, {
+      address: vestingAddress,
+      deployer: owner.address
+    });
+    registry.recordCategory("localhost", "vesting", "verification", {
       scheduleId: scheduleId,
       beneficiary: beneficiary1.address,
       cliffEnds: cliffTime,
-      fullyVestedAt: endTime,
-      network: "localhost",
-      timestamp: new Date().toISOString()
-    };
-    
-    const vestingDeploymentPath = path.join(__dirname, "../deployments/vesting-local.json");
-    fs.writeFileSync(vestingDeploymentPath, JSON.stringify(vestingDeployment, null, 2));
-    console.log(`\nVesting deployment info saved to ${vestingDeploymentPath}`);
+      fullyVestedAt: endTime
+    });
+    console.log(`\nVesting deployment info saved to ${registry.path}`);
     
     return {
       success: true,
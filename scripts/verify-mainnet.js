@@ -1,6 +1,8 @@
 // Mainnet verification script for RESKA token ecosystem
 // Use after successful deployment to zkSync Era Mainnet
 const hre = require("hardhat");
+const { CONTRACTS, openRegistry } = require("./helpers/deploymentRegistry");
+const { getConstructorArgs } = require("./helpers/bytecodeVerifier");
 require("dotenv").config();
 
 async function main() {
@@ -13,103 +15,54 @@ async function main() {
     process.exit(1);
   }
   
-  // Read deployed contract addresses from the deployments.json file or set manually
-  let tokenAddress, vestingAddress, timelockAddress;
-  
-  try {
-    const deployments = require('../deployments.json');
-    tokenAddress = deployments.mainnet.token;
-    vestingAddress = deployments.mainnet.vesting;
-    timelockAddress = deployments.mainnet.timelock;
-    
-    console.log(`Using deployed addresses from deployments.json:`);
-  } catch (error) {
-    // If no deployments.json exists, you'll need to manually set the addresses
-    console.log("No deployments.json found or error reading file.");
-    console.log("Please set the contract addresses manually in the script.");
-    
-    // Set your actual deployed contract addresses here
-    tokenAddress = "0x..."; // RESKA token address on mainnet
-    vestingAddress = "0x..."; // Vesting contract address on mainnet
-    timelockAddress = "0x..."; // Timelock address on mainnet
-  }
-  
-  console.log(`Token Address: ${tokenAddress}`);
-  console.log(`Vesting Address: ${vestingAddress}`);
-  console.log(`Timelock Address: ${timelockAddress}`);
-  
-  // Verify RESKA Token
-  try {
-    console.log("\nVerifying RESKA Token...");
-    
-    // Get constructor arguments for the token (required for verification)
-    // These should match the exact values used during deployment
-    const constructorArgs = [
-      "0x...", // Founder address
-      "0x...", // Advisors address
-      "0x...", // Investors address
-      "0x...", // Airdrops address
-      "0x...", // Ecosystem address
-      "0x...", // Treasury address
-      "0x...", // Public Sale address
-      "0x..."  // Escrow address
-    ];
-    
-    await hre.run("verify:verify", {
-      address: tokenAddress,
-      constructorArguments: constructorArgs,
-      contract: "contracts/ReskaToken.sol:ReskaToken"
-    });
-    
-    console.log("✅ Token verification submitted successfully");
-  } catch (error) {
-    console.error(`Error verifying token: ${error.message}`);
+  // Read deployed contract addresses and constructor arguments from the deployment registry
+  const registry = openRegistry();
+  const chain = registry.getChain('zkSyncMainnet');
+  const addresses = registry.getContracts('zkSyncMainnet');
+  if (!addresses[CONTRACTS.token]) {
+    throw new Error(`No mainnet deployment found in ${registry.path}`);
   }
+  console.log(`Using deployed addresses from the deployment registry:`);
   
-  // Verify Vesting Contract
-  try {
-    console.log("\nVerifying Vesting Contract...");
-    
-    // The vesting contract constructor takes just the token address
-    const vestingArgs = [tokenAddress];
-    
-    await hre.run("verify:verify", {
-      address: vestingAddress,
-      constructorArguments: vestingArgs,
-      contract: "contracts/ReskaTokenVesting.sol:ReskaTokenVesting"
-    });
-    
-    console.log("✅ Vesting contract verification submitted successfully");
-  } catch (error) {
-    console.error(`Error verifying vesting contract: ${error.message}`);
+  const targets = [
+    { name: CONTRACTS.token, label: "RESKA Token", source: "contracts/ReskaToken.sol:ReskaToken" },
+    { name: CONTRACTS.vesting, label: "Vesting Contract", source: "contracts/ReskaTokenVesting.sol:ReskaTokenVesting" },
+    { name: CONTRACTS.timelock, label: "Timelock Contract", source: "contracts/ReskaTimelock.sol:ReskaTimelock" }
+  ];
+  for (const { name } of targets) {
+    console.log(`${name} Address: ${addresses[name] || "not deployed"}`);
   }
   
-  // Verify Timelock Contract
-  try {
-    console.log("\nVerifying Timelock Contract...");
-    
-    // Timelock constructor takes minDelay, proposers, executors, admin
-    const timelockArgs = [
-      86400, // 1 day in seconds
-      ["0x...", "0x..."], // Proposer addresses
-      ["0x...", "0x..."], // Executor addresses
-      "0x0000000000000000000000000000000000000000" // Zero address for admin (renounced)
-    ];
-    
-    await hre.run("verify:verify", {
-      address: timelockAddress,
-      constructorArguments: timelockArgs,
-      contract: "contracts/ReskaTimelock.sol:ReskaTimelock"
-    });
-    
-    console.log("✅ Timelock contract verification submitted successfully");
-  } catch (error) {
-    console.error(`Error verifying timelock: ${error.message}`);
+  for (const { name, label, source } of targets) {
+    if (!addresses[name]) {
+      continue;
+    }
+    try {
+      console.log(`\nVerifying ${label}...`);
+      
+      // These must match the exact values used during deployment
+      const constructorArgs = getConstructorArgs(name, chain.contracts[name], addresses);
+      if (!constructorArgs) {
+        console.error(`The registry does not record the constructor arguments of ${name}; skipping`);
+        continue;
+      }
+      
+      await hre.run("verify:verify", {
+        address: addresses[name],
+        constructorArguments: constructorArgs,
+        contract: source
+      });
+      
+      console.log(`✅ ${label} verification submitted successfully`);
+    } catch (error) {
+      console.error(`Error verifying ${label}: ${error.message}`);
+    }
   }
   
   console.log("\n=== VERIFICATION PROCESS COMPLETE ===");
   console.log("Visit https://explorer.era.zksync.io to check verification status");
   console.log("Note: Verification can take several minutes to complete");
+  console.log("To check the deployed bytecode without the explorer: npm run verify:bytecode -- --network zkSyncMainnet");
 }
 
 main()
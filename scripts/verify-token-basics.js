@@ -1,7 +1,7 @@
 // Basic verification script for RESKA token on zkSync Era Sepolia
 // Compatible with all Node.js versions
-const { Wallet, Provider } = require("zksync-ethers");
-const hre = require("hardhat");
+const { ethers, Wallet, Provider } = require("./sdk");
+const { requireRoleKey } = require('./helpers/keyManagement');
 require("dotenv").config();
 
 async function main() {
@@ -9,7 +9,8 @@ async function main() {
   
   // Initialize provider and wallet
   const provider = new Provider(process.env.ZKSYNC_TESTNET_URL || "https://sepolia.era.zksync.dev");
-  const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: 'zkSyncTestnet' });
+  const wallet = new Wallet(privateKey, provider);
   console.log(`Using wallet: ${wallet.address}`);
   
   // Contract addresses
@@ -19,7 +20,7 @@ async function main() {
   try {
     console.log("\n1. LOADING TOKEN CONTRACT");
     const { abi: tokenAbi } = require("../artifacts-zk/contracts/ReskaToken.sol/ReskaToken.json");
-    const token = new hre.ethers.Contract(TOKEN_ADDRESS, tokenAbi, wallet);
+    const token = new ethers.Contract(TOKEN_ADDRESS, tokenAbi, wallet);
     
     // Basic token information
     console.log("\n2. TOKEN DETAILS");
@@ -1,20 +1,20 @@
 // Verification script for zkSync testnet
 const hre = require("hardhat");
-const { getContractAddress } = require("./deployment-addresses");
+const { CONTRACTS, openRegistry } = require('./helpers/deploymentRegistry');
 
 async function main() {
   console.log("Starting verification of RESKA tokens on zkSync testnet...");
   
   try {
-    // Read deployment addresses from the generated file
-    // You can manually set these if the deployment-addresses.js file doesn't exist
-    let tokenAddress, vestingAddress;
-    try {
-      const addresses = getContractAddress("zkSyncTestnet");
-      tokenAddress = addresses.token;
-      vestingAddress = addresses.vesting;
-    } catch (error) {
-      console.log("Could not load addresses from file, please enter them manually below:");
+    // Read deployment addresses from the deployment registry
+    // You can set them manually in .env if the registry has no testnet deployment
+    const registry = openRegistry();
+    let tokenAddress = registry.getContract('zkSyncTestnet', CONTRACTS.token);
+    let vestingAddress = registry.getContract('zkSyncTestnet', CONTRACTS.vesting);
+    if (!tokenAddress || !vestingAddress) {
+      console.log(
+        'Could not load addresses from the deployment registry, please enter them manually below:'
+      );
       // For manual verification, enter the addresses here
       tokenAddress = process.env.RESKA_TOKEN_ADDRESS || "";
       vestingAddress = process.env.RESKA_VESTING_ADDRESS || "";
@@ -1,5 +1,7 @@
 // Script to verify RESKA token on zkSync Era Sepolia
-const { ethers } = require("hardhat");
+const hre = require('hardhat');
+const { ethers, createProvider, createWallet } = require('./sdk');
+const { requireRoleKey } = require('./helpers/keyManagement');
 require("dotenv").config();
 
 async function main() {
@@ -12,7 +14,8 @@ async function main() {
   ];
   
   // Get wallet
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
+  const { privateKey } = await requireRoleKey('deployer', { network: hre.network.name });
+  const wallet = createWallet(privateKey, createProvider(hre.network.config));
   console.log(`Connected to wallet: ${wallet.address}`);
   
   // Load the token ABI - simplified ABI for basic ERC20 functions
@@ -54,14 +57,14 @@ async function main() {
       
       try {
         const totalSupply = await token.totalSupply();
-        console.log(`✅ Total supply: ${ethers.utils.formatUnits(totalSupply, 6)} RESKA`);
+        console.log(`✅ Total supply: ${ethers.formatUnits(totalSupply, 6)} RESKA`);
       } catch (error) {
         console.log(`❌ Could not retrieve total supply: ${error.message}`);
       }
       
       try {
         const balance = await token.balanceOf(wallet.address);
-        console.log(`✅ Your balance: ${ethers.utils.formatUnits(balance, 6)} RESKA`);
+        console.log(`✅ Your balance: ${ethers.formatUnits(balance, 6)} RESKA`);
       } catch (error) {
         console.log(`❌ Could not retrieve wallet balance: ${error.message}`);
       }
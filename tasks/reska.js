@@ -0,0 +1,327 @@
+/**
+ * RESKA Hardhat Tasks
+ * Deploys and operates the RESKA contracts from the Hardhat command line
+ *
+ * Usage:
+ *   npx hardhat deploy-zksync --network zkSyncTestnet
+ *   npx hardhat reska:deploy-token [--allocations 0x..,0x..] --network zkSyncTestnet
+ *   npx hardhat reska:deploy-vesting [--token 0x...] --network zkSyncTestnet
+ *   npx hardhat reska:fund --amount 1000000 --network zkSyncTestnet
+ *   npx hardhat reska:create-schedule --beneficiary 0x... --amount 1000 --duration 31536000
+ *   npx hardhat reska:deploy-timelock [--delay 86400] --network zkSyncTestnet
+ *
+ * On zkSync networks (zksync: true) contracts are deployed with the zkSync Deployer and the
+ * deployer key, tokens are sent with the funder key and schedules are created with the vesting
+ * operator key (see scripts/helpers/keyManagement.js); DEPLOY_SIGNER=safe queues the funder and
+ * operator calls in a Safe bundle. On plain EVM networks (the in-process Hardhat network,
+ * localhost) every task signs with the network's first Hardhat account. Deployed contracts are
+ * recorded in the deployment registry, which the other tasks read their addresses from.
+ *
+ * Helpers are required inside the actions: they load the Hardhat runtime, which is not
+ * available while this file is loaded from hardhat.config.js.
+ *
+ * @author RESKA Team
+ * @version 1.0.0
+ * Node.js v18+ required
+ */
+
+const { task, types } = require('hardhat/config');
+const { ethers, ReskaToken, ReskaTokenVesting } = require('../scripts/sdk');
+
+const REGISTRY_DESCRIPTION = 'Deployment registry file (defaults to deployments/registry.json)';
+
+/**
+ * Checks whether the selected network runs zkSync Era
+ * @param {Object} hre - Hardhat runtime environment
+ * @returns {boolean} True for networks configured with zksync: true
+ */
+function isZkSyncNetwork(hre) {
+  return hre.network.config.zksync === true;
+}
+
+/**
+ * Returns the signer of a key role on the selected network
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {string} role - Key role: deployer, funder or operator
+ * @returns {Promise<Object>} { wallet, deployWallet }: deployWallet is null for a Safe
+ *   without a deployer key
+ */
+async function getRoleSigner(hre, role) {
+  if (!isZkSyncNetwork(hre)) {
+    const [signer] = await hre.ethers.getSigners();
+    return { wallet: signer, deployWallet: signer };
+  }
+  const { initializeConnection } = require('../scripts/helpers/vestingDeployer');
+  return initializeConnection(hre.network.config, { role });
+}
+
+/**
+ * Returns the wallet that deploys contracts on the selected network
+ * @param {Object} hre - Hardhat runtime environment
+ * @returns {Promise<Object>} Deployer key wallet
+ * @throws {Error} If no deployer key is configured
+ */
+async function getDeployWallet(hre) {
+  const { deployWallet } = await getRoleSigner(hre, 'deployer');
+  if (!deployWallet) {
+    throw new Error('Deploying contracts needs the deployer key, even with DEPLOY_SIGNER=safe');
+  }
+  return deployWallet;
+}
+
+/**
+ * Deploys a contract, through the zkSync Deployer on zkSync networks
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} deployWallet - Deployer key wallet
+ * @param {string} contractName - Contract to deploy
+ * @param {Array} constructorArgs - Constructor arguments
+ * @returns {Promise<Object>} Deployed contract
+ */
+async function deployContract(hre, deployWallet, contractName, constructorArgs) {
+  let contract;
+  if (isZkSyncNetwork(hre)) {
+    const deployer = new hre.zkSync.Deployer(hre, deployWallet);
+    contract = await deployer.deploy(await deployer.loadArtifact(contractName), constructorArgs);
+  } else {
+    const factory = await hre.ethers.getContractFactory(contractName, deployWallet);
+    contract = await factory.deploy(...constructorArgs);
+  }
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Parses a comma-separated address list
+ * @param {string} value - Addresses separated by commas
+ * @param {string} name - Parameter name, for the error message
+ * @returns {Array<string>} Checksummed addresses
+ * @throws {Error} If an entry is not an address
+ */
+function parseAddressList(value, name) {
+  return value.split(',').map(entry => {
+    if (!ethers.isAddress(entry.trim())) {
+      throw new Error(`Invalid address in --${name}: ${entry}`);
+    }
+    return ethers.getAddress(entry.trim());
+  });
+}
+
+/**
+ * Resolves a contract address from a task parameter or the deployment registry
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} registry - Deployment registry handle
+ * @param {string} name - Registry contract name
+ * @param {string} [override] - Address given on the command line
+ * @returns {string} Contract address
+ * @throws {Error} If neither is available
+ */
+function resolveContract(hre, registry, name, override) {
+  const address = override || registry.getContract(hre.network.name, name);
+  if (!address) {
+    throw new Error(
+      `${name} address not found for ${hre.network.name}; deploy it first or pass its address`
+    );
+  }
+  return address;
+}
+
+task('reska:deploy-token', 'Deploys ReskaToken and records it in the deployment registry')
+  .addOptionalParam(
+    'allocations',
+    'The 8 allocation addresses in constructor order, comma-separated (defaults to FOUNDER_ADDRESS, ADVISORS_ADDRESS, ... or the deployer)',
+    undefined,
+    types.string
+  )
+  .addOptionalParam('registry', REGISTRY_DESCRIPTION, undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { CONTRACTS, openRegistry } = require('../scripts/helpers/deploymentRegistry');
+    const { TOKEN_ALLOCATION_ENV } = require('../scripts/helpers/deploymentSimulator');
+    const registry = openRegistry(args.registry);
+    const deployWallet = await getDeployWallet(hre);
+
+    const allocationAddresses = args.allocations
+      ? parseAddressList(args.allocations, 'allocations')
+      : parseAddressList(
+          TOKEN_ALLOCATION_ENV.map(name => process.env[name] || deployWallet.address).join(','),
+          'allocations'
+        );
+    if (allocationAddresses.length !== TOKEN_ALLOCATION_ENV.length) {
+      throw new Error(
+        `Expected ${TOKEN_ALLOCATION_ENV.length} allocation addresses, got ${allocationAddresses.length}`
+      );
+    }
+
+    const contract = await deployContract(hre, deployWallet, 'ReskaToken', allocationAddresses);
+    const address = await contract.getAddress();
+    registry.recordContract(hre.network.name, CONTRACTS.token, {
+      address,
+      deployer: deployWallet.address,
+      allocationAddresses: Object.fromEntries(
+        TOKEN_ALLOCATION_ENV.map((name, i) => [name, allocationAddresses[i]])
+      ),
+    });
+    console.log(`✅ ReskaToken deployed to ${address}`);
+    return address;
+  });
+
+task('reska:deploy-vesting', 'Deploys ReskaTokenVesting for the token and records it')
+  .addOptionalParam('token', 'Token address (defaults to the registry)', undefined, types.string)
+  .addOptionalParam('registry', REGISTRY_DESCRIPTION, undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { CONTRACTS, openRegistry } = require('../scripts/helpers/deploymentRegistry');
+    const registry = openRegistry(args.registry);
+    const token = resolveContract(hre, registry, CONTRACTS.token, args.token);
+
+    const deployWallet = await getDeployWallet(hre);
+
+    const contract = await deployContract(hre, deployWallet, 'ReskaTokenVesting', [token]);
+    const address = await contract.getAddress();
+    registry.recordContract(hre.network.name, CONTRACTS.vesting, {
+      address,
+      deployer: deployWallet.address,
+      token,
+    });
+    console.log(`✅ ReskaTokenVesting deployed to ${address}`);
+    return address;
+  });
+
+task('deploy-zksync', 'Deploys ReskaToken and ReskaTokenVesting (step 1 of deploy-all)')
+  .addOptionalParam(
+    'allocations',
+    'The 8 token allocation addresses, comma-separated',
+    undefined,
+    types.string
+  )
+  .addOptionalParam('registry', REGISTRY_DESCRIPTION, undefined, types.string)
+  .setAction(async (args, hre) => {
+    const token = await hre.run('reska:deploy-token', args);
+    const vesting = await hre.run('reska:deploy-vesting', { token, registry: args.registry });
+    return { token, vesting };
+  });
+
+task('reska:fund', 'Transfers tokens from the funder key to the vesting contract')
+  .addParam('amount', 'Amount in whole RESKA, e.g. 1000000 or 0.5', undefined, types.string)
+  .addOptionalParam('token', 'Token address (defaults to the registry)', undefined, types.string)
+  .addOptionalParam(
+    'vesting',
+    'Vesting address (defaults to the registry)',
+    undefined,
+    types.string
+  )
+  .addOptionalParam('registry', REGISTRY_DESCRIPTION, undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { CONTRACTS, openRegistry } = require('../scripts/helpers/deploymentRegistry');
+    const registry = openRegistry(args.registry);
+    const tokenAddress = resolveContract(hre, registry, CONTRACTS.token, args.token);
+    const vestingAddress = resolveContract(hre, registry, CONTRACTS.vesting, args.vesting);
+    const { wallet } = await getRoleSigner(hre, 'funder');
+    const token = ReskaToken.attach(tokenAddress, wallet);
+
+    const amount = await token.parseAmount(args.amount);
+    const balance = await token.balanceOf(wallet.address);
+    if (balance < amount) {
+      throw new Error(
+        `Insufficient tokens in ${wallet.address}: ${await token.formatAmount(balance)} RESKA, ` +
+          `${args.amount} RESKA needed`
+      );
+    }
+
+    const receipt = await token.transfer(vestingAddress, amount);
+    console.log(`✅ Transferred ${args.amount} RESKA to ${vestingAddress} (${receipt.hash})`);
+    return receipt.hash;
+  });
+
+task('reska:create-schedule', 'Creates a vesting schedule with the vesting operator key')
+  .addParam('beneficiary', 'Beneficiary address', undefined, types.string)
+  .addParam('amount', 'Amount in whole RESKA', undefined, types.string)
+  .addParam('duration', 'Vesting duration in seconds', undefined, types.int)
+  .addOptionalParam('start', 'Start time (defaults to the latest block time)', undefined, types.int)
+  .addOptionalParam('cliff', 'Cliff period in seconds', 0, types.int)
+  .addOptionalParam('slice', 'Slice period in seconds', 1, types.int)
+  .addFlag('revocable', 'Let the owner revoke the schedule')
+  .addOptionalParam(
+    'vesting',
+    'Vesting address (defaults to the registry)',
+    undefined,
+    types.string
+  )
+  .addOptionalParam('registry', REGISTRY_DESCRIPTION, undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { CONTRACTS, openRegistry } = require('../scripts/helpers/deploymentRegistry');
+    const registry = openRegistry(args.registry);
+    const vestingAddress = resolveContract(hre, registry, CONTRACTS.vesting, args.vesting);
+    const { wallet } = await getRoleSigner(hre, 'operator');
+    const vesting = ReskaTokenVesting.attach(vestingAddress, wallet);
+    const token = await vesting.getToken();
+
+    const beneficiary = ethers.getAddress(args.beneficiary);
+    const start =
+      args.start !== undefined ? args.start : (await wallet.provider.getBlock('latest')).timestamp;
+
+    const { scheduleId, receipt } = await vesting.createSchedule({
+      beneficiary,
+      start,
+      cliff: args.cliff,
+      duration: args.duration,
+      slicePeriod: args.slice,
+      revocable: args.revocable,
+      amount: await token.parseAmount(args.amount),
+    });
+    console.log(`✅ Created vesting schedule ${scheduleId} for ${beneficiary} (${receipt.hash})`);
+    return scheduleId;
+  });
+
+task('reska:deploy-timelock', 'Deploys ReskaTimelock and records it in the deployment registry')
+  .addOptionalParam(
+    'delay',
+    'Minimum delay in seconds (defaults to TIMELOCK_DELAY or 1 day)',
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    'proposers',
+    'Proposer addresses, comma-separated (defaults to TIMELOCK_PROPOSERS or the deployer)',
+    undefined,
+    types.string
+  )
+  .addOptionalParam(
+    'executors',
+    'Executor addresses, comma-separated (defaults to TIMELOCK_EXECUTORS or the deployer)',
+    undefined,
+    types.string
+  )
+  .addOptionalParam('registry', REGISTRY_DESCRIPTION, undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { CONTRACTS, openRegistry } = require('../scripts/helpers/deploymentRegistry');
+    const registry = openRegistry(args.registry);
+    const deployWallet = await getDeployWallet(hre);
+
+    const minDelay =
+      args.delay !== undefined ? args.delay : Number(process.env.TIMELOCK_DELAY || 86400);
+    const proposers = parseAddressList(
+      args.proposers || process.env.TIMELOCK_PROPOSERS || deployWallet.address,
+      'proposers'
+    );
+    const executors = parseAddressList(
+      args.executors || process.env.TIMELOCK_EXECUTORS || deployWallet.address,
+      'executors'
+    );
+
+    // The zero admin leaves the timelock administering itself
+    const contract = await deployContract(hre, deployWallet, 'ReskaTimelock', [
+      minDelay,
+      proposers,
+      executors,
+      ethers.ZeroAddress,
+    ]);
+    const address = await contract.getAddress();
+    registry.recordContract(hre.network.name, CONTRACTS.timelock, {
+      address,
+      deployer: deployWallet.address,
+      minDelay,
+      proposers,
+      executors,
+    });
+    console.log(`✅ ReskaTimelock deployed to ${address} (minimum delay ${minDelay} seconds)`);
+    return address;
+  });
@@ -0,0 +1,159 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { TOKEN_ROLES, handOverAdmin, verifyHandover } = require('../scripts/helpers/adminHandover');
+
+describe('Admin handover to the timelock', function () {
+  const DELAY = 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [deployer, proposer, executor, other] = await ethers.getSigners();
+
+    const ReskaToken = await ethers.getContractFactory('ReskaToken');
+    const token = await ReskaToken.deploy(
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address
+    );
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    const ReskaTimelock = await ethers.getContractFactory('ReskaTimelock');
+    const timelock = await ReskaTimelock.deploy(
+      DELAY,
+      [proposer.address],
+      [executor.address],
+      ethers.ZeroAddress
+    );
+
+    return {
+      token,
+      vesting,
+      timelock,
+      timelockAddress: await timelock.getAddress(),
+      deployer,
+      proposer,
+      executor,
+      other,
+    };
+  }
+
+  it('should hand every role to the timelock and leave none with an EOA', async function () {
+    const { token, vesting, timelock, timelockAddress, deployer, proposer, executor, other } =
+      await loadFixture(deployFixture);
+
+    const summary = await handOverAdmin(
+      { token, vesting },
+      { deployer: deployer.address, timelock: timelockAddress }
+    );
+    expect(summary).to.deep.equal({ sent: 7, skipped: 0 });
+
+    const result = await verifyHandover(
+      { token, vesting },
+      { timelock: timelockAddress, candidates: [deployer.address] }
+    );
+    expect(result.violations).to.deep.equal([]);
+    expect(result.holders.token).to.deep.equal({
+      MINTER_ROLE: [timelockAddress],
+      PAUSER_ROLE: [timelockAddress],
+      DEFAULT_ADMIN_ROLE: [timelockAddress],
+    });
+
+    // The deployer lost its powers...
+    await expect(token.mint(deployer.address, 1)).to.be.reverted;
+    await expect(token.pause()).to.be.reverted;
+    await expect(vesting.setTransferApprovalRequired(true)).to.be.revertedWith(
+      'Ownable: caller is not the owner'
+    );
+
+    // ...which now go through the timelock delay
+    const mint = token.interface.encodeFunctionData('mint', [other.address, 1000]);
+    const salt = ethers.id('handover-test');
+    const target = await token.getAddress();
+    await timelock.connect(proposer).schedule(target, 0, mint, ethers.ZeroHash, salt, DELAY);
+    await expect(
+      timelock.connect(executor).execute(target, 0, mint, ethers.ZeroHash, salt)
+    ).to.be.revertedWith('TimelockController: operation is not ready');
+    await time.increase(DELAY);
+    await timelock.connect(executor).execute(target, 0, mint, ethers.ZeroHash, salt);
+    expect(await token.balanceOf(other.address)).to.equal(1000);
+  });
+
+  it('should resume an interrupted handover without resending steps', async function () {
+    const { token, vesting, timelockAddress, deployer } = await loadFixture(deployFixture);
+    await vesting.transferOwnership(timelockAddress);
+    await token.grantRole(TOKEN_ROLES.MINTER_ROLE, timelockAddress);
+
+    const sent = [];
+    const summary = await handOverAdmin(
+      { token, vesting },
+      {
+        deployer: deployer.address,
+        timelock: timelockAddress,
+        onStep: (step, receipt) => receipt && sent.push(step.id),
+      }
+    );
+    expect(summary).to.deep.equal({ sent: 5, skipped: 2 });
+    expect(sent).to.deep.equal([
+      'token:grant:PAUSER_ROLE',
+      'token:grant:DEFAULT_ADMIN_ROLE',
+      'token:revoke:MINTER_ROLE',
+      'token:revoke:PAUSER_ROLE',
+      'token:revoke:DEFAULT_ADMIN_ROLE',
+    ]);
+
+    const again = await handOverAdmin(
+      { token, vesting },
+      { deployer: deployer.address, timelock: timelockAddress }
+    );
+    expect(again).to.deep.equal({ sent: 0, skipped: 7 });
+  });
+
+  it('should report EOAs that keep a privileged role', async function () {
+    const { token, vesting, timelockAddress, deployer, other } = await loadFixture(deployFixture);
+    // A role granted to someone else is not part of the deployer's handover
+    await token.grantRole(TOKEN_ROLES.PAUSER_ROLE, other.address);
+    await handOverAdmin(
+      { token, vesting },
+      { deployer: deployer.address, timelock: timelockAddress }
+    );
+
+    const result = await verifyHandover({ token, vesting }, { timelock: timelockAddress });
+    expect(result.ok).to.equal(false);
+    expect(result.violations).to.deep.equal([
+      `EOA ${other.address} still holds ReskaToken PAUSER_ROLE`,
+    ]);
+
+    // A timelock deployed with an EOA admin can be reconfigured without delay
+    const ReskaTimelock = await ethers.getContractFactory('ReskaTimelock');
+    const adminTimelock = await ReskaTimelock.deploy(DELAY, [], [], deployer.address);
+    const unsafe = await verifyHandover(
+      { token, vesting },
+      { timelock: await adminTimelock.getAddress() }
+    );
+    expect(unsafe.violations).to.include(
+      `EOA ${deployer.address} holds the timelock's TIMELOCK_ADMIN_ROLE`
+    );
+  });
+
+  it('should refuse to hand over to an address that is not a timelock', async function () {
+    const { token, vesting, deployer, other } = await loadFixture(deployFixture);
+
+    let error;
+    try {
+      await handOverAdmin(
+        { token, vesting },
+        { deployer: deployer.address, timelock: other.address }
+      );
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('No contract deployed at the timelock address');
+    expect(await vesting.owner()).to.equal(deployer.address);
+    expect(await token.hasRole(TOKEN_ROLES.DEFAULT_ADMIN_ROLE, deployer.address)).to.equal(true);
+  });
+});
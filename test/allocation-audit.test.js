@@ -0,0 +1,127 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const { loadManifest } = require('../scripts/helpers/allocationManifest');
+const {
+  collectAuditData,
+  auditAllocations,
+  signAuditReport,
+  verifyAuditReport,
+} = require('../scripts/helpers/allocationAudit');
+
+describe('Allocation audit', function () {
+  const amount = value => ethers.parseUnits(value, 6);
+  const codes = report => report.findings.map(finding => finding.code);
+
+  async function deployFixture() {
+    const [owner, founder, advisor] = await ethers.getSigners();
+
+    const { token } = await deployTokenFixture();
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(await vesting.getAddress(), amount('2000'));
+
+    // Linear from the epoch over twice the current time: about half is vested today
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    for (const beneficiary of [founder, advisor]) {
+      await vesting.createVestingSchedule(
+        beneficiary.address,
+        0,
+        0,
+        2 * timestamp,
+        1,
+        true,
+        amount('1000')
+      );
+    }
+    const categories = {
+      [await vesting.computeVestingScheduleIdForAddressAndIndex(founder.address, 0)]: 'FOUNDER',
+      [await vesting.computeVestingScheduleIdForAddressAndIndex(advisor.address, 0)]: 'ADVISORS',
+    };
+
+    return { token, vesting, owner, founder, advisor, categories };
+  }
+
+  it('should reconcile a fully funded deployment without findings', async function () {
+    const { token, vesting, owner, categories } = await loadFixture(deployFixture);
+    const report = auditAllocations(await collectAuditData({ token, vesting }), { categories });
+
+    expect(report.findings).to.deep.equal([]);
+    expect(report.vesting).to.deep.equal({
+      balance: amount('2000').toString(),
+      trackedTotal: amount('2000').toString(),
+      outstanding: amount('2000').toString(),
+    });
+    const founder = report.categories.find(row => row.allocationType === 'FOUNDER');
+    expect(founder).to.include({
+      recipient: owner.address,
+      percentage: 10,
+      allocation: amount('100000000').toString(),
+      schedules: 1,
+      scheduled: amount('1000').toString(),
+    });
+  });
+
+  it('should flag schedules the vesting balance no longer covers', async function () {
+    const { token, vesting, founder, categories } = await loadFixture(deployFixture);
+    const [scheduleId] = Object.keys(categories);
+
+    // revoke() refunds the whole non-releasable amount, including what was already released
+    await vesting.connect(founder).release(scheduleId);
+    await vesting.revoke(scheduleId);
+    const released = await token.balanceOf(founder.address);
+
+    const report = auditAllocations(await collectAuditData({ token, vesting }), { categories });
+    expect(codes(report)).to.deep.equal(['unfunded-schedules', 'tracked-total-exceeds-balance']);
+    expect(report.errors).to.equal(1);
+    // Short of what was released, less the unit or so that vested during the revoke block
+    expect(BigInt(report.vesting.outstanding) - BigInt(report.vesting.balance)).to.be.closeTo(
+      released,
+      1n
+    );
+  });
+
+  it('should flag leftovers, over-allocation and a manifest that disagrees', async function () {
+    const { token, vesting, categories } = await loadFixture(deployFixture);
+    await token.transfer(await vesting.getAddress(), amount('500'));
+
+    const manifest = loadManifest('zkSyncTestnet');
+    manifest.categories.find(category => category.id === 'advisor').percentage = 6;
+    // Both schedules attributed to a category whose allocation is smaller than their total
+    const data = await collectAuditData({ token, vesting });
+    data.supply.allocations.find(a => a.allocationType === 'FOUNDER').amount = amount('1500');
+    const founderOnly = Object.fromEntries(Object.keys(categories).map(id => [id, 'FOUNDER']));
+
+    const report = auditAllocations(data, { categories: founderOnly, manifest });
+    const errors = report.findings.filter(finding => finding.severity === 'error');
+    expect(errors.map(finding => [finding.code, finding.category])).to.deep.equal([
+      ['over-allocated', 'FOUNDER'],
+      ['over-allocated', 'FOUNDER'],
+      ['percentage-mismatch', 'ADVISORS'],
+    ]);
+    expect(report.findings.find(finding => finding.code === 'leftover-tokens').message).to.contain(
+      '500.0 RESKA'
+    );
+  });
+
+  it('should sign off a report and detect later edits', async function () {
+    const { token, vesting, owner, categories } = await loadFixture(deployFixture);
+    const report = auditAllocations(await collectAuditData({ token, vesting }), { categories });
+    const signed = await signAuditReport(report, owner);
+
+    // The sign-off survives a round trip through the JSON file
+    const reloaded = JSON.parse(JSON.stringify(signed));
+    expect(verifyAuditReport(reloaded)).to.deep.equal({
+      valid: true,
+      signer: owner.address,
+      reason: null,
+    });
+
+    reloaded.vesting.balance = '0';
+    expect(verifyAuditReport(reloaded).reason).to.equal(
+      'the report was modified after it was signed'
+    );
+    expect(verifyAuditReport(report).valid).to.equal(false);
+  });
+});
@@ -0,0 +1,216 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const {
+  parseDuration,
+  getManifestPath,
+  validateManifest,
+  loadManifest,
+  resolveManifest,
+  selectCategories,
+} = require('../scripts/helpers/allocationManifest');
+const { deployAllocationCategory } = require('../scripts/helpers/vestingDeployer');
+
+describe('Allocation manifest', function () {
+  const DECIMALS = 6;
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+
+  /**
+   * Builds a minimal valid manifest that tests can then break
+   */
+  function buildManifest() {
+    return {
+      version: 1,
+      network: 'hardhat',
+      token: { symbol: 'RESKA', decimals: DECIMALS, totalSupply: '1000000000' },
+      start: 'now',
+      categories: [
+        {
+          id: 'founder',
+          name: 'Founder',
+          allocationType: 'FOUNDER',
+          percentage: 10,
+          schedule: { cliff: '365d', duration: '730d', slicePeriod: '30d', revocable: false },
+          beneficiaries: [
+            {
+              address: { env: 'TEST_FOUNDER_ADDRESS', default: 'deployer' },
+              immediateAmount: '50000000',
+              amount: '50000000',
+            },
+          ],
+        },
+        {
+          id: 'investor',
+          name: 'Investors',
+          allocationType: 'INVESTORS',
+          percentage: 90,
+          schedule: null,
+          beneficiaries: [
+            { address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', immediateAmount: '1000' },
+          ],
+        },
+      ],
+    };
+  }
+
+  describe('parseDuration', function () {
+    it('should accept seconds and unit suffixes', function () {
+      expect(parseDuration(7884000)).to.equal(7884000);
+      expect(parseDuration('30d')).to.equal(30 * 24 * 60 * 60);
+      expect(parseDuration('1y')).to.equal(ONE_YEAR);
+      expect(parseDuration('90')).to.equal(90);
+    });
+
+    it('should reject malformed durations', function () {
+      expect(() => parseDuration('one year')).to.throw('Invalid duration');
+      expect(() => parseDuration(-1)).to.throw('Invalid duration');
+    });
+  });
+
+  describe('validateManifest', function () {
+    it('should accept the manifests shipped for each network', function () {
+      for (const network of ['zkSyncTestnet', 'zkSyncMainnet']) {
+        const manifest = loadManifest(network);
+        expect(manifest.categories.map(category => category.percentage)).to.deep.equal([
+          10, 5, 5, 40, 10, 10, 10, 10,
+        ]);
+      }
+    });
+
+    it('should reject a manifest loaded for another network', function () {
+      expect(() => loadManifest('zkSyncMainnet', getManifestPath('zkSyncTestnet'))).to.throw(
+        'is for network zkSyncTestnet'
+      );
+    });
+
+    it('should reject beneficiaries exceeding the category percentage', function () {
+      const manifest = buildManifest();
+      manifest.categories[0].beneficiaries[0].amount = '60000000';
+
+      expect(() => validateManifest(manifest)).to.throw('exceeds the 10% allocation');
+    });
+
+    it('should reject a duration shorter than the cliff', function () {
+      const manifest = buildManifest();
+      manifest.categories[0].schedule.duration = 1;
+
+      expect(() => validateManifest(manifest)).to.throw('duration must not be shorter than cliff');
+    });
+
+    it('should reject percentages that do not add up to 100', function () {
+      const manifest = buildManifest();
+      manifest.categories[1].percentage = 80;
+
+      expect(() => validateManifest(manifest)).to.throw('add up to 90%');
+    });
+
+    it('should reject vested amounts in a category without a schedule', function () {
+      const manifest = buildManifest();
+      manifest.categories[1].beneficiaries[0].amount = '10';
+
+      expect(() => validateManifest(manifest)).to.throw('category has no schedule');
+    });
+  });
+
+  describe('resolveManifest', function () {
+    const deployer = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+    it('should resolve amounts, durations and the deployer default', function () {
+      const [founder, investor] = resolveManifest(buildManifest(), {
+        deployer,
+        now: 1000,
+        env: {},
+      });
+
+      expect(founder.beneficiaries[0].address).to.equal(deployer);
+      expect(founder.beneficiaries[0].amount).to.equal(ethers.parseUnits('50000000', DECIMALS));
+      expect(founder.schedule).to.deep.equal({
+        startTime: 1000,
+        cliffPeriod: ONE_YEAR,
+        duration: 2 * ONE_YEAR,
+        slicePeriod: 30 * 24 * 60 * 60,
+        revocable: false,
+      });
+      expect(investor.schedule).to.equal(null);
+      expect(investor.beneficiaries[0].amount).to.equal(0n);
+    });
+
+    it('should prefer addresses from the environment', function () {
+      const env = { TEST_FOUNDER_ADDRESS: '0x90f79bf6eb2c4f870365e785982e1f101e93b906' };
+      const [founder] = resolveManifest(buildManifest(), { deployer, env });
+
+      expect(founder.beneficiaries[0].address).to.equal(
+        '0x90F79bf6EB2c4f870365E785982E1f101E93b906'
+      );
+    });
+
+    it('should fail when a required address is not configured', function () {
+      const manifest = buildManifest();
+      delete manifest.categories[0].beneficiaries[0].address.default;
+
+      expect(() => resolveManifest(manifest, { deployer, env: {} })).to.throw(
+        'TEST_FOUNDER_ADDRESS'
+      );
+    });
+
+    it('should select categories by id', function () {
+      const categories = resolveManifest(buildManifest(), { deployer, env: {} });
+
+      expect(selectCategories(categories, ['investor']).map(c => c.id)).to.deep.equal(['investor']);
+      expect(() => selectCategories(categories, ['treasury'])).to.throw('treasury');
+    });
+  });
+
+  describe('deployAllocationCategory', function () {
+    async function deployFixture() {
+      const [owner, founder, investor] = await ethers.getSigners();
+
+      const { token } = await deployTokenFixture();
+      const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+      const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+
+      return { token, vesting, owner, founder, investor };
+    }
+
+    it('should transfer immediate amounts, fund the contract and create schedules', async function () {
+      const { token, vesting, owner, founder, investor } = await loadFixture(deployFixture);
+      const manifest = buildManifest();
+      manifest.categories[1].beneficiaries[0].address = investor.address;
+
+      const env = { TEST_FOUNDER_ADDRESS: founder.address };
+      const categories = resolveManifest(manifest, { deployer: owner.address, env });
+      const contracts = { token, vesting, wallet: owner };
+
+      const founderSummary = await deployAllocationCategory(contracts, categories[0]);
+      await deployAllocationCategory(contracts, categories[1]);
+
+      const half = ethers.parseUnits('50000000', DECIMALS);
+      expect(await token.balanceOf(founder.address)).to.equal(half);
+      expect(await token.balanceOf(await vesting.getAddress())).to.equal(half);
+      expect(await token.balanceOf(investor.address)).to.equal(ethers.parseUnits('1000', DECIMALS));
+
+      const scheduleId = await vesting.computeVestingScheduleIdForAddressAndIndex(
+        founder.address,
+        0
+      );
+      expect(founderSummary.schedules).to.have.lengthOf(1);
+      expect(founderSummary.schedules[0].scheduleId).to.equal(scheduleId);
+      expect((await vesting.getVestingSchedule(scheduleId)).amountTotal).to.equal(half);
+    });
+
+    it('should only top up the contract by what existing schedules do not cover', async function () {
+      const { token, vesting, owner, founder } = await loadFixture(deployFixture);
+      const env = { TEST_FOUNDER_ADDRESS: founder.address };
+      const [category] = resolveManifest(buildManifest(), { deployer: owner.address, env });
+      const contracts = { token, vesting, wallet: owner };
+
+      await deployAllocationCategory(contracts, category);
+      await deployAllocationCategory(contracts, category);
+
+      const half = ethers.parseUnits('50000000', DECIMALS);
+      expect(await vesting.getVestingSchedulesCountByHolder(founder.address)).to.equal(2);
+      expect(await token.balanceOf(await vesting.getAddress())).to.equal(half * 2n);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { CONTRACTS, openRegistry } = require('../scripts/helpers/deploymentRegistry');
+const {
+  VERIFIED_CONTRACTS,
+  compileContracts,
+  splitMetadata,
+  getConstructorArgs,
+  verifyContract,
+  verifyDeployment,
+} = require('../scripts/helpers/bytecodeVerifier');
+
+describe('Bytecode verifier', function () {
+  const { ethers } = hre;
+  let build;
+  let tmpDir;
+
+  before(async function () {
+    this.timeout(300000);
+    build = await compileContracts(hre, VERIFIED_CONTRACTS);
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-bytecode-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [owner, other] = await ethers.getSigners();
+
+    const ReskaToken = await ethers.getContractFactory('ReskaToken');
+    const allocations = Array(8).fill(owner.address);
+    const token = await ReskaToken.deploy(...allocations);
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    const ReskaTimelock = await ethers.getContractFactory('ReskaTimelock');
+    const timelock = await ReskaTimelock.deploy(
+      60,
+      [owner.address],
+      [owner.address],
+      ethers.ZeroAddress
+    );
+
+    return { token, vesting, timelock, allocations, owner, other };
+  }
+
+  // Records the fixture's contracts as deploy-zksync and reska:deploy-timelock do
+  async function recordDeployment({ token, vesting, timelock, allocations, owner }) {
+    const registry = openRegistry(path.join(tmpDir, 'registry.json'));
+    registry.recordContract('hardhat', CONTRACTS.token, {
+      address: await token.getAddress(),
+      allocationAddresses: Object.fromEntries(allocations.map((address, i) => [i, address])),
+    });
+    registry.recordContract('hardhat', CONTRACTS.vesting, {
+      address: await vesting.getAddress(),
+      token: await token.getAddress(),
+    });
+    registry.recordContract('hardhat', CONTRACTS.timelock, {
+      address: await timelock.getAddress(),
+      minDelay: 60,
+      proposers: [owner.address],
+      executors: [owner.address],
+    });
+    return registry;
+  }
+
+  it('should match a deployment built from the local sources, immutables included', async function () {
+    const deployment = await loadFixture(deployFixture);
+    const registry = await recordDeployment(deployment);
+
+    const report = await verifyDeployment({
+      hre,
+      network: 'hardhat',
+      provider: ethers.provider,
+      registry,
+      build,
+    });
+
+    expect(report.ok).to.equal(true);
+    expect(report.chainId).to.equal(31337);
+    expect(report.contracts.map(result => [result.contract, result.status])).to.deep.equal([
+      [CONTRACTS.token, 'match'],
+      [CONTRACTS.vesting, 'match'],
+      [CONTRACTS.timelock, 'match'],
+    ]);
+    const [token, vesting] = report.contracts;
+    expect(vesting.immutables).to.deep.equal([
+      {
+        name: '_token',
+        value: await deployment.token.getAddress(),
+        expected: await deployment.token.getAddress(),
+        ok: true,
+      },
+    ]);
+    expect(token.immutables.find(immutable => immutable.name === '_cachedThis').value).to.equal(
+      await deployment.token.getAddress()
+    );
+    expect(token.immutables.every(immutable => immutable.ok)).to.equal(true);
+  });
+
+  it('should report an immutable that differs from the recorded constructor arguments', async function () {
+    const deployment = await loadFixture(deployFixture);
+    const registry = await recordDeployment(deployment);
+    // The registry says the vesting contract was deployed for another token
+    registry.recordContract('hardhat', CONTRACTS.vesting, {
+      address: await deployment.vesting.getAddress(),
+      token: deployment.other.address,
+    });
+
+    const report = await verifyDeployment({
+      hre,
+      network: 'hardhat',
+      provider: ethers.provider,
+      registry,
+      contracts: [CONTRACTS.vesting],
+      build,
+    });
+
+    expect(report.ok).to.equal(false);
+    const [vesting] = report.contracts;
+    expect(vesting.status).to.equal('match');
+    expect(vesting.findings).to.deep.equal([
+      {
+        severity: 'error',
+        message: `_token is ${await deployment.token.getAddress()}, expected ${deployment.other.address}`,
+      },
+    ]);
+  });
+
+  it('should report code that differs from the local build and addresses without code', async function () {
+    const deployment = await loadFixture(deployFixture);
+    const registry = await recordDeployment(deployment);
+    registry.recordContract('hardhat', CONTRACTS.token, {
+      address: await deployment.timelock.getAddress(),
+    });
+    registry.recordContract('hardhat', CONTRACTS.timelock, { address: deployment.other.address });
+
+    const report = await verifyDeployment({
+      hre,
+      network: 'hardhat',
+      provider: ethers.provider,
+      registry,
+      build,
+    });
+
+    expect(report.ok).to.equal(false);
+    const [token, vesting, timelock] = report.contracts;
+    expect(token.status).to.equal('mismatch');
+    expect(token.findings[0].message).to.equal(
+      'The deployed code differs from the local build of contracts/ReskaToken.sol'
+    );
+    expect(vesting.ok).to.equal(true);
+    expect(timelock).to.include({ status: 'missing', ok: false });
+  });
+
+  it('should only warn when nothing but the metadata differs', async function () {
+    const { vesting, token } = await loadFixture(deployFixture);
+    const local = build.contracts[CONTRACTS.vesting];
+
+    // A comment changed in the sources changes the metadata hash, not the code
+    const { code, metadata } = splitMetadata(local.bytecode);
+    expect(metadata).to.match(/^0xa2646970667358/); // CBOR map starting with "ipfs"
+    const edited = `${code}${metadata.slice(2, 30)}${'ff'.repeat(4)}${metadata.slice(38)}`;
+    expect(edited).to.have.length(local.bytecode.length);
+
+    const result = await verifyContract(
+      ethers.provider,
+      {
+        contract: CONTRACTS.vesting,
+        address: await vesting.getAddress(),
+        args: [await token.getAddress()],
+        chainId: 31337,
+      },
+      { ...local, bytecode: edited }
+    );
+    expect(result).to.include({ status: 'metadata', ok: true });
+    expect(result.findings[0].severity).to.equal('warning');
+  });
+
+  it('should derive constructor arguments from what the deploy scripts record', function () {
+    const [a, b] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+
+    expect(getConstructorArgs(CONTRACTS.token, { constructorArgs: [a] })).to.deep.equal([a]);
+    expect(
+      getConstructorArgs(CONTRACTS.token, { allocationAddresses: { founder: a, advisors: b } })
+    ).to.deep.equal([a, b]);
+    // Vesting records without the token fall back to the chain's token
+    expect(getConstructorArgs(CONTRACTS.vesting, {}, { [CONTRACTS.token]: a })).to.deep.equal([a]);
+    expect(
+      getConstructorArgs(CONTRACTS.timelock, { minDelay: 60, proposers: [a], executors: [b] })
+    ).to.deep.equal([60, [a], [b], ethers.ZeroAddress]);
+    expect(getConstructorArgs(CONTRACTS.timelock, {})).to.equal(null);
+    expect(getConstructorArgs(CONTRACTS.vesting, {})).to.equal(null);
+  });
+});
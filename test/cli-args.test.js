@@ -0,0 +1,21 @@
+const { expect } = require('chai');
+const { getArg } = require('../scripts/helpers/cliArgs');
+
+describe('Command line arguments', function () {
+  it('should read inline and separate option values, keeping "=" in values', function () {
+    const args = [
+      'status',
+      '--network=zkSyncTestnet',
+      '--fork=https://rpc.example/v1?key=abc==',
+      '--json',
+      'report.json',
+    ];
+
+    expect(getArg(args, '--network')).to.equal('zkSyncTestnet');
+    expect(getArg(args, '--fork')).to.equal('https://rpc.example/v1?key=abc==');
+    expect(getArg(args, '--json')).to.equal('report.json');
+    expect(getArg(['--memo='], '--memo')).to.equal('');
+    expect(getArg(args, '--net')).to.equal(undefined);
+    expect(getArg(args, '--contract')).to.equal(undefined);
+  });
+});
@@ -0,0 +1,261 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers, network } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const { openJournal, openJournalFromEnv } = require('../scripts/helpers/deploymentJournal');
+const { resolveManifest } = require('../scripts/helpers/allocationManifest');
+const { deployAllocationCategory } = require('../scripts/helpers/vestingDeployer');
+
+describe('Deployment journal', function () {
+  const DECIMALS = 6;
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-journal-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('openJournal', function () {
+    it('should persist steps and pin the start time across reopenings', function () {
+      const filePath = path.join(tmpDir, 'journal.json');
+      const journal = openJournal(filePath, { network: 'hardhat', startTime: 1000 });
+
+      journal.startStep('deployContracts');
+      journal.completeStep('deployContracts', { token: '0x01' });
+      journal.startStep('fundVesting');
+      journal.failStep('fundVesting', new Error('out of gas'));
+
+      const reopened = openJournal(filePath, { network: 'hardhat', startTime: 2000 });
+      expect(reopened.startTime).to.equal(1000);
+      expect(reopened.isStepCompleted('deployContracts')).to.equal(true);
+      expect(reopened.getStep('deployContracts').result).to.deep.equal({ token: '0x01' });
+      expect(reopened.isStepCompleted('fundVesting')).to.equal(false);
+      expect(reopened.getStep('fundVesting')).to.include({ status: 'failed', error: 'out of gas' });
+
+      reopened.startStep('fundVesting');
+      expect(reopened.getStep('fundVesting').attempts).to.equal(2);
+      expect(fs.readdirSync(tmpDir)).to.deep.equal(['journal.json']);
+    });
+
+    it('should refuse a journal written for another network', function () {
+      const filePath = path.join(tmpDir, 'journal.json');
+      openJournal(filePath, { network: 'zkSyncTestnet' });
+
+      expect(() => openJournal(filePath, { network: 'zkSyncMainnet' })).to.throw(
+        'belongs to network zkSyncTestnet'
+      );
+    });
+
+    it('should open the journal passed down by deploy-all', function () {
+      const filePath = path.join(tmpDir, 'journal.json');
+      const previous = { ...process.env };
+      process.env.RESKA_DEPLOY_JOURNAL = filePath;
+      process.env.RESKA_DEPLOY_STEP = 'founderVesting';
+
+      try {
+        const journal = openJournalFromEnv('hardhat');
+        expect(journal.path).to.equal(filePath);
+        expect(journal.stepId).to.equal('founderVesting');
+      } finally {
+        process.env = previous;
+      }
+
+      expect(openJournalFromEnv('hardhat')).to.equal(null);
+    });
+  });
+
+  describe('resuming allocation deployments', function () {
+    async function deployFixture() {
+      const [owner, founder] = await ethers.getSigners();
+
+      const { token } = await deployTokenFixture();
+      const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+      const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+
+      const [category] = resolveManifest(
+        {
+          version: 1,
+          network: 'hardhat',
+          token: { symbol: 'RESKA', decimals: DECIMALS, totalSupply: '1000000000' },
+          start: 'now',
+          categories: [
+            {
+              id: 'founder',
+              name: 'Founder',
+              allocationType: 'FOUNDER',
+              percentage: 100,
+              schedule: { cliff: '365d', duration: '730d', slicePeriod: '30d', revocable: false },
+              beneficiaries: [
+                { address: founder.address, immediateAmount: '1000', amount: '5000' },
+              ],
+            },
+          ],
+        },
+        { deployer: owner.address, now: Math.floor(Date.now() / 1000), env: {} }
+      );
+
+      return { token, vesting, owner, founder, category };
+    }
+
+    it('should not transfer, fund or create a schedule twice', async function () {
+      const { token, vesting, owner, founder, category } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const contracts = { token, vesting, wallet: owner };
+
+      const first = await deployAllocationCategory(contracts, category, { journal });
+      const second = await deployAllocationCategory(contracts, category, { journal });
+
+      expect(await vesting.getVestingSchedulesCountByHolder(founder.address)).to.equal(1);
+      expect(await token.balanceOf(founder.address)).to.equal(ethers.parseUnits('1000', DECIMALS));
+      expect(await token.balanceOf(await vesting.getAddress())).to.equal(
+        ethers.parseUnits('5000', DECIMALS)
+      );
+      expect(second.schedules[0].scheduleId).to.equal(first.schedules[0].scheduleId);
+    });
+
+    it('should recognise a schedule whose transaction landed before the crash', async function () {
+      const { token, vesting, owner, founder, category } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const amount = ethers.parseUnits('5000', DECIMALS);
+      const { startTime, cliffPeriod, duration, slicePeriod } = category.schedule;
+
+      // Simulate a run that sent the schedule transaction but died before recording it
+      await token.transfer(await vesting.getAddress(), amount);
+      const tx = await vesting.createVestingSchedule(
+        founder.address,
+        startTime,
+        cliffPeriod,
+        duration,
+        slicePeriod,
+        false,
+        amount
+      );
+      journal.recordAction(`founder:${founder.address}:0:schedule`, {
+        status: 'pending',
+        index: 0,
+        amount: amount.toString(),
+        txHash: tx.hash,
+      });
+
+      await deployAllocationCategory({ token, vesting, wallet: owner }, category, { journal });
+
+      expect(await vesting.getVestingSchedulesCountByHolder(founder.address)).to.equal(1);
+      expect(await token.balanceOf(await vesting.getAddress())).to.equal(amount);
+      expect(journal.getAction(`founder:${founder.address}:0:schedule`).status).to.equal(
+        'completed'
+      );
+    });
+
+    it('should journal the right schedule ID for a beneficiary who transferred a schedule away', async function () {
+      const { token, vesting, owner, founder, category } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const earlier = ethers.parseUnits('10', DECIMALS);
+
+      // The founder's only schedule moves to another holder, so their list is empty again
+      await token.transfer(await vesting.getAddress(), earlier);
+      await vesting.createVestingSchedule(founder.address, 1000, 0, 100, 1, false, earlier);
+      const transferred = await vesting.computeVestingScheduleIdForAddressAndIndex(
+        founder.address,
+        0
+      );
+      await vesting.connect(founder).transferVestingSchedule(transferred, owner.address);
+      expect(await vesting.getVestingSchedulesCountByHolder(founder.address)).to.equal(0);
+
+      const first = await deployAllocationCategory({ token, vesting, wallet: owner }, category, {
+        journal,
+      });
+      const scheduleId = await vesting.computeVestingScheduleIdForAddressAndIndex(
+        founder.address,
+        1
+      );
+      expect(first.schedules[0].scheduleId).to.equal(scheduleId);
+      expect(journal.getAction(`founder:${founder.address}:0:schedule`)).to.include({
+        index: 1,
+        scheduleId,
+      });
+      expect((await vesting.getVestingSchedule(scheduleId)).beneficiary).to.equal(founder.address);
+
+      // A rerun finds the schedule instead of creating it again
+      const second = await deployAllocationCategory({ token, vesting, wallet: owner }, category, {
+        journal,
+      });
+      expect(second.schedules[0].scheduleId).to.equal(scheduleId);
+      expect(await vesting.getVestingSchedulesCreatedByHolder(founder.address)).to.equal(2);
+    });
+
+    it('should refuse to continue when the on-chain schedule differs from the journal', async function () {
+      const { token, vesting, owner, founder, category } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const other = ethers.parseUnits('10', DECIMALS);
+
+      await token.transfer(await vesting.getAddress(), other);
+      await vesting.createVestingSchedule(founder.address, 1000, 0, 100, 1, false, other);
+      journal.recordAction(`founder:${founder.address}:0:schedule`, {
+        status: 'pending',
+        index: 0,
+      });
+
+      let error;
+      try {
+        await deployAllocationCategory({ token, vesting, wallet: owner }, category, { journal });
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.contain('does not match the journal');
+    });
+
+    it('should send dropped transactions again but wait for pending ones', async function () {
+      const { token, vesting, owner, founder, category } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const contracts = { token, vesting, wallet: owner };
+      const transferKey = `founder:${founder.address}:0:transfer`;
+      const scheduleKey = `founder:${founder.address}:0:schedule`;
+      const immediate = ethers.parseUnits('1000', DECIMALS);
+      await token.transfer(await vesting.getAddress(), ethers.parseUnits('5000', DECIMALS));
+
+      // A run that died with its transfer in the mempool and a schedule the node never saw
+      await network.provider.send('evm_setAutomine', [false]);
+      let error;
+      let sent;
+      try {
+        sent = await token.transfer(founder.address, immediate);
+        journal.recordAction(transferKey, {
+          status: 'pending',
+          amount: immediate.toString(),
+          txHash: sent.hash,
+        });
+        journal.recordAction(scheduleKey, {
+          status: 'pending',
+          index: 0,
+          txHash: ethers.id('lost'),
+        });
+
+        await deployAllocationCategory(contracts, category, { journal });
+      } catch (e) {
+        error = e;
+      } finally {
+        await network.provider.send('evm_setAutomine', [true]);
+      }
+      expect(error?.message).to.contain(`Transfer ${sent.hash}`);
+      expect(error?.message).to.contain('is still pending');
+      expect(journal.getAction(scheduleKey)).to.equal(undefined);
+
+      await network.provider.send('hardhat_dropTransaction', [sent.hash]);
+      const summary = await deployAllocationCategory(contracts, category, { journal });
+
+      expect(summary.transfers[0].txHash).to.not.equal(sent.hash);
+      expect(journal.getAction(transferKey)).to.include({
+        status: 'completed',
+        txHash: summary.transfers[0].txHash,
+      });
+      expect(await token.balanceOf(founder.address)).to.equal(immediate);
+      expect(await vesting.getVestingSchedulesCountByHolder(founder.address)).to.equal(1);
+    });
+  });
+});
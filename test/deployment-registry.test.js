@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CONTRACTS,
+  resolveChainId,
+  openRegistry,
+  migrateLegacyStores,
+} = require('../scripts/helpers/deploymentRegistry');
+
+describe('Deployment registry', function () {
+  const TOKEN_V1 = '0x34B40BA116d5Dec75548a9e9A8f15411461E8c70';
+  const TOKEN_V2 = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const VESTING = '0x19cEcCd6942ad38562Ee10bAfd44776ceB67e923';
+  const TIMELOCK = '0xa513E6E4b8f2a923D98304ec87F64353C4D5C853';
+
+  let tmpDir;
+  let registryPath;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-registry-'));
+    registryPath = path.join(tmpDir, 'deployments', 'registry.json');
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Writes a JSON file relative to the temporary repository root
+   */
+  function writeJson(file, data) {
+    const filePath = path.join(tmpDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  }
+
+  it('should resolve network names and chain ids', function () {
+    expect(resolveChainId('zkSyncMainnet')).to.equal(324);
+    expect(resolveChainId('zkSyncTestnet')).to.equal(300);
+    expect(resolveChainId('localhost')).to.equal(31337);
+    expect(resolveChainId(300)).to.equal(300);
+    expect(resolveChainId('11155111')).to.equal(11155111);
+    expect(() => resolveChainId('goerli')).to.throw('Unknown network: goerli');
+  });
+
+  it('should key contracts by chain id and only create the file on write', function () {
+    const registry = openRegistry(registryPath);
+    expect(registry.getContract('zkSyncTestnet', CONTRACTS.token)).to.equal(null);
+    expect(fs.existsSync(registryPath)).to.equal(false);
+
+    registry.recordContract('zkSyncTestnet', CONTRACTS.token, {
+      address: TOKEN_V1.toLowerCase(),
+      deployer: VESTING,
+    });
+
+    const data = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    expect(Object.keys(data.chains)).to.deep.equal(['300']);
+    expect(data.chains['300'].network).to.equal('zkSyncTestnet');
+    expect(openRegistry(registryPath).getContracts(300)).to.deep.equal({
+      [CONTRACTS.token]: TOKEN_V1,
+    });
+    expect(fs.readdirSync(path.dirname(registryPath))).to.deep.equal(['registry.json']);
+  });
+
+  it('should keep previous deployments in the history', function () {
+    const registry = openRegistry(registryPath);
+    registry.recordContract('zkSyncMainnet', CONTRACTS.token, {
+      address: TOKEN_V1,
+      deployedAt: '2025-04-01T00:00:00.000Z',
+    });
+    registry.recordContract('zkSyncMainnet', CONTRACTS.token, {
+      address: TOKEN_V2,
+      deployedAt: '2025-05-01T00:00:00.000Z',
+    });
+    // Importing the first deployment again must not duplicate it or make it current
+    registry.recordContract('zkSyncMainnet', CONTRACTS.token, {
+      address: TOKEN_V1,
+      deployedAt: '2025-04-01T00:00:00.000Z',
+    });
+
+    expect(registry.getContract('zkSyncMainnet', CONTRACTS.token)).to.equal(TOKEN_V2);
+    const history = registry.getHistory('zkSyncMainnet', CONTRACTS.token);
+    expect(history).to.have.lengthOf(1);
+    expect(history[0]).to.include({
+      address: TOKEN_V1,
+      replacedAt: '2025-05-01T00:00:00.000Z',
+    });
+  });
+
+  it('should record categories and the deployment date', function () {
+    const registry = openRegistry(registryPath);
+    registry.recordCategory('zkSyncTestnet', 'vesting', 'founder', { schedules: [] });
+    registry.setDeploymentDate('zkSyncTestnet', '2025-04-20T00:00:00.000Z');
+
+    const chain = registry.getChain('zkSyncTestnet');
+    expect(chain.vesting.founder.schedules).to.deep.equal([]);
+    expect(chain.deploymentDate).to.equal('2025-04-20T00:00:00.000Z');
+    expect(() => registry.recordCategory('zkSyncTestnet', 'other', 'x', {})).to.throw(
+      'Unknown registry section'
+    );
+  });
+
+  it('should reject invalid addresses and malformed files', function () {
+    const registry = openRegistry(registryPath);
+    expect(() =>
+      registry.recordContract('zkSyncTestnet', CONTRACTS.token, { address: '0x1234' })
+    ).to.throw('Invalid ReskaToken address');
+
+    writeJson('deployments/registry.json', { version: 1, chains: { testnet: { history: [] } } });
+    expect(() => openRegistry(registryPath)).to.throw('key must be a numeric chain id');
+  });
+
+  it('should migrate the legacy address stores', function () {
+    writeJson('deployments.json', {
+      testnet: {
+        token: TOKEN_V1,
+        vesting: { address: VESTING, founder: { scheduleId: '0x01' } },
+        allocations: { investor: { transfers: [] } },
+        timelock: TIMELOCK,
+        deploymentDate: '2025-04-20T00:00:00.000Z',
+      },
+      mainnet: { token: null, vesting: {}, allocations: {}, deploymentDate: null },
+    });
+    writeJson('.deployment-addresses.json', {
+      zkSyncTestnet: { token: TOKEN_V2, vesting: VESTING, timestamp: '2025-04-21T00:00:00.000Z' },
+    });
+    writeJson('deployments/local.json', {
+      address: TOKEN_V1,
+      deployer: VESTING,
+      network: 'localhost',
+      timestamp: '2025-04-19T14:00:00.000Z',
+    });
+    writeJson('deployments/vesting-local.json', {
+      token: TOKEN_V1,
+      vesting: VESTING,
+      deployer: VESTING,
+      scheduleId: '0xa279',
+      beneficiary: TIMELOCK,
+      cliffEnds: 1745074090,
+      fullyVestedAt: 1745074210,
+      network: 'localhost',
+      timestamp: '2025-04-19T14:44:51.778Z',
+    });
+
+    const registry = openRegistry(registryPath);
+    const results = migrateLegacyStores(registry, { root: tmpDir });
+
+    expect(results).to.deep.equal([
+      { file: 'deployments.json', contracts: 3 },
+      { file: '.deployment-addresses.json', contracts: 2 },
+      { file: 'deployments/local.json', contracts: 1 },
+      { file: 'deployments/vesting-local.json', contracts: 2 },
+    ]);
+
+    expect(registry.getContracts('zkSyncTestnet')).to.deep.equal({
+      [CONTRACTS.token]: TOKEN_V2,
+      [CONTRACTS.vesting]: VESTING,
+      [CONTRACTS.timelock]: TIMELOCK,
+    });
+    expect(registry.getHistory('zkSyncTestnet', CONTRACTS.token)[0].address).to.equal(TOKEN_V1);
+
+    const testnet = registry.getChain('zkSyncTestnet');
+    expect(testnet.vesting.founder.scheduleId).to.equal('0x01');
+    expect(testnet.allocations.investor.transfers).to.deep.equal([]);
+    expect(registry.getChain('zkSyncMainnet')).to.equal(null);
+
+    const local = registry.getChain('localhost');
+    expect(local.contracts[CONTRACTS.token].deployer).to.equal(VESTING);
+    expect(local.vesting.verification.scheduleId).to.equal('0xa279');
+
+    // Running the migration twice changes nothing
+    migrateLegacyStores(registry, { root: tmpDir });
+    expect(registry.getHistory('zkSyncTestnet')).to.have.lengthOf(1);
+  });
+});
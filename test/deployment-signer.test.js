@@ -0,0 +1,337 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { openJournal } = require('../scripts/helpers/deploymentJournal');
+const { deployAllocationCategory } = require('../scripts/helpers/vestingDeployer');
+const {
+  getSignerEnvironment,
+  computeBundleChecksum,
+  loadSafeBundle,
+  SafeBundleSigner,
+  createDeploymentSigner,
+  encodeMultiSend,
+  ingestSafeExecution,
+} = require('../scripts/helpers/deploymentSigner');
+
+const SAFE_ARTIFACTS = '@safe-global/safe-contracts/build/artifacts/contracts';
+
+describe('Deployment signer', function () {
+  const DECIMALS = 6;
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-safe-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployArtifact(name, signer) {
+    const artifact = require(`${SAFE_ARTIFACTS}/${name}`);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    // A 1-of-1 Safe behind a proxy, as the Safe app deploys it
+    const singleton = await deployArtifact('Safe.sol/Safe.json', owner);
+    const proxyFactory = await deployArtifact(
+      'proxies/SafeProxyFactory.sol/SafeProxyFactory.json',
+      owner
+    );
+    const multiSend = await deployArtifact(
+      'libraries/MultiSendCallOnly.sol/MultiSendCallOnly.json',
+      owner
+    );
+    const setup = singleton.interface.encodeFunctionData('setup', [
+      [owner.address],
+      1,
+      ethers.ZeroAddress,
+      '0x',
+      ethers.ZeroAddress,
+      ethers.ZeroAddress,
+      0,
+      ethers.ZeroAddress,
+    ]);
+    const args = [await singleton.getAddress(), setup, 0];
+    const safeAddress = await proxyFactory.createProxyWithNonce.staticCall(...args);
+    await proxyFactory.createProxyWithNonce(...args);
+    const safe = singleton.attach(safeAddress);
+
+    const ReskaToken = await ethers.getContractFactory('ReskaToken');
+    const token = await ReskaToken.deploy(...Array(8).fill(owner.address));
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(safeAddress, ethers.parseUnits('10000', DECIMALS));
+
+    return { safe, multiSend, token, vesting, owner, alice, bob };
+  }
+
+  /**
+   * Executes a bundle the way the Safe app does: one call directly, several through MultiSend
+   */
+  async function executeBundle(safe, multiSend, owner, transactions) {
+    const [to, value, data, operation] =
+      transactions.length === 1
+        ? [transactions[0].to, transactions[0].value, transactions[0].data, 0]
+        : [await multiSend.getAddress(), 0, encodeMultiSend(transactions), 1];
+    // An owner sending the transaction itself signs with a pre-validated signature
+    const signature = ethers.concat([
+      ethers.zeroPadValue(owner.address, 32),
+      ethers.ZeroHash,
+      '0x01',
+    ]);
+    return await safe
+      .connect(owner)
+      .execTransaction(
+        to,
+        value,
+        data,
+        operation,
+        0,
+        0,
+        0,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        signature
+      );
+  }
+
+  it('should select the signer and its variables from DEPLOY_SIGNER', async function () {
+    const [owner, safe] = await ethers.getSigners();
+    const privateKey = ethers.Wallet.createRandom().privateKey;
+    const createWallet = key => new ethers.Wallet(key, ethers.provider);
+
+    const key = createDeploymentSigner(ethers.provider, createWallet, {
+      env: { PRIVATE_KEY: privateKey },
+    });
+    expect(key.mode).to.equal('key');
+    expect(key.wallet).to.equal(key.deployWallet);
+    expect(getSignerEnvironment({ env: {} })).to.deep.equal(['PRIVATE_KEY']);
+    expect(() => createDeploymentSigner(ethers.provider, createWallet, { env: {} })).to.throw(
+      'A signing key is required'
+    );
+
+    const env = { DEPLOY_SIGNER: 'safe', SAFE_ADDRESS: safe.address };
+    const multisig = createDeploymentSigner(ethers.provider, createWallet, { env });
+    expect(multisig.wallet).to.be.instanceOf(SafeBundleSigner);
+    expect(multisig.wallet.address).to.equal(safe.address);
+    expect(multisig.deployWallet).to.equal(null);
+    expect(getSignerEnvironment({ env })).to.deep.equal(['SAFE_ADDRESS']);
+    expect(getSignerEnvironment({ deploys: true, env })).to.deep.equal([
+      'SAFE_ADDRESS',
+      'PRIVATE_KEY',
+    ]);
+
+    expect(() =>
+      createDeploymentSigner(ethers.provider, createWallet, { env: { DEPLOY_SIGNER: 'ledger' } })
+    ).to.throw('Invalid DEPLOY_SIGNER: ledger');
+    expect(() =>
+      createDeploymentSigner(ethers.provider, createWallet, { env: { DEPLOY_SIGNER: 'safe' } })
+    ).to.throw('Invalid Safe address in SAFE_ADDRESS');
+    expect(owner.address).to.not.equal(safe.address);
+  });
+
+  it('should queue Safe calls in a Transaction Builder batch instead of sending them', async function () {
+    const { safe, token, alice } = await loadFixture(deployFixture);
+    const safeAddress = await safe.getAddress();
+    const signer = new SafeBundleSigner(safeAddress, ethers.provider, {
+      bundlesDir: path.join(tmpDir, 'bundles'),
+    });
+    const amount = ethers.parseUnits('100', DECIMALS);
+
+    const receipt = await (await token.connect(signer).transfer(alice.address, amount)).wait();
+    expect(receipt.hash).to.match(/^safe:.*#0$/);
+    expect(receipt.status).to.equal(1);
+    expect(await token.balanceOf(alice.address)).to.equal(0n);
+
+    const bundle = loadSafeBundle(signer.bundlePath);
+    expect(bundle.chainId).to.equal('31337');
+    expect(bundle.meta.createdFromSafeAddress).to.equal(safeAddress);
+    expect(bundle.meta.checksum).to.equal(computeBundleChecksum(bundle));
+    expect(bundle.transactions).to.deep.equal([
+      {
+        to: await token.getAddress(),
+        value: '0',
+        data: token.interface.encodeFunctionData('transfer', [alice.address, amount]),
+      },
+    ]);
+
+    // A Safe cannot create contracts or sign for itself
+    let error;
+    try {
+      await signer.sendTransaction({ data: '0x6000' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('A Safe cannot deploy contracts');
+    error = undefined;
+    try {
+      await signer.signMessage('hello');
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('execute the queued bundle instead');
+
+    // A second run refuses to start a new bundle while this one is pending
+    error = undefined;
+    try {
+      const other = new SafeBundleSigner(safeAddress, ethers.provider, {
+        bundlesDir: path.join(tmpDir, 'bundles'),
+      });
+      await token.connect(other).transfer(alice.address, amount);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('has not been executed yet');
+
+    // Edits to the batch file after it was written are caught
+    fs.writeFileSync(signer.bundlePath, JSON.stringify({ ...bundle, transactions: [] }));
+    expect(() => loadSafeBundle(signer.bundlePath)).to.throw('does not match its checksum');
+  });
+
+  it('should continue a journaled flow once the executed bundle is ingested', async function () {
+    const { safe, multiSend, token, vesting, owner, alice, bob } = await loadFixture(deployFixture);
+    const signer = new SafeBundleSigner(await safe.getAddress(), ethers.provider, {
+      bundlesDir: path.join(tmpDir, 'bundles'),
+    });
+    const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+    const contracts = { token: token.connect(signer), vesting, wallet: signer };
+    const category = {
+      id: 'airdrop',
+      name: 'Airdrop',
+      percentage: 1,
+      decimals: DECIMALS,
+      beneficiaries: [alice, bob].map(({ address }) => ({
+        address,
+        immediateAmount: ethers.parseUnits('250', DECIMALS),
+        amount: 0n,
+      })),
+    };
+    const options = { journal, preflight: false };
+
+    const queued = await deployAllocationCategory(contracts, category, options);
+    expect(queued.transfers.map(transfer => transfer.txHash)).to.deep.equal(
+      [0, 1].map(i => `safe:${path.relative(path.join(__dirname, '..'), signer.bundlePath)}#${i}`)
+    );
+    expect(journal.getAction(`airdrop:${alice.address}:0:transfer`).status).to.equal('queued');
+
+    // Rerunning before the Safe executed the bundle queues nothing twice
+    let error;
+    try {
+      await deployAllocationCategory(contracts, category, options);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('is still pending');
+
+    const bundle = loadSafeBundle(signer.bundlePath);
+    const tx = await executeBundle(safe, multiSend, owner, bundle.transactions);
+    const ingested = await ingestSafeExecution(ethers.provider, signer.bundlePath, tx.hash);
+    expect(ingested.execution.txHash).to.equal(tx.hash);
+
+    const resumed = await deployAllocationCategory(contracts, category, options);
+    expect(resumed.transfers).to.have.length(2);
+    expect(await token.balanceOf(alice.address)).to.equal(ethers.parseUnits('250', DECIMALS));
+    expect(await token.balanceOf(bob.address)).to.equal(ethers.parseUnits('250', DECIMALS));
+    expect(journal.getAction(`airdrop:${bob.address}:0:transfer`).status).to.equal('completed');
+    expect(loadSafeBundle(signer.bundlePath).transactions).to.have.length(2);
+  });
+
+  it('should journal distinct schedule IDs for a beneficiary queued twice', async function () {
+    const { safe, multiSend, token, vesting, owner, alice } = await loadFixture(deployFixture);
+    const signer = new SafeBundleSigner(await safe.getAddress(), ethers.provider, {
+      bundlesDir: path.join(tmpDir, 'bundles'),
+    });
+    const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+    const amount = ethers.parseUnits('100', DECIMALS);
+    await token.transfer(await vesting.getAddress(), 2n * amount);
+    await vesting.transferOwnership(await safe.getAddress());
+
+    const contracts = {
+      token: token.connect(signer),
+      vesting: vesting.connect(signer),
+      wallet: signer,
+    };
+    const category = {
+      id: 'team',
+      name: 'Team',
+      percentage: 1,
+      decimals: DECIMALS,
+      beneficiaries: [0n, 0n].map(immediateAmount => ({
+        address: alice.address,
+        immediateAmount,
+        amount,
+      })),
+      schedule: {
+        startTime: 1000,
+        cliffPeriod: 0,
+        duration: 100,
+        slicePeriod: 1,
+        revocable: false,
+      },
+    };
+
+    const queued = await deployAllocationCategory(contracts, category, {
+      journal,
+      preflight: false,
+    });
+    const ids = await Promise.all(
+      [0, 1].map(index => vesting.computeVestingScheduleIdForAddressAndIndex(alice.address, index))
+    );
+    expect(queued.schedules.map(schedule => schedule.scheduleId)).to.deep.equal(ids);
+    expect(journal.getAction(`team:${alice.address}:1:schedule`)).to.include({
+      status: 'queued',
+      index: 1,
+      scheduleId: ids[1],
+    });
+
+    const bundle = loadSafeBundle(signer.bundlePath);
+    await executeBundle(safe, multiSend, owner, bundle.transactions);
+    for (const id of ids) {
+      expect((await vesting.getVestingSchedule(id)).beneficiary).to.equal(alice.address);
+    }
+  });
+
+  it('should refuse to ingest a transaction that did not run the bundle', async function () {
+    const { safe, multiSend, token, owner, alice } = await loadFixture(deployFixture);
+    const signer = new SafeBundleSigner(await safe.getAddress(), ethers.provider, {
+      bundlesDir: path.join(tmpDir, 'bundles'),
+    });
+    await token.connect(signer).transfer(alice.address, ethers.parseUnits('100', DECIMALS));
+    await token.connect(signer).transfer(alice.address, ethers.parseUnits('200', DECIMALS));
+    const { transactions } = loadSafeBundle(signer.bundlePath);
+
+    const ingest = async txHash => {
+      try {
+        await ingestSafeExecution(ethers.provider, signer.bundlePath, txHash);
+      } catch (e) {
+        return e.message;
+      }
+    };
+
+    const direct = await token.transfer(alice.address, 1);
+    expect(await ingest(direct.hash)).to.contain('was not sent to the Safe');
+
+    const partial = await executeBundle(safe, multiSend, owner, transactions.slice(0, 1));
+    expect(await ingest(partial.hash)).to.contain('ran 1 calls, the bundle has 2');
+
+    const altered = await executeBundle(safe, multiSend, owner, [
+      transactions[0],
+      {
+        ...transactions[1],
+        data: token.interface.encodeFunctionData('transfer', [alice.address, 1]),
+      },
+    ]);
+    expect(await ingest(altered.hash)).to.contain('Call #1');
+    expect(loadSafeBundle(signer.bundlePath).execution).to.equal(undefined);
+  });
+});
@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { simulateDeployment } = require('../scripts/helpers/deploymentSimulator');
+
+describe('Deployment simulator', function () {
+  const { ethers } = hre;
+  const DECIMALS = 6;
+  const CATEGORIES = [
+    'founder',
+    'investor',
+    'advisor',
+    'airdrop',
+    'ecosystem',
+    'treasury',
+    'escrow',
+  ];
+
+  let report;
+  let deployer;
+
+  before(async function () {
+    deployer = ethers.Wallet.createRandom().address;
+    report = await simulateDeployment(hre, {
+      network: 'zkSyncTestnet',
+      deployer,
+      balance: ethers.parseEther('5'),
+      categories: CATEGORIES,
+      env: {},
+    });
+  });
+
+  it('should deploy every contract from the impersonated deployer', async function () {
+    expect(report.mode).to.equal('local');
+    expect(report.deployer).to.equal(deployer);
+    expect(report.deployerBalance).to.equal(ethers.parseEther('5').toString());
+
+    for (const name of ['ReskaToken', 'ReskaTokenVesting', 'ReskaTimelock']) {
+      expect(await ethers.provider.getCode(report.contracts[name])).to.not.equal('0x');
+    }
+  });
+
+  it('should report the gas of every deploy-all step', function () {
+    expect(report.steps.map(step => step.id)).to.deep.equal([
+      'deployContracts',
+      'fundVesting',
+      ...CATEGORIES.map(id => `${id}Vesting`),
+      'timelock',
+    ]);
+
+    const total = report.steps.reduce((acc, step) => acc + BigInt(step.gasUsed), 0n);
+    expect(total.toString()).to.equal(report.totalGasUsed);
+    expect(BigInt(report.steps[0].gasUsed)).to.be.greaterThan(0n);
+  });
+
+  it('should report the schedules created and the tokens moved per category', async function () {
+    const vesting = await ethers.getContractAt(
+      'ReskaTokenVesting',
+      report.contracts.ReskaTokenVesting
+    );
+
+    expect(report.schedules).to.have.lengthOf(9);
+    expect(await vesting.getVestingSchedulesCount()).to.equal(9);
+    expect(report.tokensByCategory.investor).to.deep.equal({
+      immediate: ethers.parseUnits('20000000', DECIMALS).toString(),
+      vested: '0',
+      movedFromDeployer: ethers.parseUnits('20000000', DECIMALS).toString(),
+    });
+    expect(report.tokensByCategory.ecosystem.vested).to.equal(
+      ethers.parseUnits('100000000', DECIMALS).toString()
+    );
+  });
+
+  it('should impersonate the address of the configured deployer key', async function () {
+    const wallet = ethers.Wallet.createRandom();
+    const keyed = await simulateDeployment(hre, {
+      network: 'zkSyncTestnet',
+      balance: ethers.parseEther('5'),
+      categories: ['founder'],
+      env: { DEPLOYER_PRIVATE_KEY: wallet.privateKey },
+    });
+    expect(keyed.deployer).to.equal(wallet.address);
+  });
+});
@@ -0,0 +1,201 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, setBalance, time } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  PROPOSER_ROLE,
+  handOverAdmin,
+  buildGovernorRoleCalls,
+} = require('../scripts/helpers/adminHandover');
+const {
+  scheduleOperation,
+  findOperation,
+  executeOperation,
+} = require('../scripts/helpers/timelockOperations');
+
+describe('ReskaGovernor', function () {
+  const DAY = 24 * 60 * 60;
+  const TIMELOCK_DELAY = 2 * DAY;
+  const amount = value => ethers.parseUnits(value, 6);
+
+  // Governor.ProposalState
+  const State = { Pending: 0, Active: 1, Defeated: 3, Succeeded: 4, Queued: 5, Executed: 7 };
+
+  async function deployFixture() {
+    const [deployer, voter, smallHolder, beneficiary, recipient] = await ethers.getSigners();
+
+    const ReskaToken = await ethers.getContractFactory('ReskaToken');
+    const token = await ReskaToken.deploy(
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address
+    );
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    const ReskaTimelock = await ethers.getContractFactory('ReskaTimelock');
+    // Open executor role; the deployer proposes until the governor takes over
+    const timelock = await ReskaTimelock.deploy(
+      TIMELOCK_DELAY,
+      [deployer.address],
+      [ethers.ZeroAddress],
+      ethers.ZeroAddress
+    );
+    const ReskaGovernor = await ethers.getContractFactory('ReskaGovernor');
+    const governor = await ReskaGovernor.deploy(
+      await token.getAddress(),
+      await timelock.getAddress()
+    );
+
+    // Admin to the timelock, then the timelock's proposer role to the governor
+    await handOverAdmin(
+      { token, vesting },
+      { deployer: deployer.address, timelock: await timelock.getAddress() }
+    );
+    const calls = await buildGovernorRoleCalls(timelock, await governor.getAddress(), {
+      revoke: [deployer.address],
+    });
+    const { id } = await scheduleOperation(timelock, calls);
+    await time.increase(TIMELOCK_DELAY);
+    await executeOperation(timelock, await findOperation(timelock, id));
+
+    // 6% and 0.5% of the supply, delegated to themselves
+    await token.transfer(voter.address, amount('60000000'));
+    await token.transfer(smallHolder.address, amount('5000000'));
+    await token.connect(voter).delegate(voter.address);
+    await token.connect(smallHolder).delegate(smallHolder.address);
+
+    return {
+      token,
+      vesting,
+      timelock,
+      governor,
+      deployer,
+      voter,
+      smallHolder,
+      beneficiary,
+      recipient,
+    };
+  }
+
+  /**
+   * Proposes minting to the recipient through the timelock
+   */
+  async function proposeMint(governor, token, proposer, recipient, description) {
+    const targets = [await token.getAddress()];
+    const values = [0];
+    const calldatas = [token.interface.encodeFunctionData('mint', [recipient, amount('1000')])];
+    await governor.connect(proposer).propose(targets, values, calldatas, description);
+    const descriptionHash = ethers.id(description);
+    const proposalId = await governor.hashProposal(targets, values, calldatas, descriptionHash);
+    return { proposalId, args: [targets, values, calldatas, descriptionHash] };
+  }
+
+  it('should use the UPGRADES.md Phase 2 parameters on a timestamp clock', async function () {
+    const { token, timelock, governor, deployer } = await loadFixture(deployFixture);
+
+    expect(await token.CLOCK_MODE()).to.equal('mode=timestamp');
+    expect(await governor.CLOCK_MODE()).to.equal('mode=timestamp');
+    expect(await governor.votingDelay()).to.equal(2 * DAY);
+    expect(await governor.votingPeriod()).to.equal(3 * DAY);
+    expect(await governor.proposalThreshold()).to.equal(amount('10000000'));
+    expect(await governor.quorumNumerator()).to.equal(5);
+    expect(await governor.timelock()).to.equal(await timelock.getAddress());
+
+    expect(await timelock.hasRole(PROPOSER_ROLE, await governor.getAddress())).to.equal(true);
+    expect(await timelock.hasRole(PROPOSER_ROLE, deployer.address)).to.equal(false);
+  });
+
+  it('should run a proposal through vote, queue and timelock execution', async function () {
+    const { token, governor, voter, smallHolder, recipient } = await loadFixture(deployFixture);
+    const { proposalId, args } = await proposeMint(
+      governor,
+      token,
+      voter,
+      recipient.address,
+      'Mint 1000 RESKA for the research grant'
+    );
+    expect(await governor.state(proposalId)).to.equal(State.Pending);
+
+    await time.increase(2 * DAY + 1);
+    expect(await governor.state(proposalId)).to.equal(State.Active);
+    await governor.connect(voter).castVote(proposalId, 1);
+    await governor.connect(smallHolder).castVote(proposalId, 0);
+
+    await time.increase(3 * DAY);
+    expect(await governor.state(proposalId)).to.equal(State.Succeeded);
+    const [against, forVotes] = await governor.proposalVotes(proposalId);
+    expect(forVotes).to.equal(amount('60000000'));
+    expect(against).to.equal(amount('5000000'));
+
+    await governor.queue(...args);
+    expect(await governor.state(proposalId)).to.equal(State.Queued);
+    await expect(governor.execute(...args)).to.be.revertedWith(
+      'TimelockController: operation is not ready'
+    );
+
+    await time.increase(TIMELOCK_DELAY);
+    await governor.execute(...args);
+    expect(await governor.state(proposalId)).to.equal(State.Executed);
+    expect(await token.balanceOf(recipient.address)).to.equal(amount('1000'));
+  });
+
+  it('should require 1% of the votes to propose and 5% to pass', async function () {
+    const { token, governor, voter, smallHolder, recipient } = await loadFixture(deployFixture);
+
+    await expect(
+      proposeMint(governor, token, smallHolder, recipient.address, 'Below the threshold')
+    ).to.be.revertedWith('Governor: proposer votes below proposal threshold');
+
+    const { proposalId } = await proposeMint(
+      governor,
+      token,
+      voter,
+      recipient.address,
+      'Only a small holder votes'
+    );
+    await time.increase(2 * DAY + 1);
+    await governor.connect(smallHolder).castVote(proposalId, 1);
+    await time.increase(3 * DAY);
+
+    const snapshot = await governor.proposalSnapshot(proposalId);
+    expect(await governor.quorum(snapshot)).to.equal(amount('50000000'));
+    expect(await governor.state(proposalId)).to.equal(State.Defeated);
+  });
+
+  it('should not count unvested tokens as voting power', async function () {
+    const { token, vesting, governor, beneficiary } = await loadFixture(deployFixture);
+    await token.transfer(await vesting.getAddress(), amount('100000000'));
+    // The timelock owns the vesting contract now; act as it rather than going through a proposal
+    const owner = await ethers.getImpersonatedSigner(await vesting.owner());
+    await setBalance(owner.address, ethers.parseEther('1'));
+    const duration = 2 * (await time.latest());
+    await vesting
+      .connect(owner)
+      .createVestingSchedule(beneficiary.address, 0, 0, duration, 1, false, amount('100000000'));
+    await token.connect(beneficiary).delegate(beneficiary.address);
+
+    expect(await token.getVotes(beneficiary.address)).to.equal(0);
+    expect(await token.getVotes(await vesting.getAddress())).to.equal(0);
+
+    // Released tokens vote once they reach the beneficiary
+    const scheduleId = await vesting.computeVestingScheduleIdForAddressAndIndex(
+      beneficiary.address,
+      0
+    );
+    await vesting.connect(beneficiary).release(scheduleId);
+    const released = await token.balanceOf(beneficiary.address);
+    expect(released).to.be.greaterThan(0);
+    expect(await token.getVotes(beneficiary.address)).to.equal(released);
+
+    // The locked remainder still counts in the supply the quorum is computed from
+    const timepoint = (await time.latest()) - 1;
+    await time.increase(1);
+    expect(await governor.quorum(timepoint)).to.equal(
+      ((await token.getPastTotalSupply(timepoint)) * 5n) / 100n
+    );
+  });
+});
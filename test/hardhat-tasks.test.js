@@ -0,0 +1,136 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { CONTRACTS, openRegistry } = require('../scripts/helpers/deploymentRegistry');
+
+describe('Hardhat tasks', function () {
+  const { ethers } = hre;
+  let tmpDir;
+  let registryPath;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-tasks-'));
+    registryPath = path.join(tmpDir, 'registry.json');
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [deployer, founder, beneficiary] = await ethers.getSigners();
+    const allocations = [founder.address, ...Array(7).fill(deployer.address)].join(',');
+    const addresses = await hre.run('deploy-zksync', { allocations, registry: registryPath });
+
+    const token = await ethers.getContractAt('ReskaToken', addresses.token);
+    const vesting = await ethers.getContractAt('ReskaTokenVesting', addresses.vesting);
+    return { token, vesting, deployer, founder, beneficiary };
+  }
+
+  it('should register deploy-zksync and the reska tasks', async function () {
+    for (const name of [
+      'deploy-zksync',
+      'reska:deploy-token',
+      'reska:deploy-vesting',
+      'reska:fund',
+      'reska:create-schedule',
+      'reska:deploy-timelock',
+    ]) {
+      expect(hre.tasks[name], name).to.not.equal(undefined);
+    }
+    expect(hre.tasks['reska:create-schedule'].paramDefinitions.duration.type.name).to.equal('int');
+    expect(hre.tasks['reska:create-schedule'].paramDefinitions.revocable.isFlag).to.equal(true);
+  });
+
+  it('should deploy the token and vesting contracts and record them', async function () {
+    const { token, vesting, deployer, founder } = await loadFixture(deployFixture);
+    const registry = openRegistry(registryPath);
+
+    expect(registry.getContract('hardhat', CONTRACTS.token)).to.equal(await token.getAddress());
+    expect(registry.getContract('hardhat', CONTRACTS.vesting)).to.equal(await vesting.getAddress());
+    const record = registry.getChain('hardhat').contracts[CONTRACTS.token];
+    expect(record.deployer).to.equal(deployer.address);
+    expect(record.allocationAddresses.FOUNDER_ADDRESS).to.equal(founder.address);
+
+    expect(await vesting.getToken()).to.equal(await token.getAddress());
+    expect(await token.balanceOf(founder.address)).to.equal(ethers.parseUnits('100000000', 6));
+
+    let error;
+    try {
+      await hre.run('reska:deploy-token', { allocations: founder.address, registry: registryPath });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Expected 8 allocation addresses, got 1');
+  });
+
+  it('should fund the vesting contract and create a schedule from the registry', async function () {
+    const { token, vesting, beneficiary } = await loadFixture(deployFixture);
+    const vestingAddress = await vesting.getAddress();
+
+    await hre.run('reska:fund', { amount: '1500.5', registry: registryPath });
+    expect(await token.balanceOf(vestingAddress)).to.equal(ethers.parseUnits('1500.5', 6));
+
+    const start = (await time.latest()) + 3600;
+    const scheduleId = await hre.run('reska:create-schedule', {
+      beneficiary: beneficiary.address,
+      amount: '1000',
+      duration: 1000,
+      cliff: 100,
+      start,
+      revocable: true,
+      registry: registryPath,
+    });
+    const schedule = await vesting.getVestingSchedule(scheduleId);
+    expect(schedule.beneficiary).to.equal(beneficiary.address);
+    expect(schedule.amountTotal).to.equal(ethers.parseUnits('1000', 6));
+    expect(schedule.start).to.equal(BigInt(start));
+    expect(schedule.duration).to.equal(1000n);
+    expect(schedule.revocable).to.equal(true);
+
+    let error;
+    try {
+      await hre.run('reska:fund', { amount: '2000000000', registry: registryPath });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Insufficient tokens');
+  });
+
+  it('should deploy the timelock with the given delay and roles', async function () {
+    const [deployer, proposer] = await ethers.getSigners();
+    const address = await hre.run('reska:deploy-timelock', {
+      delay: 3600,
+      proposers: proposer.address,
+      registry: registryPath,
+    });
+    const timelock = await ethers.getContractAt('ReskaTimelock', address);
+
+    expect(await timelock.getMinDelay()).to.equal(3600n);
+    expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), proposer.address)).to.equal(true);
+    expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), deployer.address)).to.equal(true);
+    expect(openRegistry(registryPath).getContract('hardhat', CONTRACTS.timelock)).to.equal(address);
+  });
+
+  it('should refuse to run without the contracts it operates on', async function () {
+    const emptyRegistry = path.join(tmpDir, 'empty.json');
+    let error;
+    try {
+      await hre.run('reska:fund', { amount: '1', registry: emptyRegistry });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('ReskaToken address not found for hardhat');
+
+    error = undefined;
+    try {
+      await hre.run('reska:deploy-timelock', { proposers: 'nobody', registry: emptyRegistry });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Invalid address in --proposers: nobody');
+  });
+});
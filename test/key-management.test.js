@@ -0,0 +1,176 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('hardhat');
+const {
+  ZERO_KEY,
+  getKeyVariable,
+  hasRoleKey,
+  loadRoleKey,
+  requireRoleKey,
+  assertMainnetKey,
+  encryptKeystore,
+  clearKeyCache,
+} = require('../scripts/helpers/keyManagement');
+const { getSignerEnvironment } = require('../scripts/helpers/deploymentSigner');
+
+describe('Key management', function () {
+  // A cheap scrypt work factor keeps the tests fast; real keystores use the ethers default
+  const FAST_SCRYPT = { scrypt: { N: 1 << 10 } };
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-keys-'));
+  });
+
+  afterEach(function () {
+    clearKeyCache();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function writeKeystore(name, privateKey, passphrase) {
+    const keystorePath = path.join(tmpDir, name);
+    fs.writeFileSync(keystorePath, await encryptKeystore(privateKey, passphrase, FAST_SCRYPT));
+    return keystorePath;
+  }
+
+  it('should resolve each role from its own key, falling back to the deployer', async function () {
+    const [deployer, funder, operator] = [1, 2, 3].map(() => ethers.Wallet.createRandom());
+    const env = {
+      PRIVATE_KEY: deployer.privateKey,
+      FUNDER_PRIVATE_KEY: funder.privateKey,
+    };
+
+    expect((await loadRoleKey('deployer', { env })).address).to.equal(deployer.address);
+    expect((await loadRoleKey('funder', { env })).address).to.equal(funder.address);
+    const fallback = await loadRoleKey('operator', { env });
+    expect(fallback.address).to.equal(deployer.address);
+    expect(fallback.source).to.equal('PRIVATE_KEY');
+
+    env.VESTING_OPERATOR_PRIVATE_KEY = operator.privateKey;
+    expect((await loadRoleKey('operator', { env })).address).to.equal(operator.address);
+    expect(getKeyVariable('operator', env)).to.equal('VESTING_OPERATOR_PRIVATE_KEY');
+    expect(getSignerEnvironment({ role: 'funder', env })).to.deep.equal(['FUNDER_PRIVATE_KEY']);
+
+    // The zero placeholder from .env.example is no key at all off mainnet
+    expect(await loadRoleKey('deployer', { env: { PRIVATE_KEY: ZERO_KEY } })).to.equal(null);
+    expect(hasRoleKey('deployer', { PRIVATE_KEY: ZERO_KEY })).to.equal(false);
+    expect(await loadRoleKey('deployer', { env: {} })).to.equal(null);
+    expect(getKeyVariable('deployer', {})).to.equal('PRIVATE_KEY');
+  });
+
+  it('should decrypt a keystore with its password file or a prompted passphrase', async function () {
+    const wallet = ethers.Wallet.createRandom();
+    const keystorePath = await writeKeystore('deployer.json', wallet.privateKey, 'correct horse');
+    const passwordFile = path.join(tmpDir, 'password.txt');
+    fs.writeFileSync(passwordFile, 'correct horse\n');
+    const env = {
+      DEPLOYER_KEYSTORE: keystorePath,
+      DEPLOYER_KEYSTORE_PASSWORD_FILE: passwordFile,
+      PRIVATE_KEY: ethers.Wallet.createRandom().privateKey,
+    };
+
+    const key = await loadRoleKey('deployer', { env });
+    expect(key.address).to.equal(wallet.address);
+    expect(key.privateKey).to.equal(wallet.privateKey);
+    expect(key.source).to.equal('DEPLOYER_KEYSTORE');
+
+    // The funder falls back to the same keystore without asking for the passphrase again
+    const prompts = [];
+    const prompt = async question => {
+      prompts.push(question);
+      return 'correct horse';
+    };
+    const funderEnv = { DEPLOYER_KEYSTORE: keystorePath };
+    expect((await loadRoleKey('funder', { env: funderEnv, prompt })).address).to.equal(
+      wallet.address
+    );
+    expect(prompts).to.deep.equal([]);
+
+    clearKeyCache();
+    expect((await loadRoleKey('funder', { env: funderEnv, prompt })).address).to.equal(
+      wallet.address
+    );
+    expect(prompts).to.have.length(1);
+    expect(prompts[0]).to.contain('deployer.json');
+
+    clearKeyCache();
+    let error;
+    try {
+      await loadRoleKey('deployer', { env: funderEnv, prompt: async () => 'wrong' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Cannot decrypt');
+    expect(error?.message).to.contain('DEPLOYER_KEYSTORE');
+  });
+
+  it('should require a key for scripts that cannot run without one', async function () {
+    const wallet = ethers.Wallet.createRandom();
+    const key = await requireRoleKey('funder', { env: { PRIVATE_KEY: wallet.privateKey } });
+    expect(key).to.include({ role: 'funder', address: wallet.address, source: 'PRIVATE_KEY' });
+
+    let error;
+    try {
+      await requireRoleKey('operator', { env: { PRIVATE_KEY: ZERO_KEY } });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.equal(
+      'No operator key configured: set one of VESTING_OPERATOR_KEYSTORE, ' +
+        'VESTING_OPERATOR_PRIVATE_KEY, DEPLOYER_KEYSTORE, DEPLOYER_PRIVATE_KEY, KEYSTORE, PRIVATE_KEY'
+    );
+  });
+
+  it('should refuse the all-zero default key on zkSyncMainnet', async function () {
+    let error;
+    try {
+      await loadRoleKey('deployer', { env: { PRIVATE_KEY: ZERO_KEY }, network: 'zkSyncMainnet' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Refusing to run on zkSyncMainnet');
+
+    for (const env of [{}, { PRIVATE_KEY: ZERO_KEY }, { FUNDER_PRIVATE_KEY: ZERO_KEY }]) {
+      expect(() => assertMainnetKey('zkSyncMainnet', env)).to.throw(
+        'Refusing to run on zkSyncMainnet'
+      );
+    }
+    expect(() => assertMainnetKey('zkSyncTestnet', {})).to.not.throw();
+    expect(() =>
+      assertMainnetKey('zkSyncMainnet', { PRIVATE_KEY: ethers.Wallet.createRandom().privateKey })
+    ).to.not.throw();
+    expect(() =>
+      assertMainnetKey('zkSyncMainnet', { KEYSTORE: 'deployer.json', PRIVATE_KEY: ZERO_KEY })
+    ).to.not.throw();
+  });
+
+  it('should reject missing keystores, plaintext files and invalid keys', async function () {
+    const plaintext = path.join(tmpDir, 'plain.json');
+    fs.writeFileSync(plaintext, JSON.stringify({ privateKey: ZERO_KEY }));
+    const failures = [
+      [{ KEYSTORE: path.join(tmpDir, 'missing.json') }, 'Keystore not found for KEYSTORE'],
+      [{ FUNDER_KEYSTORE: plaintext }, 'is not an encrypted JSON keystore'],
+      [{ PRIVATE_KEY: '0x1234' }, 'PRIVATE_KEY does not hold a valid private key'],
+    ];
+
+    for (const [env, message] of failures) {
+      let error;
+      try {
+        await loadRoleKey('funder', { env, prompt: async () => 'unused' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message, message).to.contain(message);
+    }
+
+    let error;
+    try {
+      await encryptKeystore(ZERO_KEY, 'passphrase');
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Refusing to encrypt the all-zero placeholder key');
+  });
+});
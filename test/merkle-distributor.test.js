@@ -0,0 +1,290 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const {
+  buildMerkleTree,
+  getProof,
+  verifyProof,
+  buildClaims,
+  verifyDistributor,
+} = require('../scripts/helpers/merkleTree');
+
+describe('ReskaMerkleDistributor', function () {
+  const DECIMALS = 6;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, alice, bob, carol, outsider] = await ethers.getSigners();
+
+    const { token } = await deployTokenFixture();
+
+    const recipients = [
+      { address: alice.address, amount: ethers.parseUnits('1000', DECIMALS) },
+      { address: bob.address, amount: ethers.parseUnits('2000', DECIMALS) },
+      { address: carol.address, amount: ethers.parseUnits('3000', DECIMALS) },
+    ];
+    const claims = buildClaims(recipients, { decimals: DECIMALS });
+    const start = await time.latest();
+
+    /**
+     * Deploys and funds a distributor for the claims
+     */
+    async function deployDistributor({ cliff = 0, duration = 0, slice = 0, deadline = 0 } = {}) {
+      const ReskaMerkleDistributor = await ethers.getContractFactory('ReskaMerkleDistributor');
+      const distributor = await ReskaMerkleDistributor.deploy(
+        await token.getAddress(),
+        claims.root,
+        start,
+        cliff,
+        duration,
+        slice,
+        deadline
+      );
+      await token.transfer(await distributor.getAddress(), BigInt(claims.total));
+      return distributor;
+    }
+
+    const immediate = await deployDistributor();
+    // Same schedule as the airdrop category: everything unlocks after a one-year cliff
+    const vested = await deployDistributor({ cliff: YEAR, duration: YEAR, slice: YEAR });
+
+    return {
+      token,
+      owner,
+      alice,
+      bob,
+      carol,
+      outsider,
+      claims,
+      start,
+      immediate,
+      vested,
+      deployDistributor,
+    };
+  }
+
+  /**
+   * Returns the claim arguments of an account from the claims file
+   */
+  function claimArgs(claims, account) {
+    const claim = claims.claims[account.address];
+    return [account.address, BigInt(claim.amount), claim.proof];
+  }
+
+  describe('Merkle tree builder', function () {
+    it('should produce proofs for every leaf of odd and even sized trees', function () {
+      for (const size of [1, 2, 3, 4, 5, 8, 13]) {
+        const recipients = Array.from({ length: size }, (_, i) => ({
+          address: ethers.zeroPadValue(ethers.toBeHex(0x2000 + i), 20),
+          amount: BigInt(i + 1),
+        }));
+        const tree = buildMerkleTree(recipients);
+
+        tree.leaves.forEach((leaf, index) => {
+          expect(verifyProof(tree.root, leaf.address, leaf.amount, getProof(tree, index))).to.equal(
+            true
+          );
+          expect(
+            verifyProof(tree.root, leaf.address, leaf.amount + 1n, getProof(tree, index))
+          ).to.equal(false);
+        });
+      }
+    });
+
+    it('should reject empty and duplicated recipient lists', function () {
+      const address = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+      expect(() => buildMerkleTree([])).to.throw('without recipients');
+      expect(() =>
+        buildMerkleTree([
+          { address, amount: 1n },
+          { address: address.toLowerCase(), amount: 2n },
+        ])
+      ).to.throw('Duplicate recipient');
+    });
+  });
+
+  describe('Claims', function () {
+    it('should pay out a valid claim immediately without vesting', async function () {
+      const { token, alice, outsider, claims, immediate } = await loadFixture(deployFixture);
+      const amount = BigInt(claims.claims[alice.address].amount);
+
+      // Anyone can submit the claim, the tokens go to the recipient
+      await expect(immediate.connect(outsider).claim(...claimArgs(claims, alice)))
+        .to.emit(immediate, 'Claimed')
+        .withArgs(alice.address, amount);
+
+      expect(await token.balanceOf(alice.address)).to.equal(amount);
+      expect(await immediate.isClaimed(alice.address)).to.equal(true);
+      expect(await immediate.getOutstandingAmount()).to.equal(0);
+    });
+
+    it('should reject a second claim for the same account', async function () {
+      const { alice, claims, immediate } = await loadFixture(deployFixture);
+
+      await immediate.claim(...claimArgs(claims, alice));
+      await expect(immediate.claim(...claimArgs(claims, alice))).to.be.revertedWithCustomError(
+        immediate,
+        'AlreadyClaimed'
+      );
+    });
+
+    it('should reject bad proofs', async function () {
+      const { alice, bob, outsider, claims, immediate } = await loadFixture(deployFixture);
+      const [account, amount, proof] = claimArgs(claims, alice);
+
+      // Inflated amount
+      await expect(immediate.claim(account, amount + 1n, proof)).to.be.revertedWithCustomError(
+        immediate,
+        'InvalidProof'
+      );
+      // Another recipient's proof
+      await expect(
+        immediate.claim(account, amount, claims.claims[bob.address].proof)
+      ).to.be.revertedWithCustomError(immediate, 'InvalidProof');
+      // An address outside the tree reusing a valid proof
+      await expect(immediate.claim(outsider.address, amount, proof)).to.be.revertedWithCustomError(
+        immediate,
+        'InvalidProof'
+      );
+      await expect(immediate.claim(account, amount, [])).to.be.revertedWithCustomError(
+        immediate,
+        'InvalidProof'
+      );
+    });
+
+    it('should hold vested claims until the one-year cliff', async function () {
+      const { token, alice, claims, start, vested } = await loadFixture(deployFixture);
+      const amount = BigInt(claims.claims[alice.address].amount);
+
+      await vested.claim(...claimArgs(claims, alice));
+      expect(await token.balanceOf(alice.address)).to.equal(0);
+      expect(await vested.getAllocation(alice.address)).to.equal(amount);
+      expect(await vested.getOutstandingAmount()).to.equal(amount);
+      await expect(vested.release(alice.address)).to.be.revertedWithCustomError(
+        vested,
+        'NothingToRelease'
+      );
+
+      await time.increaseTo(start + YEAR);
+      await expect(vested.release(alice.address))
+        .to.emit(vested, 'TokensReleased')
+        .withArgs(alice.address, amount);
+
+      expect(await token.balanceOf(alice.address)).to.equal(amount);
+      expect(await vested.getReleasableAmount(alice.address)).to.equal(0);
+    });
+
+    it('should release in slices between the cliff and the end of vesting', async function () {
+      const { token, bob, claims, start, deployDistributor } = await loadFixture(deployFixture);
+      const distributor = await deployDistributor({
+        cliff: YEAR,
+        duration: 2 * YEAR,
+        slice: YEAR / 4,
+      });
+      const amount = BigInt(claims.claims[bob.address].amount);
+
+      await time.increaseTo(start + YEAR + YEAR / 2);
+      await distributor.claim(...claimArgs(claims, bob));
+      // 6 of 8 quarterly slices have vested
+      expect(await token.balanceOf(bob.address)).to.equal((amount * 6n) / 8n);
+    });
+
+    it('should refuse release for an unclaimed account', async function () {
+      const { alice, vested } = await loadFixture(deployFixture);
+      await expect(vested.release(alice.address)).to.be.revertedWithCustomError(
+        vested,
+        'NotClaimed'
+      );
+    });
+  });
+
+  describe('Claim deadline', function () {
+    it('should stop claims after the deadline and sweep only unclaimed tokens', async function () {
+      const { token, owner, alice, bob, outsider, claims, start, deployDistributor } =
+        await loadFixture(deployFixture);
+      const deadline = start + 30 * 24 * 60 * 60;
+      const distributor = await deployDistributor({
+        cliff: YEAR,
+        duration: YEAR,
+        slice: YEAR,
+        deadline,
+      });
+      const aliceAmount = BigInt(claims.claims[alice.address].amount);
+
+      await distributor.claim(...claimArgs(claims, alice));
+      await expect(distributor.sweep(owner.address)).to.be.revertedWithCustomError(
+        distributor,
+        'ClaimPeriodNotOver'
+      );
+
+      await time.increaseTo(deadline + 1);
+      await expect(distributor.claim(...claimArgs(claims, bob))).to.be.revertedWithCustomError(
+        distributor,
+        'ClaimPeriodOver'
+      );
+      await expect(distributor.connect(outsider).sweep(outsider.address)).to.be.revertedWith(
+        'Ownable: caller is not the owner'
+      );
+
+      const before = await token.balanceOf(owner.address);
+      await distributor.sweep(owner.address);
+      expect((await token.balanceOf(owner.address)) - before).to.equal(
+        BigInt(claims.total) - aliceAmount
+      );
+
+      // Alice's claimed allocation is still paid out after the cliff
+      await time.increaseTo(start + YEAR);
+      await distributor.release(alice.address);
+      expect(await token.balanceOf(alice.address)).to.equal(aliceAmount);
+    });
+
+    it('should reject inconsistent vesting parameters', async function () {
+      const { token, claims } = await loadFixture(deployFixture);
+      const ReskaMerkleDistributor = await ethers.getContractFactory('ReskaMerkleDistributor');
+      const tokenAddress = await token.getAddress();
+
+      await expect(
+        ReskaMerkleDistributor.deploy(tokenAddress, claims.root, 0, YEAR, 0, 0, 0)
+      ).to.be.revertedWithCustomError(ReskaMerkleDistributor, 'InvalidVestingParameters');
+      await expect(
+        ReskaMerkleDistributor.deploy(tokenAddress, claims.root, 0, 2 * YEAR, YEAR, YEAR, 0)
+      ).to.be.revertedWithCustomError(ReskaMerkleDistributor, 'InvalidVestingParameters');
+      await expect(
+        ReskaMerkleDistributor.deploy(tokenAddress, ethers.ZeroHash, 0, 0, 0, 0, 0)
+      ).to.be.revertedWithCustomError(ReskaMerkleDistributor, 'InvalidMerkleRoot');
+    });
+  });
+
+  describe('verifyDistributor', function () {
+    it('should match the claims file and report a wrong root or missing funds', async function () {
+      const { token, owner, alice, claims, vested, deployDistributor } =
+        await loadFixture(deployFixture);
+
+      await vested.claim(...claimArgs(claims, alice));
+      expect((await verifyDistributor(vested, token, claims)).problems).to.deep.equal([]);
+
+      const other = buildClaims([{ address: owner.address, amount: 1n }]);
+      const mismatch = await verifyDistributor(vested, token, other);
+      expect(mismatch.problems[0]).to.contain('does not match the claims root');
+
+      const ReskaMerkleDistributor = await ethers.getContractFactory('ReskaMerkleDistributor');
+      const unfunded = await ReskaMerkleDistributor.deploy(
+        await token.getAddress(),
+        claims.root,
+        0,
+        0,
+        0,
+        0,
+        0
+      );
+      const result = await verifyDistributor(unfunded, token, claims);
+      expect(result.unclaimed).to.equal(BigInt(claims.total));
+      expect(result.problems[0]).to.contain('does not cover');
+
+      // Sanity check that the fixture helper funds a distributor in full
+      const funded = await deployDistributor();
+      expect((await verifyDistributor(funded, token, claims)).problems).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const zksync = require('zksync-ethers');
+const sdk = require('../scripts/sdk');
+
+describe('RESKA SDK', function () {
+  const { ethers } = hre;
+  const DECIMALS = 6;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, holder, other] = await ethers.getSigners();
+
+    const ReskaToken = await ethers.getContractFactory('ReskaToken');
+    const tokenContract = await ReskaToken.deploy(...Array(8).fill(owner.address));
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vestingContract = await ReskaTokenVesting.deploy(await tokenContract.getAddress());
+
+    const token = sdk.ReskaToken.attach(await tokenContract.getAddress(), owner);
+    const vesting = sdk.ReskaTokenVesting.attach(await vestingContract.getAddress(), owner);
+    await token.transfer(await vesting.getAddress(), ethers.parseUnits('10000', DECIMALS));
+
+    return { token, vesting, owner, holder, other };
+  }
+
+  it('should re-export ethers v6 and the zksync-ethers classes', function () {
+    expect(sdk.ethers.formatUnits(1500500000n, DECIMALS)).to.equal('1500.5');
+    expect(sdk.ethers.utils).to.equal(undefined);
+    expect(sdk.Provider).to.equal(zksync.Provider);
+    expect(sdk.Wallet).to.equal(zksync.Wallet);
+
+    const key = ethers.Wallet.createRandom().privateKey;
+    const local = sdk.createProvider({ url: 'http://127.0.0.1:8545', zksync: false });
+    const era = sdk.createProvider({ url: 'http://127.0.0.1:3050', zksync: true });
+    expect(local).to.be.instanceOf(ethers.JsonRpcProvider);
+    expect(local).to.not.be.instanceOf(zksync.Provider);
+    expect(era).to.be.instanceOf(zksync.Provider);
+    expect(sdk.createWallet(key, local)).to.not.be.instanceOf(zksync.Wallet);
+    expect(sdk.createWallet(key, era)).to.be.instanceOf(zksync.Wallet);
+    local.destroy();
+    era.destroy();
+
+    expect(() => sdk.getNetworkConfig('nowhere')).to.throw(
+      'Network configuration not found for: nowhere'
+    );
+  });
+
+  it('should convert token amounts with the token decimals', async function () {
+    const { token, vesting, owner, other } = await loadFixture(deployFixture);
+
+    expect(await token.decimals()).to.equal(DECIMALS);
+    expect(await token.parseAmount('1500.5')).to.equal(1500500000n);
+    expect(await token.formatAmount(1500500000n)).to.equal('1500.5');
+
+    const receipt = await token.transfer(other.address, 1000000n);
+    expect(receipt.status).to.equal(1);
+    expect(await token.balanceOf(other.address)).to.equal(1000000n);
+    expect(await token.connect(other).balanceOf(owner.address)).to.be.greaterThan(0n);
+
+    const vestedToken = await vesting.getToken();
+    expect(vestedToken).to.be.instanceOf(sdk.ReskaToken);
+    expect(await vestedToken.getAddress()).to.equal(await token.getAddress());
+  });
+
+  it('should create schedules and list them for their holder', async function () {
+    const { vesting, holder } = await loadFixture(deployFixture);
+
+    const first = await vesting.createSchedule({
+      beneficiary: holder.address,
+      start: 0,
+      duration: 2 * YEAR,
+      amount: 1000000000n,
+    });
+    const second = await vesting.createSchedule({
+      beneficiary: holder.address,
+      start: 0,
+      cliff: YEAR,
+      duration: YEAR,
+      slicePeriod: YEAR,
+      revocable: true,
+      amount: 2000000000n,
+    });
+    expect(first.receipt.status).to.equal(1);
+    expect(second.scheduleId).to.equal(
+      await vesting.contract.computeVestingScheduleIdForAddressAndIndex(holder.address, 1)
+    );
+
+    const schedules = await vesting.getSchedulesForHolder(holder.address);
+    expect(schedules.map(schedule => schedule.scheduleId)).to.deep.equal([
+      first.scheduleId,
+      second.scheduleId,
+    ]);
+    expect(schedules[0].total).to.equal(1000000000n);
+    expect(schedules[0].revocable).to.equal(false);
+    expect(schedules[1].slicePeriodSeconds).to.equal(BigInt(YEAR));
+    expect(schedules[1].revocable).to.equal(true);
+
+    let error;
+    try {
+      await vesting.createSchedule({ beneficiary: 'nobody', start: 0, duration: 1, amount: 1n });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Invalid beneficiary address: nobody');
+  });
+
+  it('should release every vested schedule of a holder in one transaction', async function () {
+    const { token, vesting, holder, other } = await loadFixture(deployFixture);
+    const amounts = [1000000000n, 2000000000n];
+    for (const amount of amounts) {
+      await vesting.createSchedule({ beneficiary: holder.address, start: 0, duration: 1, amount });
+    }
+
+    // Anyone but the holder, the owner or a release operator is refused
+    let error;
+    try {
+      await vesting.connect(other).releaseAll(holder.address);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('NotBeneficiary');
+
+    const releases = await vesting.connect(holder).releaseAll(holder.address);
+    expect(releases.map(release => release.amount)).to.deep.equal(amounts);
+    expect(new Set(releases.map(release => release.txHash)).size).to.equal(1);
+    expect(await token.balanceOf(holder.address)).to.equal(3000000000n);
+
+    const schedules = await vesting.getSchedulesForHolder(holder.address);
+    expect(schedules.every(schedule => schedule.releasable === 0n)).to.equal(true);
+  });
+});
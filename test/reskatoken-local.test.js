@@ -2,6 +2,7 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { CONTRACTS, openRegistry } = require("../scripts/helpers/deploymentRegistry");
 
 // Constants for testing
 const DECIMALS = 6; // Token uses 6 decimals like USDT
@@ -41,15 +42,13 @@ describe("ReskaToken (Local)", function() {
       contractAbi = artifact.contracts["ReskaToken.sol"].ReskaToken.abi;
       
       // Check if local deployment exists
-      const deploymentPath = path.resolve(__dirname, "../deployments/local.json");
-      if (!fs.existsSync(deploymentPath)) {
+      const deployment = openRegistry().getChain("localhost")?.contracts[CONTRACTS.token];
+      if (!deployment) {
         console.log("Contract not deployed locally. Run 'node scripts/deploy-local.js' first.");
         this.skip();
         return;
       }
       
-      const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
-      
       // Connect to local Hardhat node
       provider = new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
       
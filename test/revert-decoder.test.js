@@ -0,0 +1,168 @@
+const { expect } = require('chai');
+const { ethers, artifacts } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  CONTRACT_ERRORS,
+  getRevertData,
+  decodeRevertData,
+  decodeError,
+  describeError,
+} = require('../scripts/helpers/revertDecoder');
+const { TransactionManager } = require('../scripts/helpers/transactionManager');
+
+describe('Revert decoder', function () {
+  const YEAR = 365 * 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, holder, other] = await ethers.getSigners();
+
+    const ReskaToken = await ethers.getContractFactory('ReskaToken');
+    const token = await ReskaToken.deploy(...Array(8).fill(owner.address));
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    const ReskaTimelock = await ethers.getContractFactory('ReskaTimelock');
+    const timelock = await ReskaTimelock.deploy(
+      60,
+      [owner.address],
+      [owner.address],
+      owner.address
+    );
+
+    return { token, vesting, timelock, owner, holder, other };
+  }
+
+  // Runs a call expected to revert and returns its error
+  async function revertOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('The call did not revert');
+  }
+
+  it('should explain the custom errors of ReskaTokenVesting with a fix', async function () {
+    const { vesting, holder, other } = await loadFixture(deployFixture);
+
+    const unfunded = decodeError(
+      await revertOf(
+        vesting.createVestingSchedule.staticCall(holder.address, 0, 0, YEAR, 1, false, 1000n)
+      )
+    );
+    expect(unfunded).to.include({
+      name: 'InsufficientContractBalance',
+      contract: 'ReskaTokenVesting',
+    });
+    expect(unfunded.fix).to.contain('Fund the vesting contract');
+
+    const short = decodeError(
+      await revertOf(vesting.createVestingSchedule(holder.address, 0, YEAR, 1, 1, false, 1000n))
+    );
+    expect(short.name).to.equal('DurationTooShort');
+
+    const error = await revertOf(vesting.connect(other).releaseAll(holder.address));
+    expect(describeError(error)).to.equal(
+      'ReskaTokenVesting.NotBeneficiary: The signer is not allowed to act on this schedule. ' +
+        'Fix: Sign with the beneficiary, the owner or a release operator (setReleaseOperator); ' +
+        'transfers need the beneficiary'
+    );
+  });
+
+  it('should explain ReskaToken errors and OpenZeppelin reasons, naming missing roles', async function () {
+    const { token, timelock, owner, other } = await loadFixture(deployFixture);
+
+    const cap = await token.MAX_ADDITIONAL_MINTING();
+    const capped = decodeError(await revertOf(token.mint(owner.address, cap + 1n)));
+    expect(capped).to.include({ name: 'ExceedsMintCap', contract: 'ReskaToken' });
+    expect(capped.explanation).to.contain('MAX_ADDITIONAL_MINTING');
+
+    const role = decodeError(await revertOf(token.connect(other).mint(other.address, 1n)));
+    expect(role.name).to.equal('Error');
+    expect(role.explanation).to.equal(`${other.address.toLowerCase()} does not hold MINTER_ROLE`);
+
+    const overdraft = await revertOf(token.connect(other).transfer(owner.address, 1n));
+    expect(describeError(overdraft)).to.contain('The sender does not hold enough tokens');
+
+    const notReady = await revertOf(
+      timelock.execute(owner.address, 0, '0x', ethers.ZeroHash, ethers.ZeroHash)
+    );
+    expect(describeError(notReady)).to.contain('reska timelock list');
+  });
+
+  it('should find revert data wherever ethers, zksync-ethers and Hardhat put it', function () {
+    const iface = new ethers.Interface(['error NoTokensToRelease()']);
+    const data = iface.encodeErrorResult('NoTokensToRelease', []);
+
+    // A zkSync JSON-RPC error wrapped by ethers, then by a script
+    const rpc = {
+      code: 'CALL_EXCEPTION',
+      info: { error: { code: 3, message: 'execution reverted', data } },
+    };
+    const wrapped = new Error('Release failed', { cause: rpc });
+    expect(getRevertData(wrapped)).to.equal(data);
+    expect(decodeError(wrapped).name).to.equal('NoTokensToRelease');
+    expect(getRevertData({ error: { data: { data } } })).to.equal(data);
+
+    const panic = ethers.concat([
+      '0x4e487b71',
+      ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [0x11]),
+    ]);
+    expect(decodeRevertData(panic)).to.include({ name: 'Panic', contract: null });
+    expect(decodeRevertData(panic).explanation).to.contain('overflowed');
+
+    // Unknown data and errors without data keep their own message
+    expect(decodeRevertData('0x12345678')).to.equal(null);
+    expect(describeError(new Error('could not detect network'))).to.equal(
+      'could not detect network'
+    );
+
+    // Rejections that are not errors, or that break while being read, are described as strings
+    expect(describeError('timeout')).to.equal('timeout');
+    expect(describeError(undefined)).to.equal('undefined');
+    expect(describeError({ code: 'SERVER_ERROR' })).to.equal('[object Object]');
+    const broken = {
+      get message() {
+        throw new Error('getter failed');
+      },
+    };
+    expect(describeError(broken)).to.equal('[object Object]');
+  });
+
+  it('should bundle the custom errors of the compiled contracts', async function () {
+    for (const [contract, errors] of Object.entries(CONTRACT_ERRORS)) {
+      const compiled = [];
+      new ethers.Interface((await artifacts.readArtifact(contract)).abi).forEachError(fragment =>
+        compiled.push(fragment.format('full'))
+      );
+      expect([...errors].sort()).to.deep.equal(compiled.sort());
+    }
+    expect(Object.keys(CONTRACT_ERRORS)).to.deep.equal(['ReskaToken', 'ReskaTokenVesting']);
+    const timelock = new ethers.Interface((await artifacts.readArtifact('ReskaTimelock')).abi);
+    expect(timelock.fragments.filter(fragment => fragment.type === 'error')).to.deep.equal([]);
+  });
+
+  it('should refuse a write that would revert before sending it', async function () {
+    const { vesting, holder, other } = await loadFixture(deployFixture);
+    const nonce = await ethers.provider.getTransactionCount(other.address);
+
+    const error = await revertOf(
+      new TransactionManager(other).sendContractCall(vesting.connect(other), 'releaseAll', [
+        holder.address,
+      ])
+    );
+    expect(error.message).to.contain('would revert: ReskaTokenVesting.NotBeneficiary');
+    expect(await ethers.provider.getTransactionCount(other.address)).to.equal(nonce);
+
+    // The simulation's error carries the decoded reason and its fix
+    const tx = await vesting.renounceOwnership.populateTransaction();
+    const refused = await revertOf(
+      new TransactionManager(other).simulate(tx, { label: 'Renounce' })
+    );
+    expect(refused.message).to.equal(
+      'Renounce would revert: reverted with "Ownable: caller is not the owner": Only the contract ' +
+        'owner can make this call. Fix: Sign with the owner, or schedule the call through ' +
+        'ReskaTimelock ("reska timelock") once it owns the contract'
+    );
+    expect(describeError(refused)).to.equal(refused.message);
+  });
+});
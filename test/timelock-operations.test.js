@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { handOverAdmin } = require('../scripts/helpers/adminHandover');
+const {
+  buildCall,
+  describeCall,
+  scheduleOperation,
+  listOperations,
+  findOperation,
+  executeOperation,
+  cancelOperation,
+} = require('../scripts/helpers/timelockOperations');
+
+describe('Timelock operations', function () {
+  const DELAY = 2 * 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [deployer, proposer, executor, beneficiary] = await ethers.getSigners();
+
+    const ReskaToken = await ethers.getContractFactory('ReskaToken');
+    const token = await ReskaToken.deploy(
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address,
+      deployer.address
+    );
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(await vesting.getAddress(), ethers.parseUnits('10000', 6));
+    const ReskaTimelock = await ethers.getContractFactory('ReskaTimelock');
+    const timelock = await ReskaTimelock.deploy(
+      DELAY,
+      [proposer.address],
+      [executor.address],
+      ethers.ZeroAddress
+    );
+    await handOverAdmin(
+      { token, vesting },
+      { deployer: deployer.address, timelock: await timelock.getAddress() }
+    );
+
+    return { token, vesting, timelock, proposer, executor, beneficiary };
+  }
+
+  it('should schedule a call and execute it once the delay has passed', async function () {
+    const { token, vesting, timelock, proposer, executor, beneficiary } =
+      await loadFixture(deployFixture);
+    const contracts = { token, vesting };
+
+    const call = await buildCall(contracts, 'mint', [beneficiary.address, '1000']);
+    expect(await describeCall(contracts, call)).to.equal(
+      `ReskaToken.mint(${beneficiary.address}, 1000000000)`
+    );
+
+    const { id, readyAt } = await scheduleOperation(timelock.connect(proposer), [call], {
+      salt: ethers.id('mint-1'),
+    });
+    expect(readyAt).to.equal(BigInt(await time.latest()) + BigInt(DELAY));
+
+    const [pending] = await listOperations(timelock);
+    expect(pending).to.include({ id, status: 'pending', batch: false, readyAt });
+    expect(pending.salt).to.equal(ethers.id('mint-1'));
+
+    let error;
+    try {
+      await executeOperation(timelock.connect(executor), pending);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('is pending (ready at');
+
+    await time.increaseTo(readyAt);
+    const ready = await findOperation(timelock, id);
+    expect(ready.status).to.equal('ready');
+    await executeOperation(timelock.connect(executor), ready);
+
+    expect(await token.balanceOf(beneficiary.address)).to.equal(ethers.parseUnits('1000', 6));
+    expect(await listOperations(timelock)).to.deep.equal([]);
+    expect((await findOperation(timelock, id)).status).to.equal('done');
+  });
+
+  it('should batch calls on both contracts into one operation', async function () {
+    const { token, vesting, timelock, proposer, executor, beneficiary } =
+      await loadFixture(deployFixture);
+    const contracts = { token, vesting };
+    const start = String((await time.latest()) + DELAY);
+
+    const calls = [
+      await buildCall(contracts, 'createVestingSchedule', [
+        beneficiary.address,
+        start,
+        '0',
+        '365d',
+        '30d',
+        'true',
+        '500',
+      ]),
+      await buildCall(contracts, 'withdraw', ['100']),
+      await buildCall(contracts, 'pause', []),
+    ];
+    const { id, readyAt } = await scheduleOperation(timelock.connect(proposer), calls);
+
+    await time.increaseTo(readyAt);
+    const operation = await findOperation(timelock, id);
+    expect(operation).to.include({ batch: true, status: 'ready' });
+    expect(operation.calls).to.have.length(3);
+    await executeOperation(timelock.connect(executor), operation);
+
+    expect(await vesting.getVestingSchedulesCountByHolder(beneficiary.address)).to.equal(1);
+    expect(await token.balanceOf(await timelock.getAddress())).to.equal(
+      ethers.parseUnits('100', 6)
+    );
+    expect(await token.paused()).to.equal(true);
+  });
+
+  it('should cancel a pending operation', async function () {
+    const { token, vesting, timelock, proposer } = await loadFixture(deployFixture);
+    const call = await buildCall({ token, vesting }, 'revoke', [ethers.id('schedule')]);
+    const { id } = await scheduleOperation(timelock.connect(proposer), [call]);
+
+    // Proposers are also cancellers
+    await cancelOperation(timelock.connect(proposer), id);
+
+    expect(await listOperations(timelock)).to.deep.equal([]);
+    const [cancelled] = await listOperations(timelock, { all: true });
+    expect(cancelled).to.include({ id, status: 'cancelled', readyAt: null });
+  });
+
+  it('should reject unknown actions and invalid arguments', async function () {
+    const { token, vesting } = await loadFixture(deployFixture);
+    const contracts = { token, vesting };
+
+    const attempt = async (action, args) => {
+      try {
+        await buildCall(contracts, action, args);
+      } catch (e) {
+        return e.message;
+      }
+    };
+    expect(await attempt('burn', [])).to.contain('Unknown action: burn');
+    expect(await attempt('mint', [ethers.ZeroAddress])).to.equal(
+      'mint takes 2 argument(s): to amount'
+    );
+    expect(await attempt('mint', [ethers.ZeroAddress, '1'])).to.contain('Invalid to address');
+    expect(await attempt('revoke', ['0x1234'])).to.contain('Invalid schedule id');
+  });
+});
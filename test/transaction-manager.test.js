@@ -0,0 +1,219 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers, network } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { TransactionManager } = require('../scripts/helpers/transactionManager');
+const { openJournal } = require('../scripts/helpers/deploymentJournal');
+
+describe('Transaction manager', function () {
+  const FAST = { timeout: 300, pollInterval: 50 };
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-tx-'));
+  });
+
+  afterEach(async function () {
+    await network.provider.send('evm_setAutomine', [true]);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [owner, alice, bob, carol] = await ethers.getSigners();
+    const ReskaToken = await ethers.getContractFactory('ReskaToken');
+    const token = await ReskaToken.deploy(...Array(8).fill(owner.address));
+    return { token, owner, alice, bob, carol };
+  }
+
+  async function transfer(token, to, amount = 1000n) {
+    return token.transfer.populateTransaction(to, amount);
+  }
+
+  async function mine() {
+    await network.provider.send('evm_mine');
+  }
+
+  // Waits until a transaction record has been broadcast a number of times
+  async function broadcasts(record, count) {
+    while (record.hashes.length < count) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  it('should give sequential sends local nonces even when the node lags behind them', async function () {
+    const { token, owner, alice, bob, carol } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+
+    const manager = new TransactionManager(owner, FAST);
+    // A load-balanced RPC whose pending count does not include the transactions just sent
+    const provider = manager.provider;
+    manager.provider = new Proxy(provider, {
+      get(target, property) {
+        if (property === 'getTransactionCount') {
+          return address => target.getTransactionCount(address, 'latest');
+        }
+        const value = Reflect.get(target, property);
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+    });
+
+    const start = await provider.getTransactionCount(owner.address, 'latest');
+    const records = [];
+    for (const recipient of [alice, bob, carol]) {
+      records.push(
+        await manager.submit(await transfer(token, recipient.address), { label: recipient.address })
+      );
+    }
+    expect(records.map(record => record.nonce)).to.deep.equal([start, start + 1, start + 2]);
+
+    await mine();
+    const receipts = await Promise.all(records.map(record => manager.wait(record)));
+    expect(receipts.every(receipt => receipt.status === 1)).to.equal(true);
+    expect(new Set(receipts.map(receipt => receipt.blockNumber)).size).to.equal(1);
+
+    const report = manager.getReport();
+    expect(report.map(result => result.nonce)).to.deep.equal([start, start + 1, start + 2]);
+    expect(report.every(result => result.status === 'mined' && result.attempts === 1)).to.equal(
+      true
+    );
+    expect(await token.balanceOf(carol.address)).to.equal(1000n);
+  });
+
+  it('should replace a transaction that is not mined in time, bumping again when underpriced', async function () {
+    const { token, owner, alice } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+
+    // Hardhat refuses replacements that raise fees by less than 10%, so a 6% bump is refused once
+    const manager = new TransactionManager(owner, { ...FAST, feeBumpPercent: 6 });
+    const submitted = [];
+    const record = await manager.submit(await transfer(token, alice.address), {
+      label: 'Slow transfer',
+      onSubmitted: response => submitted.push(response.hash),
+    });
+    const original = record.fees;
+
+    const waiting = manager.wait(record);
+    await broadcasts(record, 2);
+    await mine();
+    const receipt = await waiting;
+
+    expect(record.attempts).to.equal(3);
+    expect(receipt.hash).to.equal(record.hashes[1]);
+    expect(submitted).to.deep.equal(record.hashes);
+    expect(record.fees.maxFeePerGas).to.be.at.least((original.maxFeePerGas * 110n) / 100n);
+    expect(record.fees.maxPriorityFeePerGas).to.be.at.least(
+      (original.maxPriorityFeePerGas * 110n) / 100n
+    );
+    expect(await ethers.provider.getTransactionReceipt(record.hashes[0])).to.equal(null);
+    expect(await token.balanceOf(alice.address)).to.equal(1000n);
+  });
+
+  it('should rebroadcast a dropped transaction and give up after the last retry', async function () {
+    const { token, owner, alice } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+
+    const manager = new TransactionManager(owner, { ...FAST, timeout: 60000 });
+    const record = await manager.submit(await transfer(token, alice.address));
+    await network.provider.send('hardhat_dropTransaction', [record.hashes[0]]);
+
+    const waiting = manager.wait(record);
+    await broadcasts(record, 2);
+    await mine();
+    expect((await waiting).hash).to.equal(record.hashes[1]);
+
+    // A transaction that is never mined is replaced maxRetries times, then reported
+    const stuck = new TransactionManager(owner, { ...FAST, maxRetries: 2 });
+    const never = await stuck.submit(await transfer(token, alice.address), { label: 'Stuck' });
+    let error;
+    try {
+      await stuck.wait(never);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Stuck (nonce');
+    expect(error?.message).to.contain('was not mined after 3 attempts');
+    expect(never.hashes).to.have.length(3);
+    for (const hash of never.hashes) {
+      await network.provider.send('hardhat_dropTransaction', [hash]);
+    }
+  });
+
+  it('should persist transactions in flight and resume them in a new run', async function () {
+    const { token, owner, alice } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+    const pendingPath = path.join(tmpDir, 'pending-tx-hardhat.json');
+
+    const first = new TransactionManager(owner, { ...FAST, pendingPath });
+    const record = await first.submit(await transfer(token, alice.address), {
+      label: 'Funding',
+    });
+    const [entry] = JSON.parse(fs.readFileSync(pendingPath, 'utf8')).transactions;
+    expect(entry).to.include({ from: owner.address, label: 'Funding', nonce: record.nonce });
+    expect(entry.hashes).to.deep.equal(record.hashes);
+    expect(BigInt(entry.request.gasLimit)).to.equal(record.request.gasLimit);
+
+    // The next run waits for it before sending anything new
+    await mine();
+    const second = new TransactionManager(owner, { ...FAST, pendingPath });
+    const [receipt] = await second.resume();
+    expect(receipt.hash).to.equal(record.hashes[0]);
+    expect(JSON.parse(fs.readFileSync(pendingPath, 'utf8')).transactions).to.deep.equal([]);
+    expect(second.getReport()).to.have.length(1);
+    expect(second.getReport()[0]).to.include({ label: 'Funding', status: 'mined' });
+  });
+
+  it('should record the replacements of resumed transactions in their journal action', async function () {
+    const { token, owner, alice } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+    const pendingPath = path.join(tmpDir, 'pending-tx-hardhat.json');
+    const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+
+    const first = new TransactionManager(owner, { ...FAST, pendingPath });
+    const record = await first.submit(await transfer(token, alice.address), {
+      onSubmitted: response =>
+        journal.recordAction('transfer', { status: 'pending', txHash: response.hash }),
+      journalAction: { path: journal.path, key: 'transfer' },
+    });
+    expect(
+      JSON.parse(fs.readFileSync(pendingPath, 'utf8')).transactions[0].journalAction
+    ).to.deep.equal({ path: journal.path, key: 'transfer' });
+
+    // The run stops and the node drops the transaction: the next run replaces it
+    await network.provider.send('hardhat_dropTransaction', [record.hashes[0]]);
+    await network.provider.send('evm_setAutomine', [true]);
+    const second = new TransactionManager(owner, { ...FAST, pendingPath });
+    const [receipt] = await second.resume();
+
+    expect(receipt.hash).to.not.equal(record.hashes[0]);
+    expect(journal.getAction('transfer')).to.include({ status: 'pending', txHash: receipt.hash });
+    expect(await second.resume()).to.deep.equal([]);
+  });
+
+  it('should simulate before broadcasting and refuse a call that would revert', async function () {
+    const { token, owner, alice } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+    const nonce = await ethers.provider.getTransactionCount(owner.address, 'pending');
+    const aliceNonce = await ethers.provider.getTransactionCount(alice.address, 'pending');
+
+    const manager = new TransactionManager(alice, FAST);
+    let error;
+    try {
+      await manager.send(await transfer(token, owner.address), { label: 'Overdraft' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('Overdraft would revert');
+    expect(error?.cause).to.be.an('error');
+    expect(await ethers.provider.getTransactionCount(alice.address, 'pending')).to.equal(
+      aliceNonce
+    );
+
+    // A successful simulation adds the 20% gas buffer
+    const tx = await transfer(token, alice.address);
+    const estimate = await owner.estimateGas(tx);
+    expect(await new TransactionManager(owner).simulate(tx)).to.equal((estimate * 120n) / 100n);
+    expect(await ethers.provider.getTransactionCount(owner.address, 'pending')).to.equal(nonce);
+  });
+});
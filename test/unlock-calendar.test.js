@@ -0,0 +1,168 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const { computeVestedAmount } = require('../scripts/helpers/vestingMath');
+const {
+  UNASSIGNED,
+  ADDITIONAL_MINTING,
+  readSchedules,
+  readAllocations,
+  buildUnlockCalendar,
+  formatJson,
+  formatCsv,
+  formatMarkdown,
+} = require('../scripts/helpers/unlockCalendar');
+
+describe('Unlock calendar', function () {
+  const DAY = 24 * 60 * 60;
+  const utc = (year, month, day = 1) => Date.UTC(year, month, day) / 1000;
+
+  // Start of the report: January 2030
+  const FROM = BigInt(utc(2030, 0));
+  // The contract enforces the cliff at start + start + cliff: pick the cliff so that lands mid-March 2031
+  const CLIFF_START = 1000000;
+  const CLIFF = utc(2031, 2, 15) - 2 * CLIFF_START;
+  // Linear from the epoch to January 2032, in daily slices
+  const LINEAR_END = utc(2032, 0);
+
+  async function deployFixture() {
+    const [, founder, advisor, other] = await ethers.getSigners();
+
+    const { token } = await deployTokenFixture();
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(await vesting.getAddress(), ethers.parseUnits('10000000', 6));
+
+    await vesting.createVestingSchedule(
+      founder.address,
+      CLIFF_START,
+      CLIFF,
+      CLIFF,
+      CLIFF,
+      false,
+      ethers.parseUnits('1000000', 6)
+    );
+    await vesting.createVestingSchedule(
+      advisor.address,
+      0,
+      0,
+      LINEAR_END,
+      DAY,
+      true,
+      ethers.parseUnits('2000000', 6)
+    );
+    await vesting.createVestingSchedule(other.address, 0, 0, DAY, DAY, true, 5000000n);
+    await token.mint(other.address, ethers.parseUnits('1000', 6));
+
+    const id = holder => vesting.getVestingScheduleIdAtHolderIndex(holder, 0);
+    const categories = {
+      [await id(founder.address)]: 'FOUNDER',
+      [await id(advisor.address)]: 'ADVISORS',
+    };
+
+    const schedules = await readSchedules(vesting);
+    const supply = await readAllocations(token);
+    return { token, vesting, schedules, supply, categories };
+  }
+
+  it('should read every schedule and the token allocations', async function () {
+    const { token, schedules, supply } = await loadFixture(deployFixture);
+
+    expect(schedules).to.have.lengthOf(3);
+    expect(supply.allocations.map(allocation => allocation.allocationType)).to.include.members([
+      'FOUNDER',
+      'ADVISORS',
+      'AIRDROPS',
+    ]);
+    const allocated = supply.allocations.reduce((acc, allocation) => acc + allocation.amount, 0n);
+    expect(allocated).to.equal(supply.initialSupply);
+    expect(supply.totalSupply).to.equal(await token.totalSupply());
+  });
+
+  it('should unlock a cliff schedule in the month the contract enforces', async function () {
+    const { schedules, supply, categories } = await loadFixture(deployFixture);
+    const calendar = buildUnlockCalendar({ schedules, supply, categories }, { from: FROM });
+    const row = month => calendar.rows.find(item => item.month === month);
+    const amount = ethers.parseUnits('1000000', 6);
+
+    expect(row('2031-02').unlocked.FOUNDER).to.equal(0n);
+    expect(row('2031-02').locked.FOUNDER).to.equal(amount);
+    expect(row('2031-03').unlocked.FOUNDER).to.equal(amount);
+    expect(row('2031-03').locked.FOUNDER).to.equal(0n);
+  });
+
+  it('should replay the contract math month by month until everything is unlocked', async function () {
+    const { schedules, supply, categories } = await loadFixture(deployFixture);
+    const calendar = buildUnlockCalendar({ schedules, supply, categories }, { from: FROM });
+    const advisorSchedule = schedules.find(
+      schedule => categories[schedule.scheduleId] === 'ADVISORS'
+    );
+
+    // Runs until the linear schedule ends in January 2032
+    expect(calendar.rows[0].month).to.equal('2030-01');
+    expect(calendar.rows[calendar.rows.length - 1].month).to.equal('2032-01');
+    expect(calendar.rows[calendar.rows.length - 1].totals.locked).to.equal(0n);
+
+    for (const row of calendar.rows) {
+      const monthStart = BigInt(Date.parse(`${row.month}-01T00:00:00Z`) / 1000);
+      const monthEnd = BigInt(
+        Date.UTC(Number(row.month.slice(0, 4)), Number(row.month.slice(5)), 1) / 1000
+      );
+      expect(row.locked.ADVISORS).to.equal(
+        advisorSchedule.amountTotal - computeVestedAmount(advisorSchedule, monthEnd - 1n)
+      );
+      expect(row.unlocked.ADVISORS).to.equal(
+        computeVestedAmount(advisorSchedule, monthEnd - 1n) -
+          computeVestedAmount(advisorSchedule, monthStart - 1n)
+      );
+      expect(row.circulating.ADVISORS).to.equal(
+        supply.allocations.find(a => a.allocationType === 'ADVISORS').amount - row.locked.ADVISORS
+      );
+      expect(row.totals.circulating).to.equal(supply.totalSupply - row.totals.locked);
+    }
+  });
+
+  it('should report unassigned schedules and additional minting', async function () {
+    const { schedules, supply, categories } = await loadFixture(deployFixture);
+    const calendar = buildUnlockCalendar(
+      { schedules, supply, categories },
+      { from: FROM, months: 2 }
+    );
+    const names = calendar.categories.map(row => row.category);
+
+    expect(calendar.rows).to.have.lengthOf(2);
+    expect(names).to.include.members([UNASSIGNED, ADDITIONAL_MINTING]);
+    expect(calendar.categories.find(row => row.category === UNASSIGNED).scheduled).to.equal(
+      5000000n
+    );
+    expect(
+      calendar.categories.find(row => row.category === ADDITIONAL_MINTING).allocation
+    ).to.equal(ethers.parseUnits('1000', 6));
+    expect(() =>
+      buildUnlockCalendar({ schedules, supply, categories }, { from: FROM, months: 0 })
+    ).to.throw('Months must be between');
+  });
+
+  it('should format the calendar as CSV, JSON and Markdown', async function () {
+    const { schedules, supply, categories } = await loadFixture(deployFixture);
+    const calendar = buildUnlockCalendar(
+      { schedules, supply, categories },
+      { from: FROM, months: 3 }
+    );
+
+    const csv = formatCsv(calendar).trim().split('\n');
+    expect(csv[0]).to.equal('month,category,unlocked,locked,circulating');
+    expect(csv).to.have.lengthOf(1 + 3 * (calendar.categories.length + 1));
+    expect(csv[calendar.categories.length + 1]).to.match(/^2030-01,TOTAL,/);
+
+    const json = JSON.parse(formatJson(calendar, { network: 'hardhat' }));
+    expect(json.network).to.equal('hardhat');
+    expect(json.rows[0].totals.locked).to.equal(calendar.rows[0].totals.locked.toString());
+
+    const markdown = formatMarkdown(calendar);
+    expect(markdown).to.contain('## Monthly unlocks');
+    expect(markdown).to.contain('## Circulating vs locked supply (end of month)');
+    expect(markdown).to.match(/\| 2030-03 \|/);
+  });
+});
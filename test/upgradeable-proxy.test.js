@@ -0,0 +1,198 @@
+const { expect } = require('chai');
+const { ethers, artifacts } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  deployUpgradeableStack,
+  getImplementationAddress,
+  getProxyAdminAddress,
+  prepareUpgrade,
+} = require('../scripts/helpers/proxyDeployer');
+const {
+  UPGRADEABLE_CONTRACTS,
+  getStorageLayout,
+  compareStorageLayouts,
+  checkUpgradeLayout,
+} = require('../scripts/helpers/storageLayout');
+const {
+  scheduleOperation,
+  findOperation,
+  executeOperation,
+} = require('../scripts/helpers/timelockOperations');
+
+describe('Upgradeable proxies', function () {
+  const DELAY = 2 * 24 * 60 * 60;
+
+  /**
+   * Deploys with ethers, like the zkSync Deployer does in the scripts
+   */
+  async function deploy(contractName, args) {
+    const contract = await ethers.deployContract(contractName, args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  async function deployFixture() {
+    const [deployer, beneficiary] = await ethers.getSigners();
+    const ReskaTimelock = await ethers.getContractFactory('ReskaTimelock');
+    const timelock = await ReskaTimelock.deploy(
+      DELAY,
+      [deployer.address],
+      [ethers.ZeroAddress],
+      ethers.ZeroAddress
+    );
+
+    const { proxyAdmin, token, vesting } = await deployUpgradeableStack(deploy, {
+      allocationAddresses: Array(8).fill(deployer.address),
+      timelock: await timelock.getAddress(),
+    });
+
+    return { timelock, proxyAdmin, token, vesting, deployer, beneficiary };
+  }
+
+  it('should deploy the token and vesting behind proxies administered by the timelock', async function () {
+    const { timelock, proxyAdmin, token, vesting, deployer } = await loadFixture(deployFixture);
+    const proxyAddress = await token.proxy.getAddress();
+
+    expect(await proxyAdmin.owner()).to.equal(await timelock.getAddress());
+    expect(await getProxyAdminAddress(ethers.provider, proxyAddress)).to.equal(
+      await proxyAdmin.getAddress()
+    );
+    expect(await getImplementationAddress(ethers.provider, proxyAddress)).to.equal(
+      await token.implementation.getAddress()
+    );
+
+    expect(await token.proxy.name()).to.equal('RESEARKA');
+    expect(await token.proxy.decimals()).to.equal(6);
+    expect(await token.proxy.totalSupply()).to.equal(ethers.parseUnits('1000000000', 6));
+    expect(await token.proxy.hasRole(await token.proxy.MINTER_ROLE(), deployer.address)).to.equal(
+      true
+    );
+    expect(await vesting.proxy.owner()).to.equal(deployer.address);
+    expect(await vesting.proxy.getToken()).to.equal(proxyAddress);
+
+    // Neither the proxies nor the bare implementations can be initialised again
+    await expect(token.proxy.initialize(...Array(8).fill(deployer.address))).to.be.revertedWith(
+      'Initializable: contract is already initialized'
+    );
+    await expect(vesting.implementation.initialize(proxyAddress)).to.be.revertedWith(
+      'Initializable: contract is already initialized'
+    );
+  });
+
+  it('should upgrade through a timelock operation and keep the proxy state', async function () {
+    const { timelock, proxyAdmin, token, vesting, beneficiary } = await loadFixture(deployFixture);
+    const proxyAddress = await vesting.proxy.getAddress();
+    const amount = ethers.parseUnits('1000', 6);
+    await token.proxy.transfer(proxyAddress, amount);
+    const start = (await time.latest()) + 100;
+    await vesting.proxy.createVestingSchedule(beneficiary.address, start, 0, 1000, 1, true, amount);
+
+    const { implementation, call } = await prepareUpgrade(deploy, {
+      artifacts,
+      proxyAdmin,
+      proxy: proxyAddress,
+      contractName: 'ReskaTokenVestingUpgradeable',
+    });
+    const { id } = await scheduleOperation(timelock, [call]);
+    await time.increase(DELAY);
+    await executeOperation(timelock, await findOperation(timelock, id));
+
+    expect(await getImplementationAddress(ethers.provider, proxyAddress)).to.equal(
+      await implementation.getAddress()
+    );
+    expect(await vesting.proxy.getToken()).to.equal(await token.proxy.getAddress());
+    expect(await vesting.proxy.getVestingSchedulesTotalAmount()).to.equal(amount);
+    const scheduleId = await vesting.proxy.computeVestingScheduleIdForAddressAndIndex(
+      beneficiary.address,
+      0
+    );
+    expect((await vesting.proxy.getVestingSchedule(scheduleId)).beneficiary).to.equal(
+      beneficiary.address
+    );
+  });
+
+  it('should keep the compiled layouts compatible with the committed ones', async function () {
+    for (const contractName of UPGRADEABLE_CONTRACTS) {
+      const { ok, findings } = await checkUpgradeLayout(artifacts, contractName);
+      expect(
+        findings.filter(f => f.severity === 'error'),
+        contractName
+      ).to.deep.equal([]);
+      expect(ok).to.equal(true);
+    }
+  });
+
+  it('should block an upgrade whose storage layout collides', async function () {
+    const { proxyAdmin, token } = await loadFixture(deployFixture);
+    let deployed = 0;
+    const countingDeploy = (...args) => {
+      deployed++;
+      return deploy(...args);
+    };
+
+    // Pointing the token proxy at the vesting implementation
+    let error;
+    try {
+      await prepareUpgrade(countingDeploy, {
+        artifacts,
+        proxyAdmin,
+        proxy: await token.proxy.getAddress(),
+        contractName: 'ReskaTokenVestingUpgradeable',
+        previous: await getStorageLayout(artifacts, 'ReskaTokenUpgradeable'),
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain('is incompatible with the deployed implementation');
+    expect(error?.message).to.contain(
+      '_balances (slot 51) changed from mapping(address => uint256) to address'
+    );
+    expect(deployed).to.equal(0);
+  });
+
+  it('should allow appending and using the gap but not inserting or retyping', async function () {
+    const previous = await getStorageLayout(artifacts, 'ReskaTokenVestingUpgradeable');
+    const gap = previous.storage[previous.storage.length - 1];
+    const errors = next =>
+      compareStorageLayouts(previous, next)
+        .filter(f => f.severity === 'error')
+        .map(f => f.code);
+    const withStorage = storage => ({ ...previous, storage });
+
+    // A new variable taken out of the gap, which shrinks by one slot
+    const types = { ...previous.types, 'uint256[40]': { encoding: 'inplace', bytes: 1280 } };
+    const appended = [
+      ...previous.storage.slice(0, -1),
+      { label: 'newVariable', slot: gap.slot, offset: 0, type: 'uint256' },
+      { label: '__gap', slot: gap.slot + 1, offset: 0, type: 'uint256[40]' },
+    ];
+    expect(errors({ ...previous, storage: appended, types })).to.deep.equal([]);
+
+    // The same variable inserted before the existing ones shifts them all
+    const inserted = previous.storage.map(item =>
+      item.slot >= 151 ? { ...item, slot: item.slot + 1 } : item
+    );
+    inserted.push({ label: 'newVariable', slot: 151, offset: 0, type: 'uint256' });
+    expect(errors(withStorage(inserted))).to.include('variable-retyped');
+
+    const retyped = previous.storage.map(item =>
+      item.label === 'vestingSchedulesTotalAmount' ? { ...item, type: 'uint128' } : item
+    );
+    expect(errors(withStorage(retyped))).to.deep.equal(['variable-retyped']);
+
+    // Schedules live in a mapping, so VestingSchedule may gain members but not lose them
+    const schedule = previous.types['struct VestingSchedule'];
+    const grown = {
+      ...schedule,
+      bytes: schedule.bytes + 32,
+      members: [...schedule.members, { label: 'extra', slot: 8, offset: 0, type: 'uint256' }],
+    };
+    const shrunk = { ...schedule, members: schedule.members.slice(1) };
+    const withSchedule = type => ({
+      ...previous,
+      types: { ...previous.types, 'struct VestingSchedule': type },
+    });
+    expect(errors(withSchedule(grown))).to.deep.equal([]);
+    expect(errors(withSchedule(shrunk))).to.deep.equal(['member-removed']);
+  });
+});
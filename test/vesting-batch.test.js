@@ -0,0 +1,328 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers, network } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const { openJournal } = require('../scripts/helpers/deploymentJournal');
+const {
+  parseRecipientsCsv,
+  chunkRecipients,
+  computeBatchSize,
+  createScheduleBatches,
+} = require('../scripts/helpers/vestingBatcher');
+
+describe('Batch vesting schedules', function () {
+  const DECIMALS = 6;
+  const START = 1000;
+  const CLIFF = 365 * 24 * 60 * 60;
+  const DURATION = 2 * CLIFF;
+  const SLICE = 30 * 24 * 60 * 60;
+  const SCHEDULE = {
+    startTime: START,
+    cliffPeriod: CLIFF,
+    duration: DURATION,
+    slicePeriod: SLICE,
+    revocable: true,
+  };
+
+  async function deployFixture() {
+    const [owner, other] = await ethers.getSigners();
+
+    const { token } = await deployTokenFixture();
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+
+    // Deterministic recipients that are not signers
+    const recipients = Array.from({ length: 7 }, (_, i) => ({
+      line: i + 2,
+      address: ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(0x1000 + i), 20)),
+      amount: ethers.parseUnits(String(100 * (i + 1)), DECIMALS),
+    }));
+
+    return { token, vesting, owner, other, recipients };
+  }
+
+  describe('createVestingSchedules', function () {
+    it('should create one schedule per beneficiary with the shared parameters', async function () {
+      const { token, vesting, recipients } = await loadFixture(deployFixture);
+      const batch = recipients.slice(0, 3);
+      const total = batch.reduce((acc, recipient) => acc + recipient.amount, 0n);
+      await token.transfer(await vesting.getAddress(), total);
+
+      const tx = vesting.createVestingSchedules(
+        batch.map(recipient => recipient.address),
+        batch.map(recipient => recipient.amount),
+        START,
+        CLIFF,
+        DURATION,
+        SLICE,
+        true
+      );
+      const id = await vesting.computeVestingScheduleIdForAddressAndIndex(batch[2].address, 0);
+      await expect(tx)
+        .to.emit(vesting, 'VestingScheduleCreated')
+        .withArgs(id, batch[2].address, batch[2].amount, START, CLIFF, DURATION, SLICE);
+
+      expect(await vesting.getVestingSchedulesCount()).to.equal(3);
+      expect(await vesting.getVestingSchedulesTotalAmount()).to.equal(total);
+
+      const schedule = await vesting.getVestingSchedule(id);
+      expect(schedule.beneficiary).to.equal(batch[2].address);
+      expect(schedule.amountTotal).to.equal(batch[2].amount);
+      expect(schedule.cliff).to.equal(START + CLIFF);
+      expect(schedule.revocable).to.equal(true);
+    });
+
+    it('should reject mismatched, empty and invalid batches', async function () {
+      const { token, vesting, recipients } = await loadFixture(deployFixture);
+      await token.transfer(await vesting.getAddress(), ethers.parseUnits('10000', DECIMALS));
+      const [a, b] = recipients;
+
+      await expect(
+        vesting.createVestingSchedules(
+          [a.address, b.address],
+          [a.amount],
+          START,
+          CLIFF,
+          DURATION,
+          SLICE,
+          true
+        )
+      ).to.be.revertedWithCustomError(vesting, 'ArrayLengthMismatch');
+      await expect(
+        vesting.createVestingSchedules([], [], START, CLIFF, DURATION, SLICE, true)
+      ).to.be.revertedWithCustomError(vesting, 'EmptyBatch');
+      await expect(
+        vesting.createVestingSchedules(
+          [a.address, b.address],
+          [a.amount, 0],
+          START,
+          CLIFF,
+          DURATION,
+          SLICE,
+          true
+        )
+      ).to.be.revertedWithCustomError(vesting, 'AmountMustBePositive');
+      await expect(
+        vesting.createVestingSchedules([a.address], [a.amount], START, DURATION, CLIFF, SLICE, true)
+      ).to.be.revertedWithCustomError(vesting, 'DurationTooShort');
+    });
+
+    it('should revert the whole batch when the contract is underfunded', async function () {
+      const { token, vesting, recipients } = await loadFixture(deployFixture);
+      const [a, b] = recipients;
+      await token.transfer(await vesting.getAddress(), a.amount);
+
+      await expect(
+        vesting.createVestingSchedules(
+          [a.address, b.address],
+          [a.amount, b.amount],
+          START,
+          CLIFF,
+          DURATION,
+          SLICE,
+          true
+        )
+      ).to.be.revertedWithCustomError(vesting, 'InsufficientContractBalance');
+      expect(await vesting.getVestingSchedulesCount()).to.equal(0);
+    });
+
+    it('should only allow the owner to create batches', async function () {
+      const { vesting, other, recipients } = await loadFixture(deployFixture);
+      const [a] = recipients;
+
+      await expect(
+        vesting
+          .connect(other)
+          .createVestingSchedules([a.address], [a.amount], START, CLIFF, DURATION, SLICE, true)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+    });
+  });
+
+  describe('vestingBatcher', function () {
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-batch-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should parse a recipient CSV and report every bad row', function () {
+      const a = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+      const b = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+      const recipients = parseRecipientsCsv(
+        `address,amount\n# comment\n${a.toLowerCase()},1500\n\n${b}, 0.25\n`,
+        DECIMALS
+      );
+      expect(recipients).to.deep.equal([
+        { line: 3, address: a, amount: 1500000000n },
+        { line: 5, address: b, amount: 250000n },
+      ]);
+
+      expect(() =>
+        parseRecipientsCsv(`${a},10\n0x1234,10\n${b},0\n${a},5\n${b}\n`, DECIMALS)
+      ).to.throw(
+        'line 2: invalid address 0x1234\n- line 3: amount must be positive\n' +
+          `- line 4: duplicate address ${a} (first seen on line 1)\n- line 5: expected "address,amount"`
+      );
+      expect(() => parseRecipientsCsv('address,amount\n', DECIMALS)).to.throw(
+        'does not contain any'
+      );
+    });
+
+    it('should chunk recipients into stable batches', async function () {
+      const { recipients } = await loadFixture(deployFixture);
+      const batches = chunkRecipients(recipients, 3);
+
+      expect(batches.map(batch => batch.recipients.length)).to.deep.equal([3, 3, 1]);
+      expect(batches[2].total).to.equal(recipients[6].amount);
+      expect(chunkRecipients(recipients, 3)[1].hash).to.equal(batches[1].hash);
+      expect(() => chunkRecipients(recipients, 0)).to.throw('Invalid batch size');
+    });
+
+    it('should size batches to fit the gas budget', async function () {
+      const { token, vesting, recipients } = await loadFixture(deployFixture);
+      await token.transfer(await vesting.getAddress(), ethers.parseUnits('10000', DECIMALS));
+
+      const { batchSize, baseGas, gasPerSchedule } = await computeBatchSize(
+        vesting,
+        recipients,
+        SCHEDULE,
+        { gasBudget: 700000n }
+      );
+      expect(batchSize).to.equal(Number((700000n - baseGas) / gasPerSchedule));
+      expect(batchSize).to.be.within(2, 6);
+
+      let error;
+      try {
+        await computeBatchSize(vesting, recipients, SCHEDULE, { gasBudget: 50000n });
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.contain('above the gas budget');
+    });
+
+    it('should fund the contract and create every schedule in batches', async function () {
+      const { token, vesting, owner, recipients } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const total = recipients.reduce((acc, recipient) => acc + recipient.amount, 0n);
+
+      const summary = await createScheduleBatches(
+        { token, vesting, wallet: owner },
+        recipients,
+        SCHEDULE,
+        {
+          journal,
+          batchSize: 3,
+        }
+      );
+
+      expect(summary.created).to.equal(7);
+      expect(summary.batches).to.have.lengthOf(3);
+      expect(await vesting.getVestingSchedulesCount()).to.equal(7);
+      expect(await token.balanceOf(await vesting.getAddress())).to.equal(total);
+      expect(journal.getAction('batch:2')).to.include({ status: 'completed', size: 1 });
+    });
+
+    it('should resume after a partial failure without creating schedules twice', async function () {
+      const { token, vesting, owner, recipients } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const contracts = { token, vesting, wallet: owner };
+
+      // The second batch is mined, but the process dies before its receipt is recorded
+      let error;
+      try {
+        await createScheduleBatches(contracts, recipients, SCHEDULE, {
+          journal,
+          batchSize: 3,
+          onSubmitted: batch => {
+            if (batch.index === 1) throw new Error('connection lost');
+          },
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.equal('connection lost');
+      expect(await vesting.getVestingSchedulesCount()).to.equal(6);
+      expect(journal.getAction('batch:1').status).to.equal('pending');
+
+      // The batch size recorded by the first run wins over the one passed on resume
+      const summary = await createScheduleBatches(contracts, recipients, SCHEDULE, {
+        journal,
+        batchSize: 5,
+      });
+
+      expect(summary).to.include({ batchSize: 3, created: 1, skipped: 6 });
+      expect(await vesting.getVestingSchedulesCount()).to.equal(7);
+      for (const recipient of recipients) {
+        expect(await vesting.getVestingSchedulesCountByHolder(recipient.address)).to.equal(1);
+      }
+      expect(journal.getAction('batch:1').status).to.equal('completed');
+    });
+
+    it('should send a batch again when its transaction was dropped', async function () {
+      const { token, vesting, owner, recipients } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const contracts = { token, vesting, wallet: owner };
+
+      // The second batch is broadcast but never mined, and the process dies
+      let error;
+      try {
+        await createScheduleBatches(contracts, recipients, SCHEDULE, {
+          journal,
+          batchSize: 3,
+          onSubmitted: async batch => {
+            if (batch.index === 0) {
+              await network.provider.send('evm_setAutomine', [false]);
+            } else {
+              throw new Error('connection lost');
+            }
+          },
+        });
+      } catch (e) {
+        error = e;
+      } finally {
+        await network.provider.send('evm_setAutomine', [true]);
+      }
+      expect(error?.message).to.equal('connection lost');
+      const dropped = journal.getAction('batch:1').txHash;
+      await network.provider.send('hardhat_dropTransaction', [dropped]);
+
+      const summary = await createScheduleBatches(contracts, recipients, SCHEDULE, { journal });
+
+      expect(summary).to.include({ created: 4, skipped: 3 });
+      expect(await vesting.getVestingSchedulesCount()).to.equal(7);
+      for (const recipient of recipients) {
+        expect(await vesting.getVestingSchedulesCountByHolder(recipient.address)).to.equal(1);
+      }
+      const entry = journal.getAction('batch:1');
+      expect(entry.status).to.equal('completed');
+      expect((await ethers.provider.getTransactionReceipt(entry.txHash)).status).to.equal(1);
+    });
+
+    it('should refuse to resume with a different recipient list', async function () {
+      const { token, vesting, owner, recipients } = await loadFixture(deployFixture);
+      const journal = openJournal(path.join(tmpDir, 'journal.json'), { network: 'hardhat' });
+      const contracts = { token, vesting, wallet: owner };
+
+      await createScheduleBatches(contracts, recipients.slice(0, 3), SCHEDULE, {
+        journal,
+        batchSize: 3,
+      });
+
+      let error;
+      try {
+        await createScheduleBatches(contracts, recipients, SCHEDULE, { journal, batchSize: 3 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.contain('recipient list differs');
+    });
+  });
+});
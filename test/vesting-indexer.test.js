@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers, network } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const {
+  UNCATEGORIZED,
+  loadScheduleCategories,
+  openIndex,
+  syncIndex,
+} = require('../scripts/helpers/vestingIndexer');
+
+describe('Vesting indexer', function () {
+  const DAY = 24 * 60 * 60;
+  const YEAR = 365 * DAY;
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reska-index-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [owner, founder, advisor, multisig, alice, bob] = await ethers.getSigners();
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const { token } = await deployTokenFixture();
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(await vesting.getAddress(), 10000000000n);
+
+    // Start at 0 so the enforced cliff (start + start + cliff) equals the nominal one
+    await vesting.createVestingSchedule(founder.address, 0, 0, YEAR, DAY, false, 1000000000n);
+    await vesting.createVestingSchedule(advisor.address, 0, 0, YEAR, DAY, true, 2000000000n);
+    const batchTx = await vesting.createVestingSchedules(
+      [alice.address, bob.address],
+      [300000000n, 400000000n],
+      0,
+      0,
+      YEAR,
+      DAY,
+      true
+    );
+
+    const id = (holder, index = 0) => vesting.getVestingScheduleIdAtHolderIndex(holder, index);
+    const founderId = await id(founder.address);
+    const categories = loadScheduleCategories({
+      vesting: {
+        founder: { schedules: [{ scheduleId: founderId }] },
+        airdropBatches: { batches: [{ index: 0, size: 2, txHash: batchTx.hash }] },
+      },
+    });
+
+    return {
+      token,
+      vesting,
+      owner,
+      founder,
+      advisor,
+      multisig,
+      alice,
+      bob,
+      fromBlock,
+      categories,
+      founderId,
+      advisorId: await id(advisor.address),
+      aliceId: await id(alice.address),
+    };
+  }
+
+  /**
+   * Opens an index for the fixture contracts in the temporary directory
+   */
+  async function openFixtureIndex({ token, vesting, fromBlock }) {
+    return openIndex(path.join(tmpDir, 'index.json'), {
+      chainId: network.config.chainId,
+      vesting: await vesting.getAddress(),
+      token: await token.getAddress(),
+      fromBlock,
+    });
+  }
+
+  it('should rebuild schedules, allocations and categories from events', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { token, vesting, founder, alice, categories, founderId, aliceId } = fixture;
+    const index = await openFixtureIndex(fixture);
+
+    const result = await syncIndex(index, { token, vesting }, { categories });
+
+    expect(result.fromBlock).to.equal(fixture.fromBlock);
+    expect(index.getLastBlock()).to.equal(await ethers.provider.getBlockNumber());
+
+    const [founderSchedule] = index.getSchedulesForHolder(founder.address);
+    expect(founderSchedule).to.include({
+      scheduleId: founderId,
+      amount: '1000000000',
+      released: '0',
+      category: 'founder',
+      revoked: false,
+    });
+    expect(index.getSchedulesForHolder(alice.address)[0]).to.include({
+      scheduleId: aliceId,
+      category: 'airdrop',
+    });
+
+    const summary = index.getSummary();
+    expect(summary.categories[UNCATEGORIZED].schedules).to.equal(1);
+    expect(summary.allocated).to.equal((await token.totalSupply()).toString());
+    expect(summary.minted).to.equal('0');
+  });
+
+  it('should resync incrementally and track releases, revocations and transfers', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { token, vesting, owner, founder, advisor, multisig, categories } = fixture;
+    const index = await openFixtureIndex(fixture);
+
+    await syncIndex(index, { token, vesting }, { categories });
+    const firstSync = index.getLastBlock();
+
+    await vesting.connect(founder).release(fixture.founderId);
+    await time.increase(40 * DAY);
+    await vesting.releaseAll(advisor.address);
+    await vesting.connect(fixture.alice).transferVestingSchedule(fixture.aliceId, multisig.address);
+    await vesting.revoke(fixture.aliceId);
+    await token.mint(owner.address, 5000000n);
+
+    // Small ranges exercise the chunked scan
+    const result = await syncIndex(index, { token, vesting }, { categories, blockRange: 2 });
+    expect(result.fromBlock).to.equal(firstSync + 1);
+    expect(result.events).to.equal(5);
+
+    expect(index.getSchedule(fixture.founderId).released).to.equal('1000000000');
+    expect(index.getSchedule(fixture.advisorId).released).to.equal('2000000000');
+    expect(index.getSchedulesForHolder(fixture.alice.address)).to.deep.equal([]);
+
+    const [moved] = index.getSchedulesForHolder(multisig.address);
+    expect(moved).to.include({ scheduleId: fixture.aliceId, revoked: true });
+    expect(moved.transfers[0]).to.include({ from: fixture.alice.address, to: multisig.address });
+    expect(index.getSummary().minted).to.equal('5000000');
+
+    // Nothing new: a second sync is a no-op
+    expect((await syncIndex(index, { token, vesting }, { categories })).events).to.equal(0);
+    expect(index.getSchedule(fixture.founderId).released).to.equal('1000000000');
+  });
+
+  it('should sum releases per category and period', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { token, vesting, founder, advisor, alice, bob, categories } = fixture;
+
+    await vesting.connect(founder).release(fixture.founderId);
+    await vesting.connect(alice).release(fixture.aliceId);
+    await time.increase(40 * DAY);
+    await vesting.releaseAll(advisor.address);
+    await vesting.releaseAll(bob.address);
+
+    const index = await openFixtureIndex(fixture);
+    await syncIndex(index, { token, vesting }, { categories });
+
+    // 40 days apart, the two rounds of releases always land in different months
+    const rows = index.getReleasedByCategory({ interval: 'month' });
+    expect(rows.map(row => row.category)).to.deep.equal([
+      'airdrop',
+      'founder',
+      'airdrop',
+      UNCATEGORIZED,
+    ]);
+    expect(rows[0].period < rows[2].period).to.equal(true);
+    expect(rows[2]).to.include({ released: '400000000', cumulative: '700000000' });
+
+    const yearly = index.getReleasedByCategory({ interval: 'year' });
+    const total = yearly.reduce((acc, row) => acc + BigInt(row.released), 0n);
+    expect(total).to.equal(3700000000n);
+    expect(() => index.getReleasedByCategory({ interval: 'week' })).to.throw('Unknown interval');
+  });
+
+  it('should pick up categories recorded after a schedule was indexed', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { token, vesting, advisor, advisorId } = fixture;
+    const index = await openFixtureIndex(fixture);
+
+    await vesting.releaseAll(advisor.address);
+    await syncIndex(index, { token, vesting });
+    expect(index.getSchedule(advisorId).category).to.equal(UNCATEGORIZED);
+
+    const categories = loadScheduleCategories({
+      vesting: { advisor: { schedules: [{ scheduleId: advisorId }] } },
+    });
+    await syncIndex(index, { token, vesting }, { categories });
+    expect(index.getSchedule(advisorId).category).to.equal('advisor');
+    expect(index.getReleasedByCategory()[0].category).to.equal('advisor');
+  });
+
+  it('should refuse an index built for other contracts', async function () {
+    const fixture = await loadFixture(deployFixture);
+    await openFixtureIndex(fixture);
+
+    expect(() =>
+      openIndex(path.join(tmpDir, 'index.json'), {
+        chainId: network.config.chainId,
+        vesting: fixture.owner.address,
+        token: fixture.owner.address,
+      })
+    ).to.throw('was built for other contracts');
+  });
+});
@@ -0,0 +1,210 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const fc = require('fast-check');
+const {
+  MAX_UINT256,
+  toStoredSchedule,
+  getEnforcedCliffTime,
+  getFullyVestedTime,
+  computeVestedAmount,
+  computeReleasableAmount,
+  computeRevocation,
+  computeNextUnlock,
+} = require('../scripts/helpers/vestingMath');
+
+describe('Vesting math', function () {
+  const DAY = 24 * 60 * 60;
+  const YEAR = 365 * DAY;
+
+  async function deployFixture() {
+    const [owner, beneficiary] = await ethers.getSigners();
+
+    const { token } = await deployTokenFixture();
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(await vesting.getAddress(), ethers.parseUnits('100000000', 6));
+
+    return { token, vesting, owner, beneficiary };
+  }
+
+  /**
+   * Reads a schedule in the shape vestingMath expects
+   */
+  async function readStored(vesting, scheduleId) {
+    const schedule = await vesting.getVestingSchedule(scheduleId);
+    return {
+      start: schedule.start,
+      cliff: schedule.cliff,
+      duration: schedule.duration,
+      slicePeriodSeconds: schedule.slicePeriodSeconds,
+      revocable: schedule.revocable,
+      amountTotal: schedule.amountTotal,
+      released: schedule.released,
+      revoked: schedule.revoked,
+    };
+  }
+
+  describe('computation', function () {
+    const schedule = toStoredSchedule({
+      start: 100,
+      cliff: 50,
+      duration: 1000,
+      slicePeriodSeconds: 100,
+      amount: 999,
+    });
+
+    it('should store the cliff as start + cliff and enforce it one start later', function () {
+      expect(schedule.cliff).to.equal(150n);
+      expect(getEnforcedCliffTime(schedule)).to.equal(250n);
+      expect(computeReleasableAmount(schedule, 249n)).to.equal(0n);
+      expect(computeReleasableAmount(schedule, 250n)).to.equal(99n);
+    });
+
+    it('should round down to whole slices like the contract', function () {
+      // 2 slices of 100s out of 1000s: 999 * 2 * 100 / 1000 = 199.8
+      expect(computeVestedAmount(schedule, 300n)).to.equal(199n);
+      expect(computeVestedAmount(schedule, 399n)).to.equal(199n);
+      expect(computeVestedAmount(schedule, 1099n)).to.equal(899n);
+      expect(computeVestedAmount(schedule, 1100n)).to.equal(999n);
+      expect(getFullyVestedTime(schedule)).to.equal(1100n);
+      expect(computeNextUnlock(schedule, 300n)).to.deep.equal({ time: 400n, amount: 100n });
+    });
+
+    it('should release the remainder once revoked or ended and never go negative', function () {
+      const released = { ...schedule, released: 500n };
+      expect(computeReleasableAmount(released, 300n)).to.equal(0n);
+      expect(computeReleasableAmount({ ...released, revoked: true }, 300n)).to.equal(499n);
+      expect(computeReleasableAmount(released, 5000n)).to.equal(499n);
+    });
+
+    it('should throw where the contract arithmetic would overflow', function () {
+      const huge = { ...schedule, amountTotal: MAX_UINT256 / 2n };
+      expect(() => computeReleasableAmount(huge, 300n)).to.throw('Arithmetic overflow');
+      expect(() =>
+        computeReleasableAmount({ ...schedule, released: schedule.amountTotal + 1n }, 5000n)
+      ).to.throw('Arithmetic overflow');
+    });
+  });
+
+  describe('differential fuzzing against ReskaTokenVesting', function () {
+    this.timeout(300000);
+
+    const scenario = fc.record({
+      amount: fc.bigInt(1n, ethers.parseUnits('1000000', 6)),
+      // Either a small absolute start (as most tests use) or one around the current time
+      epochStart: fc.boolean(),
+      start: fc.integer({ min: 0, max: 3 * YEAR }),
+      // How long vesting runs past the current time, and the cliff as a share of the duration
+      tail: fc.integer({ min: 1, max: 4 * YEAR }),
+      cliffShare: fc.integer({ min: 0, max: 100 }),
+      slicePeriod: fc.oneof(
+        fc.integer({ min: 1, max: DAY }),
+        fc.integer({ min: DAY, max: 2 * YEAR })
+      ),
+      revocable: fc.boolean(),
+      // Checkpoints as thousandths of the window up to full vesting, with an action each
+      steps: fc.array(
+        fc.record({
+          at: fc.integer({ min: 0, max: 1100 }),
+          action: fc.constantFrom('check', 'release', 'revoke'),
+        }),
+        { minLength: 1, maxLength: 5 }
+      ),
+    });
+
+    it('should match getReleasableAmount, release and revoke for random schedules', async function () {
+      await fc.assert(
+        fc.asyncProperty(scenario, async input => {
+          const { token, vesting, beneficiary } = await loadFixture(deployFixture);
+          const now = BigInt(await time.latest());
+
+          const start = input.epochStart
+            ? BigInt(input.start) / 3n
+            : now - BigInt(2 * YEAR) + BigInt(input.start);
+          // Long enough to still be vesting now, so linear vesting is exercised too
+          const duration = (now > start ? now - start : 0n) + BigInt(input.tail);
+          const cliff = (duration * BigInt(input.cliffShare)) / 100n;
+          const params = {
+            start,
+            cliff,
+            duration,
+            slicePeriodSeconds: BigInt(input.slicePeriod),
+            amount: input.amount,
+            revocable: input.revocable,
+          };
+
+          await vesting.createVestingSchedule(
+            beneficiary.address,
+            start,
+            cliff,
+            duration,
+            params.slicePeriodSeconds,
+            params.revocable,
+            params.amount
+          );
+          const scheduleId = await vesting.getVestingScheduleIdAtHolderIndex(
+            beneficiary.address,
+            0
+          );
+
+          let model = toStoredSchedule(params);
+          expect(await readStored(vesting, scheduleId)).to.deep.equal(model);
+
+          // Checkpoints spread over the schedule, plus the enforced cliff and end boundaries
+          const from = BigInt(await time.latest()) + 1n;
+          const window = getFullyVestedTime(model) > from ? getFullyVestedTime(model) - from : 1n;
+          const boundaries = [getEnforcedCliffTime(model), getFullyVestedTime(model)].flatMap(
+            boundary => [
+              { time: boundary - 1n, action: 'check' },
+              { time: boundary, action: 'check' },
+            ]
+          );
+          const steps = input.steps
+            .map(step => ({ time: from + (window * BigInt(step.at)) / 1000n, action: step.action }))
+            .concat(boundaries)
+            .sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+
+          for (const step of steps) {
+            const latest = BigInt(await time.latest());
+            const at = step.time > latest ? step.time : latest + 1n;
+
+            if (step.action === 'check') {
+              await time.increaseTo(at);
+              expect(await vesting.getReleasableAmount(scheduleId)).to.equal(
+                computeReleasableAmount(model, at)
+              );
+            } else if (step.action === 'release') {
+              const expected = model.revoked ? 0n : computeReleasableAmount(model, at);
+              await time.setNextBlockTimestamp(at);
+              const tx = vesting.connect(beneficiary).release(scheduleId);
+              if (model.revoked) {
+                await expect(tx).to.be.revertedWithCustomError(vesting, 'ScheduleAlreadyRevoked');
+              } else if (expected === 0n) {
+                await expect(tx).to.be.revertedWithCustomError(vesting, 'NoTokensToRelease');
+              } else {
+                await expect(tx)
+                  .to.emit(vesting, 'TokensReleased')
+                  .withArgs(scheduleId, beneficiary.address, expected);
+                model = { ...model, released: model.released + expected };
+              }
+            } else if (model.revocable && !model.revoked) {
+              const revocation = computeRevocation(model, at);
+              await time.setNextBlockTimestamp(at);
+              await expect(vesting.revoke(scheduleId)).to.changeTokenBalance(
+                token,
+                vesting,
+                -revocation.refund
+              );
+              model = revocation.schedule;
+            }
+
+            expect(await readStored(vesting, scheduleId)).to.deep.equal(model);
+          }
+        }),
+        { numRuns: 25 }
+      );
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const {
+  lintSchedule,
+  readAllocationAmounts,
+  validateCategories,
+} = require('../scripts/helpers/vestingPreflight');
+const { deployAllocationCategory } = require('../scripts/helpers/vestingDeployer');
+
+describe('Vesting pre-flight validation', function () {
+  const DAY = 24 * 60 * 60;
+  const YEAR = 365 * DAY;
+  const NOW = 1800000000;
+  const codes = findings => findings.map(finding => finding.code);
+
+  /**
+   * Builds a resolved founder category that tests can then break
+   */
+  function buildCategory(beneficiary, overrides = {}) {
+    return {
+      id: 'founder',
+      name: 'Founder',
+      allocationType: 'FOUNDER',
+      percentage: 10,
+      decimals: 6,
+      schedule: {
+        startTime: NOW,
+        cliffPeriod: YEAR,
+        duration: 2 * YEAR,
+        slicePeriod: 73 * DAY,
+        revocable: false,
+      },
+      beneficiaries: [
+        {
+          address: beneficiary,
+          immediateAmount: 0n,
+          amount: ethers.parseUnits('1000', 6),
+        },
+      ],
+      ...overrides,
+    };
+  }
+
+  describe('lintSchedule', function () {
+    it('should reject what the contract rejects and a start in the past', function () {
+      expect(
+        codes(lintSchedule({ startTime: NOW, cliffPeriod: 0, duration: 0, slicePeriod: 1 }))
+      ).to.deep.equal(['zero-period']);
+      // The old airdrop scripts: a 1-year cliff with duration 1
+      const findings = lintSchedule(
+        { startTime: NOW - DAY, cliffPeriod: YEAR, duration: 1, slicePeriod: 1 },
+        { now: NOW }
+      );
+      expect(codes(findings.filter(finding => finding.severity === 'error'))).to.deep.equal([
+        'duration-shorter-than-cliff',
+        'start-in-past',
+      ]);
+    });
+
+    it('should tolerate a "now" start resolved shortly before validation', function () {
+      const findings = lintSchedule(
+        { startTime: NOW - 60, cliffPeriod: 0, duration: YEAR, slicePeriod: YEAR },
+        { now: NOW }
+      );
+      expect(codes(findings)).to.not.include('start-in-past');
+    });
+
+    it('should warn about the enforced cliff, idle slices and uneven slices', function () {
+      const enforced = new Date((2 * NOW + YEAR) * 1000).toISOString();
+      const [twice] = lintSchedule(
+        { startTime: NOW, cliffPeriod: YEAR, duration: 2 * YEAR, slicePeriod: 73 * DAY },
+        { now: NOW }
+      );
+      expect(twice).to.include({ severity: 'warning', code: 'cliff-counted-twice' });
+      expect(twice.message).to.contain(enforced);
+
+      // Advisor-style "1-year cliff, then quarterly releases" with cliff == duration
+      expect(
+        codes(
+          lintSchedule(
+            { startTime: 0, cliffPeriod: YEAR, duration: YEAR, slicePeriod: 7884000 },
+            { now: 0 }
+          )
+        )
+      ).to.deep.equal(['cliff-covers-duration']);
+      expect(
+        codes(
+          lintSchedule(
+            { startTime: 0, cliffPeriod: 0, duration: YEAR, slicePeriod: 30 * DAY },
+            { now: 0 }
+          )
+        )
+      ).to.deep.equal(['slice-not-dividing-duration']);
+      expect(
+        codes(
+          lintSchedule(
+            { startTime: 0, cliffPeriod: 0, duration: DAY, slicePeriod: YEAR },
+            { now: 0 }
+          )
+        )
+      ).to.deep.equal(['slice-longer-than-duration']);
+    });
+  });
+
+  describe('on-chain allocations', function () {
+    async function deployFixture() {
+      const [owner, founder] = await ethers.getSigners();
+
+      const { token } = await deployTokenFixture();
+      const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+      const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+
+      return { token, vesting, owner, founder };
+    }
+
+    it('should flag categories that exceed their ReskaToken allocation', async function () {
+      const { token, founder } = await loadFixture(deployFixture);
+      const allocations = await readAllocationAmounts(token);
+      expect(allocations.FOUNDER).to.equal(ethers.parseUnits('100000000', 6));
+
+      const within = buildCategory(founder.address);
+      expect(validateCategories([within], { allocations, now: NOW }).errors).to.equal(0);
+
+      // Two categories drawing on the same allocation type are summed
+      const over = buildCategory(founder.address, {
+        id: 'founderExtra',
+        beneficiaries: [
+          {
+            address: founder.address,
+            immediateAmount: ethers.parseUnits('50000000', 6),
+            amount: ethers.parseUnits('50000000', 6),
+          },
+        ],
+      });
+      const report = validateCategories([within, over], { allocations, now: NOW });
+      expect(report.errors).to.equal(1);
+      expect(report.findings.find(finding => finding.code === 'exceeds-allocation')).to.include({
+        category: 'founder,founderExtra',
+      });
+    });
+
+    it('should refuse to deploy a category with errors unless forced', async function () {
+      const { token, vesting, owner, founder } = await loadFixture(deployFixture);
+      const contracts = { token, vesting, wallet: owner };
+      const category = buildCategory(founder.address);
+      category.schedule.startTime = 1000;
+
+      let error;
+      try {
+        await deployAllocationCategory(contracts, category);
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.contain('Pre-flight validation failed with 1 error(s)');
+      expect(await vesting.getVestingSchedulesCount()).to.equal(0);
+      expect(await token.balanceOf(await vesting.getAddress())).to.equal(0);
+
+      await deployAllocationCategory(contracts, category, { force: true });
+      expect(await vesting.getVestingSchedulesCountByHolder(founder.address)).to.equal(1);
+    });
+  });
+});
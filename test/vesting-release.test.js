@@ -0,0 +1,139 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const { getHolderSchedules, releaseAllSchedules } = require('../scripts/helpers/vestingStatus');
+
+describe('Vesting release on behalf', function () {
+  const DECIMALS = 6;
+  const MONTH = 30 * 24 * 60 * 60;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, holder, relayer, other] = await ethers.getSigners();
+
+    const { token } = await deployTokenFixture();
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(await vesting.getAddress(), ethers.parseUnits('10000', DECIMALS));
+
+    // Start at 0 so the enforced cliff (start + start + cliff) equals the nominal one
+    await vesting.createVestingSchedule(holder.address, 0, 0, YEAR, MONTH, true, 1000000000n);
+    await vesting.createVestingSchedule(holder.address, 0, 0, YEAR, MONTH, true, 2000000000n);
+    const now = await time.latest();
+    // Still behind its cliff
+    await vesting.createVestingSchedule(holder.address, now, YEAR, YEAR, YEAR, false, 3000000000n);
+
+    const scheduleIds = await Promise.all(
+      [0, 1, 2].map(index => vesting.getVestingScheduleIdAtHolderIndex(holder.address, index))
+    );
+
+    return { token, vesting, owner, holder, relayer, other, scheduleIds };
+  }
+
+  describe('release', function () {
+    it('should let the owner release and pay the beneficiary', async function () {
+      const { token, vesting, owner, holder, scheduleIds } = await loadFixture(deployFixture);
+      const before = await token.balanceOf(owner.address);
+
+      await expect(vesting.connect(owner).release(scheduleIds[0]))
+        .to.emit(vesting, 'TokensReleased')
+        .withArgs(scheduleIds[0], holder.address, 1000000000n);
+
+      expect(await token.balanceOf(holder.address)).to.equal(1000000000n);
+      expect(await token.balanceOf(owner.address)).to.equal(before);
+    });
+
+    it('should let a release operator release until it is removed', async function () {
+      const { token, vesting, holder, relayer, scheduleIds } = await loadFixture(deployFixture);
+
+      await expect(vesting.setReleaseOperator(relayer.address, true))
+        .to.emit(vesting, 'ReleaseOperatorUpdated')
+        .withArgs(relayer.address, true);
+      expect(await vesting.isReleaseOperator(relayer.address)).to.equal(true);
+
+      await vesting.connect(relayer).release(scheduleIds[0]);
+      expect(await token.balanceOf(holder.address)).to.equal(1000000000n);
+      expect(await token.balanceOf(relayer.address)).to.equal(0);
+
+      await vesting.setReleaseOperator(relayer.address, false);
+      await expect(vesting.connect(relayer).release(scheduleIds[1])).to.be.revertedWithCustomError(
+        vesting,
+        'NotBeneficiary'
+      );
+    });
+
+    it('should refuse other callers', async function () {
+      const { vesting, other, scheduleIds } = await loadFixture(deployFixture);
+      await expect(vesting.connect(other).release(scheduleIds[0])).to.be.revertedWithCustomError(
+        vesting,
+        'NotBeneficiary'
+      );
+    });
+  });
+
+  describe('setReleaseOperator', function () {
+    it('should only be callable by the owner with a non-zero operator', async function () {
+      const { vesting, relayer, other } = await loadFixture(deployFixture);
+
+      await expect(
+        vesting.connect(other).setReleaseOperator(relayer.address, true)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+      await expect(
+        vesting.setReleaseOperator(ethers.ZeroAddress, true)
+      ).to.be.revertedWithCustomError(vesting, 'ZeroAddress');
+    });
+  });
+
+  describe('releaseAll', function () {
+    it('should sweep every releasable schedule in one transfer', async function () {
+      const { token, vesting, holder, scheduleIds } = await loadFixture(deployFixture);
+
+      const tx = vesting.connect(holder).releaseAll(holder.address);
+      await expect(tx)
+        .to.emit(vesting, 'TokensReleased')
+        .withArgs(scheduleIds[0], holder.address, 1000000000n);
+      await expect(tx)
+        .to.emit(vesting, 'TokensReleased')
+        .withArgs(scheduleIds[1], holder.address, 2000000000n);
+      await expect(tx).to.changeTokenBalance(token, holder, 3000000000n);
+
+      // The schedule behind its cliff is untouched
+      const schedule = await vesting.getVestingSchedule(scheduleIds[2]);
+      expect(schedule.released).to.equal(0);
+    });
+
+    it('should skip revoked schedules and revert when nothing is releasable', async function () {
+      const { vesting, holder, relayer, other, scheduleIds } = await loadFixture(deployFixture);
+
+      await expect(vesting.connect(other).releaseAll(holder.address)).to.be.revertedWithCustomError(
+        vesting,
+        'NotBeneficiary'
+      );
+
+      await vesting.revoke(scheduleIds[0]);
+      await vesting.setReleaseOperator(relayer.address, true);
+      await expect(vesting.connect(relayer).releaseAll(holder.address))
+        .to.emit(vesting, 'TokensReleased')
+        .withArgs(scheduleIds[1], holder.address, 2000000000n);
+
+      await expect(
+        vesting.connect(relayer).releaseAll(holder.address)
+      ).to.be.revertedWithCustomError(vesting, 'NoTokensToRelease');
+    });
+
+    it('should be exposed by the status helper', async function () {
+      const { token, vesting, holder, relayer, scheduleIds } = await loadFixture(deployFixture);
+      await vesting.setReleaseOperator(relayer.address, true);
+
+      const released = await releaseAllSchedules(vesting.connect(relayer), holder.address);
+
+      expect(released.map(item => item.scheduleId)).to.deep.equal(scheduleIds.slice(0, 2));
+      expect(released.map(item => item.amount)).to.deep.equal([1000000000n, 2000000000n]);
+      expect(await token.balanceOf(holder.address)).to.equal(3000000000n);
+
+      const schedules = await getHolderSchedules(vesting, holder.address);
+      expect(schedules.map(schedule => schedule.releasable)).to.deep.equal([0n, 0n, 0n]);
+    });
+  });
+});
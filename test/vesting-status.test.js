@@ -0,0 +1,137 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const {
+  computeVestedAmount,
+  computeNextUnlock,
+  getHolderSchedules,
+  releaseSchedules,
+} = require('../scripts/helpers/vestingStatus');
+
+describe('Vesting status', function () {
+  const DECIMALS = 6;
+  const MONTH = 30 * 24 * 60 * 60;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, holder, other] = await ethers.getSigners();
+
+    const { token } = await deployTokenFixture();
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(await vesting.getAddress(), ethers.parseUnits('10000', DECIMALS));
+
+    // Start at 0 so the enforced cliff (start + start + cliff) equals the nominal one
+    await vesting.createVestingSchedule(holder.address, 0, 0, 2 * YEAR, MONTH, true, 1200000000n);
+    const now = await time.latest();
+    await vesting.createVestingSchedule(holder.address, now, YEAR, YEAR, YEAR, false, 3000000000n);
+
+    return { token, vesting, owner, holder, other, now };
+  }
+
+  describe('computeNextUnlock', function () {
+    const schedule = {
+      start: 1000n,
+      cliff: 3n * 100n,
+      duration: 1000n,
+      slicePeriodSeconds: 100n,
+      amountTotal: 1000n,
+      revoked: false,
+    };
+
+    it('should mirror the contract vesting curve', function () {
+      expect(computeVestedAmount(schedule, 1000n)).to.equal(0n);
+      expect(computeVestedAmount(schedule, 1299n)).to.equal(0n);
+      expect(computeVestedAmount(schedule, 1350n)).to.equal(300n);
+      expect(computeVestedAmount(schedule, 2000n)).to.equal(1000n);
+      // Like the contract, a revoked schedule only counts as fully vested after the cliff
+      expect(computeVestedAmount({ ...schedule, revoked: true }, 1000n)).to.equal(0n);
+      expect(computeVestedAmount({ ...schedule, revoked: true }, 1350n)).to.equal(1000n);
+    });
+
+    it('should project the cliff, the next slice and the end of vesting', function () {
+      expect(computeNextUnlock(schedule, 1100n)).to.deep.equal({ time: 1300n, amount: 300n });
+      expect(computeNextUnlock(schedule, 1300n)).to.deep.equal({ time: 1400n, amount: 100n });
+      expect(computeNextUnlock(schedule, 1999n)).to.deep.equal({ time: 2000n, amount: 100n });
+      expect(computeNextUnlock(schedule, 2000n)).to.equal(null);
+      expect(computeNextUnlock({ ...schedule, revoked: true }, 1100n)).to.equal(null);
+    });
+
+    it('should skip slices that do not unlock a whole unit', function () {
+      // 3 units over 10 slices: the vested amount only grows every few slices
+      const small = { ...schedule, cliff: 0n, amountTotal: 3n };
+      expect(computeNextUnlock(small, 1000n)).to.deep.equal({ time: 1400n, amount: 1n });
+      expect(computeNextUnlock(small, 1400n)).to.deep.equal({ time: 1700n, amount: 1n });
+    });
+  });
+
+  describe('getHolderSchedules', function () {
+    it('should list every schedule with amounts and the enforced cliff', async function () {
+      const { vesting, holder, now } = await loadFixture(deployFixture);
+      const schedules = await getHolderSchedules(vesting, holder.address);
+
+      expect(schedules).to.have.lengthOf(2);
+      expect(schedules[0].releasable).to.equal(1200000000n);
+      expect(schedules[0].nextUnlock).to.equal(null);
+
+      // The contract checks start + (start + cliff), so the cliff lies one start time later
+      const cliffTime = BigInt(2 * now + YEAR);
+      expect(schedules[1]).to.include({
+        index: 1,
+        total: 3000000000n,
+        released: 0n,
+        releasable: 0n,
+      });
+      expect(schedules[1].cliffTime).to.equal(cliffTime);
+      expect(schedules[1].nextUnlock).to.deep.equal({ time: cliffTime, amount: 3000000000n });
+
+      expect(await getHolderSchedules(vesting, ethers.ZeroAddress)).to.deep.equal([]);
+    });
+  });
+
+  describe('releaseSchedules', function () {
+    it('should release every releasable schedule', async function () {
+      const { token, vesting, holder } = await loadFixture(deployFixture);
+      const schedules = await getHolderSchedules(vesting, holder.address);
+
+      const released = await releaseSchedules(vesting.connect(holder), schedules);
+
+      expect(released).to.have.lengthOf(1);
+      expect(released[0].scheduleId).to.equal(schedules[0].scheduleId);
+      expect(await token.balanceOf(holder.address)).to.equal(1200000000n);
+
+      const after = await getHolderSchedules(vesting, holder.address);
+      expect(after[0]).to.include({ released: 1200000000n, releasable: 0n });
+    });
+
+    it('should release a single schedule and refuse one with nothing to release', async function () {
+      const { vesting, holder, other } = await loadFixture(deployFixture);
+      const schedules = await getHolderSchedules(vesting, holder.address);
+
+      let error;
+      try {
+        await releaseSchedules(vesting.connect(holder), schedules, {
+          scheduleId: schedules[1].scheduleId,
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.contain('has nothing to release');
+
+      // The transaction manager's simulation refuses the release before it is sent
+      error = undefined;
+      try {
+        await releaseSchedules(vesting.connect(other), schedules, {
+          scheduleId: schedules[0].scheduleId,
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.contain('would revert: ReskaTokenVesting.NotBeneficiary');
+      expect(await vesting.getReleasableAmount(schedules[0].scheduleId)).to.equal(
+        schedules[0].releasable
+      );
+    });
+  });
+});
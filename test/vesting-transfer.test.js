@@ -0,0 +1,204 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { deployTokenFixture } = require('./helpers/test-helpers');
+const {
+  getHolderSchedules,
+  transferSchedule,
+  settleScheduleTransfer,
+} = require('../scripts/helpers/vestingStatus');
+
+describe('Vesting schedule transfer', function () {
+  const DECIMALS = 6;
+  const MONTH = 30 * 24 * 60 * 60;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, advisor, multisig, other] = await ethers.getSigners();
+
+    const { token } = await deployTokenFixture();
+    const ReskaTokenVesting = await ethers.getContractFactory('ReskaTokenVesting');
+    const vesting = await ReskaTokenVesting.deploy(await token.getAddress());
+    await token.transfer(await vesting.getAddress(), ethers.parseUnits('10000', DECIMALS));
+
+    // Start at 0 so the enforced cliff (start + start + cliff) equals the nominal one
+    await vesting.createVestingSchedule(advisor.address, 0, 0, YEAR, MONTH, true, 1000000000n);
+    await vesting.createVestingSchedule(advisor.address, 0, 0, YEAR, MONTH, true, 2000000000n);
+    const scheduleIds = await Promise.all(
+      [0, 1].map(index => vesting.getVestingScheduleIdAtHolderIndex(advisor.address, index))
+    );
+
+    return { token, vesting, owner, advisor, multisig, other, scheduleIds };
+  }
+
+  describe('Without owner approval', function () {
+    it('should move the schedule between both holders lists', async function () {
+      const { vesting, advisor, multisig, scheduleIds } = await loadFixture(deployFixture);
+
+      await expect(
+        vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], multisig.address)
+      )
+        .to.emit(vesting, 'VestingScheduleTransferred')
+        .withArgs(scheduleIds[0], advisor.address, multisig.address);
+
+      expect(await vesting.getVestingSchedulesCountByHolder(advisor.address)).to.equal(1);
+      expect(await vesting.getVestingScheduleIdAtHolderIndex(advisor.address, 0)).to.equal(
+        scheduleIds[1]
+      );
+      expect(await vesting.getVestingSchedulesCountByHolder(multisig.address)).to.equal(1);
+      expect(await vesting.getVestingScheduleIdAtHolderIndex(multisig.address, 0)).to.equal(
+        scheduleIds[0]
+      );
+      expect((await vesting.getVestingSchedule(scheduleIds[0])).beneficiary).to.equal(
+        multisig.address
+      );
+    });
+
+    it('should pay releases to the new beneficiary only', async function () {
+      const { token, vesting, advisor, multisig, scheduleIds } = await loadFixture(deployFixture);
+      await vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], multisig.address);
+
+      await expect(vesting.connect(advisor).release(scheduleIds[0])).to.be.revertedWithCustomError(
+        vesting,
+        'NotBeneficiary'
+      );
+      await vesting.connect(multisig).release(scheduleIds[0]);
+      expect(await token.balanceOf(multisig.address)).to.equal(1000000000n);
+      expect(await token.balanceOf(advisor.address)).to.equal(0);
+    });
+
+    it('should not reuse the ID of a transferred schedule for new schedules', async function () {
+      const { vesting, advisor, multisig, scheduleIds } = await loadFixture(deployFixture);
+      await vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], multisig.address);
+
+      await vesting.createVestingSchedule(advisor.address, 0, 0, YEAR, MONTH, true, 500000000n);
+      await vesting.createVestingSchedule(multisig.address, 0, 0, YEAR, MONTH, true, 500000000n);
+
+      const advisorIds = [
+        await vesting.getVestingScheduleIdAtHolderIndex(advisor.address, 0),
+        await vesting.getVestingScheduleIdAtHolderIndex(advisor.address, 1),
+      ];
+      expect(advisorIds[1]).to.equal(
+        await vesting.computeVestingScheduleIdForAddressAndIndex(advisor.address, 2)
+      );
+      expect(advisorIds).to.not.include(scheduleIds[0]);
+      expect(await vesting.getVestingSchedulesCreatedByHolder(advisor.address)).to.equal(3);
+      expect(await vesting.getVestingSchedulesCountByHolder(advisor.address)).to.equal(2);
+      expect((await vesting.getVestingSchedule(scheduleIds[1])).amountTotal).to.equal(2000000000n);
+      expect(await vesting.getVestingSchedulesCountByHolder(multisig.address)).to.equal(2);
+    });
+
+    it('should reject invalid transfers', async function () {
+      const { vesting, advisor, multisig, other, scheduleIds } = await loadFixture(deployFixture);
+
+      await expect(
+        vesting.connect(other).transferVestingSchedule(scheduleIds[0], other.address)
+      ).to.be.revertedWithCustomError(vesting, 'NotBeneficiary');
+      // The owner cannot take a schedule away from its beneficiary
+      await expect(
+        vesting.transferVestingSchedule(scheduleIds[0], multisig.address)
+      ).to.be.revertedWithCustomError(vesting, 'NotBeneficiary');
+      await expect(
+        vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(vesting, 'ZeroAddress');
+      await expect(
+        vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], advisor.address)
+      ).to.be.revertedWithCustomError(vesting, 'InvalidNewBeneficiary');
+      await expect(
+        vesting.connect(advisor).transferVestingSchedule(ethers.ZeroHash, multisig.address)
+      ).to.be.revertedWithCustomError(vesting, 'ScheduleNotFound');
+
+      await vesting.revoke(scheduleIds[0]);
+      await expect(
+        vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], multisig.address)
+      ).to.be.revertedWithCustomError(vesting, 'ScheduleAlreadyRevoked');
+    });
+  });
+
+  describe('With owner approval', function () {
+    it('should hold the transfer until the owner approves it', async function () {
+      const { vesting, advisor, multisig, other, scheduleIds } = await loadFixture(deployFixture);
+
+      await expect(vesting.connect(other).setTransferApprovalRequired(true)).to.be.revertedWith(
+        'Ownable: caller is not the owner'
+      );
+      await expect(vesting.setTransferApprovalRequired(true))
+        .to.emit(vesting, 'TransferApprovalRequiredUpdated')
+        .withArgs(true);
+
+      await expect(
+        vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], multisig.address)
+      )
+        .to.emit(vesting, 'ScheduleTransferRequested')
+        .withArgs(scheduleIds[0], advisor.address, multisig.address);
+      expect(await vesting.getPendingScheduleTransfer(scheduleIds[0])).to.equal(multisig.address);
+      expect(await vesting.getVestingSchedulesCountByHolder(multisig.address)).to.equal(0);
+
+      await expect(
+        vesting.connect(other).approveScheduleTransfer(scheduleIds[0])
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+      await expect(vesting.approveScheduleTransfer(scheduleIds[0]))
+        .to.emit(vesting, 'VestingScheduleTransferred')
+        .withArgs(scheduleIds[0], advisor.address, multisig.address);
+
+      expect(await vesting.getPendingScheduleTransfer(scheduleIds[0])).to.equal(ethers.ZeroAddress);
+      expect(await vesting.getVestingSchedulesCountByHolder(multisig.address)).to.equal(1);
+      await expect(vesting.approveScheduleTransfer(scheduleIds[0])).to.be.revertedWithCustomError(
+        vesting,
+        'NoPendingTransfer'
+      );
+    });
+
+    it('should let the beneficiary or the owner cancel a pending transfer', async function () {
+      const { vesting, advisor, multisig, other, scheduleIds } = await loadFixture(deployFixture);
+      await vesting.setTransferApprovalRequired(true);
+      await vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], multisig.address);
+
+      await expect(
+        vesting.connect(other).cancelScheduleTransfer(scheduleIds[0])
+      ).to.be.revertedWithCustomError(vesting, 'NotBeneficiary');
+      await expect(vesting.connect(advisor).cancelScheduleTransfer(scheduleIds[0]))
+        .to.emit(vesting, 'ScheduleTransferCancelled')
+        .withArgs(scheduleIds[0]);
+      await expect(vesting.approveScheduleTransfer(scheduleIds[0])).to.be.revertedWithCustomError(
+        vesting,
+        'NoPendingTransfer'
+      );
+
+      await vesting.connect(advisor).transferVestingSchedule(scheduleIds[0], multisig.address);
+      await vesting.cancelScheduleTransfer(scheduleIds[0]);
+      expect(await vesting.getPendingScheduleTransfer(scheduleIds[0])).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe('Helpers', function () {
+    it('should transfer directly or report a pending transfer and settle it', async function () {
+      const { vesting, advisor, multisig, scheduleIds } = await loadFixture(deployFixture);
+
+      expect(
+        await transferSchedule(vesting.connect(advisor), scheduleIds[0], multisig.address)
+      ).to.include({ status: 'transferred' });
+
+      await vesting.setTransferApprovalRequired(true);
+      expect(
+        await transferSchedule(vesting.connect(advisor), scheduleIds[1], multisig.address)
+      ).to.include({ status: 'pending' });
+
+      const [pending] = await getHolderSchedules(vesting, advisor.address);
+      expect(pending.pendingTransfer).to.equal(multisig.address);
+
+      const settled = await settleScheduleTransfer(vesting, scheduleIds[1], true);
+      expect(settled.newBeneficiary).to.equal(multisig.address);
+      expect(await getHolderSchedules(vesting, advisor.address)).to.deep.equal([]);
+      expect(await getHolderSchedules(vesting, multisig.address)).to.have.lengthOf(2);
+
+      let error;
+      try {
+        await settleScheduleTransfer(vesting, scheduleIds[1], false);
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.contain('has no pending transfer');
+    });
+  });
+});